@@ -23,6 +23,9 @@ export const MAX_PROOF_DEPTH = 10;
 export const PROOF_TIMEOUT_MS = 2000;
 export const MAX_REASONING_STEPS = 100;  // Total step limit to prevent infinite loops
 
+// Confidence of conclusions drawn from defaults (normally/except)
+export const DEFEASIBLE_CONFIDENCE = 0.8;
+
 // Decoding limits
 export const MAX_NESTING_DEPTH = 3;
 
@@ -52,6 +55,7 @@ export const TOKEN_TYPES = {
   RBRACE: 'RBRACE',
   COMMA: 'COMMA',
   COLON: 'COLON',
+  ARROW: 'ARROW',
   NEWLINE: 'NEWLINE',
   EOF: 'EOF',
   COMMENT: 'COMMENT',
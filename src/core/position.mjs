@@ -9,30 +9,31 @@
 
 import { Vector } from './vector.mjs';
 import { bind, unbind } from './operations.mjs';
-import { asciiStamp } from '../util/ascii-stamp.mjs';
+import { createHDCContext, getStrategyId } from '../hdc/facade.mjs';
 import { MAX_POSITIONS, DEFAULT_GEOMETRY } from './constants.mjs';
 
-// Cache for position vectors (per geometry)
+// Cache for position vectors (per strategy and geometry)
 const positionCache = new Map();
 
 /**
- * Get position vector for given position and geometry
+ * Get position vector for given position, geometry and strategy
  * @param {number} position - Position number (1-20)
  * @param {number} geometry - Vector dimension
+ * @param {string} [strategyId] - HDC strategy (active strategy if omitted)
  * @returns {Vector} Position vector
  */
-export function getPositionVector(position, geometry = DEFAULT_GEOMETRY) {
+export function getPositionVector(position, geometry = DEFAULT_GEOMETRY, strategyId = getStrategyId()) {
   if (position < 1 || position > MAX_POSITIONS) {
     throw new RangeError(`Position must be 1-${MAX_POSITIONS}, got ${position}`);
   }
 
-  const cacheKey = `${geometry}:${position}`;
+  const cacheKey = `${strategyId}:${geometry}:${position}`;
   if (positionCache.has(cacheKey)) {
     return positionCache.get(cacheKey);
   }
 
   // Generate deterministic position vector
-  const posVec = asciiStamp(`__POS_${position}__`, geometry);
+  const posVec = createHDCContext(strategyId, geometry).createFromName(`__POS_${position}__`);
   positionCache.set(cacheKey, posVec);
   return posVec;
 }
@@ -40,12 +41,13 @@ export function getPositionVector(position, geometry = DEFAULT_GEOMETRY) {
 /**
  * Initialize all position vectors for a geometry
  * @param {number} geometry - Vector dimension
+ * @param {string} [strategyId] - HDC strategy (active strategy if omitted)
  * @returns {Vector[]} Array of position vectors (index 0 = Pos1)
  */
-export function initPositionVectors(geometry = DEFAULT_GEOMETRY) {
+export function initPositionVectors(geometry = DEFAULT_GEOMETRY, strategyId = getStrategyId()) {
   const vectors = [];
   for (let i = 1; i <= MAX_POSITIONS; i++) {
-    vectors.push(getPositionVector(i, geometry));
+    vectors.push(getPositionVector(i, geometry, strategyId));
   }
   return vectors;
 }
@@ -57,7 +59,7 @@ export function initPositionVectors(geometry = DEFAULT_GEOMETRY) {
  * @returns {Vector} Positioned vector
  */
 export function withPosition(position, vector) {
-  const posVec = getPositionVector(position, vector.geometry);
+  const posVec = getPositionVector(position, vector.geometry, vector.strategyId);
   return bind(vector, posVec);
 }
 
@@ -68,7 +70,7 @@ export function withPosition(position, vector) {
  * @returns {Vector} Unpositioned vector
  */
 export function removePosition(position, vector) {
-  const posVec = getPositionVector(position, vector.geometry);
+  const posVec = getPositionVector(position, vector.geometry, vector.strategyId);
   return unbind(vector, posVec);
 }
 
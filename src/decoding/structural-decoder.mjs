@@ -5,7 +5,7 @@
  * Decodes hypervectors back into structured representations.
  */
 
-import { bind, similarity, topKSimilar } from '../core/operations.mjs';
+import { unbind, similarity, topKSimilar } from '../core/operations.mjs';
 import { removePosition } from '../core/position.mjs';
 import { MAX_NESTING_DEPTH, SIMILARITY_THRESHOLD } from '../core/constants.mjs';
 import { createTracer } from '../util/trace.mjs';
@@ -73,7 +73,7 @@ export class StructuralDecoder {
 
     // Step 2: Unbind operator
     const opVector = this.session.vocabulary.get(operator.name);
-    const remainder = bind(vector, opVector);
+    const remainder = unbind(vector, opVector);
 
     // Step 3: Extract arguments at each position
     trace('Step 3: Extracting arguments');
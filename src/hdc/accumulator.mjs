@@ -0,0 +1,119 @@
+/**
+ * AGISystem2 - Incremental Bundle Accumulator
+ * @module hdc/accumulator
+ *
+ * A bundle that grows and shrinks one vector at a time. Strategies with
+ * counters (createCounters / accumulate / fromCounters) keep one counter per
+ * dimension, so adding or removing a vector costs O(d) and the bundle equals
+ * bundle() over every vector currently counted, without re-reading them.
+ * The thresholded bundle is cached until the next add or remove.
+ *
+ * Strategies without counters fall back to keeping the vectors and bundling
+ * them on demand.
+ */
+
+/**
+ * Running bundle of a multiset of vectors
+ */
+export class Accumulator {
+  /**
+   * @param {Object} strategy - HDC strategy
+   * @param {number} geometry - Vector dimension
+   */
+  constructor(strategy, geometry) {
+    this.strategy = strategy;
+    this.geometry = geometry;
+    this.count = 0;
+    this.counters = strategy.createCounters ? strategy.createCounters(geometry) : null;
+    this.vectors = this.counters ? null : [];
+    this.cached = null;
+  }
+
+  /**
+   * Add a vector to the bundle
+   * @param {Object} vector
+   */
+  add(vector) {
+    this.check(vector);
+    if (this.counters) {
+      this.strategy.accumulate(this.counters, vector, 1);
+    } else {
+      this.vectors.push(vector);
+    }
+    this.count++;
+    this.cached = null;
+  }
+
+  /**
+   * Remove a vector added earlier
+   * @param {Object} vector
+   * @throws {Error} If the vector is not in the bundle (fallback mode) or the bundle is empty
+   */
+  remove(vector) {
+    this.check(vector);
+    if (this.count === 0) {
+      throw new Error('Cannot remove from an empty accumulator');
+    }
+    if (this.counters) {
+      this.strategy.accumulate(this.counters, vector, -1);
+    } else {
+      const index = this.vectors.findIndex(v => v === vector || this.strategy.equals(v, vector));
+      if (index < 0) throw new Error('Vector is not in the accumulator');
+      this.vectors.splice(index, 1);
+    }
+    this.count--;
+    this.cached = null;
+  }
+
+  /**
+   * Bundle of the vectors counted so far
+   * @returns {Object|null} Vector, or null when nothing is counted
+   */
+  snapshot() {
+    if (this.count === 0) return null;
+    if (!this.cached) {
+      this.cached = this.counters
+        ? this.strategy.fromCounters(this.counters, this.count, this.geometry)
+        : this.strategy.bundle(this.vectors);
+    }
+    return this.cached;
+  }
+
+  /**
+   * Remove every vector
+   */
+  clear() {
+    this.count = 0;
+    if (this.counters) this.counters.fill(0);
+    else this.vectors = [];
+    this.cached = null;
+  }
+
+  /**
+   * Independent copy (for session forks)
+   * @returns {Accumulator}
+   */
+  clone() {
+    const copy = new Accumulator(this.strategy, this.geometry);
+    copy.count = this.count;
+    if (this.counters) copy.counters.set(this.counters);
+    else copy.vectors = this.vectors.slice();
+    copy.cached = this.cached;
+    return copy;
+  }
+
+  /**
+   * @param {Object} vector
+   * @throws {Error} On a vector from another strategy or geometry
+   */
+  check(vector) {
+    if (vector.strategyId && vector.strategyId !== this.strategy.id) {
+      throw new Error(`Strategy mismatch: ${this.strategy.id} vs ${vector.strategyId}`);
+    }
+    if (vector.geometry !== this.geometry) {
+      throw new Error(`Geometry mismatch: ${this.geometry} vs ${vector.geometry}`);
+    }
+  }
+}
+
+export default Accumulator;
@@ -40,10 +40,20 @@
  * @property {string} description - Strategy description
  */
 
+/**
+ * @typedef {Object} HDCCapabilities
+ * Algebraic properties a strategy's bind may or may not have
+ * @property {boolean} bindSelfInverse - bind(bind(a, b), b) ≈ a, so unbind ≡ bind
+ * @property {boolean} bindCommutative - bind(a, b) ≡ bind(b, a)
+ * @property {boolean} bindAssociative - bind(bind(a, b), c) ≡ bind(a, bind(b, c))
+ */
+
 /**
  * @typedef {Object} HDCStrategy
  * @property {string} id - Strategy identifier
  * @property {HDCStrategyProperties} properties - Non-functional properties
+ * @property {Partial<HDCCapabilities>} [capabilities] - Omitted flags default
+ *   to DEFAULT_CAPABILITIES
  *
  * Factory Methods:
  * @property {function(number): SemanticVector} createZero - Create zero vector
@@ -52,7 +62,7 @@
  * @property {function(SerializedVector): SemanticVector} deserialize - Restore from serialized
  *
  * Core Operations:
- * @property {function(SemanticVector, SemanticVector): SemanticVector} bind - Bind two vectors (XOR)
+ * @property {function(SemanticVector, SemanticVector): SemanticVector} bind - Bind two vectors
  * @property {function(...SemanticVector): SemanticVector} bindAll - Bind multiple vectors
  * @property {function(SemanticVector[], SemanticVector=): SemanticVector} bundle - Superposition
  * @property {function(SemanticVector, SemanticVector): number} similarity - Similarity measure
@@ -63,28 +73,46 @@
  * @property {function(SemanticVector, SemanticVector): boolean} equals - Exact equality
  * @property {function(SemanticVector, Map<string,SemanticVector>, number): SimilarityResult[]} topKSimilar
  * @property {function(SemanticVector): SerializedVector} serialize - Export for storage
+ * @property {function(SemanticVector): string} [fingerprint] - Short identity string
+ *
+ * Incremental bundling (optional; hdc/accumulator re-bundles without them)
+ * @property {function(number): ArrayLike<number>} [createCounters] - Per-dimension counters
+ * @property {function(ArrayLike<number>, SemanticVector, number): void} [accumulate] - Add a vector with weight 1 or -1
+ * @property {function(ArrayLike<number>, number, number): SemanticVector} [fromCounters] - bundle() of the counted vectors
+ */
+
+/**
+ * Capabilities of strategies that do not declare their own
+ * (XOR and multiply binding have all three)
+ * @type {HDCCapabilities}
  */
+export const DEFAULT_CAPABILITIES = Object.freeze({
+  bindSelfInverse: true,
+  bindCommutative: true,
+  bindAssociative: true
+});
+
+/**
+ * Capabilities of a strategy, defaults filled in
+ * @param {HDCStrategy} strategy
+ * @returns {HDCCapabilities}
+ */
+export function capabilitiesOf(strategy) {
+  return { ...DEFAULT_CAPABILITIES, ...strategy.capabilities };
+}
 
 /**
  * HDC Contract Constants
  * These properties must be satisfied by ALL valid HDC strategies.
+ * Self-inverse, commutative and associative binding are capabilities
+ * (see DEFAULT_CAPABILITIES), checked only for strategies that claim them.
  */
 export const HDC_CONTRACT = {
   /**
-   * Bind is self-inverse: bind(a, a) produces "zero" effect
-   * More specifically: bind(bind(a, b), b) ≈ a
+   * Unbind undoes bind: similarity(unbind(bind(a, b), b), a) ≥ minimum
+   * Upper layers always unbind with unbind(), never with bind()
    */
-  BIND_SELF_INVERSE: true,
-
-  /**
-   * Bind is associative: bind(bind(a, b), c) ≡ bind(a, bind(b, c))
-   */
-  BIND_ASSOCIATIVE: true,
-
-  /**
-   * Bind is commutative: bind(a, b) ≡ bind(b, a)
-   */
-  BIND_COMMUTATIVE: true,
+  UNBIND_RECOVERS: { minimum: 0.9 },
 
   /**
    * Similarity is reflexive: similarity(v, v) = 1.0
@@ -142,14 +170,38 @@ export function validateStrategy(strategy, geometry = 2048) {
     return { valid: false, errors };
   }
 
-  // Test bind self-inverse
+  const capabilities = capabilitiesOf(strategy);
   const a = strategy.createRandom(geometry);
   const b = strategy.createRandom(geometry);
+  const c = strategy.createRandom(geometry);
   const bound = strategy.bind(a, b);
-  const unbound = strategy.bind(bound, b);
-  const simAfterUnbind = strategy.similarity(a, unbound);
-  if (simAfterUnbind < 0.99) {
-    errors.push(`Bind not self-inverse: similarity after unbind = ${simAfterUnbind}`);
+
+  // Test unbind recovers the bound component
+  const simAfterUnbind = strategy.similarity(a, strategy.unbind(bound, b));
+  if (simAfterUnbind < HDC_CONTRACT.UNBIND_RECOVERS.minimum) {
+    errors.push(`Unbind does not recover: similarity after unbind = ${simAfterUnbind}`);
+  }
+
+  // Test claimed capabilities
+  if (capabilities.bindSelfInverse) {
+    const simAfterRebind = strategy.similarity(a, strategy.bind(bound, b));
+    if (simAfterRebind < 0.99) {
+      errors.push(`Bind not self-inverse: similarity after rebind = ${simAfterRebind}`);
+    }
+  }
+  if (capabilities.bindCommutative) {
+    const simSwapped = strategy.similarity(bound, strategy.bind(b, a));
+    if (simSwapped < 0.99) {
+      errors.push(`Bind not commutative: similarity of swapped = ${simSwapped}`);
+    }
+  }
+  if (capabilities.bindAssociative) {
+    const left = strategy.bind(bound, c);
+    const right = strategy.bind(a, strategy.bind(b, c));
+    const simRegrouped = strategy.similarity(left, right);
+    if (simRegrouped < 0.99) {
+      errors.push(`Bind not associative: similarity of regrouped = ${simRegrouped}`);
+    }
   }
 
   // Test similarity reflexive
@@ -199,5 +251,7 @@ export function validateStrategy(strategy, geometry = 2048) {
 
 export default {
   HDC_CONTRACT,
+  DEFAULT_CAPABILITIES,
+  capabilitiesOf,
   validateStrategy
 };
@@ -12,6 +12,8 @@
  */
 
 import { getStrategy, getDefaultStrategy, listStrategies } from './strategies/index.mjs';
+import { capabilitiesOf } from './contract.mjs';
+import { Accumulator } from './accumulator.mjs';
 
 // ============================================================================
 // ENVIRONMENT CONFIGURATION
@@ -19,7 +21,7 @@ import { getStrategy, getDefaultStrategy, listStrategies } from './strategies/in
 
 /**
  * Environment variable for HDC strategy selection
- * Set SYS2_HDC_STRATEGY=dense-binary (or future strategies)
+ * Set SYS2_HDC_STRATEGY=dense-binary, bipolar-map, hrr or sparse-block
  * Default: 'dense-binary'
  */
 const ENV_STRATEGY = process.env.SYS2_HDC_STRATEGY || 'dense-binary';
@@ -86,6 +88,25 @@ function getActiveStrategy() {
   return activeStrategy;
 }
 
+/**
+ * Strategy that produced the given vectors
+ * Vectors carry their strategy id, so sessions with different strategies
+ * share these functions; vectors without one use the active strategy.
+ * @param {Object[]} vectors
+ * @returns {Object} Strategy
+ * @throws {Error} If the vectors come from different strategies
+ */
+function strategyFor(vectors) {
+  const strategyId = vectors[0]?.strategyId;
+  if (!strategyId) return getActiveStrategy();
+  for (let i = 1; i < vectors.length; i++) {
+    if (vectors[i].strategyId && vectors[i].strategyId !== strategyId) {
+      throw new Error(`Strategy mismatch: ${strategyId} vs ${vectors[i].strategyId}`);
+    }
+  }
+  return getStrategy(strategyId);
+}
+
 /**
  * Get strategy properties
  * @returns {Object}
@@ -94,6 +115,14 @@ export function getProperties() {
   return getActiveStrategy().properties;
 }
 
+/**
+ * Get strategy capabilities (self-inverse, commutative, associative bind)
+ * @returns {Object} HDCCapabilities
+ */
+export function getCapabilities() {
+  return capabilitiesOf(getActiveStrategy());
+}
+
 /**
  * Get strategy ID
  * @returns {string}
@@ -108,6 +137,37 @@ export function getStrategyId() {
  */
 export { listStrategies };
 
+// ============================================================================
+// HDC CONTEXTS (per-session strategy and geometry)
+// ============================================================================
+
+/**
+ * Create an HDC context: a strategy and a geometry fixed for one owner
+ * (usually a Session), independent of the active strategy and the default
+ * geometry. Contexts with different strategies coexist in one process.
+ * @param {string} [strategyId] - Strategy (default from env or 'dense-binary')
+ * @param {number} [geometry] - Vector dimension (default geometry if omitted)
+ * @returns {Object} HDCContext {strategy, strategyId, geometry, properties,
+ *   capabilities, createZero, createRandom, createFromName, createAccumulator}
+ * @throws {Error} If the strategy is unknown
+ */
+export function createHDCContext(strategyId = null, geometry = null) {
+  const strategy = strategyId ? getStrategy(strategyId) : getActiveStrategy();
+  const contextGeometry = geometry || defaultGeometry;
+
+  return Object.freeze({
+    strategy,
+    strategyId: strategy.id,
+    geometry: contextGeometry,
+    properties: strategy.properties,
+    capabilities: capabilitiesOf(strategy),
+    createZero: (g = contextGeometry) => strategy.createZero(g),
+    createRandom: (g = contextGeometry, seed = null) => strategy.createRandom(g, seed),
+    createFromName: (name, g = contextGeometry) => strategy.createFromName(name, g),
+    createAccumulator: (g = contextGeometry) => new Accumulator(strategy, g)
+  });
+}
+
 // ============================================================================
 // FACTORY FUNCTIONS
 // ============================================================================
@@ -142,6 +202,15 @@ export function createFromName(name, geometry = defaultGeometry) {
   return getActiveStrategy().createFromName(name, geometry);
 }
 
+/**
+ * Create a running bundle that vectors can be added to and removed from
+ * @param {number} [geometry] - Optional geometry (uses default if not specified)
+ * @returns {Accumulator} {add, remove, snapshot, clear, clone, count}
+ */
+export function createAccumulator(geometry = defaultGeometry) {
+  return new Accumulator(getActiveStrategy(), geometry);
+}
+
 /**
  * Deserialize vector from storage format
  * @param {Object} serialized
@@ -159,18 +228,16 @@ export function deserialize(serialized) {
 // ============================================================================
 
 /**
- * Bind two vectors (XOR for binary)
- * Properties:
- * - Associative: bind(bind(a,b), c) ≡ bind(a, bind(b,c))
- * - Commutative: bind(a,b) ≡ bind(b,a)
- * - Self-inverse: bind(bind(a,b), b) ≈ a
+ * Bind two vectors (XOR for binary, convolution for HRR)
+ * Whether bind is associative, commutative or self-inverse depends on the
+ * strategy (getCapabilities); use unbind() to undo it.
  *
  * @param {Object} a - First vector
  * @param {Object} b - Second vector
  * @returns {Object} Bound result
  */
 export function bind(a, b) {
-  return getActiveStrategy().bind(a, b);
+  return strategyFor([a, b]).bind(a, b);
 }
 
 /**
@@ -179,7 +246,7 @@ export function bind(a, b) {
  * @returns {Object} Combined result
  */
 export function bindAll(...vectors) {
-  return getActiveStrategy().bindAll(...vectors);
+  return strategyFor(vectors).bindAll(...vectors);
 }
 
 /**
@@ -190,7 +257,7 @@ export function bindAll(...vectors) {
  * @returns {Object} Bundled result
  */
 export function bundle(vectors, tieBreaker = null) {
-  return getActiveStrategy().bundle(vectors, tieBreaker);
+  return strategyFor(vectors).bundle(vectors, tieBreaker);
 }
 
 /**
@@ -200,18 +267,18 @@ export function bundle(vectors, tieBreaker = null) {
  * @returns {number} Similarity (0 = different, 1 = identical)
  */
 export function similarity(a, b) {
-  return getActiveStrategy().similarity(a, b);
+  return strategyFor([a, b]).similarity(a, b);
 }
 
 /**
  * Unbind: inverse of bind
- * For XOR-based strategies: unbind ≡ bind
+ * For self-inverse strategies (XOR, multiply) unbind ≡ bind; HRR correlates
  * @param {Object} composite - Bound vector
  * @param {Object} component - Component to remove
  * @returns {Object} Remaining component
  */
 export function unbind(composite, component) {
-  return getActiveStrategy().unbind(composite, component);
+  return strategyFor([composite, component]).unbind(composite, component);
 }
 
 // ============================================================================
@@ -224,7 +291,7 @@ export function unbind(composite, component) {
  * @returns {Object}
  */
 export function clone(v) {
-  return getActiveStrategy().clone(v);
+  return strategyFor([v]).clone(v);
 }
 
 /**
@@ -234,7 +301,8 @@ export function clone(v) {
  * @returns {boolean}
  */
 export function equals(a, b) {
-  return getActiveStrategy().equals(a, b);
+  if (a.strategyId !== b.strategyId) return false;
+  return strategyFor([a]).equals(a, b);
 }
 
 /**
@@ -243,7 +311,17 @@ export function equals(a, b) {
  * @returns {Object}
  */
 export function serialize(v) {
-  return getActiveStrategy().serialize(v);
+  return strategyFor([v]).serialize(v);
+}
+
+/**
+ * Short identity string of a vector, for lookup keys and cycle detection
+ * Equal vectors give equal strings; different vectors almost never do.
+ * @param {Object} v
+ * @returns {string}
+ */
+export function fingerprint(v) {
+  return strategyFor([v]).fingerprint(v);
 }
 
 /**
@@ -254,7 +332,7 @@ export function serialize(v) {
  * @returns {Array<{name: string, similarity: number}>}
  */
 export function topKSimilar(query, vocabulary, k = 5) {
-  return getActiveStrategy().topKSimilar(query, vocabulary, k);
+  return strategyFor([query]).topKSimilar(query, vocabulary, k);
 }
 
 /**
@@ -264,7 +342,7 @@ export function topKSimilar(query, vocabulary, k = 5) {
  * @returns {number}
  */
 export function distance(a, b) {
-  return getActiveStrategy().distance(a, b);
+  return strategyFor([a, b]).distance(a, b);
 }
 
 /**
@@ -275,7 +353,7 @@ export function distance(a, b) {
  * @returns {boolean}
  */
 export function isOrthogonal(a, b, threshold = 0.55) {
-  return getActiveStrategy().isOrthogonal(a, b, threshold);
+  return strategyFor([a, b]).isOrthogonal(a, b, threshold);
 }
 
 // ============================================================================
@@ -290,7 +368,7 @@ export function isOrthogonal(a, b, threshold = 0.55) {
  * @returns {Object} Serialized KB
  */
 export function serializeKB(facts) {
-  return getActiveStrategy().serializeKB(facts);
+  return strategyFor(facts.length > 0 ? [facts[0].vector] : []).serializeKB(facts);
 }
 
 /**
@@ -323,7 +401,7 @@ export const Vector = (() => {
 // CONTRACT RE-EXPORTS
 // ============================================================================
 
-export { HDC_CONTRACT, validateStrategy } from './contract.mjs';
+export { HDC_CONTRACT, DEFAULT_CAPABILITIES, capabilitiesOf, validateStrategy } from './contract.mjs';
 
 // ============================================================================
 // BENCHMARK INFRASTRUCTURE
@@ -429,10 +507,12 @@ export function benchmarkStrategy(strategyId = ENV_STRATEGY, geometry = 8192, op
 
 /**
  * Compare multiple strategies
+ * The ranking orders the strategies that ran by memory per vector
+ * (smallest first) and by average throughput (fastest first).
  * @param {string[]} strategyIds - Strategies to compare
  * @param {number} geometry
  * @param {Object} options
- * @returns {Object} Comparison results
+ * @returns {Object} Comparison results {geometry, timestamp, strategies, ranking}
  */
 export function compareStrategies(strategyIds = null, geometry = 8192, options = {}) {
   const ids = strategyIds || listStrategies();
@@ -450,6 +530,13 @@ export function compareStrategies(strategyIds = null, geometry = 8192, options =
     }
   }
 
+  const ran = ids.filter(id => results.strategies[id].summary);
+  const summaryOf = id => results.strategies[id].summary;
+  results.ranking = {
+    memory: [...ran].sort((a, b) => summaryOf(a).memoryPerVector - summaryOf(b).memoryPerVector),
+    speed: [...ran].sort((a, b) => summaryOf(b).avgOpsPerSec - summaryOf(a).avgOpsPerSec)
+  };
+
   return results;
 }
 
@@ -488,8 +575,10 @@ export default {
   // Initialization
   initHDC,
   getProperties,
+  getCapabilities,
   getStrategyId,
   listStrategies,
+  createHDCContext,
 
   // Geometry management
   getDefaultGeometry,
@@ -499,6 +588,7 @@ export default {
   createZero,
   createRandom,
   createFromName,
+  createAccumulator,
   deserialize,
 
   // Core operations
@@ -512,6 +602,7 @@ export default {
   clone,
   equals,
   serialize,
+  fingerprint,
   topKSimilar,
   distance,
   isOrthogonal,
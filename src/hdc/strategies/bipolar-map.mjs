@@ -0,0 +1,513 @@
+/**
+ * AGISystem2 - Bipolar MAP HDC Strategy
+ * @module hdc/strategies/bipolar-map
+ *
+ * Multiply-Add-Permute vectors with bipolar (+1/-1) atoms.
+ *
+ * Properties:
+ * - Storage: one small integer per element (Int8Array while every element
+ *   fits, Int32Array once bundles grow past that)
+ * - Bind: Element-wise multiply (self-inverse on bipolar vectors,
+ *   associative, commutative)
+ * - Bundle: Element-wise integer sum, no thresholding, so a bundle keeps
+ *   how often each component went in
+ * - Similarity: Cosine, mapped to [0, 1] as (1 + cos) / 2 so that unrelated
+ *   vectors score ~0.5 like every other strategy
+ */
+
+import { PRNG } from '../../util/prng.mjs';
+import { djb2 } from '../../util/hash.mjs';
+
+const STRATEGY_ID = 'bipolar-map';
+
+// ============================================================================
+// VECTOR CLASS (Internal - not exported directly)
+// ============================================================================
+
+/**
+ * Narrowest integer array holding all values
+ * @param {ArrayLike<number>} values
+ * @returns {Int8Array|Int32Array}
+ */
+function elementsFor(values) {
+  for (let i = 0; i < values.length; i++) {
+    if (values[i] > 127 || values[i] < -128) return Int32Array.from(values);
+  }
+  return Int8Array.from(values);
+}
+
+/**
+ * Bipolar / small-integer vector
+ * @private
+ */
+class BipolarVector {
+  /**
+   * @param {number} geometry - Number of elements
+   * @param {Int8Array|Int32Array} [data] - Optional pre-initialized elements
+   */
+  constructor(geometry, data = null) {
+    if (!Number.isInteger(geometry) || geometry <= 0) {
+      throw new Error(`Geometry must be a positive integer, got ${geometry}`);
+    }
+    this.geometry = geometry;
+    this.data = data || new Int8Array(geometry);
+    this.strategyId = STRATEGY_ID;
+  }
+
+  /**
+   * Clone this vector
+   * @returns {BipolarVector}
+   */
+  clone() {
+    return new BipolarVector(this.geometry, this.data.slice());
+  }
+
+  /**
+   * Check equality
+   * @param {BipolarVector} other
+   * @returns {boolean}
+   */
+  equals(other) {
+    return equals(this, other);
+  }
+
+  /**
+   * Serialize to JSON-compatible object
+   * @returns {Object}
+   */
+  serialize() {
+    return serialize(this);
+  }
+
+  /**
+   * Deserialize from object
+   * @param {Object} obj
+   * @returns {BipolarVector}
+   */
+  static deserialize(obj) {
+    return deserialize(obj);
+  }
+}
+
+// ============================================================================
+// STRATEGY PROPERTIES
+// ============================================================================
+
+const properties = {
+  id: STRATEGY_ID,
+  displayName: 'Bipolar MAP',
+  recommendedBundleCapacity: 50,
+  maxBundleCapacity: 2000,
+  bytesPerVector: (geometry) => geometry,
+  bindComplexity: 'O(n)',
+  sparseOptimized: false,
+  description: 'Bipolar vectors with multiply binding, integer-sum bundling and cosine similarity'
+};
+
+// ============================================================================
+// FACTORY FUNCTIONS
+// ============================================================================
+
+/**
+ * Fill a vector with +1/-1 from 32-bit random words
+ * @param {BipolarVector} v
+ * @param {function(): number} nextWord - Returns a uint32
+ * @returns {BipolarVector}
+ */
+function fillBipolar(v, nextWord) {
+  for (let i = 0; i < v.geometry; i += 32) {
+    const word = nextWord();
+    const end = Math.min(i + 32, v.geometry);
+    for (let j = i; j < end; j++) {
+      v.data[j] = (word >>> (j - i)) & 1 ? 1 : -1;
+    }
+  }
+  return v;
+}
+
+/**
+ * Create zero vector (the empty bundle)
+ * @param {number} geometry
+ * @returns {BipolarVector}
+ */
+function createZero(geometry) {
+  return new BipolarVector(geometry);
+}
+
+/**
+ * Create random bipolar vector
+ * @param {number} geometry
+ * @param {number} [seed] - Optional seed for determinism
+ * @returns {BipolarVector}
+ */
+function createRandom(geometry, seed = null) {
+  const v = new BipolarVector(geometry);
+  if (seed !== null) {
+    const prng = new PRNG(seed);
+    return fillBipolar(v, () => prng.randomUint32());
+  }
+  return fillBipolar(v, () => (Math.random() * 0xFFFFFFFF) >>> 0);
+}
+
+/**
+ * Create deterministic vector from name
+ * Uses DJB2 hash as seed for PRNG
+ * @param {string} name - Identifier string
+ * @param {number} geometry
+ * @returns {BipolarVector}
+ */
+function createFromName(name, geometry) {
+  const prng = new PRNG(djb2(name));
+  return fillBipolar(new BipolarVector(geometry), () => prng.randomUint32());
+}
+
+/**
+ * Deserialize vector from storage format
+ * @param {Object} serialized
+ * @returns {BipolarVector}
+ */
+function deserialize(serialized) {
+  if (serialized.strategyId !== STRATEGY_ID) {
+    throw new Error(`Cannot deserialize ${serialized.strategyId} with ${STRATEGY_ID} strategy`);
+  }
+  return new BipolarVector(serialized.geometry, elementsFor(serialized.data));
+}
+
+// ============================================================================
+// CORE OPERATIONS
+// ============================================================================
+
+/**
+ * Bind two vectors by element-wise multiplication
+ * @param {BipolarVector} a
+ * @param {BipolarVector} b
+ * @returns {BipolarVector}
+ */
+function bind(a, b) {
+  if (a.geometry !== b.geometry) {
+    throw new Error(`Geometry mismatch: ${a.geometry} vs ${b.geometry}`);
+  }
+  const product = new Int32Array(a.geometry);
+  for (let i = 0; i < a.geometry; i++) {
+    product[i] = a.data[i] * b.data[i];
+  }
+  return new BipolarVector(a.geometry, elementsFor(product));
+}
+
+/**
+ * Bind multiple vectors together
+ * @param {...BipolarVector} vectors
+ * @returns {BipolarVector}
+ */
+function bindAll(...vectors) {
+  if (vectors.length === 0) {
+    throw new Error('bindAll requires at least one vector');
+  }
+  let result = clone(vectors[0]);
+  for (let i = 1; i < vectors.length; i++) {
+    result = bind(result, vectors[i]);
+  }
+  return result;
+}
+
+/**
+ * Bundle vectors by element-wise integer sum
+ * No majority threshold: the sum is the bundle, so nothing is lost to ties
+ * and later bundling adds to the counts. The tie breaker is accepted for
+ * contract compatibility and ignored.
+ * @param {BipolarVector[]} vectors
+ * @param {BipolarVector} [tieBreaker]
+ * @returns {BipolarVector}
+ */
+function bundle(vectors, tieBreaker = null) {
+  if (vectors.length === 0) {
+    throw new Error('bundle requires at least one vector');
+  }
+  if (vectors.length === 1) {
+    return clone(vectors[0]);
+  }
+
+  const geometry = vectors[0].geometry;
+  const sum = new Int32Array(geometry);
+  for (const v of vectors) {
+    if (v.geometry !== geometry) {
+      throw new Error('All vectors must have same geometry');
+    }
+    for (let i = 0; i < geometry; i++) {
+      sum[i] += v.data[i];
+    }
+  }
+  return new BipolarVector(geometry, elementsFor(sum));
+}
+
+/**
+ * Cosine similarity mapped to [0, 1]
+ * A zero vector is unrelated to everything (0.5).
+ * @param {BipolarVector} a
+ * @param {BipolarVector} b
+ * @returns {number}
+ */
+function similarity(a, b) {
+  if (a.geometry !== b.geometry) {
+    throw new Error(`Geometry mismatch: ${a.geometry} vs ${b.geometry}`);
+  }
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.geometry; i++) {
+    const x = a.data[i];
+    const y = b.data[i];
+    dot += x * y;
+    normA += x * x;
+    normB += y * y;
+  }
+  if (normA === 0 || normB === 0) return 0.5;
+
+  const cosine = dot / Math.sqrt(normA * normB);
+  return Math.min(1, Math.max(0, (1 + cosine) / 2));
+}
+
+/**
+ * Unbind (same as bind: bipolar atoms are their own inverse)
+ * @param {BipolarVector} composite
+ * @param {BipolarVector} component
+ * @returns {BipolarVector}
+ */
+function unbind(composite, component) {
+  return bind(composite, component);
+}
+
+// ============================================================================
+// UTILITY OPERATIONS
+// ============================================================================
+
+/**
+ * Clone a vector
+ * @param {BipolarVector} v
+ * @returns {BipolarVector}
+ */
+function clone(v) {
+  return new BipolarVector(v.geometry, v.data.slice());
+}
+
+/**
+ * Check vector equality
+ * @param {BipolarVector} a
+ * @param {BipolarVector} b
+ * @returns {boolean}
+ */
+function equals(a, b) {
+  if (a.geometry !== b.geometry) return false;
+  for (let i = 0; i < a.geometry; i++) {
+    if (a.data[i] !== b.data[i]) return false;
+  }
+  return true;
+}
+
+/**
+ * Serialize vector for storage
+ * @param {BipolarVector} v
+ * @returns {Object}
+ */
+function serialize(v) {
+  return {
+    strategyId: STRATEGY_ID,
+    geometry: v.geometry,
+    version: 1,
+    data: Array.from(v.data)
+  };
+}
+
+/**
+ * Short identity string of a vector (lookup keys, cycle detection)
+ * FNV-1a over the first 128 elements, four 32-element groups
+ * @param {BipolarVector} v
+ * @returns {string}
+ */
+function fingerprint(v) {
+  const parts = [];
+  for (let group = 0; group < 4; group++) {
+    let hash = 2166136261;
+    const end = Math.min((group + 1) * 32, v.geometry);
+    for (let i = group * 32; i < end; i++) {
+      hash = Math.imul(hash ^ (v.data[i] & 0xFFFF), 16777619) >>> 0;
+    }
+    parts.push(hash.toString(16));
+  }
+  return parts.join(':');
+}
+
+/**
+ * Find top-K most similar vectors
+ * @param {BipolarVector} query
+ * @param {Map<string, BipolarVector>|Object} vocabulary
+ * @param {number} k
+ * @returns {Array<{name: string, similarity: number}>}
+ */
+function topKSimilar(query, vocabulary, k = 5) {
+  const results = [];
+
+  const entries = vocabulary instanceof Map
+    ? vocabulary.entries()
+    : Object.entries(vocabulary);
+
+  for (const [name, vec] of entries) {
+    results.push({ name, similarity: similarity(query, vec) });
+  }
+
+  results.sort((a, b) => b.similarity - a.similarity);
+  return results.slice(0, k);
+}
+
+/**
+ * Calculate distance (1 - similarity)
+ * @param {BipolarVector} a
+ * @param {BipolarVector} b
+ * @returns {number}
+ */
+function distance(a, b) {
+  return 1 - similarity(a, b);
+}
+
+/**
+ * Check if vectors are approximately orthogonal
+ * @param {BipolarVector} a
+ * @param {BipolarVector} b
+ * @param {number} threshold
+ * @returns {boolean}
+ */
+function isOrthogonal(a, b, threshold = 0.55) {
+  const sim = similarity(a, b);
+  return sim < threshold && sim > (1 - threshold);
+}
+
+// ============================================================================
+// INCREMENTAL BUNDLING (counters behind hdc/accumulator)
+// ============================================================================
+
+/**
+ * Per-element sums for a running bundle
+ * @param {number} geometry
+ * @returns {Int32Array}
+ */
+function createCounters(geometry) {
+  return new Int32Array(geometry);
+}
+
+/**
+ * Add (weight 1) or remove (weight -1) a vector
+ * @param {Int32Array} counters
+ * @param {BipolarVector} v
+ * @param {number} weight
+ */
+function accumulate(counters, v, weight) {
+  for (let i = 0; i < v.geometry; i++) {
+    counters[i] += weight * v.data[i];
+  }
+}
+
+/**
+ * Bundle of the counted vectors (the sums themselves)
+ * @param {Int32Array} counters
+ * @param {number} count - Vectors counted
+ * @param {number} geometry
+ * @returns {BipolarVector}
+ */
+function fromCounters(counters, count, geometry) {
+  return new BipolarVector(geometry, elementsFor(counters));
+}
+
+// ============================================================================
+// KB SERIALIZATION (Strategy-level optimization)
+// ============================================================================
+
+/**
+ * Serialize a knowledge base (collection of facts) for persistence.
+ * @param {Array<{vector: BipolarVector, name?: string, metadata?: Object}>} facts
+ * @returns {Object} Serialized KB
+ */
+function serializeKB(facts) {
+  if (!facts || facts.length === 0) {
+    return { strategyId: STRATEGY_ID, version: 1, geometry: 0, count: 0, facts: [] };
+  }
+
+  return {
+    strategyId: STRATEGY_ID,
+    version: 1,
+    geometry: facts[0].vector.geometry,
+    count: facts.length,
+    facts: facts.map(f => ({
+      data: Array.from(f.vector.data),
+      name: f.name || null,
+      metadata: f.metadata || null
+    }))
+  };
+}
+
+/**
+ * Deserialize a knowledge base from storage.
+ * @param {Object} serialized - Serialized KB object
+ * @returns {Array<{vector: BipolarVector, name?: string, metadata?: Object}>}
+ */
+function deserializeKB(serialized) {
+  if (!serialized || !serialized.facts || serialized.count === 0) {
+    return [];
+  }
+
+  return serialized.facts.map(f => ({
+    vector: deserialize({ strategyId: serialized.strategyId, geometry: serialized.geometry, data: f.data }),
+    name: f.name,
+    metadata: f.metadata
+  }));
+}
+
+// ============================================================================
+// STRATEGY EXPORT
+// ============================================================================
+
+/**
+ * Bipolar MAP Strategy Object
+ * Implements the HDCStrategy contract
+ */
+export const bipolarMapStrategy = {
+  id: STRATEGY_ID,
+  properties,
+  capabilities: { bindSelfInverse: true, bindCommutative: true, bindAssociative: true },
+
+  // Factory
+  createZero,
+  createRandom,
+  createFromName,
+  deserialize,
+
+  // Core operations
+  bind,
+  bindAll,
+  bundle,
+  similarity,
+  unbind,
+
+  // Utilities
+  clone,
+  equals,
+  serialize,
+  fingerprint,
+  topKSimilar,
+  distance,
+  isOrthogonal,
+
+  // Incremental bundling
+  createCounters,
+  accumulate,
+  fromCounters,
+
+  // KB Serialization (strategy-level)
+  serializeKB,
+  deserializeKB,
+
+  // Internal class (for advanced use)
+  Vector: BipolarVector
+};
+
+export default bipolarMapStrategy;
@@ -463,6 +463,20 @@ function serialize(v) {
   };
 }
 
+/**
+ * Short identity string of a vector (lookup keys, cycle detection)
+ * The first four words in hex
+ * @param {DenseBinaryVector} v
+ * @returns {string}
+ */
+function fingerprint(v) {
+  const parts = [];
+  for (let i = 0; i < Math.min(4, v.words); i++) {
+    parts.push(v.data[i].toString(16));
+  }
+  return parts.join(':');
+}
+
 /**
  * Find top-K most similar vectors
  * @param {DenseBinaryVector} query
@@ -508,6 +522,53 @@ function isOrthogonal(a, b, threshold = 0.55) {
   return sim < threshold && sim > (1 - threshold);
 }
 
+// ============================================================================
+// INCREMENTAL BUNDLING (counters behind hdc/accumulator)
+// ============================================================================
+
+/**
+ * Per-bit counters for a running majority vote
+ * @param {number} geometry
+ * @returns {Int32Array}
+ */
+function createCounters(geometry) {
+  return new Int32Array(geometry);
+}
+
+/**
+ * Add (weight 1) or remove (weight -1) a vector's set bits
+ * @param {Int32Array} counters
+ * @param {DenseBinaryVector} v
+ * @param {number} weight
+ */
+function accumulate(counters, v, weight) {
+  for (let w = 0; w < v.words; w++) {
+    let word = v.data[w];
+    while (word !== 0) {
+      const low = word & -word;
+      counters[w * 32 + 31 - Math.clz32(low)] += weight;
+      word ^= low;
+    }
+  }
+}
+
+/**
+ * Majority vote over counted vectors, as bundle() without a tie breaker
+ * @param {Int32Array} counters
+ * @param {number} count - Vectors counted
+ * @param {number} geometry
+ * @returns {DenseBinaryVector}
+ */
+function fromCounters(counters, count, geometry) {
+  const result = new DenseBinaryVector(geometry);
+  for (let i = 0; i < geometry; i++) {
+    if (counters[i] * 2 > count) {
+      result.data[i >>> 5] |= 1 << (i & 31);
+    }
+  }
+  return result;
+}
+
 // ============================================================================
 // KB SERIALIZATION (Strategy-level optimization)
 // ============================================================================
@@ -583,6 +644,7 @@ function deserializeKB(serialized) {
 export const denseBinaryStrategy = {
   id: 'dense-binary',
   properties,
+  capabilities: { bindSelfInverse: true, bindCommutative: true, bindAssociative: true },
 
   // Factory
   createZero,
@@ -601,10 +663,16 @@ export const denseBinaryStrategy = {
   clone,
   equals,
   serialize,
+  fingerprint,
   topKSimilar,
   distance,
   isOrthogonal,
 
+  // Incremental bundling
+  createCounters,
+  accumulate,
+  fromCounters,
+
   // KB Serialization (strategy-level)
   serializeKB,
   deserializeKB,
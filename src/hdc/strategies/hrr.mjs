@@ -0,0 +1,665 @@
+/**
+ * AGISystem2 - Holographic Reduced Representations Strategy
+ * @module hdc/strategies/hrr
+ *
+ * Plate's HRR: real-valued vectors bound by circular convolution.
+ *
+ * Properties:
+ * - Storage: Float32Array with geometry elements (geometry a power of two)
+ * - Bind: Circular convolution, computed as a product of spectra with an
+ *   in-process radix-2 FFT (associative, commutative, NOT self-inverse)
+ * - Unbind: Circular correlation (convolution with the involution). Atoms
+ *   are unitary (every frequency has magnitude 1), so correlation undoes
+ *   binding exactly for atoms and anything bound from them; for other keys
+ *   it is the usual approximate inverse.
+ * - Bundle: Sum scaled to unit length
+ * - Similarity: Cosine, mapped to [0, 1] as (1 + cos) / 2
+ */
+
+import { djb2 } from '../../util/hash.mjs';
+
+const STRATEGY_ID = 'hrr';
+
+// ============================================================================
+// FFT (radix-2, in place)
+// ============================================================================
+
+const twiddleCache = new Map(); // n -> {cos, sin}
+
+function twiddles(n) {
+  let table = twiddleCache.get(n);
+  if (!table) {
+    table = { cos: new Float64Array(n / 2), sin: new Float64Array(n / 2) };
+    for (let k = 0; k < n / 2; k++) {
+      table.cos[k] = Math.cos(2 * Math.PI * k / n);
+      table.sin[k] = Math.sin(2 * Math.PI * k / n);
+    }
+    twiddleCache.set(n, table);
+  }
+  return table;
+}
+
+/**
+ * Discrete Fourier transform in place
+ * @param {Float64Array} re - Real parts
+ * @param {Float64Array} im - Imaginary parts
+ * @param {boolean} inverse - Inverse transform (scaled by 1/n)
+ */
+function fft(re, im, inverse = false) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+
+  const { cos, sin } = twiddles(n);
+  const sign = inverse ? 1 : -1;
+  for (let size = 2; size <= n; size <<= 1) {
+    const half = size >> 1;
+    const step = n / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < half; k++) {
+        const wRe = cos[k * step];
+        const wIm = sign * sin[k * step];
+        const a = start + k;
+        const b = a + half;
+        const tRe = re[b] * wRe - im[b] * wIm;
+        const tIm = re[b] * wIm + im[b] * wRe;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+      }
+    }
+  }
+
+  if (inverse) {
+    for (let i = 0; i < n; i++) {
+      re[i] /= n;
+      im[i] /= n;
+    }
+  }
+}
+
+// ============================================================================
+// VECTOR CLASS (Internal - not exported directly)
+// ============================================================================
+
+/**
+ * @param {number} geometry
+ * @throws {Error} Unless geometry is a power of two (radix-2 FFT)
+ */
+function checkPowerOfTwo(geometry) {
+  if (!Number.isInteger(geometry) || geometry < 2 || (geometry & (geometry - 1)) !== 0) {
+    throw new Error(`Geometry must be a power of two, got ${geometry}`);
+  }
+}
+
+/**
+ * Real-valued HRR vector
+ * @private
+ */
+class HRRVector {
+  /**
+   * @param {number} geometry - Number of elements (power of two)
+   * @param {Float32Array} [data] - Optional pre-initialized elements
+   */
+  constructor(geometry, data = null) {
+    checkPowerOfTwo(geometry);
+    this.geometry = geometry;
+    this.data = data || new Float32Array(geometry);
+    this.strategyId = STRATEGY_ID;
+  }
+
+  /**
+   * Clone this vector
+   * @returns {HRRVector}
+   */
+  clone() {
+    return clone(this);
+  }
+
+  /**
+   * Check equality
+   * @param {HRRVector} other
+   * @returns {boolean}
+   */
+  equals(other) {
+    return equals(this, other);
+  }
+
+  /**
+   * Serialize to JSON-compatible object
+   * @returns {Object}
+   */
+  serialize() {
+    return serialize(this);
+  }
+
+  /**
+   * Deserialize from object
+   * @param {Object} obj
+   * @returns {HRRVector}
+   */
+  static deserialize(obj) {
+    return deserialize(obj);
+  }
+}
+
+// Spectra are computed once per vector; strategy operations never modify
+// a vector's elements after creation
+const spectra = new WeakMap();
+
+/**
+ * Fourier spectrum of a vector
+ * @param {HRRVector} v
+ * @returns {{re: Float64Array, im: Float64Array}}
+ */
+function spectrum(v) {
+  let s = spectra.get(v);
+  if (!s) {
+    s = { re: Float64Array.from(v.data), im: new Float64Array(v.geometry) };
+    fft(s.re, s.im);
+    spectra.set(v, s);
+  }
+  return s;
+}
+
+/**
+ * Vector with the given spectrum
+ * The spectrum is not cached: the elements are rounded to Float32, so the
+ * vector's own spectrum is recomputed from them on first use, exactly as it
+ * is for a vector restored from disk.
+ * @param {Float64Array} re
+ * @param {Float64Array} im
+ * @returns {HRRVector}
+ */
+function fromSpectrum(re, im) {
+  fft(re, im, true);
+  return new HRRVector(re.length, Float32Array.from(re));
+}
+
+// ============================================================================
+// STRATEGY PROPERTIES
+// ============================================================================
+
+const properties = {
+  id: STRATEGY_ID,
+  displayName: 'Holographic Reduced Representations',
+  recommendedBundleCapacity: 30,
+  maxBundleCapacity: 1000,
+  bytesPerVector: (geometry) => geometry * 4,
+  bindComplexity: 'O(n log n)',
+  sparseOptimized: false,
+  description: 'Real-valued vectors bound by FFT circular convolution and unbound by correlation'
+};
+
+/**
+ * Algebraic capabilities (see HDC_CONTRACT)
+ */
+const capabilities = {
+  bindSelfInverse: false,
+  bindCommutative: true,
+  bindAssociative: true
+};
+
+// ============================================================================
+// FACTORY FUNCTIONS
+// ============================================================================
+
+/**
+ * Fast 32-bit generator (mulberry32); one random phase per frequency
+ * would be far too slow with the BigInt PRNG
+ * @param {number} seed
+ * @returns {function(): number} Uniform in [0, 1)
+ */
+function mulberry32(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Unitary vector: random phase at every frequency, magnitude 1, with the
+ * conjugate symmetry that makes it real. Its length is 1.
+ * @param {number} geometry
+ * @param {function(): number} random - Uniform in [0, 1)
+ * @returns {HRRVector}
+ */
+function createUnitary(geometry, random) {
+  checkPowerOfTwo(geometry);
+  const re = new Float64Array(geometry);
+  const im = new Float64Array(geometry);
+  const half = geometry / 2;
+  re[0] = random() < 0.5 ? -1 : 1;
+  re[half] = random() < 0.5 ? -1 : 1;
+  for (let k = 1; k < half; k++) {
+    const phase = 2 * Math.PI * random();
+    re[k] = re[geometry - k] = Math.cos(phase);
+    im[k] = Math.sin(phase);
+    im[geometry - k] = -im[k];
+  }
+  return fromSpectrum(re, im);
+}
+
+/**
+ * Create zero vector (the empty bundle)
+ * @param {number} geometry
+ * @returns {HRRVector}
+ */
+function createZero(geometry) {
+  return new HRRVector(geometry);
+}
+
+/**
+ * Create random unitary vector
+ * @param {number} geometry
+ * @param {number} [seed] - Optional seed for determinism
+ * @returns {HRRVector}
+ */
+function createRandom(geometry, seed = null) {
+  return createUnitary(geometry, seed !== null ? mulberry32(seed) : Math.random);
+}
+
+/**
+ * Create deterministic unitary vector from name
+ * Uses DJB2 hash as seed
+ * @param {string} name - Identifier string
+ * @param {number} geometry
+ * @returns {HRRVector}
+ */
+function createFromName(name, geometry) {
+  return createUnitary(geometry, mulberry32(djb2(name)));
+}
+
+/**
+ * Deserialize vector from storage format
+ * @param {Object} serialized
+ * @returns {HRRVector}
+ */
+function deserialize(serialized) {
+  if (serialized.strategyId !== STRATEGY_ID) {
+    throw new Error(`Cannot deserialize ${serialized.strategyId} with ${STRATEGY_ID} strategy`);
+  }
+  return new HRRVector(serialized.geometry, Float32Array.from(serialized.data));
+}
+
+// ============================================================================
+// CORE OPERATIONS
+// ============================================================================
+
+function checkGeometry(a, b) {
+  if (a.geometry !== b.geometry) {
+    throw new Error(`Geometry mismatch: ${a.geometry} vs ${b.geometry}`);
+  }
+}
+
+/**
+ * Bind by circular convolution: product of spectra
+ * @param {HRRVector} a
+ * @param {HRRVector} b
+ * @returns {HRRVector}
+ */
+function bind(a, b) {
+  checkGeometry(a, b);
+  const sa = spectrum(a);
+  const sb = spectrum(b);
+  const re = new Float64Array(a.geometry);
+  const im = new Float64Array(a.geometry);
+  for (let k = 0; k < a.geometry; k++) {
+    re[k] = sa.re[k] * sb.re[k] - sa.im[k] * sb.im[k];
+    im[k] = sa.re[k] * sb.im[k] + sa.im[k] * sb.re[k];
+  }
+  return fromSpectrum(re, im);
+}
+
+/**
+ * Bind multiple vectors together
+ * @param {...HRRVector} vectors
+ * @returns {HRRVector}
+ */
+function bindAll(...vectors) {
+  if (vectors.length === 0) {
+    throw new Error('bindAll requires at least one vector');
+  }
+  let result = clone(vectors[0]);
+  for (let i = 1; i < vectors.length; i++) {
+    result = bind(result, vectors[i]);
+  }
+  return result;
+}
+
+/**
+ * Unbind by circular correlation: multiply by the conjugate spectrum
+ * Exact when the component is unitary, approximate otherwise.
+ * @param {HRRVector} composite
+ * @param {HRRVector} component
+ * @returns {HRRVector}
+ */
+function unbind(composite, component) {
+  checkGeometry(composite, component);
+  const sc = spectrum(composite);
+  const sk = spectrum(component);
+  const re = new Float64Array(composite.geometry);
+  const im = new Float64Array(composite.geometry);
+  for (let k = 0; k < composite.geometry; k++) {
+    re[k] = sc.re[k] * sk.re[k] + sc.im[k] * sk.im[k];
+    im[k] = sc.im[k] * sk.re[k] - sc.re[k] * sk.im[k];
+  }
+  return fromSpectrum(re, im);
+}
+
+/**
+ * Bundle by normalised sum
+ * The tie breaker is accepted for contract compatibility and ignored.
+ * @param {HRRVector[]} vectors
+ * @param {HRRVector} [tieBreaker]
+ * @returns {HRRVector}
+ */
+function bundle(vectors, tieBreaker = null) {
+  if (vectors.length === 0) {
+    throw new Error('bundle requires at least one vector');
+  }
+  if (vectors.length === 1) {
+    return clone(vectors[0]);
+  }
+
+  const geometry = vectors[0].geometry;
+  const sum = new Float64Array(geometry);
+  for (const v of vectors) {
+    if (v.geometry !== geometry) {
+      throw new Error('All vectors must have same geometry');
+    }
+    for (let i = 0; i < geometry; i++) {
+      sum[i] += v.data[i];
+    }
+  }
+
+  let norm = 0;
+  for (let i = 0; i < geometry; i++) norm += sum[i] * sum[i];
+  norm = Math.sqrt(norm);
+  if (norm > 0) {
+    for (let i = 0; i < geometry; i++) sum[i] /= norm;
+  }
+  return new HRRVector(geometry, Float32Array.from(sum));
+}
+
+/**
+ * Cosine similarity mapped to [0, 1]
+ * A zero vector is unrelated to everything (0.5).
+ * @param {HRRVector} a
+ * @param {HRRVector} b
+ * @returns {number}
+ */
+function similarity(a, b) {
+  checkGeometry(a, b);
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.geometry; i++) {
+    const x = a.data[i];
+    const y = b.data[i];
+    dot += x * y;
+    normA += x * x;
+    normB += y * y;
+  }
+  if (normA === 0 || normB === 0) return 0.5;
+
+  const cosine = dot / Math.sqrt(normA * normB);
+  return Math.min(1, Math.max(0, (1 + cosine) / 2));
+}
+
+// ============================================================================
+// UTILITY OPERATIONS
+// ============================================================================
+
+/**
+ * Clone a vector
+ * @param {HRRVector} v
+ * @returns {HRRVector}
+ */
+function clone(v) {
+  const copy = new HRRVector(v.geometry, v.data.slice());
+  const s = spectra.get(v);
+  if (s) spectra.set(copy, s);
+  return copy;
+}
+
+/**
+ * Check vector equality
+ * @param {HRRVector} a
+ * @param {HRRVector} b
+ * @returns {boolean}
+ */
+function equals(a, b) {
+  if (a.geometry !== b.geometry) return false;
+  for (let i = 0; i < a.geometry; i++) {
+    if (a.data[i] !== b.data[i]) return false;
+  }
+  return true;
+}
+
+/**
+ * Serialize vector for storage
+ * @param {HRRVector} v
+ * @returns {Object}
+ */
+function serialize(v) {
+  return {
+    strategyId: STRATEGY_ID,
+    geometry: v.geometry,
+    version: 1,
+    data: Array.from(v.data)
+  };
+}
+
+/**
+ * Short identity string of a vector (lookup keys, cycle detection)
+ * FNV-1a over the bit patterns of the first 16 elements, four groups
+ * @param {HRRVector} v
+ * @returns {string}
+ */
+function fingerprint(v) {
+  const bits = new Uint32Array(v.data.buffer, v.data.byteOffset, Math.min(16, v.geometry));
+  const parts = [];
+  for (let group = 0; group < 4; group++) {
+    let hash = 2166136261;
+    for (let i = group * 4; i < Math.min((group + 1) * 4, bits.length); i++) {
+      hash = Math.imul(hash ^ bits[i], 16777619) >>> 0;
+    }
+    parts.push(hash.toString(16));
+  }
+  return parts.join(':');
+}
+
+/**
+ * Find top-K most similar vectors
+ * @param {HRRVector} query
+ * @param {Map<string, HRRVector>|Object} vocabulary
+ * @param {number} k
+ * @returns {Array<{name: string, similarity: number}>}
+ */
+function topKSimilar(query, vocabulary, k = 5) {
+  const results = [];
+
+  const entries = vocabulary instanceof Map
+    ? vocabulary.entries()
+    : Object.entries(vocabulary);
+
+  for (const [name, vec] of entries) {
+    results.push({ name, similarity: similarity(query, vec) });
+  }
+
+  results.sort((a, b) => b.similarity - a.similarity);
+  return results.slice(0, k);
+}
+
+/**
+ * Calculate distance (1 - similarity)
+ * @param {HRRVector} a
+ * @param {HRRVector} b
+ * @returns {number}
+ */
+function distance(a, b) {
+  return 1 - similarity(a, b);
+}
+
+/**
+ * Check if vectors are approximately orthogonal
+ * @param {HRRVector} a
+ * @param {HRRVector} b
+ * @param {number} threshold
+ * @returns {boolean}
+ */
+function isOrthogonal(a, b, threshold = 0.55) {
+  const sim = similarity(a, b);
+  return sim < threshold && sim > (1 - threshold);
+}
+
+// ============================================================================
+// INCREMENTAL BUNDLING (counters behind hdc/accumulator)
+// ============================================================================
+
+/**
+ * Per-element sums for a running bundle
+ * @param {number} geometry
+ * @returns {Float64Array}
+ */
+function createCounters(geometry) {
+  return new Float64Array(geometry);
+}
+
+/**
+ * Add (weight 1) or remove (weight -1) a vector
+ * @param {Float64Array} counters
+ * @param {HRRVector} v
+ * @param {number} weight
+ */
+function accumulate(counters, v, weight) {
+  for (let i = 0; i < v.geometry; i++) {
+    counters[i] += weight * v.data[i];
+  }
+}
+
+/**
+ * Bundle of the counted vectors: the sum scaled to unit length
+ * @param {Float64Array} counters
+ * @param {number} count - Vectors counted
+ * @param {number} geometry
+ * @returns {HRRVector}
+ */
+function fromCounters(counters, count, geometry) {
+  let norm = 0;
+  for (let i = 0; i < geometry; i++) norm += counters[i] * counters[i];
+  norm = Math.sqrt(norm);
+  const data = new Float32Array(geometry);
+  if (norm > 0) {
+    for (let i = 0; i < geometry; i++) data[i] = counters[i] / norm;
+  }
+  return new HRRVector(geometry, data);
+}
+
+// ============================================================================
+// KB SERIALIZATION (Strategy-level optimization)
+// ============================================================================
+
+/**
+ * Serialize a knowledge base (collection of facts) for persistence.
+ * @param {Array<{vector: HRRVector, name?: string, metadata?: Object}>} facts
+ * @returns {Object} Serialized KB
+ */
+function serializeKB(facts) {
+  if (!facts || facts.length === 0) {
+    return { strategyId: STRATEGY_ID, version: 1, geometry: 0, count: 0, facts: [] };
+  }
+
+  return {
+    strategyId: STRATEGY_ID,
+    version: 1,
+    geometry: facts[0].vector.geometry,
+    count: facts.length,
+    facts: facts.map(f => ({
+      data: Array.from(f.vector.data),
+      name: f.name || null,
+      metadata: f.metadata || null
+    }))
+  };
+}
+
+/**
+ * Deserialize a knowledge base from storage.
+ * @param {Object} serialized - Serialized KB object
+ * @returns {Array<{vector: HRRVector, name?: string, metadata?: Object}>}
+ */
+function deserializeKB(serialized) {
+  if (!serialized || !serialized.facts || serialized.count === 0) {
+    return [];
+  }
+
+  return serialized.facts.map(f => ({
+    vector: deserialize({ strategyId: serialized.strategyId, geometry: serialized.geometry, data: f.data }),
+    name: f.name,
+    metadata: f.metadata
+  }));
+}
+
+// ============================================================================
+// STRATEGY EXPORT
+// ============================================================================
+
+/**
+ * HRR Strategy Object
+ * Implements the HDCStrategy contract
+ */
+export const hrrStrategy = {
+  id: STRATEGY_ID,
+  properties,
+  capabilities,
+
+  // Factory
+  createZero,
+  createRandom,
+  createFromName,
+  deserialize,
+
+  // Core operations
+  bind,
+  bindAll,
+  bundle,
+  similarity,
+  unbind,
+
+  // Utilities
+  clone,
+  equals,
+  serialize,
+  fingerprint,
+  topKSimilar,
+  distance,
+  isOrthogonal,
+
+  // Incremental bundling
+  createCounters,
+  accumulate,
+  fromCounters,
+
+  // KB Serialization (strategy-level)
+  serializeKB,
+  deserializeKB,
+
+  // Internal class (for advanced use)
+  Vector: HRRVector
+};
+
+export default hrrStrategy;
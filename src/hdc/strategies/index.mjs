@@ -6,6 +6,9 @@
  */
 
 import { denseBinaryStrategy } from './dense-binary.mjs';
+import { bipolarMapStrategy } from './bipolar-map.mjs';
+import { hrrStrategy } from './hrr.mjs';
+import { sparseBlockStrategy } from './sparse-block.mjs';
 
 /**
  * Registry of available strategies
@@ -13,8 +16,11 @@ import { denseBinaryStrategy } from './dense-binary.mjs';
  */
 const strategies = new Map();
 
-// Register default strategy
+// Register built-in strategies (dense-binary is the default)
 strategies.set('dense-binary', denseBinaryStrategy);
+strategies.set('bipolar-map', bipolarMapStrategy);
+strategies.set('hrr', hrrStrategy);
+strategies.set('sparse-block', sparseBlockStrategy);
 
 /**
  * Get a strategy by ID
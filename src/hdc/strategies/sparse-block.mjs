@@ -0,0 +1,564 @@
+/**
+ * AGISystem2 - Sparse Block-Code HDC Strategy
+ * @module hdc/strategies/sparse-block
+ *
+ * Sparse block codes: the geometry is cut into blocks of BLOCK_SIZE bits and
+ * exactly one bit per block is active. A vector is stored as the index of
+ * the active bit in each block, one byte per block instead of one bit per
+ * element, so a 32768-bit atom costs 512 bytes instead of 4 KB.
+ *
+ * Properties:
+ * - Storage: Uint8Array of active-bit indices, geometry / BLOCK_SIZE entries
+ * - Bind: Per-block cyclic shift, (a + b) mod BLOCK_SIZE (associative,
+ *   commutative, NOT self-inverse)
+ * - Unbind: Shift back, (a - b) mod BLOCK_SIZE (exact)
+ * - Bundle: Block-wise winner-take-all over the active indices
+ * - Similarity: Share of blocks whose active bits coincide, corrected for
+ *   chance agreement and mapped to [0, 1] so that unrelated vectors score
+ *   ~0.5 like every other strategy
+ */
+
+import { PRNG } from '../../util/prng.mjs';
+import { djb2 } from '../../util/hash.mjs';
+
+const STRATEGY_ID = 'sparse-block';
+
+/**
+ * Bits per block (one of them active)
+ */
+export const BLOCK_SIZE = 64;
+
+/**
+ * Index marking a block with no active bit (zero vector, empty bundle)
+ */
+const EMPTY = 0xFF;
+
+// ============================================================================
+// VECTOR CLASS (Internal - not exported directly)
+// ============================================================================
+
+/**
+ * Sparse block-code vector
+ * @private
+ */
+class SparseBlockVector {
+  /**
+   * @param {number} geometry - Number of bits (a multiple of BLOCK_SIZE)
+   * @param {Uint8Array} [data] - Optional active index per block
+   */
+  constructor(geometry, data = null) {
+    if (!Number.isInteger(geometry) || geometry <= 0 || geometry % BLOCK_SIZE !== 0) {
+      throw new Error(`Geometry must be a positive multiple of ${BLOCK_SIZE}, got ${geometry}`);
+    }
+    this.geometry = geometry;
+    this.blocks = geometry / BLOCK_SIZE;
+    this.data = data || new Uint8Array(this.blocks).fill(EMPTY);
+    this.strategyId = STRATEGY_ID;
+  }
+
+  /**
+   * Clone this vector
+   * @returns {SparseBlockVector}
+   */
+  clone() {
+    return clone(this);
+  }
+
+  /**
+   * Check equality
+   * @param {SparseBlockVector} other
+   * @returns {boolean}
+   */
+  equals(other) {
+    return equals(this, other);
+  }
+
+  /**
+   * Serialize to JSON-compatible object
+   * @returns {Object}
+   */
+  serialize() {
+    return serialize(this);
+  }
+
+  /**
+   * Deserialize from object
+   * @param {Object} obj
+   * @returns {SparseBlockVector}
+   */
+  static deserialize(obj) {
+    return deserialize(obj);
+  }
+}
+
+// ============================================================================
+// STRATEGY PROPERTIES
+// ============================================================================
+
+const properties = {
+  id: STRATEGY_ID,
+  displayName: 'Sparse Block Code',
+  recommendedBundleCapacity: 5,
+  maxBundleCapacity: 50,
+  bytesPerVector: (geometry) => geometry / BLOCK_SIZE,
+  bindComplexity: 'O(n/64)',
+  sparseOptimized: true,
+  description: 'One active bit per block, stored as indices; cyclic-shift binding and winner-take-all bundling'
+};
+
+/**
+ * Algebraic capabilities (see HDC_CONTRACT)
+ */
+const capabilities = {
+  bindSelfInverse: false,
+  bindCommutative: true,
+  bindAssociative: true
+};
+
+// ============================================================================
+// FACTORY FUNCTIONS
+// ============================================================================
+
+/**
+ * Create zero vector (no active bits)
+ * @param {number} geometry
+ * @returns {SparseBlockVector}
+ */
+function createZero(geometry) {
+  return new SparseBlockVector(geometry);
+}
+
+/**
+ * Create random block code
+ * @param {number} geometry
+ * @param {number} [seed] - Optional seed for determinism
+ * @returns {SparseBlockVector}
+ */
+function createRandom(geometry, seed = null) {
+  const v = new SparseBlockVector(geometry);
+  if (seed !== null) {
+    const prng = new PRNG(seed);
+    for (let i = 0; i < v.blocks; i++) {
+      v.data[i] = prng.randomInt(0, BLOCK_SIZE - 1);
+    }
+  } else {
+    for (let i = 0; i < v.blocks; i++) {
+      v.data[i] = Math.floor(Math.random() * BLOCK_SIZE);
+    }
+  }
+  return v;
+}
+
+/**
+ * Create deterministic block code from name
+ * Uses DJB2 hash as seed for PRNG
+ * @param {string} name - Identifier string
+ * @param {number} geometry
+ * @returns {SparseBlockVector}
+ */
+function createFromName(name, geometry) {
+  return createRandom(geometry, djb2(name));
+}
+
+/**
+ * Deserialize vector from storage format
+ * @param {Object} serialized
+ * @returns {SparseBlockVector}
+ */
+function deserialize(serialized) {
+  if (serialized.strategyId !== STRATEGY_ID) {
+    throw new Error(`Cannot deserialize ${serialized.strategyId} with ${STRATEGY_ID} strategy`);
+  }
+  return new SparseBlockVector(serialized.geometry, Uint8Array.from(serialized.data));
+}
+
+// ============================================================================
+// CORE OPERATIONS
+// ============================================================================
+
+function checkGeometry(a, b) {
+  if (a.geometry !== b.geometry) {
+    throw new Error(`Geometry mismatch: ${a.geometry} vs ${b.geometry}`);
+  }
+}
+
+/**
+ * Shift each block of a by the matching block of b
+ * @param {SparseBlockVector} a
+ * @param {SparseBlockVector} b
+ * @param {number} sign - 1 to bind, -1 to unbind
+ * @returns {SparseBlockVector}
+ */
+function shift(a, b, sign) {
+  checkGeometry(a, b);
+  const result = new SparseBlockVector(a.geometry);
+  for (let i = 0; i < a.blocks; i++) {
+    if (a.data[i] === EMPTY || b.data[i] === EMPTY) continue;
+    result.data[i] = (a.data[i] + sign * b.data[i] + BLOCK_SIZE) % BLOCK_SIZE;
+  }
+  return result;
+}
+
+/**
+ * Bind by per-block cyclic shift
+ * @param {SparseBlockVector} a
+ * @param {SparseBlockVector} b
+ * @returns {SparseBlockVector}
+ */
+function bind(a, b) {
+  return shift(a, b, 1);
+}
+
+/**
+ * Bind multiple vectors together
+ * @param {...SparseBlockVector} vectors
+ * @returns {SparseBlockVector}
+ */
+function bindAll(...vectors) {
+  if (vectors.length === 0) {
+    throw new Error('bindAll requires at least one vector');
+  }
+  let result = clone(vectors[0]);
+  for (let i = 1; i < vectors.length; i++) {
+    result = bind(result, vectors[i]);
+  }
+  return result;
+}
+
+/**
+ * Unbind by shifting each block back
+ * @param {SparseBlockVector} composite
+ * @param {SparseBlockVector} component
+ * @returns {SparseBlockVector}
+ */
+function unbind(composite, component) {
+  return shift(composite, component, -1);
+}
+
+/**
+ * Bundle by block-wise winner-take-all
+ * In each block the index active in most inputs wins. Ties go to the tie
+ * breaker's index when it is among them, otherwise they rotate across the
+ * tied inputs block by block so that no input dominates the bundle.
+ * @param {SparseBlockVector[]} vectors
+ * @param {SparseBlockVector} [tieBreaker]
+ * @returns {SparseBlockVector}
+ */
+function bundle(vectors, tieBreaker = null) {
+  if (vectors.length === 0) {
+    throw new Error('bundle requires at least one vector');
+  }
+  if (vectors.length === 1) {
+    return clone(vectors[0]);
+  }
+
+  const geometry = vectors[0].geometry;
+  const result = new SparseBlockVector(geometry);
+  const counts = new Uint32Array(BLOCK_SIZE);
+  for (const v of vectors) {
+    if (v.geometry !== geometry) {
+      throw new Error('All vectors must have same geometry');
+    }
+  }
+
+  for (let i = 0; i < result.blocks; i++) {
+    let best = 0;
+    const tied = [];
+    for (const v of vectors) {
+      const index = v.data[i];
+      if (index === EMPTY) continue;
+      const count = ++counts[index];
+      if (count > best) {
+        best = count;
+        tied.length = 0;
+      }
+      if (count === best) tied.push(index);
+    }
+    for (const v of vectors) {
+      if (v.data[i] !== EMPTY) counts[v.data[i]] = 0;
+    }
+    if (tied.length === 0) continue;
+
+    // Order ties by index so fromCounters() picks the same winner
+    tied.sort((x, y) => x - y);
+    const preferred = tieBreaker?.data[i];
+    result.data[i] = tied.includes(preferred) ? preferred : tied[i % tied.length];
+  }
+  return result;
+}
+
+/**
+ * Block agreement mapped to [0, 1]
+ * Random codes agree in 1/BLOCK_SIZE of their blocks; that rate maps to
+ * 0.5 and full agreement to 1. A zero vector is unrelated to everything.
+ * @param {SparseBlockVector} a
+ * @param {SparseBlockVector} b
+ * @returns {number}
+ */
+function similarity(a, b) {
+  checkGeometry(a, b);
+
+  let matches = 0;
+  let active = 0;
+  for (let i = 0; i < a.blocks; i++) {
+    if (a.data[i] === EMPTY || b.data[i] === EMPTY) continue;
+    active++;
+    if (a.data[i] === b.data[i]) matches++;
+  }
+  if (active === 0) return 0.5;
+
+  const chance = 1 / BLOCK_SIZE;
+  const agreement = (matches / a.blocks - chance) / (1 - chance);
+  return Math.min(1, Math.max(0, (1 + agreement) / 2));
+}
+
+// ============================================================================
+// UTILITY OPERATIONS
+// ============================================================================
+
+/**
+ * Clone a vector
+ * @param {SparseBlockVector} v
+ * @returns {SparseBlockVector}
+ */
+function clone(v) {
+  return new SparseBlockVector(v.geometry, v.data.slice());
+}
+
+/**
+ * Check vector equality
+ * @param {SparseBlockVector} a
+ * @param {SparseBlockVector} b
+ * @returns {boolean}
+ */
+function equals(a, b) {
+  if (a.geometry !== b.geometry) return false;
+  for (let i = 0; i < a.blocks; i++) {
+    if (a.data[i] !== b.data[i]) return false;
+  }
+  return true;
+}
+
+/**
+ * Serialize vector for storage
+ * @param {SparseBlockVector} v
+ * @returns {Object}
+ */
+function serialize(v) {
+  return {
+    strategyId: STRATEGY_ID,
+    geometry: v.geometry,
+    version: 1,
+    data: Array.from(v.data)
+  };
+}
+
+/**
+ * Short identity string of a vector (lookup keys, cycle detection)
+ * FNV-1a over the first 64 block indices, four 16-block groups
+ * @param {SparseBlockVector} v
+ * @returns {string}
+ */
+function fingerprint(v) {
+  const parts = [];
+  for (let group = 0; group < 4; group++) {
+    let hash = 2166136261;
+    const end = Math.min((group + 1) * 16, v.blocks);
+    for (let i = group * 16; i < end; i++) {
+      hash = Math.imul(hash ^ v.data[i], 16777619) >>> 0;
+    }
+    parts.push(hash.toString(16));
+  }
+  return parts.join(':');
+}
+
+/**
+ * Find top-K most similar vectors
+ * @param {SparseBlockVector} query
+ * @param {Map<string, SparseBlockVector>|Object} vocabulary
+ * @param {number} k
+ * @returns {Array<{name: string, similarity: number}>}
+ */
+function topKSimilar(query, vocabulary, k = 5) {
+  const results = [];
+
+  const entries = vocabulary instanceof Map
+    ? vocabulary.entries()
+    : Object.entries(vocabulary);
+
+  for (const [name, vec] of entries) {
+    results.push({ name, similarity: similarity(query, vec) });
+  }
+
+  results.sort((a, b) => b.similarity - a.similarity);
+  return results.slice(0, k);
+}
+
+/**
+ * Calculate distance (1 - similarity)
+ * @param {SparseBlockVector} a
+ * @param {SparseBlockVector} b
+ * @returns {number}
+ */
+function distance(a, b) {
+  return 1 - similarity(a, b);
+}
+
+/**
+ * Check if vectors are approximately orthogonal
+ * @param {SparseBlockVector} a
+ * @param {SparseBlockVector} b
+ * @param {number} threshold
+ * @returns {boolean}
+ */
+function isOrthogonal(a, b, threshold = 0.55) {
+  const sim = similarity(a, b);
+  return sim < threshold && sim > (1 - threshold);
+}
+
+// ============================================================================
+// INCREMENTAL BUNDLING (counters behind hdc/accumulator)
+// ============================================================================
+
+/**
+ * Per-block counts of each active index, for a running winner-take-all
+ * @param {number} geometry
+ * @returns {Int32Array}
+ */
+function createCounters(geometry) {
+  return new Int32Array(geometry);
+}
+
+/**
+ * Add (weight 1) or remove (weight -1) a vector's active bits
+ * @param {Int32Array} counters
+ * @param {SparseBlockVector} v
+ * @param {number} weight
+ */
+function accumulate(counters, v, weight) {
+  for (let i = 0; i < v.blocks; i++) {
+    if (v.data[i] !== EMPTY) counters[i * BLOCK_SIZE + v.data[i]] += weight;
+  }
+}
+
+/**
+ * Winner-take-all over the counted vectors
+ * Ties rotate across the tied indices block by block, as in bundle().
+ * @param {Int32Array} counters
+ * @param {number} count - Vectors counted
+ * @param {number} geometry
+ * @returns {SparseBlockVector}
+ */
+function fromCounters(counters, count, geometry) {
+  const result = new SparseBlockVector(geometry);
+  const tied = [];
+  for (let i = 0; i < result.blocks; i++) {
+    let best = 0;
+    tied.length = 0;
+    for (let index = 0; index < BLOCK_SIZE; index++) {
+      const n = counters[i * BLOCK_SIZE + index];
+      if (n <= 0 || n < best) continue;
+      if (n > best) {
+        best = n;
+        tied.length = 0;
+      }
+      tied.push(index);
+    }
+    if (tied.length > 0) result.data[i] = tied[i % tied.length];
+  }
+  return result;
+}
+
+// ============================================================================
+// KB SERIALIZATION (Strategy-level optimization)
+// ============================================================================
+
+/**
+ * Serialize a knowledge base (collection of facts) for persistence.
+ * @param {Array<{vector: SparseBlockVector, name?: string, metadata?: Object}>} facts
+ * @returns {Object} Serialized KB
+ */
+function serializeKB(facts) {
+  if (!facts || facts.length === 0) {
+    return { strategyId: STRATEGY_ID, version: 1, geometry: 0, count: 0, facts: [] };
+  }
+
+  return {
+    strategyId: STRATEGY_ID,
+    version: 1,
+    geometry: facts[0].vector.geometry,
+    count: facts.length,
+    facts: facts.map(f => ({
+      data: Array.from(f.vector.data),
+      name: f.name || null,
+      metadata: f.metadata || null
+    }))
+  };
+}
+
+/**
+ * Deserialize a knowledge base from storage.
+ * @param {Object} serialized - Serialized KB object
+ * @returns {Array<{vector: SparseBlockVector, name?: string, metadata?: Object}>}
+ */
+function deserializeKB(serialized) {
+  if (!serialized || !serialized.facts || serialized.count === 0) {
+    return [];
+  }
+
+  return serialized.facts.map(f => ({
+    vector: deserialize({ strategyId: serialized.strategyId, geometry: serialized.geometry, data: f.data }),
+    name: f.name,
+    metadata: f.metadata
+  }));
+}
+
+// ============================================================================
+// STRATEGY EXPORT
+// ============================================================================
+
+/**
+ * Sparse Block-Code Strategy Object
+ * Implements the HDCStrategy contract
+ */
+export const sparseBlockStrategy = {
+  id: STRATEGY_ID,
+  properties,
+  capabilities,
+
+  // Factory
+  createZero,
+  createRandom,
+  createFromName,
+  deserialize,
+
+  // Core operations
+  bind,
+  bindAll,
+  bundle,
+  similarity,
+  unbind,
+
+  // Utilities
+  clone,
+  equals,
+  serialize,
+  fingerprint,
+  topKSimilar,
+  distance,
+  isOrthogonal,
+
+  // Incremental bundling
+  createCounters,
+  accumulate,
+  fromCounters,
+
+  // KB Serialization (strategy-level)
+  serializeKB,
+  deserializeKB,
+
+  // Internal class (for advanced use)
+  Vector: SparseBlockVector
+};
+
+export default sparseBlockStrategy;
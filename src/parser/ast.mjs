@@ -71,6 +71,18 @@ export class Identifier extends Expression {
     this.name = name;
   }
 
+  /** Theory part of a qualified `Theory.Atom` name, or null */
+  get qualifier() {
+    const dot = this.name.indexOf('.');
+    return dot > 0 ? this.name.slice(0, dot) : null;
+  }
+
+  /** Atom part of the name (the whole name when unqualified) */
+  get localName() {
+    const dot = this.name.indexOf('.');
+    return dot > 0 ? this.name.slice(dot + 1) : this.name;
+  }
+
   toString() {
     return this.name;
   }
@@ -134,7 +146,7 @@ export class Compound extends Expression {
 
   toString() {
     const args = this.args.map(a => a.toString()).join(' ');
-    return `(${this.operator.toString()} ${args})`;
+    return `(${`${this.operator.toString()} ${args}`.trim()})`;
   }
 }
 
@@ -190,6 +202,19 @@ export class RuleDeclaration extends ASTNode {
     this.condition = condition;
     this.conclusion = conclusion;
   }
+
+  /**
+   * Desugar into the equivalent `@Name Implies condition conclusion` statement
+   * @returns {Statement}
+   */
+  toStatement() {
+    const implies = new Identifier('Implies', this.line, this.column);
+    return new Statement(this.name, implies, [this.condition, this.conclusion], this.line, this.column);
+  }
+
+  toString() {
+    return `rule ${this.name}: ${this.condition.toString()} => ${this.conclusion.toString()}`;
+  }
 }
 
 /**
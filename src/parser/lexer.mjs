@@ -115,6 +115,14 @@ export class Lexer {
       return this.readIdentifier();
     }
 
+    // Rule arrow
+    if (ch === '=' && this.peek(1) === '>') {
+      const token = new Token(TOKEN_TYPES.ARROW, '=>', this.line, this.column);
+      this.advance();
+      this.advance();
+      return token;
+    }
+
     // Single character tokens
     switch (ch) {
       case '(':
@@ -216,6 +224,7 @@ export class Lexer {
 
   /**
    * Read identifier token
+   * A qualified name `Theory.Atom` is read as a single identifier.
    */
   readIdentifier() {
     const startLine = this.line;
@@ -226,6 +235,13 @@ export class Lexer {
       value += this.advance();
     }
 
+    if (this.peek() === '.' && this.isAlpha(this.peek(1))) {
+      value += this.advance(); // .
+      while (!this.isEof() && (this.isAlphaNum(this.peek()) || this.peek() === '_')) {
+        value += this.advance();
+      }
+    }
+
     // Check if keyword
     if (KEYWORDS.includes(value)) {
       return new Token(TOKEN_TYPES.KEYWORD, value, startLine, startColumn);
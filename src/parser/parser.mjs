@@ -14,6 +14,7 @@ import {
   Hole,
   Reference,
   Literal,
+  Compound,
   List,
   TheoryDeclaration,
   ImportStatement,
@@ -145,7 +146,7 @@ export class Parser {
         this.advance();
         break;
       }
-      const stmt = this.parseStatement();
+      const stmt = this.parseTheoryMember();
       if (stmt) statements.push(stmt);
       this.skipNewlines();
     }
@@ -192,7 +193,7 @@ export class Parser {
       while (!this.check(TOKEN_TYPES.RBRACE) && !this.isEof()) {
         this.skipNewlines();
         if (this.check(TOKEN_TYPES.RBRACE)) break;
-        const stmt = this.parseStatement();
+        const stmt = this.parseTheoryMember();
         if (stmt) statements.push(stmt);
         this.skipNewlines();
       }
@@ -204,7 +205,7 @@ export class Parser {
           this.advance(); // consume 'end'
           break;
         }
-        const stmt = this.parseStatement();
+        const stmt = this.parseTheoryMember();
         if (stmt) statements.push(stmt);
         this.skipNewlines();
       }
@@ -213,7 +214,7 @@ export class Parser {
       while (!this.check(TOKEN_TYPES.RBRACKET) && !this.isEof()) {
         this.skipNewlines();
         if (this.check(TOKEN_TYPES.RBRACKET)) break;
-        const stmt = this.parseStatement();
+        const stmt = this.parseTheoryMember();
         if (stmt) statements.push(stmt);
         this.skipNewlines();
       }
@@ -227,6 +228,17 @@ export class Parser {
     });
   }
 
+  /**
+   * Parse one statement inside a theory body
+   * Theory bodies accept rule declarations alongside ordinary statements.
+   */
+  parseTheoryMember() {
+    if (this.check(TOKEN_TYPES.KEYWORD) && this.peek().value === 'rule') {
+      return this.parseRule();
+    }
+    return this.parseStatement();
+  }
+
   /**
    * Parse import statement
    * import TheoryName
@@ -247,11 +259,14 @@ export class Parser {
     this.expect(TOKEN_TYPES.COLON);
 
     const condition = this.parseExpression();
-    // Skip '=>' if present (treat as identifier)
-    if (this.check(TOKEN_TYPES.IDENTIFIER) && this.peek().value === '=>') {
-      this.advance();
+    if (!condition) {
+      throw new ParseError('Expected rule condition', this.peek());
     }
+    this.expect(TOKEN_TYPES.ARROW);
     const conclusion = this.parseExpression();
+    if (!conclusion) {
+      throw new ParseError("Expected rule conclusion after '=>'", this.peek());
+    }
 
     return new RuleDeclaration(name, condition, conclusion, startToken.line, startToken.column);
   }
@@ -409,15 +424,7 @@ export class Parser {
         return this.parseList();
 
       case TOKEN_TYPES.LPAREN:
-        // Parentheses not supported - skip to closing paren
-        this.advance(); // consume (
-        while (!this.check(TOKEN_TYPES.RPAREN) && !this.isEof()) {
-          this.advance();
-        }
-        if (this.check(TOKEN_TYPES.RPAREN)) {
-          this.advance(); // consume )
-        }
-        return null;
+        return this.parseCompound();
 
       default:
         return null;
@@ -464,6 +471,33 @@ export class Parser {
     return new Literal(token.value, 'string', token.line, token.column);
   }
 
+  /**
+   * Parse compound expression (nested statement)
+   * (operator arg1 arg2 ...)
+   * Compounds may nest to any depth and may span several lines.
+   */
+  parseCompound() {
+    const startToken = this.expect(TOKEN_TYPES.LPAREN);
+    this.skipNewlines();
+
+    const operator = this.parseExpression();
+    if (!operator) {
+      throw new ParseError('Expected operator in compound expression', this.peek());
+    }
+
+    const args = [];
+    this.skipNewlines();
+    while (!this.check(TOKEN_TYPES.RPAREN) && !this.isEof()) {
+      const arg = this.parseExpression();
+      if (!arg) break;
+      args.push(arg);
+      this.skipNewlines();
+    }
+
+    this.expect(TOKEN_TYPES.RPAREN);
+    return new Compound(operator, args, startToken.line, startToken.column);
+  }
+
   /**
    * Parse list
    * [item1, item2, ...]
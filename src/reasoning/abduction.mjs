@@ -0,0 +1,353 @@
+/**
+ * AGISystem2 - Abduction Module
+ * @module reasoning/abduction
+ *
+ * Inference to the best explanation (DS06 section 6.2).
+ * Rules are searched backwards: every rule whose conclusion unifies with the
+ * observation proposes its premises as a cause. Premises that cannot be proved
+ * become the hypothesis ("missing premises"); those are expanded again through
+ * rules up to maxDepth, so deeper root causes are proposed too.
+ *
+ * Candidates are scored by explanatory power and simplicity:
+ *   raw(c) = (1 + other KB facts c also explains) / (1 + missing premises)
+ *            × 0.9 ^ (rules in chain - 1)
+ * and ranked with scores normalised to sum to 1.
+ */
+
+import { parse } from '../parser/parser.mjs';
+import { ProofEngine } from './prove.mjs';
+import { TRUTH } from './truth.mjs';
+
+// Debug logging
+const DEBUG = process.env.SYS2_DEBUG === 'true';
+function dbg(category, ...args) {
+  if (DEBUG) console.log(`[Abduce:${category}]`, ...args);
+}
+
+const MAX_ALTERNATIVES = 32;
+const CHAIN_DECAY = 0.9;
+
+/**
+ * Name of an identifier-like AST node
+ * @param {Object} node
+ * @returns {string|null}
+ */
+function nameOf(node) {
+  return node?.name || node?.value || null;
+}
+
+/**
+ * Cartesian product of alternative lists, capped
+ * @param {Array<Array<Array>>} lists - One list of alternatives per slot
+ * @returns {Array<Array>} Concatenated alternatives
+ */
+function product(lists) {
+  let result = [[]];
+  for (const alternatives of lists) {
+    const next = [];
+    for (const prefix of result) {
+      for (const alternative of alternatives) {
+        if (next.length >= MAX_ALTERNATIVES) break;
+        next.push([...prefix, ...alternative]);
+      }
+    }
+    result = next;
+  }
+  return result;
+}
+
+/**
+ * Abductive explanation engine
+ */
+export class AbductionEngine {
+  /**
+   * @param {Session} session - Session with rules and KB
+   * @param {Object} options - {maxDepth, maxResults, timeout}
+   */
+  constructor(session, options = {}) {
+    this.session = session;
+    this.options = {
+      maxDepth: options.maxDepth ?? 3,
+      maxResults: options.maxResults ?? 10,
+      timeout: options.timeout || 2000
+    };
+    this.prover = new ProofEngine(session, { timeout: this.options.timeout });
+    this.provable = new Map();
+  }
+
+  /**
+   * Explain an observation
+   * @param {Statement} observation - Ground observation statement
+   * @returns {Object} {success, observation, explanations}
+   */
+  abduce(observation) {
+    const operator = nameOf(observation.operator);
+    const args = (observation.args || []).map(nameOf);
+    if (!operator || args.some(a => !a || a.startsWith('?'))) {
+      return { success: false, reason: 'Observation must be a ground statement', explanations: [] };
+    }
+
+    const observed = [operator, ...args].join(' ');
+    const candidates = this.expand(observed, 1, new Set([observed]));
+
+    // Same hypothesis reached through different rules: keep the best chain
+    const byHypothesis = new Map();
+    for (const candidate of candidates) {
+      candidate.explains = this.findCorroboration(candidate.missing, observed);
+      candidate.score = (1 + candidate.explains.length) / (1 + candidate.missing.length) *
+        CHAIN_DECAY ** (candidate.chain.length - 1);
+
+      const key = candidate.missing.slice().sort().join(' & ') || candidate.chain.map(s => s.rule).join('>');
+      const existing = byHypothesis.get(key);
+      if (!existing || existing.score < candidate.score) {
+        byHypothesis.set(key, candidate);
+      }
+    }
+
+    const ranked = [...byHypothesis.values()].sort((a, b) => b.score - a.score);
+    const total = ranked.reduce((sum, c) => sum + c.score, 0);
+    const explanations = ranked.slice(0, this.options.maxResults).map(c => ({
+      cause: c.missing.length > 0 ? c.missing.join(' & ') : c.holding.join(' & '),
+      confidence: total > 0 ? c.score / total : 0,
+      missing: c.missing,
+      holding: c.holding,
+      explains: c.explains,
+      chain: c.chain
+    }));
+
+    dbg('RESULT', observed, explanations.map(e => `${e.cause}=${e.confidence.toFixed(2)}`));
+    return {
+      success: explanations.length > 0,
+      observation: observed,
+      explanations
+    };
+  }
+
+  /**
+   * Backward step: candidates that would make a goal true
+   * @param {string} goal - Ground goal "op arg1 arg2"
+   * @param {number} depth - Current depth (1 = the observation)
+   * @param {Set<string>} path - Goals on the current chain (cycle guard)
+   * @returns {Array<{missing: string[], holding: string[], chain: Object[]}>}
+   */
+  expand(goal, depth, path) {
+    const candidates = [];
+
+    for (const rule of this.session.rules) {
+      const bindings = this.unify(rule.conclusionAST, goal);
+      if (!bindings) continue;
+
+      for (const leaves of this.premiseAlternatives(rule)) {
+        const premises = leaves.map(leaf => ({ fact: this.instantiate(leaf.ast, bindings), negated: leaf.negated }));
+        const missing = [];
+        const holding = [];
+        let blocked = false;
+
+        for (const premise of premises) {
+          const provable = this.isProvable(premise.fact);
+          if (premise.negated) {
+            if (provable) blocked = true;
+            else holding.push(`Not (${premise.fact})`);
+          } else if (provable) {
+            holding.push(premise.fact);
+          } else {
+            missing.push(premise.fact);
+          }
+        }
+        if (blocked) continue;
+
+        const step = { rule: rule.name || rule.source, concludes: goal, premises: premises.map(p => p.fact) };
+        candidates.push({ missing, holding, chain: [step] });
+
+        // Explain the missing premises in turn
+        if (depth >= this.options.maxDepth || missing.length === 0) continue;
+        const options = missing.map(premise => {
+          const own = [{ missing: [premise], holding: [], chain: [] }];
+          if (premise.includes('?') || path.has(premise)) return own;
+          const deeper = this.expand(premise, depth + 1, new Set([...path, premise]));
+          return [...own, ...deeper];
+        });
+        for (const combination of product(options.map(list => list.map(c => [c])))) {
+          if (combination.every(c => c.chain.length === 0)) continue;
+          candidates.push({
+            missing: [...new Set(combination.flatMap(c => c.missing))],
+            holding: [...holding, ...combination.flatMap(c => c.holding)],
+            chain: [step, ...combination.flatMap(c => c.chain)]
+          });
+        }
+      }
+    }
+
+    return candidates;
+  }
+
+  /**
+   * Unproved leaf subgoals that block a goal
+   * A goal no rule concludes is open itself; otherwise every premise of every
+   * rule that concludes it that did not hold is followed down to its leaves.
+   * Nothing is proved again: a premise holds if the failed proof proved it
+   * (`outcomes`, see ProofEngine) or, if that proof never reached it, if it
+   * holds without rules (holdsDirectly).
+   * @param {string} goal - Ground goal "op arg1 arg2"
+   * @param {Map<string, boolean>} outcomes - Ground conditions the proof tried
+   * @param {number} depth - Current depth (1 = the goal)
+   * @param {Set<string>} path - Goals on the current chain (cycle guard)
+   * @returns {string[]} Open subgoals (may contain ?variables)
+   */
+  openGoals(goal, outcomes = new Map(), depth = 1, path = new Set([goal])) {
+    const open = new Set();
+    let concluded = false;
+    const holds = premise => outcomes.get(premise) ?? this.holdsDirectly(premise);
+
+    for (const rule of this.session.rules) {
+      const bindings = this.unify(rule.conclusionAST, goal);
+      if (!bindings) continue;
+      concluded = true;
+
+      for (const leaves of this.premiseAlternatives(rule)) {
+        for (const leaf of leaves) {
+          const premise = this.instantiate(leaf.ast, bindings);
+          if (leaf.negated || (!premise.includes('?') && holds(premise))) continue;
+          if (premise.includes('?') || path.has(premise) || depth >= this.options.maxDepth) {
+            open.add(premise);
+          } else {
+            this.openGoals(premise, outcomes, depth + 1, new Set([...path, premise])).forEach(g => open.add(g));
+          }
+        }
+      }
+    }
+
+    return concluded ? [...open] : [goal];
+  }
+
+  /**
+   * Unify a rule pattern (conclusion or premise) with a ground fact
+   * @param {Object} ast - Pattern AST; ?vars are Hole nodes
+   * @param {string} fact - Ground fact "op arg1 arg2"
+   * @param {Map} initial - Bindings to extend
+   * @returns {Map|null} Variable bindings, or null if they do not unify
+   */
+  unify(ast, fact, initial = new Map()) {
+    if (!ast?.operator) return null;
+
+    const [op, ...args] = fact.split(/\s+/);
+    if (nameOf(ast.operator) !== op || (ast.args || []).length !== args.length) return null;
+
+    const bindings = new Map(initial);
+    for (let i = 0; i < args.length; i++) {
+      const arg = ast.args[i];
+      if (arg.type === 'Hole') {
+        if (bindings.has(arg.name) && bindings.get(arg.name) !== args[i]) return null;
+        bindings.set(arg.name, args[i]);
+      } else if (nameOf(arg) !== args[i]) {
+        return null;
+      }
+    }
+    return bindings;
+  }
+
+  /**
+   * Instantiate a pattern with bindings
+   * @param {Object} ast - Pattern AST
+   * @param {Map} bindings - Variable bindings
+   * @returns {string} Fact string (unbound variables stay as ?name)
+   */
+  instantiate(ast, bindings) {
+    return this.prover.unification.instantiateAST(ast, bindings);
+  }
+
+  /**
+   * A rule's condition as alternative premise lists (disjunctive normal form)
+   * @param {Object} rule - Tracked rule
+   * @returns {Array<Array<{ast: Object, negated: boolean}>>}
+   */
+  premiseAlternatives(rule) {
+    const toDNF = part => {
+      if (part.type === 'And') return product(part.parts.map(toDNF));
+      if (part.type === 'Or') return part.parts.flatMap(toDNF).slice(0, MAX_ALTERNATIVES);
+      if (part.type === 'Not') {
+        const inner = part.inner;
+        return inner?.type === 'leaf' && inner.ast?.operator
+          ? [[{ ast: inner.ast, negated: true }]]
+          : [[]];
+      }
+      const ast = part.ast || part;
+      return ast?.operator ? [[{ ast, negated: false }]] : [];
+    };
+
+    if (rule.conditionParts) return toDNF(rule.conditionParts);
+    if (rule.conditionAST?.operator) return [[{ ast: rule.conditionAST, negated: false }]];
+    return [];
+  }
+
+  /**
+   * Whether a ground fact can be proved from the current KB (cached)
+   * @param {string} fact - Fact string
+   * @returns {boolean}
+   */
+  isProvable(fact) {
+    if (fact.includes('?')) return false;
+    if (!this.provable.has(fact)) {
+      const goal = parse(fact).statements[0];
+      this.provable.set(fact, goal ? this.prover.prove(goal).truth === TRUTH.TRUE : false);
+    }
+    return this.provable.get(fact);
+  }
+
+  /**
+   * Whether a ground fact holds without rule chaining: it is stored, or
+   * follows from stored facts through relation properties
+   * @param {string} fact - Fact string
+   * @returns {boolean}
+   */
+  holdsDirectly(fact) {
+    this.prover.resetState();
+    return this.prover.kbMatcher.findMatchingFact(fact).found ||
+      this.prover.relationProperties.tryForCondition(fact).valid ||
+      this.prover.transitive.tryTransitiveForCondition(fact).valid;
+  }
+
+  /**
+   * Other KB facts a hypothesis would also explain through one rule
+   * @param {string[]} hypothesis - Premises assumed true
+   * @param {string} observed - The observation being explained (excluded)
+   * @returns {string[]}
+   */
+  findCorroboration(hypothesis, observed) {
+    if (hypothesis.length === 0) return [];
+    const assumed = new Set(hypothesis);
+    const explained = new Set();
+
+    for (const rule of this.session.rules) {
+      const concAST = rule.conclusionAST;
+      if (!concAST?.operator) continue;
+
+      // Bind the rule through any premise that matches an assumed fact
+      for (const leaves of this.premiseAlternatives(rule)) {
+        for (const leaf of leaves.filter(l => !l.negated)) {
+          for (const fact of assumed) {
+            const bindings = this.unify(leaf.ast, fact);
+            if (!bindings) continue;
+
+            const satisfied = leaves.every(l => {
+              const premise = this.instantiate(l.ast, bindings);
+              return l.negated
+                ? !this.isProvable(premise)
+                : assumed.has(premise) || this.isProvable(premise);
+            });
+            if (!satisfied) continue;
+
+            const conclusion = this.instantiate(concAST, bindings);
+            if (conclusion !== observed && this.prover.kbMatcher.findMatchingFact(conclusion).found) {
+              explained.add(conclusion);
+            }
+          }
+        }
+      }
+    }
+
+    return [...explained];
+  }
+}
+
+export default AbductionEngine;
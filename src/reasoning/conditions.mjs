@@ -82,33 +82,15 @@ export class ConditionProver {
 
   /**
    * Prove Not condition - succeeds if inner cannot be proved
+   * The inner condition gets an independent proof (stratified negation),
+   * so the outcome does not depend on which goals are being proved around it.
    * @param {Object} inner - Inner condition to negate
    * @param {Map} bindings - Current bindings
    * @param {number} depth - Current depth
    * @returns {Object} Proof result
    */
   proveInstantiatedNot(inner, bindings, depth) {
-    // Try to prove the inner condition
-    let innerResult;
-    if (inner.type === 'And' || inner.type === 'Or' || inner.type === 'Not') {
-      innerResult = this.proveInstantiatedCompound(inner, bindings, depth);
-    } else if (inner.type === 'leaf' && inner.ast) {
-      const inst = this.engine.unification.instantiateAST(inner.ast, bindings);
-      innerResult = this.proveSingleCondition(inst, bindings, depth);
-    } else {
-      innerResult = { valid: false };
-    }
-
-    // Not succeeds if inner fails (closed-world assumption)
-    if (!innerResult.valid) {
-      return {
-        valid: true,
-        method: 'not_condition',
-        confidence: 0.9,
-        steps: [{ operation: 'not_proved', detail: 'inner condition cannot be proved' }]
-      };
-    }
-    return { valid: false, reason: 'Not condition failed - inner is provable' };
+    return this.engine.negation.proveNot(inner, bindings);
   }
 
   /**
@@ -235,35 +217,58 @@ export class ConditionProver {
     dbg('SINGLE', 'Condition:', condStr, 'Bindings:', [...bindings.entries()]);
 
     if (!condStr.includes('?')) {
-      const match = this.engine.kbMatcher.findMatchingFact(condStr);
-      if (match.found) {
-        return {
-          valid: true,
-          confidence: match.confidence,
-          steps: [{ operation: 'fact_matched', fact: condStr }]
-        };
-      }
+      // Remember the outcome, so open goals can be named without re-proving
+      const result = this.proveGroundCondition(condStr, depth);
+      this.engine.outcomes.set(condStr, this.engine.outcomes.get(condStr) || result.valid);
+      return result;
+    }
 
-      const transResult = this.engine.transitive.tryTransitiveForCondition(condStr);
-      if (transResult.valid) {
-        return {
-          valid: true,
-          confidence: transResult.confidence * 0.95,
-          steps: [{ operation: 'transitive_proof', fact: condStr }, ...(transResult.steps || [])]
-        };
-      }
+    return this.proveWithUnboundVars(condStr, bindings, depth);
+  }
 
-      if (depth < this.options.maxDepth) {
-        const ruleResult = this.engine.kbMatcher.tryRuleChainForCondition(condStr, depth + 1);
-        if (ruleResult.valid) {
-          return ruleResult;
-        }
+  /**
+   * Prove a condition with every variable bound
+   * @param {string} condStr - Ground condition string
+   * @param {number} depth - Current depth
+   * @returns {Object} Proof result
+   */
+  proveGroundCondition(condStr, depth) {
+    const match = this.engine.kbMatcher.findMatchingFact(condStr);
+    if (match.found) {
+      return {
+        valid: true,
+        confidence: match.confidence,
+        steps: [{ operation: 'fact_matched', fact: condStr }]
+      };
+    }
+
+    const propertyResult = this.engine.relationProperties.tryForCondition(condStr);
+    if (propertyResult.valid) {
+      return propertyResult;
+    }
+
+    const transResult = this.engine.transitive.tryTransitiveForCondition(condStr);
+    if (transResult.valid) {
+      return {
+        valid: true,
+        confidence: transResult.confidence * 0.95,
+        steps: [{ operation: 'transitive_proof', fact: condStr }, ...(transResult.steps || [])]
+      };
+    }
+
+    if (depth < this.options.maxDepth) {
+      const ruleResult = this.engine.kbMatcher.tryRuleChainForCondition(condStr, depth + 1);
+      if (ruleResult.valid) {
+        return ruleResult;
       }
+    }
 
-      return { valid: false };
+    const defaultResult = this.engine.defaults.tryForCondition(condStr);
+    if (defaultResult.valid) {
+      return defaultResult;
     }
 
-    return this.proveWithUnboundVars(condStr, bindings, depth);
+    return { valid: false };
   }
 
   /**
@@ -344,7 +349,16 @@ export class ConditionProver {
       return this.proveCompoundCondition(rule.conditionParts, depth);
     }
 
-    return this.proveSimpleCondition(rule.condition, depth);
+    const result = this.proveSimpleCondition(rule.condition, depth);
+    if (!result.valid && rule.conditionAST?.operator) {
+      // Defaults have no stored vector to match, only their normally/except facts
+      const condStr = this.engine.unification.instantiateAST(rule.conditionAST, new Map());
+      const defaultResult = this.engine.defaults.tryForCondition(condStr);
+      if (defaultResult.valid) {
+        return defaultResult;
+      }
+    }
+    return result;
   }
 
   /**
@@ -443,33 +457,14 @@ export class ConditionProver {
   }
 
   /**
-   * Prove NOT condition - succeeds if inner cannot be proved
+   * Prove NOT condition - decided like a rule's instantiated `Not`
+   * (NegationReasoner.proveNot)
    */
   proveNotCondition(inner, depth) {
     this.engine.logStep('proving_not', 'inner condition');
-
-    let innerResult;
-    if (inner.type === 'And' || inner.type === 'Or' || inner.type === 'Not') {
-      innerResult = this.proveCompoundCondition(inner, depth);
-    } else if (inner.type === 'leaf' && inner.vector) {
-      innerResult = this.proveSimpleCondition(inner.vector, depth);
-    } else {
-      innerResult = { valid: false };
-    }
-
-    // Not succeeds if inner fails (closed-world assumption)
-    if (!innerResult.valid) {
-      this.engine.logStep('not_success', 'inner cannot be proved');
-      return {
-        valid: true,
-        method: 'not_condition',
-        confidence: 0.9,
-        steps: [{ operation: 'proving_not_condition' }]
-      };
-    }
-
-    this.engine.logStep('not_failed', 'inner is provable');
-    return { valid: false, reason: 'Not condition failed - inner is provable' };
+    const result = this.engine.negation.proveNot(inner, new Map());
+    this.engine.logStep(result.valid ? 'not_success' : 'not_failed', result.valid ? 'inner is false' : result.reason);
+    return result;
   }
 
   /**
@@ -0,0 +1,358 @@
+/**
+ * AGISystem2 - Consistency Module
+ * @module reasoning/consistency
+ *
+ * Whole-KB consistency check (URS-10). The stored facts are closed under the
+ * rules, with conditions matched through transitive, symmetric and inverse
+ * relations the way the prover reads them, then searched for clashes:
+ *   negation     `Not P` while P holds
+ *   exclusive    R(S,A) and R(S,B) for exclusive values A, B
+ *   disjoint     X isA A and X isA B (through isA chains) for disjoint A, B
+ *   asymmetric   R(A,B) and R(B,A), in either spelling, for a relation
+ *                declared asymmetric (before/after, `__AsymmetricRelation R`)
+ *   temporal     interval relations that no timeline satisfies
+ *                (reasoning/temporal)
+ *
+ * Each clash is traced back to the stored facts and rules it was derived
+ * from, and that set is shrunk one element at a time while it still yields
+ * that same clash, so every reported set is minimal: dropping any statement
+ * in it removes the clash.
+ */
+
+import { ForwardChainer } from './forward.mjs';
+import { RelationProperties, INVERSE_OPERATORS } from './relations.mjs';
+import { ExclusionRegistry, EXCLUSIVE_OPERATOR, DISJOINT_OPERATOR, PARTITION_OPERATOR, membersOf } from './exclusion.mjs';
+import { ruleKey } from './tms.mjs';
+import { TemporalNetwork, isTemporalRelation } from './temporal.mjs';
+import { negatedFact } from './negation.mjs';
+
+// Debug logging
+const DEBUG = process.env.SYS2_DEBUG === 'true';
+function dbg(category, ...args) {
+  if (DEBUG) console.log(`[Consistency:${category}]`, ...args);
+}
+
+// Marker declaring a relation asymmetric (`__AsymmetricRelation R`)
+const ASYMMETRIC_OPERATOR = '__AsymmetricRelation';
+
+/**
+ * Check whether two clashes from detect() are the same one
+ * A temporal clash names whichever facts come first, so any inconsistent
+ * timeline counts as the same clash.
+ * @param {Object} a - Clash
+ * @param {Object} b - Clash
+ * @returns {boolean}
+ */
+function sameClash(a, b) {
+  if (a.type !== b.type) return false;
+  if (a.type === 'temporal') return true;
+  const [x, y] = [a.clash, b.clash].map(pair => [...pair].sort().join('\n'));
+  return x === y;
+}
+
+/**
+ * KB consistency checker
+ */
+export class ConsistencyChecker {
+  /**
+   * @param {Session} session - Session whose KB is checked
+   * @param {Object} options - {maxConflicts, source}; with source, only
+   *   conflicts involving a statement from that source are reported
+   */
+  constructor(session, options = {}) {
+    this.session = session;
+    this.options = {
+      maxConflicts: options.maxConflicts ?? 50,
+      source: options.source ?? null
+    };
+    this.chainer = new ForwardChainer(session);
+  }
+
+  /**
+   * Check the KB and its derivable consequences
+   * @returns {Object} {consistent, conflicts} where each conflict is
+   *   {type, description, clash, facts: [{fact, name, provenance}],
+   *   rules: [{rule, source, provenance}]}
+   */
+  check() {
+    const stored = new Map();
+    this.entries = new Map();
+    for (const fact of this.session.kbFacts) {
+      if (fact.derivedBy) continue;
+      const entry = this.chainer.entryOf(fact.metadata);
+      if (entry && !stored.has(entry.key)) {
+        stored.set(entry.key, fact);
+        this.entries.set(entry.key, entry);
+      }
+    }
+    const rules = this.session.rules;
+
+    const closure = this.closureOf([...stored.keys()], rules);
+    const conflicts = [];
+    const seen = new Set();
+
+    for (const clash of this.detect(closure)) {
+      if (conflicts.length >= this.options.maxConflicts) break;
+
+      const support = this.supportOf([...clash.clash, ...clash.via], closure);
+      const minimal = this.shrink(support.facts, support.rules, clash);
+      const key = [...minimal.facts].sort().join('\n') + '\n' + minimal.rules.map(ruleKey).sort().join('\n');
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      const conflict = {
+        type: clash.type,
+        description: clash.description,
+        clash: clash.type === 'temporal' ? minimal.facts : clash.clash,
+        facts: minimal.facts.map(fact => ({
+          fact,
+          name: stored.get(fact)?.name || null,
+          provenance: stored.get(fact)?.provenance || null
+        })),
+        rules: minimal.rules.map(rule => ({
+          rule: rule.name || null,
+          source: rule.source,
+          provenance: rule.provenance || null
+        }))
+      };
+
+      const source = this.options.source;
+      if (source && !conflict.facts.some(f => f.provenance === source) &&
+          !conflict.rules.some(r => r.provenance === source)) {
+        continue;
+      }
+      conflicts.push(conflict);
+    }
+
+    dbg('RESULT', `${conflicts.length} conflict(s) over ${closure.size} fact(s)`);
+    return { consistent: conflicts.length === 0, conflicts };
+  }
+
+  /**
+   * Close stored facts under rules
+   * @param {string[]} keys - Stored fact strings
+   * @param {Object[]} rules - Rules
+   * @returns {Map<string, Object>} key → entry
+   */
+  closureOf(keys, rules) {
+    return this.chainer.closure(keys.map(key => this.entries.get(key)), rules);
+  }
+
+  /**
+   * Stored facts and rules a set of (possibly derived) facts rest on
+   * @param {string[]} keys - Fact strings
+   * @param {Map<string, Object>} closure - Closure the facts belong to
+   * @returns {{facts: string[], rules: Object[]}}
+   */
+  supportOf(keys, closure) {
+    const facts = new Set();
+    const rules = new Set();
+    const queue = [...keys];
+    const seen = new Set(queue);
+
+    while (queue.length > 0) {
+      const entry = closure.get(queue.shift());
+      if (!entry) continue;
+      if (!entry.rule) {
+        facts.add(entry.key);
+        continue;
+      }
+      rules.add(entry.rule);
+      for (const premise of entry.premises) {
+        if (!seen.has(premise)) {
+          seen.add(premise);
+          queue.push(premise);
+        }
+      }
+    }
+
+    return { facts: [...facts], rules: [...rules] };
+  }
+
+  /**
+   * Drop statements one at a time while the rest still yield the target clash
+   * Another clash left among the rest does not count, or the set would end
+   * up explaining that clash instead.
+   * @param {string[]} facts - Stored fact strings
+   * @param {Object[]} rules - Rules
+   * @param {Object} target - Clash from detect() being explained
+   * @returns {{facts: string[], rules: Object[]}}
+   */
+  shrink(facts, rules, target) {
+    let keptFacts = facts.slice();
+    let keptRules = rules.slice();
+    const yields = (candidateFacts, candidateRules) =>
+      this.detect(this.closureOf(candidateFacts, candidateRules)).some(clash => sameClash(clash, target));
+
+    for (const fact of facts) {
+      const candidate = keptFacts.filter(f => f !== fact);
+      if (yields(candidate, keptRules)) {
+        keptFacts = candidate;
+      }
+    }
+    for (const rule of rules) {
+      const candidate = keptRules.filter(r => r !== rule);
+      if (yields(keptFacts, candidate)) {
+        keptRules = candidate;
+      }
+    }
+
+    return { facts: keptFacts, rules: keptRules };
+  }
+
+  /**
+   * Clashes within a set of facts
+   * Declarations (exclusive, disjointWith, partition, inverseOf,
+   * __AsymmetricRelation) count only if they are in the set, on top of the
+   * core ones.
+   * @param {Map<string, Object>} facts - key → entry
+   * @returns {Array<{type: string, description: string, clash: string[], via: string[]}>}
+   */
+  detect(facts) {
+    const exclusions = new ExclusionRegistry();
+    const relations = new RelationProperties();
+    for (const entry of facts.values()) {
+      exclusions.observe(entry);
+      relations.observe(null, entry);
+    }
+
+    const clashes = [];
+    const pairs = new Set();
+    const add = (type, a, b, via, description) => {
+      const key = [type, ...[a, b].sort()].join('\n');
+      if (pairs.has(key)) return;
+      pairs.add(key);
+      clashes.push({ type, description, clash: [a, b], via });
+    };
+
+    const isA = new Map(); // entity -> [{type, key}]
+    for (const entry of facts.values()) {
+      const { operator, args, key } = entry;
+
+      if (operator === 'Not') {
+        const negated = negatedFact(args[0], this.session.referenceTexts);
+        if (negated && facts.has(negated)) {
+          add('negation', key, negated, [], `${negated} is both stated and negated`);
+        }
+        continue;
+      }
+      if (args.length !== 2) continue;
+      const [subject, value] = args;
+
+      for (const other of exclusions.exclusiveWith(operator, value)) {
+        const clashing = `${operator} ${subject} ${other}`;
+        if (facts.has(clashing)) {
+          add('exclusive', key, clashing, this.declarations(facts, EXCLUSIVE_OPERATOR, [value, other], operator),
+            `${subject} is both ${value} and ${other}`);
+        }
+      }
+
+      if (subject !== value && relations.isAsymmetric(operator)) {
+        const inverses = relations.inversesOf(operator).filter(inv => inv !== operator);
+        for (const clashing of [`${operator} ${value} ${subject}`, ...inverses.map(inv => `${inv} ${subject} ${value}`)]) {
+          if (facts.has(clashing)) {
+            add('asymmetric', key, clashing, this.asymmetryDeclarations(facts, operator, facts.get(clashing).operator),
+              `${key} conflicts with ${clashing}`);
+          }
+        }
+      }
+
+      if (operator === 'isA') {
+        if (!isA.has(subject)) isA.set(subject, []);
+        isA.get(subject).push({ type: value, key });
+      }
+    }
+
+    if (exclusions.disjoint.size > 0) {
+      for (const entity of isA.keys()) {
+        const chains = this.typeChains(entity, isA);
+        const pair = exclusions.disjointPair(chains.keys(), chains.keys());
+        if (!pair) continue;
+        const [a, b] = pair;
+        const [chainA, chainB] = [chains.get(a), chains.get(b)];
+        add('disjoint', chainA[0], chainB[0],
+          [...chainA.slice(1), ...chainB.slice(1), ...this.disjointDeclarations(facts, a, b)],
+          `${entity} is both ${a} and ${b}, which are disjoint`);
+      }
+    }
+
+    const temporal = [...facts.values()].filter(entry => isTemporalRelation(entry.operator));
+    if (temporal.length > 0) {
+      const network = TemporalNetwork.fromFacts(temporal);
+      if (!network.consistent) {
+        const [first, second = first, ...rest] = temporal.map(entry => entry.key);
+        add('temporal', first, second, rest,
+          `no timeline places ${network.conflict.a} and ${network.conflict.b} consistently`);
+      }
+    }
+
+    return clashes;
+  }
+
+  /**
+   * Types of an entity with the isA facts that lead to each
+   * @param {string} entity
+   * @param {Map<string, Array<{type: string, key: string}>>} isA - Direct types
+   * @returns {Map<string, string[]>} type → isA facts from the entity to it
+   */
+  typeChains(entity, isA) {
+    const chains = new Map();
+    const queue = [[entity, []]];
+    const seen = new Set([entity]);
+    while (queue.length > 0) {
+      const [current, chain] = queue.shift();
+      for (const { type, key } of isA.get(current) || []) {
+        if (seen.has(type)) continue;
+        seen.add(type);
+        chains.set(type, [...chain, key]);
+        queue.push([type, [...chain, key]]);
+      }
+    }
+    return chains;
+  }
+
+  /**
+   * Declarations in the set that name all the given members
+   * @param {Map<string, Object>} facts
+   * @param {string} operator - Declaration operator
+   * @param {string[]} members
+   * @param {string|null} relation - First argument for `exclusive`
+   * @returns {string[]}
+   */
+  declarations(facts, operator, members, relation = null) {
+    const found = [];
+    for (const entry of facts.values()) {
+      if (entry.operator !== operator) continue;
+      const args = relation ? (entry.args[0] === relation ? entry.args.slice(1) : []) : entry.args;
+      const declared = membersOf(operator === PARTITION_OPERATOR ? args.slice(1) : args);
+      if (members.every(m => declared.includes(m))) found.push(entry.key);
+    }
+    return found.slice(0, 1);
+  }
+
+  disjointDeclarations(facts, a, b) {
+    return [
+      ...this.declarations(facts, DISJOINT_OPERATOR, [a, b]),
+      ...this.declarations(facts, PARTITION_OPERATOR, [a, b])
+    ].slice(0, 1);
+  }
+
+  /**
+   * KB declarations an asymmetric clash rests on: the `__AsymmetricRelation`
+   * marker and, for a clash through an inverse, the `inverseOf` pair
+   * @param {Map<string, Object>} facts - key → entry
+   * @param {string} relation - Relation of the first fact
+   * @param {string} other - Relation of the clashing fact
+   * @returns {string[]}
+   */
+  asymmetryDeclarations(facts, relation, other) {
+    const entries = [...facts.values()];
+    const marker = entries.find(entry => entry.operator === ASYMMETRIC_OPERATOR &&
+      [relation, other].includes(entry.args[0]));
+    const inverse = relation !== other && entries.find(entry => INVERSE_OPERATORS.has(entry.operator) &&
+      entry.args.includes(relation) && entry.args.includes(other));
+    return [marker?.key, inverse?.key].filter(Boolean);
+  }
+}
+
+export default ConsistencyChecker;
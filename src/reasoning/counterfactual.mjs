@@ -0,0 +1,151 @@
+/**
+ * AGISystem2 - Counterfactual Module
+ * @module reasoning/counterfactual
+ *
+ * "What if?" reasoning (DS06 section 6.5).
+ * The alternative world is a fork of the session: facts are retracted from
+ * and asserted into the fork only, and each goal is proved in both worlds to
+ * show which conclusions flip.
+ */
+
+import { parse } from '../parser/parser.mjs';
+import { ProofEngine } from './prove.mjs';
+import { AbductionEngine } from './abduction.mjs';
+import { TRUTH } from './truth.mjs';
+
+// Debug logging
+const DEBUG = process.env.SYS2_DEBUG === 'true';
+function dbg(category, ...args) {
+  if (DEBUG) console.log(`[WhatIf:${category}]`, ...args);
+}
+
+const MAX_DEFAULT_GOALS = 100;
+
+/**
+ * Parse optional DSL into statements
+ * @param {string|null} dsl
+ * @returns {Statement[]}
+ */
+function statementsOf(dsl) {
+  return dsl && dsl.trim() ? parse(dsl).statements : [];
+}
+
+/**
+ * Counterfactual reasoning over session forks
+ */
+export class CounterfactualEngine {
+  /**
+   * @param {Session} session - The actual world
+   * @param {Object} options - {timeout}
+   */
+  constructor(session, options = {}) {
+    this.session = session;
+    this.options = {
+      timeout: options.timeout || 2000
+    };
+  }
+
+  /**
+   * Compare goals in the actual world and a changed fork of it
+   * @param {string|null} addDsl - Facts or rules to assert in the fork
+   * @param {string|null} removeDsl - Facts or rules to retract from the fork,
+   *   or the name of a fact
+   * @param {string|null} goalDsl - Goals to compare; defaults to the retracted
+   *   facts plus the rule conclusions they and the asserted facts bear on
+   * @returns {Object} {success, world, retracted, notFound, errors, goals, lost, gained}
+   */
+  whatIf(addDsl, removeDsl, goalDsl) {
+    const world = this.session.fork();
+    const errors = [];
+    let retracted = [];
+    let notFound = [];
+    if (removeDsl && removeDsl.trim()) {
+      const removal = world.retract(removeDsl);
+      if (removal.reason) errors.push(removal.reason);
+      ({ retracted, notFound } = removal);
+    }
+
+    if (addDsl && addDsl.trim()) {
+      const added = world.learn(addDsl);
+      errors.push(...added.errors);
+    }
+
+    const goalTexts = goalDsl && goalDsl.trim()
+      ? statementsOf(goalDsl).map(stmt => world.executor.statementToFactString(stmt))
+      : this.defaultGoals(retracted, statementsOf(addDsl).map(stmt => world.executor.statementToFactString(stmt)), world);
+
+    const goals = [...new Set(goalTexts)].map(goal => {
+      const before = this.holds(this.session, goal);
+      const after = this.holds(world, goal);
+      return { goal, before, after, flipped: before !== after };
+    });
+
+    const lost = goals.filter(g => g.before && !g.after).map(g => g.goal);
+    const gained = goals.filter(g => !g.before && g.after).map(g => g.goal);
+    dbg('RESULT', { retracted: retracted.length, lost, gained });
+
+    return {
+      success: errors.length === 0,
+      world,
+      retracted,
+      notFound,
+      errors,
+      goals,
+      lost,
+      gained
+    };
+  }
+
+  /**
+   * Goals worth comparing when none are given
+   * The conclusions of ground rules, plus those of rules with variables
+   * instantiated from any condition that matches a changed fact or one of
+   * these goals, so changes are followed through rule chains.
+   * @param {string[]} retracted - Retracted facts
+   * @param {string[]} asserted - Facts asserted in the fork
+   * @param {Session} world - The fork, for rules it added
+   * @returns {string[]}
+   */
+  defaultGoals(retracted, asserted, world) {
+    const isFact = text => !text.startsWith('Implies ');
+    const goals = retracted.filter(isFact);
+    const rules = [...new Set([...this.session.rules, ...world.rules])];
+    for (const rule of rules) {
+      if (rule.hasVariables || !rule.conclusionAST?.operator) continue;
+      goals.push(this.session.executor.statementToFactString(rule.conclusionAST));
+    }
+
+    const matcher = new AbductionEngine(this.session);
+    const affected = [...goals, ...asserted.filter(isFact)];
+    const seen = new Set([...goals, ...affected]);
+    for (let i = 0; i < affected.length && goals.length < MAX_DEFAULT_GOALS; i++) {
+      for (const rule of rules) {
+        if (!rule.hasVariables || !rule.conclusionAST?.operator) continue;
+        for (const leaf of matcher.premiseAlternatives(rule).flat()) {
+          const bindings = matcher.unify(leaf.ast, affected[i]);
+          if (!bindings) continue;
+          const goal = matcher.instantiate(rule.conclusionAST, bindings);
+          if (goal.includes('?') || seen.has(goal)) continue;
+          seen.add(goal);
+          goals.push(goal);
+          affected.push(goal);
+        }
+      }
+    }
+    return goals;
+  }
+
+  /**
+   * Whether a goal is provable in a world
+   * @param {Session} world
+   * @param {string} goal - Fact string
+   * @returns {boolean}
+   */
+  holds(world, goal) {
+    const stmt = parse(goal).statements[0];
+    if (!stmt) return false;
+    return new ProofEngine(world, { timeout: this.options.timeout }).prove(stmt).truth === TRUTH.TRUE;
+  }
+}
+
+export default CounterfactualEngine;
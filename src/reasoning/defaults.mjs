@@ -0,0 +1,236 @@
+/**
+ * AGISystem2 - Default Reasoning Module
+ * @module reasoning/defaults
+ *
+ * Non-monotonic defaults with exceptions (DS06 section 6.6):
+ *
+ *   normally Bird canFly       # birds normally fly
+ *   except Penguin canFly      # ...but penguins don't
+ *
+ * `canFly X` follows for any X whose isA chain reaches Bird, unless an
+ * exception for canFly is at least as specific (no further up the chain
+ * from X) as the default. Extra arguments narrow the property:
+ * `normally Bird can Fly` concludes `can X Fly`.
+ */
+
+import { DEFEASIBLE_CONFIDENCE } from '../core/constants.mjs';
+
+export const DEFAULT_OPERATOR = 'normally';
+export const EXCEPTION_OPERATOR = 'except';
+
+/**
+ * Name of an identifier-like AST node
+ * @param {Object} node
+ * @returns {string|null}
+ */
+function nameOf(node) {
+  return node?.name || node?.value || null;
+}
+
+/**
+ * Default and exception reasoning over a session's KB
+ */
+export class DefaultReasoner {
+  /**
+   * @param {Session} session - Session whose KB holds the defaults
+   */
+  constructor(session) {
+    this.session = session;
+  }
+
+  /**
+   * Defaults and exceptions stated for a property
+   * @param {string} property - Property operator (e.g. canFly)
+   * @param {string[]} values - Remaining property arguments
+   * @returns {{defaults: Object[], exceptions: Object[]}}
+   */
+  findStatements(property, values = []) {
+    const defaults = [];
+    const exceptions = [];
+
+    for (const fact of this.session.kbFacts) {
+      const meta = fact.metadata;
+      if (meta?.operator !== DEFAULT_OPERATOR && meta?.operator !== EXCEPTION_OPERATOR) continue;
+      if (!meta.args || meta.args.length !== values.length + 2) continue;
+      if (meta.args[1] !== property) continue;
+      if (values.some((value, i) => meta.args[i + 2] !== value)) continue;
+
+      const entry = { category: meta.args[0], fact: `${meta.operator} ${meta.args.join(' ')}` };
+      (meta.operator === DEFAULT_OPERATOR ? defaults : exceptions).push(entry);
+    }
+
+    return { defaults, exceptions };
+  }
+
+  /**
+   * Categories of an entity along its isA chain, nearest first
+   * @param {string} subject - Entity name
+   * @returns {Map<string, Object>} category → {depth, steps}
+   */
+  findCategories(subject) {
+    const categories = new Map([[subject, { depth: 0, steps: [] }]]);
+    const queue = [subject];
+
+    while (queue.length > 0) {
+      const current = queue.shift();
+      const { depth, steps } = categories.get(current);
+
+      for (const fact of this.session.kbFacts) {
+        const args = this.session.relations.orient('isA', fact.metadata);
+        if (!args || args[0] !== current || categories.has(args[1])) continue;
+
+        categories.set(args[1], {
+          depth: depth + 1,
+          steps: [...steps, { operation: 'isA_chain', fact: `isA ${current} ${args[1]}` }]
+        });
+        queue.push(args[1]);
+      }
+    }
+
+    return categories;
+  }
+
+  /**
+   * Decide whether a default property holds for an entity
+   * @param {string} subject - Entity name
+   * @param {string} property - Property operator
+   * @param {string[]} values - Remaining property arguments
+   * @returns {Object|null} Null if no default covers the entity, otherwise
+   *   {holds, default, exception, checked, steps, explanation}
+   */
+  evaluate(subject, property, values = []) {
+    const { defaults, exceptions } = this.findStatements(property, values);
+    if (defaults.length === 0) return null;
+
+    const categories = this.findCategories(subject);
+    const nearest = entries => entries
+      .filter(e => categories.has(e.category))
+      .sort((a, b) => categories.get(a.category).depth - categories.get(b.category).depth)[0] || null;
+
+    const applicableDefault = nearest(defaults);
+    if (!applicableDefault) return null;
+
+    // Ties go to the exception: it is at least as specific as the default
+    const applicableException = nearest(exceptions);
+    const defaultDepth = categories.get(applicableDefault.category).depth;
+    const exception = applicableException &&
+      categories.get(applicableException.category).depth <= defaultDepth
+      ? applicableException
+      : null;
+
+    const goal = [property, subject, ...values].join(' ');
+    const decisive = exception || applicableDefault;
+    const steps = [
+      ...categories.get(decisive.category).steps,
+      { operation: 'default', fact: applicableDefault.fact },
+      ...exceptions.map(e => ({
+        operation: 'exception_checked',
+        fact: e.fact,
+        applies: e === exception
+      }))
+    ];
+
+    const checked = exceptions.map(e => e.fact);
+    const explanation = exception
+      ? `${goal} is blocked: ${subject} is a ${exception.category} and ${exception.fact} overrides ${applicableDefault.fact}`
+      : `${goal} holds by default: ${subject} is a ${applicableDefault.category} and ${applicableDefault.fact}` +
+        (checked.length > 0 ? `; no exception applies (checked: ${checked.join(', ')})` : '; no exceptions stated');
+
+    return {
+      holds: !exception,
+      default: applicableDefault,
+      exception,
+      checked,
+      steps,
+      explanation
+    };
+  }
+
+  /**
+   * Try to prove a goal by default
+   * @param {Object} goal - Goal statement `property subject [values...]`
+   * @returns {Object} Proof result; `blocked` is set when an exception overrides the default
+   */
+  tryDefaultProof(goal) {
+    const property = nameOf(goal.operator);
+    if (!property || !goal.args || goal.args.length === 0) {
+      return { valid: false };
+    }
+
+    const names = goal.args.map(nameOf);
+    if (names.some(name => !name)) {
+      return { valid: false };
+    }
+
+    const result = this.tryForCondition([property, ...names].join(' '));
+    if (result.valid) {
+      result.goal = goal.toString();
+    }
+    return result;
+  }
+
+  /**
+   * Try default reasoning for a condition string
+   * @param {string} condStr - Condition string "property subject [values...]"
+   * @returns {Object} Proof result
+   */
+  tryForCondition(condStr) {
+    const [property, subject, ...values] = condStr.split(/\s+/);
+    if (!subject || subject.startsWith('?') || values.some(v => v.startsWith('?'))) {
+      return { valid: false };
+    }
+
+    const decision = this.evaluate(subject, property, values);
+    if (!decision) {
+      return { valid: false };
+    }
+
+    if (!decision.holds) {
+      return {
+        valid: false,
+        blocked: true,
+        method: 'default_exception',
+        defeasible: true,
+        reason: `Default overridden by exception: ${decision.exception.fact}`,
+        explanation: decision.explanation,
+        steps: decision.steps
+      };
+    }
+
+    return {
+      valid: true,
+      method: 'default',
+      defeasible: true,
+      confidence: DEFEASIBLE_CONFIDENCE,
+      explanation: decision.explanation,
+      steps: decision.steps
+    };
+  }
+
+  /**
+   * Entities a default covers: every isA subject whose chain reaches the
+   * category of some default for the property
+   * @param {string} property - Property operator
+   * @param {string[]} values - Remaining property arguments
+   * @returns {Array<{subject: string, decision: Object}>} Includes blocked ones
+   */
+  findCovered(property, values = []) {
+    const { defaults } = this.findStatements(property, values);
+    if (defaults.length === 0) return [];
+
+    const subjects = new Set();
+    for (const fact of this.session.kbFacts) {
+      const args = this.session.relations.orient('isA', fact.metadata);
+      if (args) subjects.add(args[0]);
+    }
+
+    const covered = [];
+    for (const subject of subjects) {
+      const decision = this.evaluate(subject, property, values);
+      if (decision) covered.push({ subject, decision });
+    }
+    return covered;
+  }
+}
+
+export default DefaultReasoner;
@@ -2,10 +2,13 @@
  * AGISystem2 - Disjoint Proof Module
  * @module reasoning/disjoint
  *
- * Handles disjoint proofs for spatial relations.
- * Proves that entities are NOT in a location via containment chain + disjointness.
+ * Handles disjoint proofs for spatial relations and types.
+ * Proves that entities are NOT in a location via containment chain + disjointness,
+ * and NOT of a type disjoint from one they belong to (disjointWith / partition).
  */
 
+import { findExclusion, typesOf } from './exclusion.mjs';
+
 /**
  * Disjoint reasoning engine
  */
@@ -26,6 +29,9 @@ export class DisjointProver {
    */
   tryDisjointProof(goal, depth) {
     const operatorName = this.engine.extractOperatorName(goal);
+    if (operatorName === 'isA') {
+      return this.tryDisjointTypes(goal);
+    }
     if (operatorName !== 'locatedIn') {
       return { valid: false };
     }
@@ -59,6 +65,36 @@ export class DisjointProver {
     return { valid: false };
   }
 
+  /**
+   * Disprove `isA X T` when X already belongs to a type disjoint from T
+   * @param {Object} goal - isA goal statement
+   * @returns {Object} Proof result
+   */
+  tryDisjointTypes(goal) {
+    const args = (goal.args || []).map(arg => this.engine.extractArgName(arg));
+    if (args.length !== 2) {
+      return { valid: false };
+    }
+
+    const exclusion = findExclusion(this.session, 'isA', args);
+    if (exclusion?.operation !== 'disjoint_types') {
+      return { valid: false };
+    }
+
+    const [type, target] = exclusion.types;
+    return {
+      valid: true,
+      result: false,
+      method: 'disjoint_proof',
+      confidence: 0.95,
+      goal: goal.toString(),
+      steps: [
+        { operation: 'type_membership', fact: exclusion.fact },
+        { operation: 'disjoint_check', container: type, target }
+      ]
+    };
+  }
+
   /**
    * Build containment chain until we find a disjoint container
    * @param {string} subjectName - Starting entity
@@ -149,6 +185,11 @@ export class DisjointProver {
   checkDisjoint(a, b) {
     if (a === b) return false;
 
+    const kbFacts = this.session.kbFacts;
+    if (this.session.exclusions.disjointPair(typesOf(kbFacts, a), typesOf(kbFacts, b))) {
+      return true;
+    }
+
     const typesA = this.findTypes(a);
     const typesB = this.findTypes(b);
 
@@ -0,0 +1,242 @@
+/**
+ * AGISystem2 - Exclusion Module
+ * @module reasoning/exclusion
+ *
+ * Declarative mutual exclusion and disjointness:
+ *   exclusive hasState Open Closed      a subject holds at most one of the
+ *                                       values under that relation
+ *   disjointWith Cat Dog                nothing is both a Cat and a Dog
+ *   partition Color [Red Green Blue]    Red, Green and Blue are pairwise
+ *                                       disjoint kinds of Color
+ *
+ * Disjointness is inherited down `isA`: with `isA Siamese Cat`, a Siamese is
+ * not a Dog either. Core value sets come from config/Core/00-relations.sys2;
+ * each session adds the declarations that enter its KB.
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+export const EXCLUSIVE_OPERATOR = 'exclusive';
+export const DISJOINT_OPERATOR = 'disjointWith';
+export const PARTITION_OPERATOR = 'partition';
+
+/**
+ * Operators that declare exclusions
+ */
+export const EXCLUSION_OPERATORS = new Set([EXCLUSIVE_OPERATOR, DISJOINT_OPERATOR, PARTITION_OPERATOR]);
+
+const DEFAULT_EXCLUSIVE = [
+  ['hasState', 'Open', 'Closed'], ['hasState', 'Alive', 'Dead'],
+  ['hasState', 'On', 'Off'], ['hasState', 'Full', 'Empty'],
+  ['hasProperty', 'Hot', 'Cold'], ['hasProperty', 'Wet', 'Dry']
+];
+
+/**
+ * Members of a declaration, accepting both `A B C` and a list `[A, B, C]`
+ * (lists arrive in metadata as "A,B,C")
+ * @param {string[]} args - Declaration arguments
+ * @returns {string[]}
+ */
+export function membersOf(args) {
+  return [...new Set(args.flatMap(arg => String(arg).replace(/[[\]]/g, '').split(/[\s,]+/)).filter(Boolean))];
+}
+
+/**
+ * Record every pair of members as excluding each other
+ * @param {Map<string, Set<string>>} pairs - Member → excluded members
+ * @param {string[]} members
+ */
+function addExclusive(pairs, members) {
+  for (const member of members) {
+    if (!pairs.has(member)) pairs.set(member, new Set());
+    for (const other of members) {
+      if (other !== member) pairs.get(member).add(other);
+    }
+  }
+}
+
+/**
+ * Load exclusive value sets from config file
+ * Lines like "exclusive hasState Open Closed"; falls back to defaults
+ * @returns {Map<string, Map<string, Set<string>>>} relation → value → excluded values
+ */
+function loadExclusiveValues() {
+  const values = new Map();
+  const declare = (relation, members) => {
+    if (!values.has(relation)) values.set(relation, new Map());
+    addExclusive(values.get(relation), members);
+  };
+
+  try {
+    const __filename = fileURLToPath(import.meta.url);
+    const __dirname = dirname(__filename);
+    const configPath = join(__dirname, '../../config/Core/00-relations.sys2');
+
+    if (existsSync(configPath)) {
+      const content = readFileSync(configPath, 'utf-8');
+      for (const line of content.split('\n')) {
+        const match = line.match(/^\s*exclusive\s+(\w+)\s+([^#]+)/);
+        if (match) {
+          declare(match[1], membersOf([match[2]]));
+        }
+      }
+    }
+  } catch (e) {
+    // Unreadable config: defaults below
+  }
+
+  if (values.size === 0) {
+    for (const [relation, ...members] of DEFAULT_EXCLUSIVE) {
+      declare(relation, members);
+    }
+  }
+  return values;
+}
+
+/**
+ * Exclusive value sets declared in config/Core/00-relations.sys2
+ */
+export const CORE_EXCLUSIVE_VALUES = loadExclusiveValues();
+
+/**
+ * Types of an entity: itself and everything above it through stored isA facts
+ * @param {Object[]} kbFacts - Session facts
+ * @param {string} entity
+ * @returns {Set<string>}
+ */
+export function typesOf(kbFacts, entity) {
+  const types = new Set([entity]);
+  const queue = [entity];
+  while (queue.length > 0) {
+    const current = queue.shift();
+    for (const fact of kbFacts) {
+      const meta = fact.metadata;
+      if (meta?.operator !== 'isA' || meta.args?.[0] !== current) continue;
+      if (!types.has(meta.args[1])) {
+        types.add(meta.args[1]);
+        queue.push(meta.args[1]);
+      }
+    }
+  }
+  return types;
+}
+
+/**
+ * Per-session registry of exclusion declarations
+ * Core value sets are always present; KB declarations are added on top.
+ */
+export class ExclusionRegistry {
+  constructor() {
+    this.values = new Map();   // relation -> value -> excluded values
+    this.disjoint = new Map(); // type -> disjoint types
+  }
+
+  /**
+   * Record a declaration if the fact is one
+   * @param {Object|null} metadata - Fact metadata {operator, args}
+   * @returns {boolean} True if the fact declared an exclusion
+   */
+  observe(metadata) {
+    if (!EXCLUSION_OPERATORS.has(metadata?.operator) || !Array.isArray(metadata.args)) return false;
+    const [first, ...rest] = metadata.args;
+
+    if (metadata.operator === EXCLUSIVE_OPERATOR) {
+      const members = membersOf(rest);
+      if (!first || members.length < 2) return false;
+      if (!this.values.has(first)) this.values.set(first, new Map());
+      addExclusive(this.values.get(first), members);
+      return true;
+    }
+
+    // disjointWith A B [C ...] and partition Whole [A B C] both make members pairwise disjoint
+    const members = metadata.operator === PARTITION_OPERATOR ? membersOf(rest) : membersOf(metadata.args);
+    if (members.length < 2) return false;
+    addExclusive(this.disjoint, members);
+    return true;
+  }
+
+  /**
+   * Recompute declarations from scratch (after facts are retracted)
+   * @param {Object[]} kbFacts - Session facts
+   */
+  rebuild(kbFacts) {
+    this.values.clear();
+    this.disjoint.clear();
+    for (const fact of kbFacts) {
+      this.observe(fact.metadata);
+    }
+  }
+
+  /**
+   * Values a value excludes for the same subject under a relation
+   * @param {string} relation
+   * @param {string} value
+   * @returns {string[]}
+   */
+  exclusiveWith(relation, value) {
+    const excluded = new Set(CORE_EXCLUSIVE_VALUES.get(relation)?.get(value));
+    for (const other of this.values.get(relation)?.get(value) || []) {
+      excluded.add(other);
+    }
+    return [...excluded];
+  }
+
+  /**
+   * First declared-disjoint pair between two sets of types
+   * @param {Iterable<string>} typesA - A type and its ancestors
+   * @param {Iterable<string>} typesB - Another type and its ancestors
+   * @returns {string[]|null} [a, b], or null if nothing is declared disjoint
+   */
+  disjointPair(typesA, typesB) {
+    const others = [...typesB];
+    for (const a of typesA) {
+      const disjoint = this.disjoint.get(a);
+      if (!disjoint) continue;
+      const b = others.find(type => disjoint.has(type));
+      if (b) return [a, b];
+    }
+    return null;
+  }
+}
+
+/**
+ * Stored fact that excludes a fact: an exclusive value of the same subject,
+ * or (for isA) a type disjoint from the stated one
+ * @param {Session} session
+ * @param {string} operator - Fact operator
+ * @param {string[]} args - Fact arguments
+ * @returns {{fact: string, operation: string, types?: string[]}|null} Null if
+ *   nothing excludes it, or the fact is stored itself
+ */
+export function findExclusion(session, operator, args) {
+  if (!operator || args.length < 2 || args.some(arg => !arg)) return null;
+  const [subject, value] = args;
+
+  // A stated fact is not overridden, even if it conflicts with another
+  const text = args.join(' ');
+  if (session.kbFacts.some(f => f.metadata?.operator === operator && f.metadata.args?.join(' ') === text)) {
+    return null;
+  }
+
+  const exclusive = session.exclusions.exclusiveWith(operator, value);
+  if (exclusive.length > 0) {
+    const fact = session.kbFacts.find(f => f.metadata?.operator === operator &&
+      f.metadata.args?.[0] === subject && exclusive.includes(f.metadata.args[1]));
+    if (fact) {
+      return { fact: [operator, ...fact.metadata.args].join(' '), operation: 'mutual_exclusion' };
+    }
+  }
+
+  if (operator === 'isA' && session.exclusions.disjoint.size > 0) {
+    const types = typesOf(session.kbFacts, subject);
+    types.delete(subject);
+    const pair = session.exclusions.disjointPair(types, typesOf(session.kbFacts, value));
+    if (pair) {
+      return { fact: `isA ${subject} ${pair[0]}`, operation: 'disjoint_types', types: pair };
+    }
+  }
+
+  return null;
+}
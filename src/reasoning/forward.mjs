@@ -0,0 +1,505 @@
+/**
+ * AGISystem2 - Forward Chaining Module
+ * @module reasoning/forward
+ *
+ * Materialises rule conclusions into the KB so later queries and proofs
+ * find them as stored facts. Evaluation is semi-naive: after the first
+ * round, a rule only fires for joins that use at least one fact derived in
+ * the previous round. Derived facts carry `derivedBy: {rule, premises}` and
+ * are justified in the session's truth-maintenance graph.
+ *
+ * Rules run stratum by stratum (see reasoning/negation), so a `Not`
+ * condition is checked against materialised facts only once every rule
+ * that could derive them has finished. As in the prover, it holds only for
+ * a closed-world relation or a fact the KB states `Not` of.
+ *
+ * Conditions match what the prover reads off the stored facts, not just
+ * their literal text: transitive chains (`isA Rex Dog`, `isA Dog Animal`
+ * give `isA Rex Animal`), symmetric and inverse spellings. Those implied
+ * facts are not stored; a conclusion drawn from one is justified by the
+ * stored facts it rests on.
+ */
+
+import { parse } from '../parser/parser.mjs';
+import { factKey, ruleKey } from './tms.mjs';
+import { stratify, negatedFact } from './negation.mjs';
+
+// Debug logging
+const DEBUG = process.env.SYS2_DEBUG === 'true';
+function dbg(category, ...args) {
+  if (DEBUG) console.log(`[Forward:${category}]`, ...args);
+}
+
+const MAX_ALTERNATIVES = 32;
+
+/**
+ * Name of an identifier-like AST node
+ * @param {Object} node
+ * @returns {string|null}
+ */
+function nameOf(node) {
+  return node?.name || node?.value || null;
+}
+
+/**
+ * Index facts by operator
+ * @param {Iterable<{key: string, operator: string, args: string[]}>} facts
+ * @returns {Map<string, Object[]>}
+ */
+function indexFacts(facts) {
+  const index = new Map();
+  for (const fact of facts) {
+    if (!index.has(fact.operator)) index.set(fact.operator, []);
+    index.get(fact.operator).push(fact);
+  }
+  return index;
+}
+
+/**
+ * Forward-chaining engine
+ */
+export class ForwardChainer {
+  /**
+   * @param {Session} session - Session whose rules and KB are used
+   * @param {Object} options - {maxIterations, maxDerived}
+   */
+  constructor(session, options = {}) {
+    this.session = session;
+    this.options = {
+      maxIterations: options.maxIterations ?? 100,
+      maxDerived: options.maxDerived ?? 10000
+    };
+  }
+
+  /**
+   * Run rules to a fixpoint, one stratum at a time
+   * @param {Object} scope - Incremental scope; omit facts and rules for a full run
+   * @param {Object[]} scope.facts - KB facts added since the last fixpoint
+   * @param {Object[]} scope.rules - Rules added since the last fixpoint
+   * @param {boolean} scope.reset - Drop all materialised facts and start over
+   * @returns {Object} {success, derived, iterations, facts, skipped}
+   */
+  run({ facts = null, rules = null, reset = false } = {}) {
+    const { strata } = stratify(this.session.rules);
+    const compiled = [];
+    const skipped = [];
+    for (const rule of this.session.rules) {
+      const alternatives = this.compile(rule);
+      if (alternatives) {
+        compiled.push({ rule, alternatives, stratum: strata.get(nameOf(rule.conclusionAST.operator)) ?? 0 });
+      } else {
+        skipped.push(rule.name || rule.source);
+      }
+    }
+
+    // Negation is non-monotonic: a new fact can withdraw a conclusion, so start over
+    let incremental = facts !== null || rules !== null;
+    const negation = this.hasNegation(compiled.map(c => c.alternatives));
+    if (reset || (incremental && negation)) {
+      this.reset();
+      incremental = false;
+    }
+
+    const all = new Map();
+    for (const fact of this.session.kbFacts) {
+      const entry = this.entryOf(fact.metadata);
+      if (entry && !all.has(entry.key)) all.set(entry.key, entry);
+    }
+    let view = this.withRelations(all);
+    let full = indexFacts(view.values());
+    let negated = this.negatedFacts(full);
+
+    // What was known before this run's new facts; the rest counts as new
+    const newRules = new Set(rules || []);
+    const newKeys = new Set(incremental ? (facts || []).map(f => factKey(f.metadata)) : []);
+    const baseline = incremental
+      ? this.withRelations(new Map([...all].filter(([key]) => !newKeys.has(key))))
+      : view;
+    const levels = [...new Set(compiled.map(c => c.stratum))].sort((a, b) => a - b);
+
+    const derived = [];
+    let iterations = 0;
+    for (const stratum of levels) {
+      const members = compiled.filter(c => c.stratum === stratum);
+
+      // First round: new rules (or all, on a full run) over everything,
+      // the rest over what is new; later rounds over the previous round's facts
+      let delta = indexFacts([...view.values()].filter(entry => !baseline.has(entry.key)));
+      let first = true;
+      while (iterations < this.options.maxIterations && derived.length < this.options.maxDerived) {
+        iterations++;
+        const fresh = new Map();
+
+        for (const { rule, alternatives } of members) {
+          const everything = first && (!incremental || newRules.has(rule));
+          for (const { positive, negative } of alternatives) {
+            const emit = (bindings, premises) => {
+              const refutations = this.refutations(negative, bindings, view, negated);
+              if (!refutations) return;
+              const conclusion = this.instantiate(rule.conclusionAST, bindings);
+              if (view.has(conclusion) || fresh.has(conclusion)) return;
+              fresh.set(conclusion, { rule, premises: this.storedSupport([...premises, ...refutations], view) });
+            };
+
+            if (everything) {
+              this.join(positive, 0, -1, new Map(), [], full, full, emit);
+            } else {
+              for (let pivot = 0; pivot < positive.length; pivot++) {
+                this.join(positive, 0, pivot, new Map(), [], delta, full, emit);
+              }
+            }
+          }
+        }
+
+        first = false;
+        if (fresh.size === 0) break;
+        const stored = [];
+        for (const [conclusion, { rule, premises }] of fresh) {
+          if (derived.length >= this.options.maxDerived) break;
+          const entry = this.store(conclusion, rule, premises);
+          if (!entry) continue;
+          all.set(conclusion, entry);
+          derived.push(conclusion);
+          stored.push(entry);
+        }
+
+        const previous = view;
+        view = this.withRelations(all);
+        delta = indexFacts([...view.values()].filter(entry => !previous.has(entry.key)));
+        full = indexFacts(view.values());
+        negated = this.negatedFacts(full);
+      }
+    }
+
+    dbg('FIXPOINT', `${derived.length} derived in ${iterations} round(s) over ${levels.length} stratum/strata`);
+    return {
+      success: true,
+      derived: derived.length,
+      iterations,
+      facts: derived,
+      skipped
+    };
+  }
+
+  /**
+   * Everything some facts and rules derive, without touching the KB
+   * Naive evaluation, stratum by stratum; meant for small or one-off sets.
+   * @param {Iterable<{key: string, operator: string, args: string[]}>} facts - Index entries
+   * @param {Object[]} rules - Tracked rules
+   * @returns {Map<string, Object>} key → entry; derived entries also carry
+   *   {rule, premises}
+   */
+  closure(facts, rules) {
+    const all = new Map();
+    for (const entry of facts) all.set(entry.key, entry);
+
+    const { strata } = stratify(rules);
+    const compiled = [];
+    for (const rule of rules) {
+      const alternatives = this.compile(rule);
+      if (alternatives) {
+        compiled.push({ rule, alternatives, stratum: strata.get(nameOf(rule.conclusionAST.operator)) ?? 0 });
+      }
+    }
+
+    const levels = [...new Set(compiled.map(c => c.stratum))].sort((a, b) => a - b);
+    for (const stratum of levels) {
+      const members = compiled.filter(c => c.stratum === stratum);
+      let grew = true;
+      while (grew && all.size < this.options.maxDerived) {
+        grew = false;
+        const view = this.withRelations(all);
+        const full = indexFacts(view.values());
+        const negated = this.negatedFacts(full);
+        for (const { rule, alternatives } of members) {
+          for (const { positive, negative } of alternatives) {
+            this.join(positive, 0, -1, new Map(), [], full, full, (bindings, premises) => {
+              const refutations = this.refutations(negative, bindings, view, negated);
+              if (!refutations) return;
+              const key = this.instantiate(rule.conclusionAST, bindings);
+              if (view.has(key) || all.has(key)) return;
+              const [operator, ...args] = key.split(' ');
+              all.set(key, { key, operator, args, rule, premises: this.storedSupport([...premises, ...refutations], view) });
+              grew = true;
+            });
+          }
+        }
+      }
+    }
+
+    return all;
+  }
+
+  /**
+   * Facts the KB states `Not` of
+   * @param {Map<string, Object[]>} index - Facts by operator
+   * @returns {Map<string, string>} Negated fact → key of the `Not` fact
+   */
+  negatedFacts(index) {
+    const negated = new Map();
+    for (const entry of index.get('Not') || []) {
+      const fact = negatedFact(entry.args[0], this.session.referenceTexts);
+      if (fact && !negated.has(fact)) negated.set(fact, entry.key);
+    }
+    return negated;
+  }
+
+  /**
+   * Check a join's negated conditions
+   * Each must be absent and either closed-world or stated `Not`.
+   * @param {Object[]} negative - Negated condition ASTs
+   * @param {Map<string, string>} bindings - Join bindings
+   * @param {Map<string, Object>} view - Facts with their implied spellings
+   * @param {Map<string, string>} negated - negatedFacts() of the view
+   * @returns {string[]|null} Keys of the `Not` facts relied on, or null if a
+   *   condition does not hold
+   */
+  refutations(negative, bindings, view, negated) {
+    const keys = [];
+    for (const leaf of negative) {
+      const fact = this.instantiate(leaf, bindings);
+      if (view.has(fact)) return null;
+      if (negated.has(fact)) keys.push(negated.get(fact));
+      else if (!this.session.relations.isClosedWorld(nameOf(leaf.operator))) return null;
+    }
+    return keys;
+  }
+
+  /**
+   * Whether any runnable rule has a negated condition
+   * @param {Array<Object[]|null>} [compiled] - compile() results for the
+   *   session rules, when already at hand
+   * @returns {boolean}
+   */
+  hasNegation(compiled = this.session.rules.map(rule => this.compile(rule))) {
+    return compiled.some(alternatives =>
+      alternatives?.some(alternative => alternative.negative.length > 0));
+  }
+
+  /**
+   * Remove every materialised fact from the KB
+   */
+  reset() {
+    const materialised = this.session.kbFacts.filter(f => f.derivedBy);
+    this.session.dropFacts(new Set(materialised));
+  }
+
+  /**
+   * Facts plus those the prover reads off them through relation properties
+   * Symmetric and inverse spellings and transitive chains are added until
+   * nothing changes; each added entry carries the `support` it rests on.
+   * @param {Map<string, Object>} facts - key → entry
+   * @returns {Map<string, Object>} key → entry
+   */
+  withRelations(facts) {
+    const relations = this.session.relations;
+    const view = new Map(facts);
+    const supportOf = entry => entry.support || [entry.key];
+    const add = (operator, args, support) => {
+      const key = [operator, ...args].join(' ');
+      if (view.has(key)) return false;
+      view.set(key, { key, operator, args, support: [...new Set(support)] });
+      return true;
+    };
+
+    let grew = true;
+    while (grew) {
+      grew = false;
+      for (const entry of [...view.values()]) {
+        if (entry.args.length !== 2) continue;
+        const [a, b] = entry.args;
+        if (relations.isSymmetric(entry.operator)) {
+          grew = add(entry.operator, [b, a], supportOf(entry)) || grew;
+        }
+        for (const inverse of relations.inversesOf(entry.operator)) {
+          grew = add(inverse, [b, a], supportOf(entry)) || grew;
+        }
+      }
+
+      const chains = [...view.values()].filter(e => e.args.length === 2 && relations.isTransitive(e.operator));
+      for (const [operator, edges] of indexFacts(chains)) {
+        const from = new Map();
+        for (const edge of edges) {
+          if (!from.has(edge.args[0])) from.set(edge.args[0], []);
+          from.get(edge.args[0]).push(edge);
+        }
+        for (const start of from.keys()) {
+          const queue = [[start, null]];
+          const seen = new Set([start]);
+          while (queue.length > 0) {
+            const [node, path] = queue.shift();
+            for (const edge of from.get(node) || []) {
+              const target = edge.args[1];
+              if (seen.has(target)) continue;
+              seen.add(target);
+              const support = [...(path || []), ...supportOf(edge)];
+              if (path) grew = add(operator, [start, target], support) || grew;
+              queue.push([target, support]);
+            }
+          }
+        }
+      }
+    }
+    return view;
+  }
+
+  /**
+   * Stored facts behind matched premises
+   * @param {string[]} premises - Keys matched in a relation view
+   * @param {Map<string, Object>} view - withRelations() result
+   * @returns {string[]}
+   */
+  storedSupport(premises, view) {
+    return [...new Set(premises.flatMap(key => view.get(key)?.support || [key]))];
+  }
+
+  /**
+   * Instantiate a leaf or conclusion pattern
+   * @param {Object} ast - Pattern AST
+   * @param {Map} bindings - Variable bindings
+   * @returns {string} Fact string
+   */
+  instantiate(ast, bindings) {
+    return [
+      nameOf(ast.operator),
+      ...ast.args.map(arg => (arg.type === 'Hole' ? bindings.get(arg.name) : String(nameOf(arg))))
+    ].join(' ');
+  }
+
+  /**
+   * Join a conjunction of condition leaves against the fact index
+   * @param {Object[]} leaves - Condition leaf ASTs
+   * @param {number} i - Current leaf
+   * @param {number} pivot - Leaf that must match a delta fact (-1: none)
+   * @param {Map} bindings - Variable bindings so far
+   * @param {string[]} premises - Facts matched so far
+   * @param {Map} delta - Index of facts new in the previous round
+   * @param {Map} full - Index of all facts
+   * @param {Function} emit - Called with (bindings, premises) for each match
+   */
+  join(leaves, i, pivot, bindings, premises, delta, full, emit) {
+    if (i === leaves.length) {
+      emit(bindings, premises);
+      return;
+    }
+
+    const leaf = leaves[i];
+    const source = i === pivot ? delta : full;
+    for (const fact of source.get(nameOf(leaf.operator)) || []) {
+      const next = this.unify(leaf, fact.args, bindings);
+      if (next) {
+        this.join(leaves, i + 1, pivot, next, [...premises, fact.key], delta, full, emit);
+      }
+    }
+  }
+
+  /**
+   * Unify a condition leaf with a fact's arguments
+   * @param {Object} leaf - Leaf AST
+   * @param {string[]} args - Fact arguments
+   * @param {Map} bindings - Bindings to extend
+   * @returns {Map|null}
+   */
+  unify(leaf, args, bindings) {
+    if (leaf.args.length !== args.length) return null;
+
+    const next = new Map(bindings);
+    for (let i = 0; i < args.length; i++) {
+      const arg = leaf.args[i];
+      if (arg.type === 'Hole') {
+        if (next.has(arg.name) && next.get(arg.name) !== args[i]) return null;
+        next.set(arg.name, args[i]);
+      } else if (String(nameOf(arg)) !== args[i]) {
+        return null;
+      }
+    }
+    return next;
+  }
+
+  /**
+   * A rule's condition as alternative conjunctions of flat leaves
+   * @param {Object} rule - Tracked rule
+   * @returns {Array<{positive: Object[], negative: Object[]}>|null} Null if the
+   *   rule cannot be run forwards
+   */
+  compile(rule) {
+    const conclusion = rule.conclusionAST;
+    if (!conclusion?.operator || !Array.isArray(conclusion.args)) return null;
+    if (conclusion.args.some(arg => arg.type !== 'Hole' && !nameOf(arg))) return null;
+
+    const isLeaf = ast => ast?.operator && Array.isArray(ast.args) &&
+      ast.args.every(arg => arg.type === 'Hole' || nameOf(arg));
+
+    const toDNF = part => {
+      if (part.type === 'And') {
+        let result = [[]];
+        for (const alternatives of part.parts.map(toDNF)) {
+          if (!alternatives) return null;
+          result = result.flatMap(prefix => alternatives.map(alt => [...prefix, ...alt]))
+            .slice(0, MAX_ALTERNATIVES);
+        }
+        return result;
+      }
+      if (part.type === 'Or') {
+        const alternatives = part.parts.map(toDNF);
+        return alternatives.some(a => !a) ? null : alternatives.flat().slice(0, MAX_ALTERNATIVES);
+      }
+      if (part.type === 'Not') {
+        const ast = part.inner?.type === 'leaf' ? part.inner.ast : null;
+        return isLeaf(ast) ? [[{ ast, negated: true }]] : null;
+      }
+      const ast = part.ast || part;
+      return isLeaf(ast) ? [[{ ast, negated: false }]] : null;
+    };
+
+    const dnf = rule.conditionParts
+      ? toDNF(rule.conditionParts)
+      : (isLeaf(rule.conditionAST) ? [[{ ast: rule.conditionAST, negated: false }]] : null);
+    if (!dnf || dnf.length === 0) return null;
+
+    const alternatives = dnf.map(leaves => ({
+      positive: leaves.filter(l => !l.negated).map(l => l.ast),
+      negative: leaves.filter(l => l.negated).map(l => l.ast)
+    }));
+
+    // Conclusion and negated variables must be bound by the positive leaves
+    const bound = (holes, positive) => holes.every(hole =>
+      positive.some(leaf => leaf.args.some(arg => arg.type === 'Hole' && arg.name === hole)));
+    const holesOf = ast => ast.args.filter(arg => arg.type === 'Hole').map(arg => arg.name);
+    const safe = alternatives.every(({ positive, negative }) => positive.length > 0 &&
+      bound(holesOf(conclusion), positive) &&
+      negative.every(leaf => bound(holesOf(leaf), positive)));
+    return safe ? alternatives : null;
+  }
+
+  /**
+   * Index entry of KB fact metadata
+   * @param {Object|null} metadata
+   * @returns {{key: string, operator: string, args: string[]}|null}
+   */
+  entryOf(metadata) {
+    const key = factKey(metadata);
+    return key ? { key, operator: metadata.operator, args: metadata.args } : null;
+  }
+
+  /**
+   * Store a derived fact in the KB and justify it
+   * @param {string} conclusion - Fact string
+   * @param {Object} rule - Rule that derived it
+   * @param {string[]} premises - Facts the rule matched
+   * @returns {Object|null} Index entry, or null if the fact could not be built
+   */
+  store(conclusion, rule, premises) {
+    const stmt = parse(conclusion).statements[0];
+    if (!stmt) return null;
+
+    const executor = this.session.executor;
+    const metadata = executor.extractMetadata(stmt);
+    const derivedBy = { rule: rule.name || rule.source, premises };
+    this.session.addToKB(executor.buildStatementVector(stmt), null, metadata, derivedBy);
+    this.session.justifications.justify(conclusion, [...premises, ruleKey(rule)], 'forward_chain');
+    return this.entryOf(metadata);
+  }
+}
+
+export default ForwardChainer;
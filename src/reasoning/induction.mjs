@@ -0,0 +1,167 @@
+/**
+ * AGISystem2 - Induction Module
+ * @module reasoning/induction
+ *
+ * Rule learning from examples (DS06 section 6.3).
+ * Every fact is read once per argument as a one-variable pattern for that
+ * argument's entity: `isA Tweety Bird` gives `isA ?x Bird` for Tweety.
+ * Patterns that keep recurring together over the same entities become
+ * candidate rules:
+ *
+ *   Implies (isA ?x Bird) (can ?x Fly)
+ *     support          entities with both patterns
+ *     confidence       support / entities with the condition
+ *     counterexamples  entities with the condition but not the conclusion
+ */
+
+import { DEFAULT_OPERATOR, EXCEPTION_OPERATOR } from './defaults.mjs';
+import { INVERSE_OPERATORS, CLOSED_WORLD_OPERATORS, RELATION_PROPERTY_OPERATORS } from './relations.mjs';
+import { EXCLUSION_OPERATORS } from './exclusion.mjs';
+
+// Debug logging
+const DEBUG = process.env.SYS2_DEBUG === 'true';
+function dbg(category, ...args) {
+  if (DEBUG) console.log(`[Induce:${category}]`, ...args);
+}
+
+const VARIABLE = '?x';
+
+/**
+ * Operators that state rules or declarations rather than facts about entities
+ */
+const META_OPERATORS = new Set([
+  'Implies', 'And', 'Or', 'Not',
+  DEFAULT_OPERATOR, EXCEPTION_OPERATOR,
+  ...INVERSE_OPERATORS,
+  ...CLOSED_WORLD_OPERATORS,
+  ...EXCLUSION_OPERATORS,
+  ...Object.keys(RELATION_PROPERTY_OPERATORS)
+]);
+
+/**
+ * Inductive rule learner
+ */
+export class InductionEngine {
+  /**
+   * @param {Session} session - Session whose KB holds the examples
+   * @param {Object} options - {minSupport, minConfidence, maxRules, operators}
+   */
+  constructor(session, options = {}) {
+    this.session = session;
+    this.options = {
+      minSupport: options.minSupport ?? 2,
+      minConfidence: options.minConfidence ?? 0.8,
+      maxRules: options.maxRules ?? 20,
+      operators: options.operators ? new Set(options.operators) : null
+    };
+  }
+
+  /**
+   * Propose rules from co-occurring patterns
+   * @returns {Object} {success, rules} with rules ranked by confidence, then support
+   */
+  induce() {
+    const patterns = this.collectPatterns();
+    const known = new Set(this.session.rules.map(rule => this.ruleKey(rule)));
+
+    // Count co-occurrences per entity rather than over all pattern pairs
+    const byEntity = new Map();
+    for (const [pattern, entities] of patterns) {
+      for (const entity of entities) {
+        if (!byEntity.has(entity)) byEntity.set(entity, []);
+        byEntity.get(entity).push(pattern);
+      }
+    }
+
+    const together = new Map();
+    for (const entityPatterns of byEntity.values()) {
+      for (const condition of entityPatterns) {
+        if (patterns.get(condition).size < this.options.minSupport) continue;
+        for (const conclusion of entityPatterns) {
+          if (conclusion === condition) continue;
+          const key = `${condition}\n${conclusion}`;
+          together.set(key, (together.get(key) || 0) + 1);
+        }
+      }
+    }
+
+    const rules = [];
+    for (const [key, support] of together) {
+      if (support < this.options.minSupport) continue;
+      const [condition, conclusion] = key.split('\n');
+      if (known.has(key)) continue;
+
+      const covered = patterns.get(condition);
+      const confidence = support / covered.size;
+      if (confidence < this.options.minConfidence) continue;
+
+      const holders = patterns.get(conclusion);
+      const examples = [...covered].filter(entity => holders.has(entity));
+      const exceptions = [...covered].filter(entity => !holders.has(entity));
+
+      rules.push({
+        rule: `Implies (${condition}) (${conclusion})`,
+        condition,
+        conclusion,
+        support,
+        confidence,
+        counterexamples: exceptions.length,
+        examples,
+        exceptions
+      });
+    }
+
+    rules.sort((a, b) => b.confidence - a.confidence || b.support - a.support ||
+      a.rule.localeCompare(b.rule));
+
+    dbg('RESULT', `${rules.length} candidate(s) from ${patterns.size} pattern(s)`);
+    return {
+      success: rules.length > 0,
+      rules: rules.slice(0, this.options.maxRules)
+    };
+  }
+
+  /**
+   * One-variable patterns of every KB fact, with the entities that fill them
+   * @returns {Map<string, Set<string>>} pattern → entities
+   */
+  collectPatterns() {
+    const patterns = new Map();
+
+    for (const fact of this.session.kbFacts) {
+      const meta = fact.metadata;
+      if (!meta?.operator || !Array.isArray(meta.args) || meta.args.length === 0) continue;
+      if (META_OPERATORS.has(meta.operator) || meta.operator.startsWith('__')) continue;
+      if (this.options.operators && !this.options.operators.has(meta.operator)) continue;
+      if (meta.args.some(arg => typeof arg !== 'string' || arg.startsWith('?'))) continue;
+
+      meta.args.forEach((entity, i) => {
+        const args = meta.args.map((arg, j) => (j === i ? VARIABLE : arg));
+        const pattern = [meta.operator, ...args].join(' ');
+        if (!patterns.has(pattern)) patterns.set(pattern, new Set());
+        patterns.get(pattern).add(entity);
+      });
+    }
+
+    return patterns;
+  }
+
+  /**
+   * Condition/conclusion key of an existing single-condition rule
+   * @param {Object} rule - Tracked rule
+   * @returns {string|null}
+   */
+  ruleKey(rule) {
+    const condition = rule.conditionAST;
+    const conclusion = rule.conclusionAST;
+    if (!condition?.operator || !conclusion?.operator) return null;
+
+    // Rename the variable so `?p` rules match proposals written with `?x`
+    const render = ast => [ast.operator, ...(ast.args || [])]
+      .map(node => (node.type === 'Hole' ? VARIABLE : node.name || node.value))
+      .join(' ');
+    return `${render(condition)}\n${render(conclusion)}`;
+  }
+}
+
+export default InductionEngine;
@@ -7,7 +7,6 @@
  */
 
 import { similarity } from '../core/operations.mjs';
-import { TRANSITIVE_RELATIONS } from './transitive.mjs';
 
 /**
  * KB matching engine
@@ -110,50 +109,37 @@ export class KBMatcher {
     const op = parts[0];
     const args = parts.slice(1);
 
-    // Direct KB matches
+    // Direct KB matches; facts of symmetric relations also match with their arguments swapped
+    const symmetric = args.length === 2 && this.session.relations.isSymmetric(op);
     for (const fact of this.session.kbFacts) {
       this.session.reasoningStats.kbScans++;
       const meta = fact.metadata;
       if (!meta || meta.operator !== op) continue;
       if (!meta.args || meta.args.length !== args.length) continue;
 
-      const newBindings = new Map();
-      let matchOk = true;
-
-      for (let i = 0; i < args.length; i++) {
-        const arg = args[i];
-        const factArg = meta.args[i];
-
-        if (arg.startsWith('?')) {
-          const varName = arg.substring(1);
-          if (bindings.has(varName)) {
-            if (bindings.get(varName) !== factArg) {
-              matchOk = false;
-              break;
-            }
-          } else {
-            newBindings.set(varName, factArg);
-          }
-        } else {
-          if (arg !== factArg) {
-            matchOk = false;
-            break;
-          }
-        }
+      const readings = [{ factArgs: meta.args, operation: 'pattern_match' }];
+      if (symmetric && meta.args[0] !== meta.args[1]) {
+        readings.push({ factArgs: [meta.args[1], meta.args[0]], operation: 'symmetric' });
       }
 
-      if (matchOk) {
+      for (const { factArgs, operation } of readings) {
+        const newBindings = this.matchPatternArgs(args, factArgs, bindings);
+        if (!newBindings) continue;
+
+        const step = { operation: 'pattern_match', fact: `${op} ${meta.args.join(' ')}`, bindings: Object.fromEntries(newBindings) };
         matches.push({
           valid: true,
           confidence: 0.9,
           newBindings,
-          steps: [{ operation: 'pattern_match', fact: `${op} ${meta.args.join(' ')}`, bindings: Object.fromEntries(newBindings) }]
+          steps: operation === 'symmetric'
+            ? [step, { operation: 'symmetric', fact: `${op} ${factArgs.join(' ')}`, from: step.fact }]
+            : [step]
         });
       }
     }
 
     // For transitive relations "isA Subject ?var", find all transitive targets
-    if (TRANSITIVE_RELATIONS.has(op) && args.length === 2 && !args[0].startsWith('?') && args[1].startsWith('?')) {
+    if (this.session.relations.isTransitive(op) && args.length === 2 && !args[0].startsWith('?') && args[1].startsWith('?')) {
       const subject = args[0];
       const varName = args[1].substring(1);
       const transitiveTargets = this.engine.transitive.findAllTransitiveTargets(op, subject);
@@ -173,18 +159,24 @@ export class KBMatcher {
       }
     }
 
-    // For fully instantiated conditions, try transitive and rule chaining
+    // For fully instantiated conditions, try relation properties, transitive and rule chaining
     if (matches.length === 0 && !condStr.includes('?')) {
-      const transResult = this.engine.transitive.tryTransitiveForCondition(condStr);
-      if (transResult.valid) {
+      let derivedResult = this.engine.relationProperties.tryForCondition(condStr);
+      if (!derivedResult.valid) {
+        derivedResult = this.engine.transitive.tryTransitiveForCondition(condStr);
+      }
+      if (derivedResult.valid) {
         matches.push({
           valid: true,
-          confidence: transResult.confidence,
+          confidence: derivedResult.confidence,
           newBindings: new Map(),
-          steps: transResult.steps
+          steps: derivedResult.steps
         });
       } else {
-        const ruleResult = this.tryRuleChainForCondition(condStr, 0);
+        let ruleResult = this.tryRuleChainForCondition(condStr, 0);
+        if (!ruleResult.valid) {
+          ruleResult = this.engine.defaults.tryForCondition(condStr);
+        }
         if (ruleResult.valid) {
           matches.push({
             valid: true,
@@ -199,6 +191,35 @@ export class KBMatcher {
     return matches;
   }
 
+  /**
+   * Match pattern arguments against fact arguments
+   * @param {string[]} args - Pattern arguments (?vars or constants)
+   * @param {string[]} factArgs - Fact arguments
+   * @param {Map} bindings - Current bindings
+   * @returns {Map|null} New bindings, or null if the fact does not match
+   */
+  matchPatternArgs(args, factArgs, bindings) {
+    const newBindings = new Map();
+
+    for (let i = 0; i < args.length; i++) {
+      const arg = args[i];
+      const factArg = factArgs[i];
+
+      if (arg.startsWith('?')) {
+        const varName = arg.substring(1);
+        if (bindings.has(varName)) {
+          if (bindings.get(varName) !== factArg) return null;
+        } else {
+          newBindings.set(varName, factArg);
+        }
+      } else if (arg !== factArg) {
+        return null;
+      }
+    }
+
+    return newBindings;
+  }
+
   /**
    * Try to prove a condition string by applying rules (backward chaining)
    * @param {string} condStr - Condition string
@@ -280,6 +301,9 @@ export class KBMatcher {
         const match = rule.source?.match(/Implies\s+[@$]?(\w+)\s+[@$]?(\w+)/);
         if (match && this.session.referenceTexts.has(match[2])) {
           conclusionFact = this.session.referenceTexts.get(match[2]);
+        } else if (rule.conclusionAST?.operator) {
+          // Inline compound conclusion: (op arg1 arg2)
+          conclusionFact = this.engine.unification.instantiateAST(rule.conclusionAST, new Map());
         }
         return {
           valid: true,
@@ -0,0 +1,246 @@
+/**
+ * AGISystem2 - Negation Module
+ * @module reasoning/negation
+ *
+ * Stratified negation-as-failure.
+ *
+ * Rules are ordered into strata by their conclusion relation: a relation
+ * sits above every relation its rules use, and strictly above every
+ * relation they use under `Not`. A `Not` condition is then decided by an
+ * independent, complete proof of the negated relation, which only depends
+ * on lower strata and so cannot see a half-finished derivation of the
+ * current goal. Rules whose negation loops back on itself (e.g. p if
+ * not q, q if not p) have no strata and are rejected at load time.
+ *
+ * `closedWorld R` marks R as fully known: a failed proof of R means R is
+ * false, not merely unknown. A `Not` condition only holds when its inner
+ * condition is false: refuted (an explicit `Not` fact, a disjoint or
+ * exclusive value) or unprovable from closed-world relations. Failing to
+ * prove an open-world relation leaves the condition unknown, so it fails.
+ */
+
+import { parse } from '../parser/parser.mjs';
+import { TRUTH } from './truth.mjs';
+
+// Debug logging
+const DEBUG = process.env.SYS2_DEBUG === 'true';
+function dbg(category, ...args) {
+  if (DEBUG) console.log(`[Negation:${category}]`, ...args);
+}
+
+/**
+ * Name of an identifier-like AST node
+ * @param {Object} node
+ * @returns {string|null}
+ */
+function nameOf(node) {
+  return node?.name || node?.value || null;
+}
+
+/**
+ * Fact a `Not` argument refers to
+ * @param {string} arg - `$ref`, `ref` or inline `(op a b)`
+ * @param {Map<string, string>} referenceTexts - Reference names to fact strings
+ * @returns {string|null}
+ */
+export function negatedFact(arg, referenceTexts) {
+  if (!arg) return null;
+  if (arg.startsWith('(')) return arg.slice(1, -1);
+  return referenceTexts.get(arg.replace('$', '')) || null;
+}
+
+/**
+ * Relations a rule's condition uses, with whether each use is negated
+ * @param {Object} rule - Tracked rule
+ * @returns {Array<{relation: string, negated: boolean}>}
+ */
+export function conditionRelations(rule) {
+  const uses = [];
+  const walk = (part, negated) => {
+    if (!part) return;
+    if (part.type === 'And' || part.type === 'Or') {
+      part.parts.forEach(p => walk(p, negated));
+    } else if (part.type === 'Not') {
+      walk(part.inner, true);
+    } else {
+      const relation = nameOf((part.ast || part).operator);
+      if (relation) uses.push({ relation, negated });
+    }
+  };
+
+  walk(rule.conditionParts || rule.conditionAST, false);
+  return uses;
+}
+
+/**
+ * Order rule relations into strata
+ * @param {Object[]} rules - Tracked rules (rules without ASTs are ignored)
+ * @returns {{strata: Map<string, number>, cycles: Array<{relations: string[], rules: Object[]}>}}
+ *   Cycles lists every recursive group that contains a negated use, with
+ *   all rules that take part in the recursion
+ */
+export function stratify(rules) {
+  const edges = new Map(); // relation -> [{to, negated, rule}]
+  const addNode = relation => {
+    if (!edges.has(relation)) edges.set(relation, []);
+  };
+
+  for (const rule of rules) {
+    const head = nameOf(rule.conclusionAST?.operator);
+    if (!head) continue;
+    addNode(head);
+    for (const { relation, negated } of conditionRelations(rule)) {
+      addNode(relation);
+      edges.get(head).push({ to: relation, negated, rule });
+    }
+  }
+
+  // Tarjan's strongly connected components
+  const index = new Map();
+  const low = new Map();
+  const component = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const components = [];
+  let counter = 0;
+
+  const connect = relation => {
+    index.set(relation, counter);
+    low.set(relation, counter++);
+    stack.push(relation);
+    onStack.add(relation);
+
+    for (const { to } of edges.get(relation)) {
+      if (!index.has(to)) {
+        connect(to);
+        low.set(relation, Math.min(low.get(relation), low.get(to)));
+      } else if (onStack.has(to)) {
+        low.set(relation, Math.min(low.get(relation), index.get(to)));
+      }
+    }
+
+    if (low.get(relation) === index.get(relation)) {
+      const members = [];
+      let member;
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        component.set(member, components.length);
+        members.push(member);
+      } while (member !== relation);
+      components.push(members);
+    }
+  };
+
+  for (const relation of edges.keys()) {
+    if (!index.has(relation)) connect(relation);
+  }
+
+  const cycles = [];
+  for (const members of components) {
+    const inside = members.flatMap(relation => edges.get(relation)
+      .filter(edge => component.get(edge.to) === component.get(relation)));
+    if (inside.some(edge => edge.negated)) {
+      cycles.push({ relations: members.slice().reverse(), rules: [...new Set(inside.map(e => e.rule))] });
+    }
+  }
+
+  // Components come out in dependency order, so strata build bottom-up
+  const strata = new Map();
+  for (const members of components) {
+    let stratum = 0;
+    for (const relation of members) {
+      for (const { to, negated } of edges.get(relation)) {
+        if (component.get(to) === component.get(relation)) continue;
+        stratum = Math.max(stratum, strata.get(to) + (negated ? 1 : 0));
+      }
+    }
+    members.forEach(relation => strata.set(relation, stratum));
+  }
+
+  return { strata, cycles };
+}
+
+/**
+ * Negation-as-failure for rule conditions
+ */
+export class NegationReasoner {
+  constructor(proofEngine) {
+    this.engine = proofEngine;
+  }
+
+  get session() {
+    return this.engine.session;
+  }
+
+  /**
+   * Prove `Not inner` under the current bindings
+   * Succeeds only if the inner condition is false; an inner condition that
+   * is merely unproved fails unless all its relations are closed-world.
+   * @param {Object} inner - Negated condition part (leaf or compound)
+   * @param {Map} bindings - Variable bindings
+   * @returns {Object} Proof result
+   */
+  proveNot(inner, bindings) {
+    if (this.engine.isTimedOut()) {
+      throw new Error('Proof timed out');
+    }
+
+    // A fresh engine proves the inner condition from scratch: stratification
+    // guarantees it cannot depend on the goal being proved here. It only gets
+    // the time the outer proof has left.
+    const remaining = this.engine.options.timeout - (Date.now() - this.engine.startTime);
+    const independent = new this.engine.constructor(this.session, { ...this.engine.options, timeout: Math.max(1, remaining) });
+    const relations = conditionRelations({ conditionParts: inner });
+    const closedWorld = relations.length > 0 &&
+      relations.every(({ relation }) => this.session.relations.isClosedWorld(relation));
+    let innerResult;
+    let fact = null;
+
+    if (inner.type === 'leaf' && inner.ast) {
+      fact = this.engine.unification.instantiateAST(inner.ast, bindings);
+      const goal = parse(fact).statements[0];
+
+      if (goal && this.engine.isGoalNegated(goal)) {
+        return {
+          valid: true,
+          method: 'explicit_negation',
+          confidence: 1.0,
+          steps: [{ operation: 'explicit_negation', fact: `Not (${fact})` }]
+        };
+      }
+      innerResult = goal ? independent.prove(goal) : { valid: false };
+    } else if (inner.type === 'And' || inner.type === 'Or' || inner.type === 'Not') {
+      independent.resetState();
+      innerResult = independent.conditions.proveInstantiatedCompound(inner, bindings, 0);
+    } else {
+      innerResult = { valid: false };
+    }
+
+    // A disjoint proof (valid, result false) refutes the inner condition
+    const refuted = innerResult.truth === TRUTH.FALSE || (innerResult.valid && innerResult.result === false);
+    if (innerResult.valid && !refuted) {
+      return { valid: false, reason: 'Not condition failed - inner is provable' };
+    }
+    if (!refuted && !closedWorld) {
+      dbg('NAF', fact || inner.type, 'unknown (open world)');
+      return { valid: false, reason: 'Not condition unknown - inner is unproved and not closed-world' };
+    }
+
+    dbg('NAF', fact || inner.type, refuted ? '(refuted)' : '(closed world)');
+    return {
+      valid: true,
+      method: 'not_condition',
+      closedWorld,
+      confidence: refuted ? innerResult.confidence ?? 1.0 : 1.0,
+      steps: [{
+        operation: refuted ? 'not_refuted' : 'not_proved',
+        ...(fact && { fact }),
+        closedWorld,
+        detail: refuted ? 'inner condition is refuted' : 'inner condition cannot be proved'
+      }]
+    };
+  }
+}
+
+export default NegationReasoner;
@@ -4,25 +4,39 @@
  *
  * Main proof engine that orchestrates reasoning components:
  * - Transitive reasoning (isA, locatedIn, partOf chains)
+ * - Symmetric and reflexive relations (siblingOf, equals)
  * - Variable unification (quantified rules)
  * - Compound conditions (And/Or with backtracking)
  * - KB pattern matching
  * - Disjoint proofs (spatial negation)
+ * - Defaults with exceptions (normally / except)
+ * - Stratified negation-as-failure (closedWorld relations)
+ * - Three-valued results (true / false with refutation / unknown)
+ * - Interval algebra over temporal relations (during, overlaps, meets, ...)
  *
  * The proof strategy follows this priority:
- * 1. Direct KB match (high confidence)
- * 2. Transitive chain reasoning
- * 3. Backward chaining with rules
- * 4. Weak direct match
- * 5. Disjoint proof for spatial relations
+ * 1. Symmetric / reflexive relation properties
+ * 2. Direct KB match (high confidence)
+ * 3. Transitive chain reasoning
+ * 4. Interval algebra for temporal relations
+ * 5. Backward chaining with rules
+ * 6. Weak direct match
+ * 7. Default reasoning (defeasible)
+ * 8. Disjoint proof for spatial relations
  */
 
+import { fingerprint } from '../hdc/facade.mjs';
 import { MAX_PROOF_DEPTH, PROOF_TIMEOUT_MS, MAX_REASONING_STEPS } from '../core/constants.mjs';
 import { TransitiveReasoner } from './transitive.mjs';
+import { RelationPropertyReasoner } from './relations.mjs';
 import { UnificationEngine } from './unification.mjs';
 import { ConditionProver } from './conditions.mjs';
 import { KBMatcher } from './kb-matching.mjs';
 import { DisjointProver } from './disjoint.mjs';
+import { DefaultReasoner } from './defaults.mjs';
+import { NegationReasoner } from './negation.mjs';
+import { TruthEvaluator, TRUTH } from './truth.mjs';
+import { TemporalReasoner } from './temporal.mjs';
 
 /**
  * Main proof engine - orchestrates all reasoning components
@@ -43,16 +57,22 @@ export class ProofEngine {
     // Proof state
     this.steps = [];
     this.visited = new Set();
+    this.outcomes = new Map();  // ground condition -> whether it was proved
     this.startTime = 0;
     this.reasoningSteps = 0;
     this.maxSteps = MAX_REASONING_STEPS;
 
     // Initialize reasoning components
     this.transitive = new TransitiveReasoner(this);
+    this.relationProperties = new RelationPropertyReasoner(this);
     this.unification = new UnificationEngine(this);
     this.conditions = new ConditionProver(this);
     this.kbMatcher = new KBMatcher(this);
     this.disjoint = new DisjointProver(this);
+    this.defaults = new DefaultReasoner(session);
+    this.negation = new NegationReasoner(this);
+    this.truth = new TruthEvaluator(this);
+    this.temporal = new TemporalReasoner(this);
   }
 
   // ============================================================
@@ -62,7 +82,8 @@ export class ProofEngine {
   /**
    * Prove a goal statement
    * @param {Statement} goal - Goal to prove
-   * @returns {ProofResult} Proof result with steps and confidence
+   * @returns {ProofResult} Proof result with steps, confidence and truth
+   *   ('true', 'false' with a refutation, or 'unknown')
    */
   prove(goal) {
     this.resetState();
@@ -74,11 +95,15 @@ export class ProofEngine {
       if (!result.steps || result.steps.length === 0) {
         result.steps = this.steps;
       }
+      if (!result.valid && this.session.relations.isClosedWorld(this.extractOperatorName(goal))) {
+        result.closedWorld = true;
+      }
 
-      return result;
+      return this.truth.evaluate(goal, result);
     } catch (e) {
       return {
         valid: false,
+        truth: TRUTH.UNKNOWN,
         reason: e.message,
         goal: goal.toString?.() || '',
         steps: this.steps
@@ -92,12 +117,19 @@ export class ProofEngine {
 
   /**
    * Main proof loop with depth tracking
-   * Tries strategies in priority order:
-   * 1. Direct KB match (high confidence)
-   * 2. Transitive chain reasoning
-   * 3. Backward chaining with rules
-   * 4. Weak direct match
-   * 5. Disjoint proof
+   * A goal stated with an explicit `Not` fails at once; otherwise strategies
+   * are tried in priority order:
+   * 1. Symmetric / reflexive relation properties
+   * 2. Direct KB match (high confidence)
+   * 3. Transitive chain reasoning
+   * 4. Interval algebra (temporal relations)
+   * 5. Backward chaining with rules
+   * 6. Weak direct match
+   * 7. Default reasoning (defeasible)
+   * 8. Disjoint proof (disjoint types for isA, containment for locatedIn)
+   * A goal none of them proves is then checked for a refutation by prove()
+   * (TruthEvaluator): explicit negation, an exclusive value or disjoint type
+   * (reasoning/exclusion), an inconsistent timeline, or a closed-world relation.
    */
   proveGoal(goal, depth) {
     // Check limits
@@ -128,20 +160,34 @@ export class ProofEngine {
       return { valid: false, reason: 'Goal is negated' };
     }
 
-    // Strategy 1: Direct KB match (strong threshold)
+    // Strategy 1: Symmetric / reflexive relations. Runs before the direct
+    // match because position binding is order-blind, so a swapped fact would
+    // otherwise pass as a direct match with no symmetric step.
+    const propertyResult = this.relationProperties.tryRelationProperties(goal);
+    if (propertyResult.valid) {
+      return propertyResult;
+    }
+
+    // Strategy 2: Direct KB match (strong threshold)
     const directResult = this.kbMatcher.tryDirectMatch(goalVec, goalStr);
     if (directResult.valid && directResult.confidence > 0.7) {
       directResult.steps = [{ operation: 'direct_match', fact: this.goalToFact(goal) }];
       return directResult;
     }
 
-    // Strategy 2: Transitive reasoning
+    // Strategy 3: Transitive reasoning
     const transitiveResult = this.transitive.tryTransitiveChain(goal, depth);
     if (transitiveResult.valid) {
       return transitiveResult;
     }
 
-    // Strategy 3: Rule matching (backward chaining)
+    // Strategy 4: Interval algebra
+    const temporalResult = this.temporal.tryTemporalProof(goal);
+    if (temporalResult.valid) {
+      return temporalResult;
+    }
+
+    // Strategy 5: Rule matching (backward chaining)
     for (const rule of this.session.rules) {
       this.session.reasoningStats.ruleAttempts++;
       const ruleResult = this.kbMatcher.tryRuleMatch(goal, rule, depth);
@@ -150,18 +196,27 @@ export class ProofEngine {
       }
     }
 
-    // Strategy 4: Weak direct match
+    // Strategy 6: Weak direct match
     if (directResult.valid && directResult.confidence > 0.55) {
       directResult.steps = [{ operation: 'weak_match', fact: this.goalToFact(goal) }];
       return directResult;
     }
 
-    // Strategy 5: Disjoint proof for spatial relations
+    // Strategy 7: Defaults; an overriding exception is reported if nothing else proves the goal
+    const defaultResult = this.defaults.tryDefaultProof(goal);
+    if (defaultResult.valid) {
+      return defaultResult;
+    }
+
+    // Strategy 8: Disjoint proof for spatial relations
     const disjointResult = this.disjoint.tryDisjointProof(goal, depth);
     if (disjointResult.valid) {
       return disjointResult;
     }
 
+    if (defaultResult.blocked) {
+      return defaultResult;
+    }
     return { valid: false, reason: 'No proof found' };
   }
 
@@ -175,6 +230,7 @@ export class ProofEngine {
   resetState() {
     this.steps = [];
     this.visited = new Set();
+    this.outcomes = new Map();
     this.startTime = Date.now();
     this.reasoningSteps = 0;
   }
@@ -252,11 +308,7 @@ export class ProofEngine {
    */
   hashVector(vec) {
     if (!vec?.data) return 'invalid:' + Math.random().toString(36);
-    const parts = [];
-    for (let i = 0; i < Math.min(4, vec.words || 0); i++) {
-      parts.push(vec.data[i]?.toString(16) || '0');
-    }
-    return parts.join(':');
+    return fingerprint(vec);
   }
 
   /**
@@ -280,6 +332,14 @@ export class ProofEngine {
         const negatedRef = meta.args?.[0];
         if (!negatedRef) continue;
 
+        // Inline compound: Not (op arg1 arg2)
+        if (negatedRef.startsWith('(')) {
+          if (negatedRef === `(${this.goalToFact(goal)})`) {
+            return true;
+          }
+          continue;
+        }
+
         // Look up the vector in scope
         const refName = negatedRef.replace('$', '');
         const negatedVec = this.session.scope.get(refName);
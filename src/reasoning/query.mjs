@@ -4,13 +4,15 @@
  *
  * TRUE HOLOGRAPHIC COMPUTING QUERY!
  * Uses Master Equation: Answer = KB ⊕ Query⁻¹
- * Plus transitive chains and rule derivations.
+ * Plus transitive chains, interval algebra and rule derivations.
  */
 
-import { bind, unbind, bundle, topKSimilar, similarity } from '../core/operations.mjs';
+import { bind, unbind, topKSimilar, similarity } from '../core/operations.mjs';
 import { withPosition, removePosition, getPositionVector } from '../core/position.mjs';
-import { MAX_HOLES, SIMILARITY_THRESHOLD } from '../core/constants.mjs';
-import { TRANSITIVE_RELATIONS } from './transitive.mjs';
+import { MAX_HOLES, SIMILARITY_THRESHOLD, DEFEASIBLE_CONFIDENCE } from '../core/constants.mjs';
+import { DefaultReasoner } from './defaults.mjs';
+import { findExclusion } from './exclusion.mjs';
+import { isTemporalRelation, maskOf, temporalNetwork } from './temporal.mjs';
 
 // Debug logging
 const DEBUG = process.env.SYS2_DEBUG === 'true';
@@ -25,6 +27,7 @@ export class QueryEngine {
    */
   constructor(session) {
     this.session = session;
+    this.defaults = new DefaultReasoner(session);
   }
 
   /**
@@ -93,7 +96,7 @@ export class QueryEngine {
 
     // SOURCE 3: Transitive reasoning (for isA, locatedIn, partOf, etc.)
     // Now supports 1 or 2 holes
-    if (TRANSITIVE_RELATIONS.has(operatorName) && holes.length <= 2) {
+    if (this.session.relations.isTransitive(operatorName) && holes.length <= 2) {
       const transitiveMatches = this.searchTransitive(operatorName, knowns, holes);
       // Replace HDC duplicates with transitive (transitive is more reliable)
       for (const tm of transitiveMatches) {
@@ -112,7 +115,43 @@ export class QueryEngine {
       dbg('TRANS', `Found ${transitiveMatches.length} transitive matches`);
     }
 
-    // Source 3: Rule-derived results
+    // SOURCE 4: Interval algebra (before, during, overlaps, ...)
+    if (isTemporalRelation(operatorName) && holes.length === 1 && knowns.length === 1) {
+      const temporalMatches = this.searchTemporal(operatorName, knowns[0], holes[0]);
+      for (const tm of temporalMatches) {
+        const existingIdx = allResults.findIndex(r =>
+          this.sameBindings(r.bindings, tm.bindings, holes)
+        );
+        if (existingIdx >= 0) {
+          if (allResults[existingIdx].method === 'hdc') {
+            allResults[existingIdx] = tm;
+          }
+        } else {
+          allResults.push(tm);
+        }
+      }
+      dbg('TEMPORAL', `Found ${temporalMatches.length} interval matches`);
+    }
+
+    // SOURCE 5: Symmetric, reflexive and inverse relations (siblingOf, equals, ...)
+    if (knowns.length + holes.length === 2) {
+      const propertyMatches = this.searchRelationProperties(operatorName, knowns, holes);
+      for (const pm of propertyMatches) {
+        const existingIdx = allResults.findIndex(r =>
+          this.sameBindings(r.bindings, pm.bindings, holes)
+        );
+        if (existingIdx >= 0) {
+          if (allResults[existingIdx].method === 'hdc') {
+            allResults[existingIdx] = pm;
+          }
+        } else {
+          allResults.push(pm);
+        }
+      }
+      dbg('PROPS', `Found ${propertyMatches.length} symmetric/reflexive/inverse matches`);
+    }
+
+    // SOURCE 6: Rule-derived results
     const ruleMatches = this.searchViaRules(operatorName, knowns, holes);
     for (const rm of ruleMatches) {
       const exists = allResults.some(r =>
@@ -124,6 +163,16 @@ export class QueryEngine {
     }
     dbg('RULES', `Found ${ruleMatches.length} rule-derived matches`);
 
+    // SOURCE 7: Defaults (normally / except) - "canFly ?x"
+    const defaultMatches = this.searchDefaults(operatorName, knowns, holes);
+    for (const dm of defaultMatches) {
+      const exists = allResults.some(r => this.sameBindings(r.bindings, dm.bindings, holes));
+      if (!exists) {
+        allResults.push(dm);
+      }
+    }
+    dbg('DEFAULTS', `Found ${defaultMatches.length} default matches`);
+
     // Filter out type classes for modal operators (can, must, cannot)
     // Only apply to operators where we expect individual entities, not type classes
     const modalOps = new Set(['can', 'must', 'cannot', 'hasStatus']);
@@ -158,7 +207,7 @@ export class QueryEngine {
     });
 
     // Sort by: 1) method priority (direct > transitive > hdc > rule), 2) score
-    const methodPriority = { direct: 4, transitive: 3, rule_derived: 2, hdc: 1 };
+    const methodPriority = { direct: 4, transitive: 3, temporal: 3, symmetric: 3, reflexive: 3, inverse: 3, rule_derived: 2, default: 2, hdc: 1 };
     nonNegatedResults.sort((a, b) => {
       const pa = methodPriority[a.method] || 0;
       const pb = methodPriority[b.method] || 0;
@@ -318,23 +367,21 @@ export class QueryEngine {
     // Build partial vector (everything except holes)
     let partial = operatorVec;
     for (const known of knowns) {
-      const posVec = getPositionVector(known.index, this.session.geometry);
+      const posVec = getPositionVector(known.index, this.session.geometry, this.session.hdc.strategyId);
       partial = bind(partial, bind(known.vector, posVec));
     }
 
-    // Bundle all KB facts into single KB vector
-    const factVectors = this.session.kbFacts.map(f => f.vector).filter(v => v);
-    if (factVectors.length === 0) return results;
-
-    const kbBundle = bundle(factVectors);
+    // KB superposition, kept incrementally by the session
+    const kbBundle = this.session.kb;
+    if (!kbBundle) return results;
 
-    // Master Equation: Answer = KB ⊕ Query⁻¹ (for XOR: unbind = bind)
+    // Master Equation: Answer = KB ⊕ Query⁻¹ (unbind is the strategy's inverse)
     const answer = unbind(kbBundle, partial);
 
     // For single hole - extract directly
     if (holes.length === 1) {
       const hole = holes[0];
-      const posVec = getPositionVector(hole.index, this.session.geometry);
+      const posVec = getPositionVector(hole.index, this.session.geometry, this.session.hdc.strategyId);
       const candidate = unbind(answer, posVec);
 
       // Find top K matches in vocabulary
@@ -370,7 +417,7 @@ export class QueryEngine {
       // For each combination of top candidates per hole
       const holeCandidates = [];
       for (const hole of holes) {
-        const posVec = getPositionVector(hole.index, this.session.geometry);
+        const posVec = getPositionVector(hole.index, this.session.geometry, this.session.hdc.strategyId);
         const candidate = unbind(answer, posVec);
         const matches = topKSimilar(candidate, this.session.vocabulary.atoms, 5);
         holeCandidates.push({
@@ -487,6 +534,135 @@ export class QueryEngine {
     return results;
   }
 
+  /**
+   * Search via symmetric, reflexive and inverse relation properties
+   * Symmetric: "R ?x B" matches a stored "R B x" (with 1 or 2 holes)
+   * Reflexive: "R A ?x" binds ?x to A (1 hole only)
+   * Inverse:   "R ?x B" matches a stored "S B x" when `inverseOf R S`
+   */
+  searchRelationProperties(operatorName, knowns, holes) {
+    const results = [];
+    const relations = this.session.relations;
+
+    if (relations.isSymmetric(operatorName)) {
+      for (const fact of this.session.kbFacts) {
+        const meta = fact.metadata;
+        if (!meta || meta.operator !== operatorName) continue;
+        if (!meta.args || meta.args.length !== 2 || meta.args[0] === meta.args[1]) continue;
+
+        const swapped = [meta.args[1], meta.args[0]];
+        if (knowns.some(known => swapped[known.index - 1] !== known.name)) continue;
+
+        const stored = `${operatorName} ${meta.args.join(' ')}`;
+        const steps = [
+          { operation: 'symmetric_fact', fact: stored },
+          { operation: 'symmetric', fact: `${operatorName} ${swapped.join(' ')}`, from: stored }
+        ];
+        const factBindings = new Map();
+        for (const hole of holes) {
+          factBindings.set(hole.name, {
+            answer: swapped[hole.index - 1],
+            similarity: 0.9,
+            method: 'symmetric',
+            steps
+          });
+        }
+
+        results.push({
+          bindings: factBindings,
+          score: 0.9,
+          factName: fact.name,
+          method: 'symmetric'
+        });
+      }
+    }
+
+    if (relations.inversesOf(operatorName).length > 0) {
+      for (const fact of this.session.kbFacts) {
+        const meta = fact.metadata;
+        if (!meta || meta.operator === operatorName) continue;
+        const oriented = relations.orient(operatorName, meta);
+        if (!oriented) continue;
+        if (knowns.some(known => oriented[known.index - 1] !== known.name)) continue;
+
+        const stored = `${meta.operator} ${meta.args.join(' ')}`;
+        const steps = [
+          { operation: 'inverse_fact', fact: stored },
+          { operation: 'inverse', fact: `${operatorName} ${oriented.join(' ')}`, from: stored }
+        ];
+        const factBindings = new Map();
+        for (const hole of holes) {
+          factBindings.set(hole.name, {
+            answer: oriented[hole.index - 1],
+            similarity: 0.9,
+            method: 'inverse',
+            steps
+          });
+        }
+
+        results.push({
+          bindings: factBindings,
+          score: 0.9,
+          factName: fact.name,
+          method: 'inverse'
+        });
+      }
+    }
+
+    if (relations.isReflexive(operatorName) && holes.length === 1) {
+      const self = knowns[0].name;
+      const factBindings = new Map();
+      factBindings.set(holes[0].name, {
+        answer: self,
+        similarity: 1.0,
+        method: 'reflexive',
+        steps: [{ operation: 'reflexive', fact: `${operatorName} ${self} ${self}` }]
+      });
+
+      results.push({
+        bindings: factBindings,
+        score: 1.0,
+        method: 'reflexive'
+      });
+    }
+
+    return results;
+  }
+
+  /**
+   * Search via defaults: the subject is the only hole, e.g. "canFly ?x"
+   * Entities whose default is overridden by an exception are left out, and
+   * so are categories (type classes) that only carry the default.
+   */
+  searchDefaults(operatorName, knowns, holes) {
+    if (holes.length !== 1 || holes[0].index !== 1) return [];
+
+    const values = knowns.slice().sort((a, b) => a.index - b.index).map(k => k.name);
+    const results = [];
+
+    for (const { subject, decision } of this.defaults.findCovered(operatorName, values)) {
+      if (!decision.holds || this.isTypeClass(subject)) continue;
+
+      const factBindings = new Map();
+      factBindings.set(holes[0].name, {
+        answer: subject,
+        similarity: DEFEASIBLE_CONFIDENCE,
+        method: 'default',
+        steps: decision.steps,
+        explanation: decision.explanation
+      });
+
+      results.push({
+        bindings: factBindings,
+        score: DEFEASIBLE_CONFIDENCE,
+        method: 'default',
+        defeasible: true
+      });
+    }
+
+    return results;
+  }
+
   /**
    * Search via transitive reasoning
    * Handles 1, 2, or more holes
@@ -572,6 +748,33 @@ export class QueryEngine {
     return results;
   }
 
+  /**
+   * Search the interval closure: "before ?x Crash" or "during Outage ?x"
+   * @param {string} operatorName - Interval relation
+   * @param {Object} known - Known argument {name, index}
+   * @param {Object} hole - Hole {name}
+   * @returns {Array} Results
+   */
+  searchTemporal(operatorName, known, hole) {
+    const network = temporalNetwork(this.session);
+    const [a, b] = known.index === 1 ? [known.name, null] : [null, known.name];
+    const results = [];
+
+    for (const answer of network.candidates(operatorName, a, b)) {
+      const [first, second] = [a ?? answer, b ?? answer];
+      const chain = network.explain(first, maskOf(operatorName), second);
+      const factBindings = new Map();
+      factBindings.set(hole.name, {
+        answer,
+        similarity: 0.85,
+        method: 'temporal',
+        steps: (chain || []).map(stated => stated.fact)
+      });
+      results.push({ bindings: factBindings, score: 0.85, method: 'temporal' });
+    }
+    return results;
+  }
+
   /**
    * Find all transitive pairs (subject, target) for a relation
    */
@@ -582,9 +785,9 @@ export class QueryEngine {
     // Start from all subjects
     const allSubjects = new Set();
     for (const fact of this.session.kbFacts) {
-      const meta = fact.metadata;
-      if (meta?.operator === relation && meta.args) {
-        allSubjects.add(meta.args[0]);
+      const args = this.session.relations.orient(relation, fact.metadata);
+      if (args) {
+        allSubjects.add(args[0]);
       }
     }
 
@@ -622,13 +825,12 @@ export class QueryEngine {
       if (visited.has(current)) continue;
       visited.add(current);
 
-      // Find direct relations
+      // Find direct relations (inverse facts count, read backwards)
       for (const fact of this.session.kbFacts) {
-        const meta = fact.metadata;
-        if (!meta || meta.operator !== relation) continue;
-        if (!meta.args || meta.args[0] !== current) continue;
+        const args = this.session.relations.orient(relation, fact.metadata);
+        if (!args || args[0] !== current) continue;
 
-        const target = meta.args[1];
+        const target = args[1];
         if (!visited.has(target)) {
           const newSteps = [...steps, `${relation} ${current} ${target}`];
           targets.push({ value: target, depth: depth + 1, steps: newSteps });
@@ -650,12 +852,11 @@ export class QueryEngine {
     // Build reverse graph first
     const reverseEdges = new Map(); // target -> [sources]
     for (const fact of this.session.kbFacts) {
-      const meta = fact.metadata;
-      if (!meta || meta.operator !== relation) continue;
-      if (!meta.args) continue;
+      const args = this.session.relations.orient(relation, fact.metadata);
+      if (!args) continue;
 
-      const src = meta.args[0];
-      const tgt = meta.args[1];
+      const src = args[0];
+      const tgt = args[1];
       if (!reverseEdges.has(tgt)) {
         reverseEdges.set(tgt, []);
       }
@@ -776,12 +977,17 @@ export class QueryEngine {
   }
 
   /**
-   * Check if a fact is explicitly negated in KB
+   * Check if a fact is explicitly negated in KB, or excluded by a stored
+   * exclusive value or disjoint type
    * @param {string} operator - Fact operator
    * @param {Array} args - Fact arguments
    * @returns {boolean} True if negated
    */
   isFactNegated(operator, args) {
+    if (findExclusion(this.session, operator, args)) {
+      return true;
+    }
+
     for (const fact of this.session.kbFacts) {
       const meta = fact.metadata;
       if (meta?.operator !== 'Not') continue;
@@ -790,8 +996,10 @@ export class QueryEngine {
       const refName = meta.args?.[0]?.replace('$', '');
       if (!refName) continue;
 
-      // Look up what that reference points to
-      const refText = this.session.referenceTexts?.get(refName);
+      // Look up what that reference points to (inline compounds carry their own text)
+      const refText = refName.startsWith('(')
+        ? refName.slice(1, -1)
+        : this.session.referenceTexts?.get(refName);
       if (!refText) continue;
 
       // Check if it matches our fact
@@ -931,7 +1139,7 @@ export class QueryEngine {
     }
 
     // For transitive relations, also find entities that match via chains
-    if (TRANSITIVE_RELATIONS.has(condOp) && condArgs.length === 2) {
+    if (this.session.relations.isTransitive(condOp) && condArgs.length === 2) {
       const arg0 = condArgs[0];
       const arg1 = condArgs[1];
 
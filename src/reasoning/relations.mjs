@@ -0,0 +1,381 @@
+/**
+ * AGISystem2 - Relation Properties Module
+ * @module reasoning/relations
+ *
+ * Tracks which relations are transitive, symmetric, reflexive or asymmetric,
+ * which pairs are inverses of each other and which are closed-world
+ * (`closedWorld R`: whatever cannot be proved is false), and proves goals that
+ * follow from them:
+ *   symmetric:  R(A,B) => R(B,A)
+ *   reflexive:  R(A,A) is always true
+ *   inverse:    R(A,B) <=> S(B,A) after `inverseOf R S`
+ *   asymmetric: R(A,B) and R(B,A) contradict each other
+ *
+ * Core properties come from config/Core/00-relations.sys2. Each session adds
+ * to them whenever a fact such as `@siblingOf:siblingOf __SymmetricRelation`
+ * or `inverseOf parent child` enters its KB.
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * Marker operators and the property each one declares
+ */
+export const RELATION_PROPERTY_OPERATORS = Object.freeze({
+  __TransitiveRelation: 'transitive',
+  __SymmetricRelation: 'symmetric',
+  __ReflexiveRelation: 'reflexive',
+  __AsymmetricRelation: 'asymmetric'
+});
+
+/**
+ * Operators that declare two relations inverse: `inverseOf parent child`
+ */
+export const INVERSE_OPERATORS = new Set(['inverseOf', '__InverseOf']);
+
+/**
+ * Operators that declare a relation closed-world: `closedWorld hasPermission`
+ */
+export const CLOSED_WORLD_OPERATORS = new Set(['closedWorld', '__ClosedWorld']);
+
+const DEFAULT_RELATION_PROPERTIES = {
+  transitive: [
+    'isA', 'locatedIn', 'partOf', 'subclassOf', 'containedIn',
+    'before', 'after', 'causes', 'appealsTo', 'leadsTo', 'enables'
+  ],
+  symmetric: ['siblingOf', 'marriedTo', 'near', 'adjacent'],
+  reflexive: ['equals', 'sameAs'],
+  asymmetric: ['before', 'after', 'ancestorOf', 'descendantOf']
+};
+
+const DEFAULT_INVERSES = [['before', 'after'], ['ancestorOf', 'descendantOf']];
+
+/**
+ * Record an inverse pair in both directions
+ * @param {Map<string, Set<string>>} inverses - Relation → inverse relations
+ * @param {string} relation
+ * @param {string} inverse
+ */
+function addInverse(inverses, relation, inverse) {
+  if (!inverses.has(relation)) inverses.set(relation, new Set());
+  if (!inverses.has(inverse)) inverses.set(inverse, new Set());
+  inverses.get(relation).add(inverse);
+  inverses.get(inverse).add(relation);
+}
+
+/**
+ * Load relation properties from config file
+ * Falls back to defaults for any property the config does not declare
+ * @returns {{transitive: Set<string>, symmetric: Set<string>, reflexive: Set<string>,
+ *   asymmetric: Set<string>, inverse: Map<string, Set<string>>}}
+ */
+function loadRelationProperties() {
+  const properties = {};
+  for (const property of Object.values(RELATION_PROPERTY_OPERATORS)) {
+    properties[property] = new Set();
+  }
+  properties.inverse = new Map();
+
+  try {
+    // Try to find config file relative to this module
+    const __filename = fileURLToPath(import.meta.url);
+    const __dirname = dirname(__filename);
+    const configPath = join(__dirname, '../../config/Core/00-relations.sys2');
+
+    if (existsSync(configPath)) {
+      const content = readFileSync(configPath, 'utf-8');
+
+      // Parse lines like "@isA:isA __TransitiveRelation"
+      for (const line of content.split('\n')) {
+        const match = line.match(/@(\w+):\w+\s+(__\w+Relation)/);
+        const property = match && RELATION_PROPERTY_OPERATORS[match[2]];
+        if (property) {
+          properties[property].add(match[1]);
+        }
+
+        // ... and "inverseOf before after"
+        const inverse = line.match(/^\s*(inverseOf|__InverseOf)\s+(\w+)\s+(\w+)/);
+        if (inverse) {
+          addInverse(properties.inverse, inverse[2], inverse[3]);
+        }
+      }
+    }
+  } catch (e) {
+    // Unreadable config: defaults below
+  }
+
+  for (const [property, names] of Object.entries(DEFAULT_RELATION_PROPERTIES)) {
+    if (properties[property].size === 0) {
+      properties[property] = new Set(names);
+    }
+  }
+  if (properties.inverse.size === 0) {
+    for (const [relation, inverse] of DEFAULT_INVERSES) {
+      addInverse(properties.inverse, relation, inverse);
+    }
+  }
+  return properties;
+}
+
+/**
+ * Relation properties declared in config/Core/00-relations.sys2
+ */
+export const CORE_RELATION_PROPERTIES = loadRelationProperties();
+
+/**
+ * Per-session registry of relation properties
+ * Core properties are always present; KB declarations are added on top.
+ */
+export class RelationProperties {
+  constructor() {
+    this.declared = {};
+    for (const property of Object.values(RELATION_PROPERTY_OPERATORS)) {
+      this.declared[property] = new Set();
+    }
+    this.declared.inverse = new Map();
+    this.declared.closedWorld = new Set();
+  }
+
+  /**
+   * Record a declaration if the fact is one
+   * Accepts `@R:R __SymmetricRelation` (name), `__SymmetricRelation R` (argument),
+   * `inverseOf R S` and `closedWorld R`.
+   * @param {string|null} name - Fact name (persistName)
+   * @param {Object|null} metadata - Fact metadata {operator, args}
+   * @returns {boolean} True if the fact declared a property
+   */
+  observe(name, metadata) {
+    if (INVERSE_OPERATORS.has(metadata?.operator)) {
+      const [relation, inverse] = metadata.args || [];
+      if (!relation || !inverse) return false;
+      addInverse(this.declared.inverse, relation, inverse);
+      return true;
+    }
+
+    if (CLOSED_WORLD_OPERATORS.has(metadata?.operator)) {
+      const relation = metadata.args?.[0];
+      if (!relation) return false;
+      this.declared.closedWorld.add(relation);
+      return true;
+    }
+
+    const property = metadata?.operator && RELATION_PROPERTY_OPERATORS[metadata.operator];
+    if (!property) return false;
+
+    const relation = name || metadata.args?.[0];
+    if (!relation) return false;
+
+    this.declared[property].add(relation);
+    return true;
+  }
+
+  /**
+   * Recompute declarations from scratch (after facts are retracted)
+   * @param {Object[]} kbFacts - Session facts
+   */
+  rebuild(kbFacts) {
+    for (const declared of Object.values(this.declared)) {
+      declared.clear();
+    }
+    for (const fact of kbFacts) {
+      this.observe(fact.name, fact.metadata);
+    }
+  }
+
+  /**
+   * Check a relation property
+   * @param {string} property - 'transitive', 'symmetric', 'reflexive', 'asymmetric'
+   *   or 'closedWorld'
+   * @param {string} relation - Relation (operator) name
+   * @returns {boolean}
+   */
+  has(property, relation) {
+    return CORE_RELATION_PROPERTIES[property]?.has(relation) ||
+      this.declared[property]?.has(relation) || false;
+  }
+
+  isTransitive(relation) {
+    return this.has('transitive', relation);
+  }
+
+  isSymmetric(relation) {
+    return this.has('symmetric', relation);
+  }
+
+  isReflexive(relation) {
+    return this.has('reflexive', relation);
+  }
+
+  /**
+   * Check whether R(A,B) and R(B,A) contradict each other
+   * A relation is asymmetric when it, or one of its inverses, is declared so;
+   * having an inverse alone (marriedTo/spouseOf) does not make it asymmetric.
+   * @param {string} relation - Relation name
+   * @returns {boolean}
+   */
+  isAsymmetric(relation) {
+    return this.has('asymmetric', relation) ||
+      this.inversesOf(relation).some(inverse => this.has('asymmetric', inverse));
+  }
+
+  isClosedWorld(relation) {
+    return this.has('closedWorld', relation);
+  }
+
+  /**
+   * Relations declared inverse to a relation
+   * @param {string} relation - Relation name
+   * @returns {string[]}
+   */
+  inversesOf(relation) {
+    const inverses = new Set(CORE_RELATION_PROPERTIES.inverse.get(relation));
+    for (const inverse of this.declared.inverse.get(relation) || []) {
+      inverses.add(inverse);
+    }
+    return [...inverses];
+  }
+
+  /**
+   * Check whether two relations are declared inverses
+   * @param {string} relation
+   * @param {string} other
+   * @returns {boolean}
+   */
+  isInverse(relation, other) {
+    return CORE_RELATION_PROPERTIES.inverse.get(relation)?.has(other) ||
+      this.declared.inverse.get(relation)?.has(other) || false;
+  }
+
+  /**
+   * Read a fact as an instance of a relation, directly or through an inverse
+   * E.g. with `inverseOf parent child`, `child Bob Ann` reads as parent [Ann, Bob].
+   * @param {string} relation - Relation to read the fact as
+   * @param {Object|null} metadata - Fact metadata {operator, args}
+   * @returns {string[]|null} Arguments in the relation's direction, or null
+   */
+  orient(relation, metadata) {
+    if (!metadata?.args) return null;
+    if (metadata.operator === relation) return metadata.args;
+    if (metadata.args.length === 2 && this.isInverse(relation, metadata.operator)) {
+      return [metadata.args[1], metadata.args[0]];
+    }
+    return null;
+  }
+}
+
+/**
+ * Symmetric, reflexive and inverse reasoning engine
+ */
+export class RelationPropertyReasoner {
+  constructor(proofEngine) {
+    this.engine = proofEngine;
+  }
+
+  get session() {
+    return this.engine.session;
+  }
+
+  /**
+   * Try to prove a goal from the properties of its relation
+   * Goals stored verbatim in the KB are left to the direct match.
+   * @param {Object} goal - Goal statement
+   * @returns {Object} Proof result
+   */
+  tryRelationProperties(goal) {
+    const operatorName = this.engine.extractOperatorName(goal);
+    if (!operatorName || !goal.args || goal.args.length !== 2) {
+      return { valid: false };
+    }
+    const relations = this.session.relations;
+    if (!relations.isSymmetric(operatorName) && !relations.isReflexive(operatorName) &&
+        relations.inversesOf(operatorName).length === 0) {
+      return { valid: false };
+    }
+
+    const subjectName = this.engine.extractArgName(goal.args[0]);
+    const objectName = this.engine.extractArgName(goal.args[1]);
+    if (!subjectName || !objectName) {
+      return { valid: false };
+    }
+
+    const condStr = `${operatorName} ${subjectName} ${objectName}`;
+    if (this.engine.kbMatcher.findMatchingFact(condStr).found) {
+      return { valid: false };
+    }
+
+    const result = this.tryForCondition(condStr);
+    if (result.valid) {
+      result.goal = goal.toString();
+    }
+    return result;
+  }
+
+  /**
+   * Try reflexive, symmetric and inverse reasoning for a condition string
+   * @param {string} condStr - Condition string "op subject target"
+   * @returns {Object} Proof result
+   */
+  tryForCondition(condStr) {
+    const parts = condStr.split(/\s+/);
+    if (parts.length !== 3) return { valid: false };
+
+    const [op, subject, target] = parts;
+    const relations = this.session.relations;
+
+    if (subject === target && relations.isReflexive(op)) {
+      this.engine.logStep('reflexive', condStr);
+      return {
+        valid: true,
+        method: 'reflexive',
+        confidence: 1.0,
+        steps: [{ operation: 'reflexive', fact: condStr }]
+      };
+    }
+
+    if (relations.isSymmetric(op) && subject !== target) {
+      const converse = `${op} ${target} ${subject}`;
+      let support = null;
+
+      const match = this.engine.kbMatcher.findMatchingFact(converse);
+      if (match.found) {
+        support = { confidence: match.confidence, steps: [{ operation: 'symmetric_fact', fact: converse }] };
+      } else if (relations.isTransitive(op)) {
+        const chain = this.engine.transitive.tryTransitiveForCondition(converse);
+        if (chain.valid) {
+          support = { confidence: chain.confidence, steps: chain.steps || [] };
+        }
+      }
+
+      if (support) {
+        this.engine.logStep('symmetric', condStr);
+        return {
+          valid: true,
+          method: 'symmetric',
+          confidence: support.confidence,
+          steps: [...support.steps, { operation: 'symmetric', fact: condStr, from: converse }]
+        };
+      }
+    }
+
+    for (const inverse of relations.inversesOf(op)) {
+      const converse = `${inverse} ${target} ${subject}`;
+      const match = this.engine.kbMatcher.findMatchingFact(converse);
+      if (match.found) {
+        this.engine.logStep('inverse', condStr);
+        return {
+          valid: true,
+          method: 'inverse',
+          confidence: match.confidence,
+          steps: [
+            { operation: 'inverse_fact', fact: converse },
+            { operation: 'inverse', fact: condStr, from: converse }
+          ]
+        };
+      }
+    }
+
+    return { valid: false };
+  }
+}
@@ -0,0 +1,513 @@
+/**
+ * AGISystem2 - Temporal Module
+ * @module reasoning/temporal
+ *
+ * Allen interval algebra over the temporal facts in the KB. Every pair of
+ * intervals carries the set of the 13 basic relations still possible between
+ * them; stated facts narrow a pair to one relation and path consistency
+ * narrows the rest through composition:
+ *
+ *   during A B, before B C   ⊢  before A C
+ *   meets A B, starts C B    ⊢  meets A C
+ *
+ * A pair left with no possible relation means the timeline is inconsistent.
+ * The composition table is derived once by enumerating interval endpoints,
+ * so it cannot drift from the definitions below.
+ */
+
+// Debug logging
+const DEBUG = process.env.SYS2_DEBUG === 'true';
+function dbg(category, ...args) {
+  if (DEBUG) console.log(`[Temporal:${category}]`, ...args);
+}
+
+/**
+ * The 13 basic relations, each followed by its converse
+ * (`simultaneous` is its own converse)
+ */
+export const ALLEN_RELATIONS = Object.freeze([
+  'before', 'after',
+  'meets', 'metBy',
+  'overlaps', 'overlappedBy',
+  'starts', 'startedBy',
+  'during', 'contains',
+  'ends', 'endedBy',
+  'simultaneous'
+]);
+
+const BIT = new Map(ALLEN_RELATIONS.map((relation, i) => [relation, 1 << i]));
+
+/**
+ * Mask of all 13 relations (nothing known about a pair)
+ */
+export const ANY = (1 << ALLEN_RELATIONS.length) - 1;
+
+const TEMPORAL_CONFIDENCE = 0.9;
+const MAX_EXPLANATION_LENGTH = 6;
+
+/**
+ * Basic relation between intervals [a1, a2] and [b1, b2]
+ * @returns {string}
+ */
+function relationBetween(a1, a2, b1, b2) {
+  if (a2 < b1) return 'before';
+  if (b2 < a1) return 'after';
+  if (a2 === b1) return 'meets';
+  if (b2 === a1) return 'metBy';
+  if (a1 === b1 && a2 === b2) return 'simultaneous';
+  if (a1 === b1) return a2 < b2 ? 'starts' : 'startedBy';
+  if (a2 === b2) return a1 > b1 ? 'ends' : 'endedBy';
+  if (a1 > b1 && a2 < b2) return 'during';
+  if (a1 < b1 && a2 > b2) return 'contains';
+  return a1 < b1 ? 'overlaps' : 'overlappedBy';
+}
+
+/**
+ * Converse and composition tables for single relations
+ * Three intervals have six endpoints, so every arrangement of them occurs
+ * among intervals over six points.
+ */
+function buildTables() {
+  const intervals = [];
+  for (let start = 0; start < 6; start++) {
+    for (let end = start + 1; end < 6; end++) intervals.push([start, end]);
+  }
+
+  const converse = new Array(ALLEN_RELATIONS.length).fill(0);
+  const composition = ALLEN_RELATIONS.map(() => new Array(ALLEN_RELATIONS.length).fill(0));
+  const index = relation => ALLEN_RELATIONS.indexOf(relation);
+
+  for (const a of intervals) {
+    for (const b of intervals) {
+      const ab = index(relationBetween(...a, ...b));
+      converse[ab] = BIT.get(relationBetween(...b, ...a));
+      for (const c of intervals) {
+        composition[ab][index(relationBetween(...b, ...c))] |= BIT.get(relationBetween(...a, ...c));
+      }
+    }
+  }
+  return { converse, composition };
+}
+
+const { converse: CONVERSE, composition: COMPOSITION } = buildTables();
+const composeCache = new Map();
+
+/**
+ * Relation names in a mask
+ * @param {number} mask
+ * @returns {string[]}
+ */
+export function relationsIn(mask) {
+  return ALLEN_RELATIONS.filter((_, i) => mask & (1 << i));
+}
+
+/**
+ * Mask of a relation name
+ * @param {string} relation
+ * @returns {number} 0 if the name is not an interval relation
+ */
+export function maskOf(relation) {
+  return BIT.get(relation) || 0;
+}
+
+/**
+ * @param {string} operator
+ * @returns {boolean} True for the 13 interval relations
+ */
+export function isTemporalRelation(operator) {
+  return BIT.has(operator);
+}
+
+/**
+ * Converse of a set of relations: R(A,B) for R in the mask ⇔ R'(B,A)
+ * @param {number} mask
+ * @returns {number}
+ */
+export function converse(mask) {
+  let result = 0;
+  for (let i = 0; i < ALLEN_RELATIONS.length; i++) {
+    if (mask & (1 << i)) result |= CONVERSE[i];
+  }
+  return result;
+}
+
+/**
+ * Composition of two sets of relations: R1(A,B), R2(B,C) ⊢ R(A,C) for R in the result
+ * @param {number} first
+ * @param {number} second
+ * @returns {number}
+ */
+export function compose(first, second) {
+  if (first === ANY || second === ANY) return ANY;
+  const key = first * (ANY + 1) + second;
+  let result = composeCache.get(key);
+  if (result !== undefined) return result;
+
+  result = 0;
+  for (let i = 0; i < ALLEN_RELATIONS.length && result !== ANY; i++) {
+    if (!(first & (1 << i))) continue;
+    for (let j = 0; j < ALLEN_RELATIONS.length; j++) {
+      if (second & (1 << j)) result |= COMPOSITION[i][j];
+    }
+  }
+  composeCache.set(key, result);
+  return result;
+}
+
+/**
+ * Constraint network over the intervals named in temporal facts
+ */
+export class TemporalNetwork {
+  constructor() {
+    this.index = new Map();   // interval -> position
+    this.intervals = [];
+    this.constraints = null;  // Uint16Array, stride × stride (stride ≥ intervals)
+    this.stride = 0;
+    this.stated = [];         // [{a, relation, b, fact}]
+    this.conflict = null;     // {a, b} once a pair has no relation left
+  }
+
+  /**
+   * Network of the interval facts among entries, propagated
+   * @param {Iterable<{operator: string, args: string[], key?: string}>} entries
+   * @returns {TemporalNetwork}
+   */
+  static fromFacts(entries) {
+    const network = new TemporalNetwork();
+    for (const { operator, args, key } of entries) {
+      if (isTemporalRelation(operator) && args?.length === 2 && args[0] && args[1]) {
+        network.state(args[0], operator, args[1], key || `${operator} ${args[0]} ${args[1]}`);
+      }
+    }
+    network.propagate();
+    return network;
+  }
+
+  /**
+   * Record a stated relation (call propagate() afterwards)
+   */
+  state(a, relation, b, fact) {
+    for (const interval of [a, b]) {
+      if (!this.index.has(interval)) {
+        this.index.set(interval, this.intervals.length);
+        this.intervals.push(interval);
+      }
+    }
+    this.stated.push({ a, relation, b, fact });
+  }
+
+  /**
+   * Path consistency (Allen's propagation algorithm)
+   * @returns {boolean} False if the stated relations cannot all hold
+   */
+  propagate() {
+    this.constraints = null;
+    this.stride = 0;
+    this.conflict = null;
+    this.reserve(this.intervals.length);
+    const result = this.narrowFrom(this.stated);
+    dbg('PROPAGATE', `${this.intervals.length} interval(s), ${this.stated.length} fact(s)`);
+    return result;
+  }
+
+  /**
+   * State one more relation on a propagated network and propagate only from it
+   * The closure of a path-consistent network plus one constraint is reached by
+   * revisiting the paths through the narrowed pairs, so earlier work is kept.
+   * @returns {boolean} False if the network is (now) inconsistent
+   */
+  add(a, relation, b, fact = `${relation} ${a} ${b}`) {
+    this.state(a, relation, b, fact);
+    if (!this.constraints) return this.propagate();
+    if (!this.consistent) return false;
+    this.reserve(this.intervals.length);
+    return this.narrowFrom([this.stated[this.stated.length - 1]]);
+  }
+
+  /**
+   * Grow the constraint matrix to hold n intervals (capacity doubles)
+   * @param {number} n
+   */
+  reserve(n) {
+    if (this.constraints && n <= this.stride) return;
+    const stride = Math.max(n, this.stride * 2, 8);
+    const c = new Uint16Array(stride * stride).fill(ANY);
+    for (let i = 0; i < this.stride; i++) {
+      c.set(this.constraints.subarray(i * this.stride, (i + 1) * this.stride), i * stride);
+    }
+    for (let i = this.stride; i < stride; i++) c[i * stride + i] = BIT.get('simultaneous');
+    this.constraints = c;
+    this.stride = stride;
+  }
+
+  /**
+   * Narrow the stated relations and propagate until nothing changes
+   * @param {Object[]} stated - Relations to apply
+   * @returns {boolean} False on a conflict
+   */
+  narrowFrom(stated) {
+    const n = this.intervals.length;
+    const stride = this.stride;
+    const c = this.constraints;
+    const queue = [];
+    const queued = new Set();
+    const enqueue = (i, j) => {
+      const key = i * stride + j;
+      if (!queued.has(key)) {
+        queued.add(key);
+        queue.push([i, j]);
+      }
+    };
+    const narrow = (i, j, mask) => {
+      const current = c[i * stride + j];
+      const next = current & mask;
+      if (next === current) return true;
+      c[i * stride + j] = next;
+      c[j * stride + i] = converse(next);
+      if (next === 0) {
+        this.conflict = { a: this.intervals[i], b: this.intervals[j] };
+        return false;
+      }
+      enqueue(i, j);
+      return true;
+    };
+
+    for (const { a, relation, b } of stated) {
+      if (!narrow(this.index.get(a), this.index.get(b), BIT.get(relation))) return this.failed();
+    }
+
+    while (queue.length > 0) {
+      const [i, j] = queue.shift();
+      queued.delete(i * stride + j);
+      const ij = c[i * stride + j];
+      for (let k = 0; k < n; k++) {
+        if (k === i || k === j) continue;
+        if (!narrow(i, k, compose(ij, c[j * stride + k]))) return this.failed();
+        if (!narrow(k, j, compose(c[k * stride + i], ij))) return this.failed();
+      }
+    }
+    return true;
+  }
+
+  failed() {
+    dbg('CONFLICT', `${this.conflict.a} / ${this.conflict.b}`);
+    return false;
+  }
+
+  get consistent() {
+    return this.conflict === null;
+  }
+
+  /**
+   * Relations still possible between two intervals
+   * @param {string} a
+   * @param {string} b
+   * @returns {number} Mask; ANY for intervals not in the network
+   */
+  relation(a, b) {
+    const i = this.index.get(a);
+    const j = this.index.get(b);
+    if (i === undefined || j === undefined) return a === b ? BIT.get('simultaneous') : ANY;
+    return this.constraints[i * this.stride + j];
+  }
+
+  /**
+   * @returns {boolean} True if every relation the network allows between a and b is in the mask
+   */
+  entails(a, mask, b) {
+    const possible = this.relation(a, b);
+    return possible !== 0 && (possible & ~mask) === 0;
+  }
+
+  /**
+   * @returns {boolean} True if the network rules out every relation in the mask between a and b
+   */
+  excludes(a, mask, b) {
+    return this.consistent && (this.relation(a, b) & mask) === 0;
+  }
+
+  /**
+   * Intervals x for which the network entails `relation x b` (or `relation a x`)
+   * @param {string} relation
+   * @param {string|null} a - Known first interval, or null for a hole
+   * @param {string|null} b - Known second interval, or null for a hole
+   * @returns {string[]}
+   */
+  candidates(relation, a, b) {
+    const mask = maskOf(relation);
+    if (!mask || !this.consistent) return [];
+    return this.intervals.filter(x => (a ?? x) !== (b ?? x) &&
+      this.entails(a ?? x, mask, b ?? x));
+  }
+
+  /**
+   * Shortest chain of stated facts from a to b whose composition lies in the mask
+   * @param {string} a
+   * @param {number} mask
+   * @param {string} b
+   * @returns {Object[]|null} Stated facts in order, or null if no short chain
+   *   explains it (path consistency may combine several chains)
+   */
+  explain(a, mask, b) {
+    const edges = new Map();
+    const link = (from, to, relationMask, fact) => {
+      if (!edges.has(from)) edges.set(from, []);
+      edges.get(from).push({ to, mask: relationMask, fact });
+    };
+    for (const stated of this.stated) {
+      link(stated.a, stated.b, BIT.get(stated.relation), stated);
+      link(stated.b, stated.a, CONVERSE[ALLEN_RELATIONS.indexOf(stated.relation)], stated);
+    }
+
+    const queue = [{ node: a, mask: BIT.get('simultaneous'), chain: [] }];
+    const seen = new Set([`${a}:${queue[0].mask}`]);
+    while (queue.length > 0) {
+      const { node, mask: sofar, chain } = queue.shift();
+      if (chain.length >= MAX_EXPLANATION_LENGTH) continue;
+      for (const edge of edges.get(node) || []) {
+        if (chain.includes(edge.fact)) continue;
+        const next = compose(sofar, edge.mask);
+        if (next === ANY) continue;
+        const nextChain = [...chain, edge.fact];
+        if (edge.to === b && (next & ~mask) === 0) return nextChain;
+        const key = `${edge.to}:${next}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        queue.push({ node: edge.to, mask: next, chain: nextChain });
+      }
+    }
+    return null;
+  }
+}
+
+const networks = new WeakMap(); // kbFacts array -> {size, network}
+
+/**
+ * Interval facts among KB entries
+ * @param {Object[]} facts - kbFacts entries
+ * @returns {Array<{operator: string, args: string[]}>}
+ */
+function temporalEntries(facts) {
+  return facts
+    .filter(f => isTemporalRelation(f.metadata?.operator))
+    .map(f => ({ operator: f.metadata.operator, args: f.metadata.args }));
+}
+
+/**
+ * Propagated network of a session's interval facts
+ * Facts appended to the KB since the last call are added incrementally;
+ * a replaced fact list (retraction, unload) is propagated from scratch.
+ * @param {Session} session
+ * @returns {TemporalNetwork}
+ */
+export function temporalNetwork(session) {
+  const facts = session.kbFacts;
+  const cached = networks.get(facts);
+  if (cached && cached.size === facts.length) return cached.network;
+
+  if (cached && cached.size < facts.length) {
+    for (const { operator, args } of temporalEntries(facts.slice(cached.size))) {
+      if (args?.length === 2 && args[0] && args[1]) {
+        cached.network.add(args[0], operator, args[1]);
+      }
+    }
+    cached.size = facts.length;
+    return cached.network;
+  }
+
+  const network = TemporalNetwork.fromFacts(temporalEntries(facts));
+  networks.set(facts, { size: facts.length, network });
+  return network;
+}
+
+/**
+ * Proof steps for a chain of stated facts
+ * @param {Object[]} chain
+ * @returns {Object[]}
+ */
+function chainSteps(chain) {
+  return chain.map(stated => ({ operation: 'temporal_fact', fact: stated.fact }));
+}
+
+/**
+ * Interval algebra proofs and refutations
+ */
+export class TemporalReasoner {
+  constructor(proofEngine) {
+    this.engine = proofEngine;
+  }
+
+  get session() {
+    return this.engine.session;
+  }
+
+  /**
+   * Interval relation and arguments of a goal
+   * @param {Statement} goal
+   * @returns {{relation: string, a: string, b: string}|null}
+   */
+  goalParts(goal) {
+    const relation = this.engine.extractOperatorName(goal);
+    if (!isTemporalRelation(relation) || goal.args?.length !== 2) return null;
+    const a = this.engine.extractArgName(goal.args[0]);
+    const b = this.engine.extractArgName(goal.args[1]);
+    return a && b ? { relation, a, b } : null;
+  }
+
+  /**
+   * Prove an interval relation the timeline entails
+   * @param {Statement} goal
+   * @returns {Object} Proof result
+   */
+  tryTemporalProof(goal) {
+    const parts = this.goalParts(goal);
+    if (!parts) return { valid: false };
+
+    const network = temporalNetwork(this.session);
+    const { relation, a, b } = parts;
+    if (!network.consistent || !network.index.has(a) || !network.entails(a, maskOf(relation), b)) {
+      return { valid: false };
+    }
+
+    const fact = `${relation} ${a} ${b}`;
+    const chain = network.explain(a, maskOf(relation), b);
+    dbg('PROVE', fact, chain ? `via ${chain.length} fact(s)` : 'via closure');
+    return {
+      valid: true,
+      method: 'temporal_composition',
+      confidence: TEMPORAL_CONFIDENCE,
+      goal: fact,
+      steps: [
+        ...(chain ? chainSteps(chain) : []),
+        { operation: 'temporal_composition', fact, detail: chain ? 'composed interval relations' : 'interval closure' }
+      ]
+    };
+  }
+
+  /**
+   * Refutation of an interval relation the timeline rules out
+   * @param {Statement} goal
+   * @returns {Object[]|null} Steps, or null if the goal is not refuted
+   */
+  refute(goal) {
+    const parts = this.goalParts(goal);
+    if (!parts) return null;
+
+    const network = temporalNetwork(this.session);
+    const { relation, a, b } = parts;
+    if (!network.index.has(a) || !network.excludes(a, maskOf(relation), b)) return null;
+
+    const possible = network.relation(a, b);
+    const chain = network.explain(a, possible, b);
+    return [
+      ...(chain ? chainSteps(chain) : []),
+      {
+        operation: 'temporal_conflict',
+        fact: `${relation} ${a} ${b}`,
+        detail: `timeline allows only ${relationsIn(possible).join(', ')}`
+      }
+    ];
+  }
+}
+
+export default TemporalReasoner;
@@ -0,0 +1,184 @@
+/**
+ * AGISystem2 - Truth Maintenance Module
+ * @module reasoning/tms
+ *
+ * Justification graph for derived conclusions. Each justification records
+ * the stored facts and rules one successful derivation used; a conclusion is
+ * supported while at least one of its justifications is intact. Retracting a
+ * premise removes every justification that used it, and conclusions left
+ * without support are retracted in turn.
+ *
+ * Nodes are fact strings ("isA Rex Dog") and rule keys ("rule:r1").
+ */
+
+/**
+ * Node key of a rule
+ * @param {Object} rule - Tracked rule
+ * @returns {string}
+ */
+export function ruleKey(rule) {
+  return `rule:${rule.name || rule.source}`;
+}
+
+/**
+ * Fact string of KB fact metadata
+ * @param {Object|null} metadata - Fact metadata {operator, args}
+ * @returns {string|null}
+ */
+export function factKey(metadata) {
+  if (!metadata?.operator || !Array.isArray(metadata.args)) return null;
+  return [metadata.operator, ...metadata.args].join(' ');
+}
+
+/**
+ * Justification graph
+ */
+export class JustificationGraph {
+  constructor() {
+    this.justifications = new Map(); // conclusion -> [{premises: Set, method}]
+    this.dependants = new Map();     // premise -> Set of conclusions
+  }
+
+  /**
+   * Record that premises jointly support a conclusion
+   * @param {string} conclusion - Derived fact string
+   * @param {string[]} premises - Fact strings and rule keys used
+   * @param {string} method - How the conclusion was derived
+   * @returns {boolean} False if the justification was already known or empty
+   */
+  justify(conclusion, premises, method = null) {
+    const own = new Set(premises.filter(p => p && p !== conclusion));
+    if (own.size === 0) return false;
+
+    const existing = this.justifications.get(conclusion) || [];
+    const same = existing.some(j => j.premises.size === own.size &&
+      [...own].every(p => j.premises.has(p)));
+    if (same) return false;
+
+    existing.push({ premises: own, method });
+    this.justifications.set(conclusion, existing);
+    for (const premise of own) {
+      if (!this.dependants.has(premise)) this.dependants.set(premise, new Set());
+      this.dependants.get(premise).add(conclusion);
+    }
+    return true;
+  }
+
+  /**
+   * Justifications recorded for a conclusion
+   * @param {string} conclusion
+   * @returns {Array<{premises: Set<string>, method: string}>}
+   */
+  supportOf(conclusion) {
+    return this.justifications.get(conclusion) || [];
+  }
+
+  /**
+   * Whether a conclusion has at least one intact justification
+   * @param {string} conclusion
+   * @returns {boolean}
+   */
+  isSupported(conclusion) {
+    return this.supportOf(conclusion).length > 0;
+  }
+
+  /**
+   * Retract premises and propagate the loss of support
+   * @param {string[]} premises - Retracted fact strings and rule keys
+   * @returns {string[]} Conclusions left without support, in propagation order
+   */
+  retract(premises) {
+    const lost = [];
+    const queue = [...premises];
+    const seen = new Set(queue);
+
+    while (queue.length > 0) {
+      const node = queue.shift();
+      const dependants = this.dependants.get(node);
+      this.dependants.delete(node);
+      if (!dependants) continue;
+
+      for (const conclusion of dependants) {
+        const remaining = this.supportOf(conclusion).filter(j => !j.premises.has(node));
+        if (remaining.length > 0) {
+          this.justifications.set(conclusion, remaining);
+          continue;
+        }
+
+        this.forget(conclusion);
+        if (!seen.has(conclusion)) {
+          seen.add(conclusion);
+          lost.push(conclusion);
+          queue.push(conclusion);
+        }
+      }
+    }
+
+    return lost;
+  }
+
+  /**
+   * Drop every justification of a conclusion
+   * @param {string} conclusion
+   */
+  forget(conclusion) {
+    for (const justification of this.supportOf(conclusion)) {
+      for (const premise of justification.premises) {
+        const dependants = this.dependants.get(premise);
+        dependants?.delete(conclusion);
+        if (dependants?.size === 0) this.dependants.delete(premise);
+      }
+    }
+    this.justifications.delete(conclusion);
+  }
+
+  /**
+   * Independent copy (for session forks)
+   * @returns {JustificationGraph}
+   */
+  clone() {
+    const copy = new JustificationGraph();
+    for (const [conclusion, justifications] of this.justifications) {
+      for (const { premises, method } of justifications) {
+        copy.justify(conclusion, [...premises], method);
+      }
+    }
+    return copy;
+  }
+
+  /**
+   * Plain form for session snapshots
+   * @returns {Array<[string, Array<{premises: string[], method: string}>]>}
+   */
+  serialize() {
+    return [...this.justifications].map(([conclusion, justifications]) => [
+      conclusion,
+      justifications.map(({ premises, method }) => ({ premises: [...premises], method }))
+    ]);
+  }
+
+  /**
+   * Rebuild a graph from serialize() output
+   * @param {Array} data
+   * @returns {JustificationGraph}
+   */
+  static deserialize(data = []) {
+    const graph = new JustificationGraph();
+    for (const [conclusion, justifications] of data) {
+      for (const { premises, method } of justifications) {
+        graph.justify(conclusion, premises, method);
+      }
+    }
+    return graph;
+  }
+
+  /**
+   * Remove everything
+   */
+  clear() {
+    this.justifications.clear();
+    this.dependants.clear();
+  }
+}
+
+export default JustificationGraph;
@@ -6,52 +6,14 @@
  * Relation properties are loaded from config/Core/00-relations.sys2
  */
 
-import { readFileSync, existsSync } from 'fs';
-import { join, dirname } from 'path';
-import { fileURLToPath } from 'url';
+import { CORE_RELATION_PROPERTIES } from './relations.mjs';
 
 /**
- * Load transitive relations from config file
- * Falls back to defaults if config not found
+ * Core transitive relations that support chaining
+ * Loaded from config/Core/00-relations.sys2; sessions may declare more
+ * (see RelationProperties in ./relations.mjs)
  */
-function loadTransitiveRelations() {
-  const defaults = new Set([
-    'isA', 'locatedIn', 'partOf', 'subclassOf', 'containedIn',
-    'before', 'after', 'causes', 'appealsTo', 'leadsTo', 'enables'
-  ]);
-
-  try {
-    // Try to find config file relative to this module
-    const __filename = fileURLToPath(import.meta.url);
-    const __dirname = dirname(__filename);
-    const configPath = join(__dirname, '../../config/Core/00-relations.sys2');
-
-    if (!existsSync(configPath)) {
-      return defaults;
-    }
-
-    const content = readFileSync(configPath, 'utf-8');
-    const relations = new Set();
-
-    // Parse lines like "@isA:isA __TransitiveRelation"
-    for (const line of content.split('\n')) {
-      const match = line.match(/@(\w+):\w+\s+__TransitiveRelation/);
-      if (match) {
-        relations.add(match[1]);
-      }
-    }
-
-    return relations.size > 0 ? relations : defaults;
-  } catch (e) {
-    return defaults;
-  }
-}
-
-/**
- * Transitive relations that support chaining
- * Loaded from config/Core/00-relations.sys2
- */
-export const TRANSITIVE_RELATIONS = loadTransitiveRelations();
+export const TRANSITIVE_RELATIONS = CORE_RELATION_PROPERTIES.transitive;
 
 /**
  * Reserved words to exclude from intermediates
@@ -85,7 +47,7 @@ export class TransitiveReasoner {
    */
   tryTransitiveChain(goal, depth) {
     const operatorName = this.engine.extractOperatorName(goal);
-    if (!operatorName || !TRANSITIVE_RELATIONS.has(operatorName)) {
+    if (!operatorName || !this.session.relations.isTransitive(operatorName)) {
       return { valid: false };
     }
 
@@ -171,12 +133,12 @@ export class TransitiveReasoner {
     }
     this.engine.visited.add(cycleKey);
 
-    // Direct match using metadata
+    // Direct match using metadata (inverse facts count, read backwards)
+    const relations = this.session.relations;
     for (const fact of this.session.kbFacts) {
       this.session.reasoningStats.kbScans++;
-      if (fact.metadata?.operator === operatorName &&
-          fact.metadata.args?.[0] === from &&
-          fact.metadata.args?.[1] === to) {
+      const args = relations.orient(operatorName, fact.metadata);
+      if (args?.[0] === from && args?.[1] === to) {
         const stepFact = `${operatorName} ${from} ${to}`;
         return {
           valid: true,
@@ -228,15 +190,15 @@ export class TransitiveReasoner {
    */
   findIntermediates(operatorName, subjectName) {
     const intermediates = [];
+    const relations = this.session.relations;
 
     for (const fact of this.session.kbFacts) {
       this.session.reasoningStats.kbScans++;
-      const meta = fact.metadata;
-      if (!meta || meta.operator !== operatorName) continue;
-      if (!meta.args || meta.args.length < 2) continue;
-      if (meta.args[0] !== subjectName) continue;
+      const args = relations.orient(operatorName, fact.metadata);
+      if (!args || args.length < 2) continue;
+      if (args[0] !== subjectName) continue;
 
-      const intermediate = meta.args[1];
+      const intermediate = args[1];
       if (!intermediate) continue;
       if (RESERVED_WORDS.has(intermediate)) continue;
       if (intermediate === subjectName || intermediate === operatorName) continue;
@@ -295,7 +257,7 @@ export class TransitiveReasoner {
     if (parts.length !== 3) return { valid: false };
 
     const [op, subject, target] = parts;
-    if (!TRANSITIVE_RELATIONS.has(op)) return { valid: false };
+    if (!this.session.relations.isTransitive(op)) return { valid: false };
 
     const simpleGoal = {
       operator: { name: op },
@@ -0,0 +1,108 @@
+/**
+ * AGISystem2 - Truth Module
+ * @module reasoning/truth
+ *
+ * Three-valued reading of proof results. `valid` only says whether the goal
+ * was proved; `truth` also separates "proved false" from "not known":
+ *
+ *   true     the goal was proved
+ *   false    the goal was refuted: an explicit Not, a disjoint containment
+ *            or type, a mutually exclusive stored value (reasoning/exclusion),
+ *            an interval relation the timeline rules out (reasoning/temporal),
+ *            or a closed-world relation
+ *   unknown  neither; session.prove lists the open subgoals
+ *
+ * Refuted results carry the refutation chain in `refutation`.
+ */
+
+import { findExclusion } from './exclusion.mjs';
+
+// Debug logging
+const DEBUG = process.env.SYS2_DEBUG === 'true';
+function dbg(category, ...args) {
+  if (DEBUG) console.log(`[Truth:${category}]`, ...args);
+}
+
+/**
+ * Truth values (strings, so that `false` is not mistaken for a missing field)
+ */
+export const TRUTH = Object.freeze({
+  TRUE: 'true',
+  FALSE: 'false',
+  UNKNOWN: 'unknown'
+});
+
+/**
+ * Assigns truth values to proof results
+ */
+export class TruthEvaluator {
+  constructor(proofEngine) {
+    this.engine = proofEngine;
+  }
+
+  get session() {
+    return this.engine.session;
+  }
+
+  /**
+   * Set `truth` (and `refutation` when refuted) on a proof result
+   * @param {Statement} goal - Proved goal
+   * @param {Object} result - Proof result (modified)
+   * @returns {Object} The result
+   */
+  evaluate(goal, result) {
+    if (result.valid && result.result === false) {
+      // Disjoint proofs prove the negation of the goal
+      result.truth = TRUTH.FALSE;
+      result.refutation = result.steps || [];
+    } else if (result.valid) {
+      result.truth = TRUTH.TRUE;
+    } else {
+      const refutation = this.refute(goal, result);
+      result.truth = refutation ? TRUTH.FALSE : TRUTH.UNKNOWN;
+      if (refutation) result.refutation = refutation;
+    }
+
+    dbg('EVAL', this.engine.goalToFact(goal), result.truth);
+    return result;
+  }
+
+  /**
+   * Refutation chain of an unproved goal
+   * @param {Statement} goal - Goal that could not be proved
+   * @param {Object} result - Failed proof result
+   * @returns {Object[]|null} Steps, or null if the goal is not refuted
+   */
+  refute(goal, result) {
+    const fact = this.engine.goalToFact(goal);
+
+    if (result.reason === 'Goal is negated') {
+      return [{ operation: 'explicit_negation', fact: `Not (${fact})` }];
+    }
+
+    const operator = this.engine.extractOperatorName(goal);
+    const args = (goal.args || []).map(arg => this.engine.extractArgName(arg));
+    const exclusion = findExclusion(this.session, operator, args);
+    if (exclusion) {
+      return [{
+        operation: exclusion.operation,
+        fact: exclusion.fact,
+        excludes: fact,
+        ...(exclusion.types && { types: exclusion.types })
+      }];
+    }
+
+    const temporal = this.engine.temporal.refute(goal);
+    if (temporal) {
+      return temporal;
+    }
+
+    if (result.closedWorld) {
+      return [{ operation: 'closed_world', fact, detail: 'not provable from a closed-world relation' }];
+    }
+
+    return null;
+  }
+}
+
+export default TruthEvaluator;
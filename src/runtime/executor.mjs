@@ -14,13 +14,24 @@ import {
   Hole,
   Reference,
   Literal,
+  Compound,
   List,
-  MacroDeclaration
+  Program,
+  MacroDeclaration,
+  TheoryDeclaration,
+  ImportStatement,
+  RuleDeclaration
 } from '../parser/ast.mjs';
 import { parse } from '../parser/parser.mjs';
+import { Scope } from './scope.mjs';
+import { Vocabulary } from './vocabulary.mjs';
+import { isTheoryPack, openTheoryPack } from './theory-pack.mjs';
 import { readFileSync } from 'node:fs';
 import { resolve, dirname } from 'node:path';
 
+// Operators that mint a fresh atom for their destination inside a theory body
+const ATOM_CONSTRUCTORS = ['__Atom', '___NewVector'];
+
 export class ExecutionError extends Error {
   constructor(message, node) {
     const location = node ? ` at ${node.line}:${node.column}` : '';
@@ -41,6 +52,7 @@ export class Executor {
     this.session = session;
     this.basePath = options.basePath || process.cwd();
     this.loadedTheories = new Set();  // Track loaded theory paths
+    this.currentTheory = null;        // Theory whose body is being executed
   }
 
   /**
@@ -61,6 +73,21 @@ export class Executor {
           continue;
         }
 
+        if (stmt instanceof TheoryDeclaration) {
+          results.push(this.executeTheoryDeclaration(stmt));
+          continue;
+        }
+
+        if (stmt instanceof ImportStatement) {
+          results.push(this.executeImport(stmt));
+          continue;
+        }
+
+        if (stmt instanceof RuleDeclaration) {
+          results.push(this.executeStatement(stmt.toStatement()));
+          continue;
+        }
+
         // Normal execution
         const result = this.executeStatement(stmt);
         results.push(result);
@@ -82,19 +109,15 @@ export class Executor {
    * @returns {Object} Result
    */
   executeMacroDeclaration(macro) {
-    // Initialize macros map if needed
-    if (!this.session.macros) {
-      this.session.macros = new Map();
-    }
-
     // Store the macro definition
-    this.session.macros.set(macro.name, {
+    this.session.writable('macros').set(macro.name, {
       name: macro.name,
       persistName: macro.persistName,
       params: macro.params,
       body: macro.body,
       returnExpr: macro.returnExpr,
-      line: macro.line
+      line: macro.line,
+      provenance: this.session.currentSource
     });
 
     return {
@@ -105,6 +128,236 @@ export class Executor {
     };
   }
 
+  /**
+   * Execute theory declaration - register the theory without activating it
+   * The theory vector is bound in scope so `$Name` can be used like any other vector:
+   * its identity vector until activation, then the superposition of its facts.
+   * @param {TheoryDeclaration} theory - Theory AST node
+   * @returns {Object} Result
+   */
+  executeTheoryDeclaration(theory) {
+    const existing = this.session.theories.get(theory.name);
+    if (existing?.active) {
+      throw new ExecutionError(`Theory '${theory.name}' is already imported`, theory);
+    }
+
+    const geometry = theory.geometry || this.session.geometry;
+    const hdc = this.session.hdc;
+    const vector = theory.initType === 'random'
+      ? hdc.createRandom(geometry)
+      : hdc.createFromName(theory.name, geometry);
+
+    this.registerTheory({
+      name: theory.name,
+      geometry,
+      initType: theory.initType,
+      statements: theory.statements,
+      vector,
+      atoms: new Vocabulary(geometry, { namespace: theory.name, initType: theory.initType, hdc })
+    });
+
+    return {
+      type: 'theory_definition',
+      name: theory.name,
+      geometry,
+      initType: theory.initType,
+      factsLoaded: 0
+    };
+  }
+
+  /**
+   * Register a theory in session.theories and bind its vector in scope
+   * @param {Object} entry - {name, geometry, initType, statements, vector, atoms, ...}
+   * @returns {Object} Registered entry
+   */
+  registerTheory(entry) {
+    const theory = {
+      ...entry,
+      namespace: null,   // Scope of names the body defines, built on activation
+      lazyAtoms: null,   // Declared atoms left in the pack until first use
+      active: false
+    };
+    this.session.writable('theories').set(theory.name, theory);
+    this.session.scope.set(theory.name, theory.vector);
+    this.session.recordBinding(theory.name);
+    return theory;
+  }
+
+  /**
+   * Load a theory pack directory: register it with lazily loaded atoms and activate it
+   * @param {string} dir - Absolute pack directory
+   * @param {Statement} stmt - Load statement
+   * @returns {Object} Result
+   */
+  loadTheoryPack(dir, stmt) {
+    const pack = openTheoryPack(dir, this.session.hdc.strategyId);
+    const existing = this.session.theories.get(pack.name);
+    if (existing?.active) {
+      return {
+        destination: stmt.destination,
+        loaded: false,
+        reason: 'Already loaded',
+        theory: pack.name,
+        path: dir,
+        statement: stmt.toString()
+      };
+    }
+
+    const theory = this.registerTheory({
+      name: pack.name,
+      geometry: pack.geometry,
+      initType: pack.manifest.init,
+      statements: pack.readStatements(),
+      vector: pack.readTheoryVector(),
+      atoms: pack.createVocabulary(this.session.hdc),
+      pack,
+      packPath: dir
+    });
+
+    const result = this.activateTheory(theory, stmt);
+    return {
+      destination: stmt.destination,
+      ...result,
+      loaded: result.imported,
+      path: dir,
+      statement: stmt.toString()
+    };
+  }
+
+  /**
+   * Execute import statement - activate a declared theory
+   * @param {ImportStatement} stmt - Import AST node
+   * @returns {Object} Result
+   */
+  executeImport(stmt) {
+    const theory = this.session.theories.get(stmt.theoryName);
+    if (!theory) {
+      throw new ExecutionError(`Unknown theory: ${stmt.theoryName}`, stmt);
+    }
+    return this.activateTheory(theory, stmt);
+  }
+
+  /**
+   * Activate a theory: run its body into a fresh namespace and push it on the theory stack.
+   * Names defined by the body live in the namespace and shadow lower theories;
+   * facts and rules go to the KB attributed to `theory:Name`.
+   * @param {Object} theory - Entry from session.theories
+   * @param {ASTNode} node - Node that requested activation (for error locations)
+   * @returns {Object} Result
+   */
+  activateTheory(theory, node) {
+    if (theory.active) {
+      return {
+        theory: theory.name,
+        imported: false,
+        reason: 'Already imported',
+        factsLoaded: 0
+      };
+    }
+
+    if (theory.geometry !== this.session.geometry) {
+      throw new ExecutionError(
+        `Theory '${theory.name}' uses geometry ${theory.geometry}, session uses ${this.session.geometry}`,
+        node
+      );
+    }
+
+    theory = this.session.writableTheory(theory.name);
+    const source = `theory:${theory.name}`;
+    const program = new Program(theory.statements);
+    const previousSource = this.session.currentSource;
+    const previousScope = this.session.scope;
+    const previousTheory = this.currentTheory;
+    theory.namespace = new Scope(previousScope, { shadow: true });
+    theory.lazyAtoms = new Set();
+    this.session.currentSource = source;
+    this.session.scope = theory.namespace;
+    this.currentTheory = theory;
+
+    let result;
+    try {
+      result = this.executeProgram(program);
+      this.session.trackRules(program);
+    } finally {
+      this.session.currentSource = previousSource;
+      this.session.scope = previousScope;
+      this.currentTheory = previousTheory;
+    }
+
+    const hasErrors = result.errors.length > 0;
+    if (hasErrors) {
+      // Roll back whatever the body managed to add
+      this.session.unloadSource(source);
+      theory.namespace = null;
+      theory.lazyAtoms = null;
+    } else {
+      theory.active = true;
+      this.session.theoryStack.push(theory.name);
+      this.session.bindTheoryVector(theory.name);
+    }
+
+    return {
+      theory: theory.name,
+      imported: !hasErrors,
+      success: !hasErrors,
+      factsLoaded: result.results.length,
+      errors: result.errors
+    };
+  }
+
+  /**
+   * Deactivate a theory: pop it from the theory stack and retract what it introduced
+   * @param {Object} theory - Entry from session.theories
+   * @returns {Object} Removed item counts
+   */
+  deactivateTheory(theory) {
+    theory = this.session.writableTheory(theory.name);
+    theory.active = false;
+    theory.namespace = null;
+    theory.lazyAtoms = null;
+    this.session.theoryStack = this.session.theoryStack.filter(name => name !== theory.name);
+    return this.session.unloadSource(`theory:${theory.name}`);
+  }
+
+  /**
+   * Look up a name in the active theory stack, most recently activated first
+   * @param {string} name - Name to resolve
+   * @returns {Vector|undefined}
+   */
+  resolveFromTheories(name) {
+    const stack = this.session.theoryStack;
+    for (let i = stack.length - 1; i >= 0; i--) {
+      const theory = this.session.theories.get(stack[i]);
+      if (theory?.namespace?.bindings.has(name)) {
+        return theory.namespace.bindings.get(name);
+      }
+      if (theory?.lazyAtoms?.has(name)) {
+        return theory.atoms.getOrCreate(name);
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Resolve an atom owned by a specific theory
+   * Uses the theory's definition when it has been activated, otherwise the
+   * theory-specific atom vector for that name.
+   * @param {string} theoryName - Theory name
+   * @param {string} atom - Atom name
+   * @param {ASTNode} node - Node for error locations
+   * @returns {Vector}
+   */
+  resolveTheoryAtom(theoryName, atom, node) {
+    const theory = this.session.theories.get(theoryName);
+    if (!theory) {
+      throw new ExecutionError(`Unknown theory: ${theoryName}`, node);
+    }
+    if (theory.namespace?.bindings.has(atom)) {
+      return theory.namespace.bindings.get(atom);
+    }
+    return theory.atoms.getOrCreate(atom);
+  }
+
   /**
    * Expand and execute a macro invocation
    * @param {string} macroName - Name of the macro to invoke
@@ -165,7 +418,7 @@ export class Executor {
       throw new ExecutionError('Expected Statement node', stmt);
     }
 
-    // Check for special operators (Load, Unload)
+    // Check for special operators (Load, Unload, Import, Export)
     const operatorName = this.extractName(stmt.operator);
     if (operatorName === 'Load') {
       return this.executeLoad(stmt);
@@ -173,32 +426,39 @@ export class Executor {
     if (operatorName === 'Unload') {
       return this.executeUnload(stmt);
     }
+    if (operatorName === 'Import') {
+      return this.executeImportAtom(stmt);
+    }
+    if (operatorName === 'Export') {
+      return this.executeExport(stmt);
+    }
 
-    // Check if operator is a macro - if so, expand it
-    let vector;
-    if (this.session.macros?.has(operatorName)) {
-      // Macro invocation: execute macro then bind with operator
-      const macroResult = this.expandMacro(operatorName, stmt.args);
-      if (macroResult) {
-        // Bind operator with macro result (per spec DS02 section 2.5)
-        const operatorVec = this.resolveExpression(stmt.operator);
-        vector = bind(operatorVec, macroResult);
-      } else {
-        // Macro returned nothing - just use operator
-        vector = this.resolveExpression(stmt.operator);
-      }
-    } else {
-      // Normal statement: build vector directly
-      vector = this.buildStatementVector(stmt);
+    // Inside a theory body, `@Name __Atom` declares an atom owned by that theory
+    const declaresAtom = this.currentTheory && stmt.destination &&
+      stmt.args.length === 0 && ATOM_CONSTRUCTORS.includes(operatorName);
+
+    // A pack keeps the atoms it stores on disk until a statement uses them
+    if (declaresAtom && this.currentTheory.pack?.has(stmt.destination)) {
+      this.currentTheory.lazyAtoms.add(stmt.destination);
+      return {
+        destination: stmt.destination,
+        persistName: stmt.persistName,
+        persistent: false,
+        statement: stmt.toString()
+      };
     }
+    const vector = declaresAtom
+      ? this.currentTheory.atoms.getOrCreate(stmt.destination)
+      : this.buildInvocationVector(stmt);
 
     // If there's a destination, store it in scope
     if (stmt.destination) {
       this.session.scope.set(stmt.destination, vector);
+      this.session.recordBinding(stmt.destination);
       // Also save the fact text for later proof chain generation
       const factText = this.statementToFactString(stmt);
       if (factText && operatorName !== 'Implies') {
-        this.session.referenceTexts.set(stmt.destination, factText);
+        this.session.writable('referenceTexts').set(stmt.destination, factText);
       }
     }
 
@@ -223,8 +483,93 @@ export class Executor {
   }
 
   /**
-   * Execute Load command - load a theory from file
-   * Syntax: @_ Load "./path/to/file.sys2"
+   * Build the vector for an operator invocation (statement or compound).
+   * Macro operators are expanded first; anything else is bound directly.
+   * @param {Statement|Compound} node - Node with operator and args
+   * @returns {Vector}
+   */
+  buildInvocationVector(node) {
+    const operatorName = this.extractName(node.operator);
+
+    // Check if operator is a macro - if so, expand it
+    if (this.session.macros?.has(operatorName)) {
+      // Macro invocation: execute macro then bind with operator
+      const macroResult = this.expandMacro(operatorName, node.args);
+      const operatorVec = this.resolveExpression(node.operator);
+      if (!macroResult) {
+        // Macro returned nothing - just use operator
+        return operatorVec;
+      }
+      // Bind operator with macro result (per spec DS02 section 2.5)
+      return bind(operatorVec, macroResult);
+    }
+
+    // Normal statement: build vector directly
+    return this.buildStatementVector(node);
+  }
+
+  /**
+   * Execute Import verb - fetch one atom from a theory without activating it
+   * Syntax: @v Import $Theory Atom
+   * @param {Statement} stmt - Import statement
+   * @returns {Object} Result
+   */
+  executeImportAtom(stmt) {
+    if (stmt.args.length < 2) {
+      throw new ExecutionError('Import requires a theory and an atom name', stmt);
+    }
+
+    const theoryName = this.extractName(stmt.args[0]);
+    const atom = this.extractName(stmt.args[1]);
+    const vector = this.resolveTheoryAtom(theoryName, atom, stmt);
+
+    if (stmt.destination) {
+      this.session.scope.set(stmt.destination, vector);
+      this.session.recordBinding(stmt.destination);
+    }
+
+    return {
+      destination: stmt.destination,
+      theory: theoryName,
+      atom,
+      vector,
+      factsLoaded: 0,
+      statement: stmt.toString()
+    };
+  }
+
+  /**
+   * Execute Export verb - save a binding into the most recently activated theory
+   * Syntax: @_ Export $var
+   * @param {Statement} stmt - Export statement
+   * @returns {Object} Result
+   */
+  executeExport(stmt) {
+    if (stmt.args.length < 1) {
+      throw new ExecutionError('Export requires a variable argument', stmt);
+    }
+
+    const stack = this.session.theoryStack;
+    if (stack.length === 0) {
+      throw new ExecutionError('Export requires an active theory', stmt);
+    }
+
+    const theoryName = stack[stack.length - 1];
+    const name = this.extractName(stmt.args[0]);
+    this.session.writableNamespace(theoryName).set(name, this.resolveExpression(stmt.args[0]));
+
+    return {
+      destination: stmt.destination,
+      theory: theoryName,
+      exported: name,
+      factsLoaded: 0,
+      statement: stmt.toString()
+    };
+  }
+
+  /**
+   * Execute Load command - load a theory from file or theory pack directory
+   * Syntax: @_ Load "./path/to/file.sys2" | @_ Load "./path/to/pack"
    * @param {Statement} stmt - Load statement
    * @returns {Object} Result
    */
@@ -236,11 +581,20 @@ export class Executor {
     const pathArg = stmt.args[0];
     let filePath;
 
+    // Declared theories are activated by name: Load $Theory / Load Theory
+    const theory = this.findDeclaredTheory(pathArg);
+    if (theory) {
+      return {
+        destination: stmt.destination,
+        ...this.activateTheory(theory, stmt),
+        statement: stmt.toString()
+      };
+    }
+
     // Get the file path from the argument
     if (pathArg instanceof Literal) {
       filePath = String(pathArg.value);
     } else if (pathArg instanceof Identifier) {
-      // Could be a theory name - try to resolve it
       filePath = pathArg.name;
     } else {
       throw new ExecutionError('Load requires a string path or theory name', stmt);
@@ -249,6 +603,16 @@ export class Executor {
     // Resolve relative paths
     const absolutePath = resolve(this.basePath, filePath);
 
+    // Cold-storage theory pack directory
+    if (isTheoryPack(absolutePath)) {
+      try {
+        return this.loadTheoryPack(absolutePath, stmt);
+      } catch (e) {
+        if (e instanceof ExecutionError) throw e;
+        throw new ExecutionError(`Failed to load theory pack: ${e.message}`, stmt);
+      }
+    }
+
     // Prevent double-loading
     if (this.loadedTheories.has(absolutePath)) {
       return {
@@ -264,19 +628,26 @@ export class Executor {
       // Read and parse the theory file
       const content = readFileSync(absolutePath, 'utf8');
 
-      // Update base path for relative imports within the loaded file
+      // Update base path for relative imports within the loaded file,
+      // and attribute everything it introduces to the file for Unload
       const previousBasePath = this.basePath;
+      const previousSource = this.session.currentSource;
       this.basePath = dirname(absolutePath);
+      this.session.currentSource = absolutePath;
 
-      // Parse and execute the content
-      const program = parse(content);
-      const result = this.executeProgram(program);
-
-      // Track Implies rules for backward chaining
-      this.trackRulesFromProgram(program);
-
-      // Restore base path
-      this.basePath = previousBasePath;
+      let result;
+      try {
+        // Parse and execute the content
+        const program = parse(content);
+        result = this.executeProgram(program);
+
+        // Track Implies rules the same way learn() does
+        this.session.trackRules(program);
+      } finally {
+        // Restore base path and provenance
+        this.basePath = previousBasePath;
+        this.session.currentSource = previousSource;
+      }
 
       // Mark as loaded only if no errors
       const hasErrors = result.errors && result.errors.length > 0;
@@ -284,6 +655,17 @@ export class Executor {
         this.loadedTheories.add(absolutePath);
       }
 
+      // Validate the theory against the KB it joined (URS-10)
+      let consistency;
+      if (!hasErrors && this.session.consistencyOnLoad) {
+        consistency = this.session.checkConsistency({ source: absolutePath });
+        for (const conflict of consistency.conflicts) {
+          this.session.warnings.push(
+            `Warning: inconsistency in ${filePath} - ${conflict.description} (${conflict.clash.join(' / ')})`
+          );
+        }
+      }
+
       return {
         destination: stmt.destination,
         loaded: !hasErrors,
@@ -291,6 +673,7 @@ export class Executor {
         path: absolutePath,
         factsLoaded: result.results.length,
         errors: result.errors,
+        ...(consistency && { consistency }),
         statement: stmt.toString()
       };
     } catch (e) {
@@ -300,6 +683,8 @@ export class Executor {
 
   /**
    * Execute Unload command - unload a theory
+   * Retracts every fact, rule, macro and binding the theory introduced.
+   * Syntax: @_ Unload "./path/to/file.sys2" | @_ Unload TheoryName
    * @param {Statement} stmt - Unload statement
    * @returns {Object} Result
    */
@@ -311,6 +696,21 @@ export class Executor {
     const pathArg = stmt.args[0];
     let filePath;
 
+    // Declared theories are deactivated by name: Unload $Theory / Unload Theory
+    const theory = this.findDeclaredTheory(pathArg);
+    if (theory) {
+      const wasActive = theory.active;
+      const removed = this.deactivateTheory(theory);
+      return {
+        destination: stmt.destination,
+        unloaded: wasActive,
+        theory: theory.name,
+        removed,
+        factsLoaded: 0,
+        statement: stmt.toString()
+      };
+    }
+
     if (pathArg instanceof Literal) {
       filePath = String(pathArg.value);
     } else if (pathArg instanceof Identifier) {
@@ -321,81 +721,44 @@ export class Executor {
 
     const absolutePath = resolve(this.basePath, filePath);
 
-    // Remove from loaded set
-    this.loadedTheories.delete(absolutePath);
+    // Theory packs are unloaded through the theory they registered
+    for (const packed of this.session.theories.values()) {
+      if (packed.packPath === absolutePath) {
+        const wasActive = packed.active;
+        const removed = this.deactivateTheory(packed);
+        return {
+          destination: stmt.destination,
+          unloaded: wasActive,
+          theory: packed.name,
+          path: absolutePath,
+          removed,
+          factsLoaded: 0,
+          statement: stmt.toString()
+        };
+      }
+    }
 
-    // Note: We don't actually remove facts from KB - that would require
-    // tracking which facts came from which theory. For now, Unload just
-    // prevents re-loading and marks the theory as unloaded.
+    const wasLoaded = this.loadedTheories.delete(absolutePath);
+    const removed = this.session.unloadSource(absolutePath);
 
     return {
       destination: stmt.destination,
-      unloaded: true,
+      unloaded: wasLoaded || removed.facts > 0 || removed.rules > 0,
       path: absolutePath,
+      removed,
+      factsLoaded: 0,
       statement: stmt.toString()
     };
   }
 
   /**
-   * Track Implies rules from a loaded program for backward chaining
-   * @param {Program} program - AST program
-   */
-  trackRulesFromProgram(program) {
-    // Build a map of destinations to statements for quick lookup
-    const stmtMap = new Map();
-    for (const stmt of program.statements) {
-      if (stmt.destination) {
-        stmtMap.set(stmt.destination, stmt);
-      }
-    }
-
-    for (const stmt of program.statements) {
-      const operatorName = this.extractName(stmt.operator);
-      if (operatorName === 'Implies' && stmt.args.length >= 2) {
-        const condVec = this.resolveExpression(stmt.args[0]);
-        const concVec = this.resolveExpression(stmt.args[1]);
-
-        // Recursively extract compound conditions (And/Or)
-        const conditionParts = this.extractCompoundCondition(stmt.args[0], stmtMap);
-
-        this.session.rules.push({
-          name: stmt.destination,
-          vector: this.buildStatementVector(stmt),
-          source: stmt.toString(),
-          condition: condVec,
-          conclusion: concVec,
-          conditionParts: conditionParts
-        });
-      }
-    }
-  }
-
-  /**
-   * Recursively extract compound condition structure (And/Or)
-   * @param {Expression} expr - Expression to analyze
-   * @param {Map} stmtMap - Map of destinations to statements
-   * @returns {Object|null} Compound structure or null
+   * Find the declared theory named by a Load/Unload argument
+   * @param {Expression} arg - Identifier or $reference naming the theory
+   * @returns {Object|null} Entry from session.theories
    */
-  extractCompoundCondition(expr, stmtMap) {
-    // If it's a reference, look up the statement it refers to
-    if (expr.type === 'Reference') {
-      const stmt = stmtMap.get(expr.name);
-      if (stmt) {
-        const op = this.extractName(stmt.operator);
-        if (op === 'And' || op === 'Or') {
-          // Recursively extract nested parts
-          const parts = stmt.args.map(arg => {
-            const nested = this.extractCompoundCondition(arg, stmtMap);
-            if (nested) {
-              return nested; // Return nested compound structure
-            }
-            return { type: 'leaf', vector: this.resolveExpression(arg) };
-          });
-          return { type: op, parts: parts };
-        }
-      }
-    }
-    return null;
+  findDeclaredTheory(arg) {
+    if (!(arg instanceof Identifier || arg instanceof Reference)) return null;
+    return this.session.theories.get(arg.name) || null;
   }
 
   /**
@@ -432,6 +795,7 @@ export class Executor {
     if (node instanceof Identifier) return node.name;
     if (node instanceof Reference) return node.name;
     if (node instanceof Literal) return String(node.value);
+    if (node instanceof Compound) return node.toString();
     if (node.name) return node.name;
     if (node.value) return String(node.value);
     return null;
@@ -488,6 +852,10 @@ export class Executor {
       return this.resolveList(expr);
     }
 
+    if (expr instanceof Compound) {
+      return this.resolveCompound(expr);
+    }
+
     throw new ExecutionError(`Unknown expression type: ${expr.type}`, expr);
   }
 
@@ -495,15 +863,43 @@ export class Executor {
    * Resolve identifier to vector
    */
   resolveIdentifier(expr) {
+    // Qualified Theory.Atom bypasses the stack
+    if (expr.qualifier) {
+      return this.resolveTheoryAtom(expr.qualifier, expr.localName, expr);
+    }
+
+    const declared = this.lazyAtom(expr.name);
+    if (declared) {
+      return declared;
+    }
+
     // First check scope (for defined vectors)
     if (this.session.scope.has(expr.name)) {
       return this.session.scope.get(expr.name);
     }
 
+    // Then active theories, most recent first
+    const fromTheory = this.resolveFromTheories(expr.name);
+    if (fromTheory) {
+      return fromTheory;
+    }
+
     // Otherwise get/create from vocabulary
     return this.session.vocabulary.getOrCreate(expr.name);
   }
 
+  /**
+   * Atom declared by the theory being activated that its pack still holds
+   * Read on first use; the theory's own later bindings of the name win.
+   * @param {string} name - Name to resolve
+   * @returns {Vector|undefined}
+   */
+  lazyAtom(name) {
+    const theory = this.currentTheory;
+    if (!theory?.lazyAtoms?.has(name) || theory.namespace.bindings.has(name)) return undefined;
+    return theory.atoms.getOrCreate(name);
+  }
+
   /**
    * Resolve hole to special vector
    */
@@ -518,7 +914,8 @@ export class Executor {
    * Resolve reference (@name) to stored vector
    */
   resolveReference(expr) {
-    const vec = this.session.scope.get(expr.name);
+    const vec = this.lazyAtom(expr.name) || this.session.scope.get(expr.name) ||
+      this.resolveFromTheories(expr.name);
     if (!vec) {
       throw new ExecutionError(`Undefined reference: @${expr.name}`, expr);
     }
@@ -534,6 +931,13 @@ export class Executor {
     return this.session.vocabulary.getOrCreate(strValue);
   }
 
+  /**
+   * Resolve compound (op arg1 arg2 ...) to the vector of the equivalent statement
+   */
+  resolveCompound(expr) {
+    return this.buildInvocationVector(expr);
+  }
+
   /**
    * Resolve list to bundled vector
    */
@@ -0,0 +1,142 @@
+/**
+ * AGISystem2 - Sharded KB Superposition
+ * @module runtime/kb-shards
+ *
+ * A bundle keeps its members retrievable only up to the strategy's
+ * maxBundleCapacity, so KB facts are spread over shards instead of one
+ * vector: one shard per operator, and a further shard for that operator
+ * (`isA#2`, `isA#3`, ...) once the current ones are full. Each shard is an
+ * incremental Accumulator. Session.queryHDC() probes every shard and merges
+ * the candidates.
+ */
+
+import { unbind, topKSimilar } from '../hdc/facade.mjs';
+
+// Fill ratio at which a shard is reported as nearing its capacity
+export const CAPACITY_WARNING_RATIO = 0.9;
+
+// Shard of facts without an operator (e.g. anonymous compound vectors)
+const NO_OPERATOR = '*';
+
+export class KBShards {
+  /**
+   * @param {Object} hdc - Session HDC context
+   * @param {Object} options - {capacity}: facts per shard, defaults to the
+   *   strategy's maxBundleCapacity
+   */
+  constructor(hdc, options = {}) {
+    this.hdc = hdc;
+    this.capacity = options.capacity || hdc.properties.maxBundleCapacity;
+    this.warnAt = Math.max(1, Math.floor(this.capacity * CAPACITY_WARNING_RATIO));
+    this.shards = new Map();   // key -> {key, operator, accumulator}
+    this.assigned = new Map(); // kbFacts entry -> shard key
+    this.warned = new Set();   // `${key}:${level}` already reported
+  }
+
+  /**
+   * Add a fact to the first shard of its operator with room left
+   * @param {Object} fact - kbFacts entry
+   * @returns {string|null} Capacity warning the first time the shard reaches
+   *   the warning level or fills up
+   */
+  add(fact) {
+    const operator = fact.metadata?.operator || NO_OPERATOR;
+    let shard;
+    for (let index = 1; !shard; index++) {
+      const key = index === 1 ? operator : `${operator}#${index}`;
+      if (!this.shards.has(key)) {
+        this.shards.set(key, { key, operator, accumulator: this.hdc.createAccumulator() });
+      }
+      const candidate = this.shards.get(key);
+      if (candidate.accumulator.count < this.capacity) shard = candidate;
+    }
+
+    shard.accumulator.add(fact.vector);
+    this.assigned.set(fact, shard.key);
+
+    const count = shard.accumulator.count;
+    const level = count === this.capacity ? 'full' : count === this.warnAt ? 'near' : null;
+    if (!level || this.warned.has(`${shard.key}:${level}`)) return null;
+    this.warned.add(`${shard.key}:${level}`);
+    return level === 'full'
+      ? `Warning: KB shard ${shard.key} is full (${count}/${this.capacity} facts); ` +
+        `further ${operator} facts open a new shard`
+      : `Warning: KB shard ${shard.key} is nearing capacity (${count}/${this.capacity} facts)`;
+  }
+
+  /**
+   * Subtract a fact from the shard it was added to
+   * @param {Object} fact - kbFacts entry
+   */
+  remove(fact) {
+    const key = this.assigned.get(fact);
+    if (key === undefined) return;
+    const shard = this.shards.get(key);
+    shard.accumulator.remove(fact.vector);
+    this.assigned.delete(fact);
+    if (shard.accumulator.count === 0) this.shards.delete(key);
+  }
+
+  /**
+   * Candidates for one hole, merged over every shard
+   * Each shard is unbound by the partial query and the hole's position; a
+   * name found in several shards keeps its best similarity.
+   * @param {Object} partial - Bound known parts of the query
+   * @param {Object} positionVector - Position of the hole
+   * @param {Map<string, Object>} atoms - Vocabulary to decode against
+   * @param {number} k - Candidates to return
+   * @returns {Array<{name: string, similarity: number, shard: string}>}
+   */
+  probe(partial, positionVector, atoms, k = 5) {
+    const best = new Map();
+    for (const shard of this.shards.values()) {
+      const bundle = shard.accumulator.snapshot();
+      if (!bundle) continue;
+      const candidate = unbind(unbind(bundle, partial), positionVector);
+      for (const match of topKSimilar(candidate, atoms, k)) {
+        const seen = best.get(match.name);
+        if (!seen || match.similarity > seen.similarity) {
+          best.set(match.name, { ...match, shard: shard.key });
+        }
+      }
+    }
+    return [...best.values()]
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, k);
+  }
+
+  /**
+   * Per-shard fill levels
+   * @returns {Array<{key: string, operator: string, facts: number, capacity: number}>}
+   */
+  list() {
+    return [...this.shards.values()].map(shard => ({
+      key: shard.key,
+      operator: shard.operator,
+      facts: shard.accumulator.count,
+      capacity: this.capacity
+    }));
+  }
+
+  clear() {
+    this.shards.clear();
+    this.assigned.clear();
+    this.warned.clear();
+  }
+
+  /**
+   * Independent copy (for session forks)
+   * @returns {KBShards}
+   */
+  clone() {
+    const copy = new KBShards(this.hdc, { capacity: this.capacity });
+    for (const [key, shard] of this.shards) {
+      copy.shards.set(key, { ...shard, accumulator: shard.accumulator.clone() });
+    }
+    copy.assigned = new Map(this.assigned);
+    copy.warned = new Set(this.warned);
+    return copy;
+  }
+}
+
+export default KBShards;
@@ -9,10 +9,14 @@ export class Scope {
   /**
    * Create a new scope
    * @param {Scope|null} parent - Parent scope for inheritance
+   * @param {Object} options - Options
+   * @param {boolean} options.shadow - If true, set() always binds locally,
+   *   shadowing parent bindings instead of updating them
    */
-  constructor(parent = null) {
+  constructor(parent = null, options = {}) {
     this.parent = parent;
     this.bindings = new Map();
+    this.shadow = options.shadow || false;
   }
 
   /**
@@ -35,7 +39,7 @@ export class Scope {
    */
   set(name, value) {
     // Check if defined in parent scopes
-    if (!this.bindings.has(name) && this.parent) {
+    if (!this.shadow && !this.bindings.has(name) && this.parent) {
       const parentScope = this.findDefiningScope(name);
       if (parentScope) {
         parentScope.bindings.set(name, value);
@@ -99,6 +103,16 @@ export class Scope {
     return new Scope(this);
   }
 
+  /**
+   * Copy this scope's local bindings into a new scope with the same parent
+   * @returns {Scope} Independent copy
+   */
+  clone() {
+    const copy = new Scope(this.parent, { shadow: this.shadow });
+    copy.bindings = new Map(this.bindings);
+    return copy;
+  }
+
   /**
    * Get all binding names in this scope (not parents)
    * @returns {string[]}
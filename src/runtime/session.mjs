@@ -7,16 +7,32 @@
  */
 
 import { Vector } from '../core/vector.mjs';
-import { bind, unbind, bundle, similarity, topKSimilar, bindAll, getDefaultGeometry } from '../core/operations.mjs';
+import { bind, unbind, similarity, topKSimilar, bindAll } from '../core/operations.mjs';
+import { createHDCContext } from '../hdc/facade.mjs';
 import { getPositionVector } from '../core/position.mjs';
 import { withPosition, removePosition } from '../core/position.mjs';
 import { parse } from '../parser/parser.mjs';
 import { Scope } from './scope.mjs';
 import { Vocabulary } from './vocabulary.mjs';
-import { Executor } from './executor.mjs';
+import { KBShards } from './kb-shards.mjs';
+import { Executor, ExecutionError } from './executor.mjs';
 import { QueryEngine } from '../reasoning/query.mjs';
 import { ProofEngine } from '../reasoning/prove.mjs';
+import { RelationProperties } from '../reasoning/relations.mjs';
+import { ExclusionRegistry, findExclusion } from '../reasoning/exclusion.mjs';
+import { AbductionEngine } from '../reasoning/abduction.mjs';
+import { InductionEngine } from '../reasoning/induction.mjs';
+import { CounterfactualEngine } from '../reasoning/counterfactual.mjs';
+import { JustificationGraph, factKey, ruleKey } from '../reasoning/tms.mjs';
+import { ForwardChainer } from '../reasoning/forward.mjs';
+import { ConsistencyChecker } from '../reasoning/consistency.mjs';
+import { stratify } from '../reasoning/negation.mjs';
+import { TRUTH } from '../reasoning/truth.mjs';
+import { isTemporalRelation, maskOf, relationsIn, temporalNetwork } from '../reasoning/temporal.mjs';
 import { textGenerator } from '../output/text-generator.mjs';
+import { createSnapshot, restoreSnapshot } from './snapshot.mjs';
+import { writeTheoryPack } from './theory-pack.mjs';
+import { readFileSync, writeFileSync } from 'node:fs';
 
 // Debug logging
 const DEBUG = process.env.SYS2_DEBUG === 'true';
@@ -24,28 +40,54 @@ function dbg(category, ...args) {
   if (DEBUG) console.log(`[Session:${category}]`, ...args);
 }
 
-// Mutually exclusive property/state pairs for contradiction detection
-const MUTUALLY_EXCLUSIVE = {
-  hasState: [['Open', 'Closed'], ['Alive', 'Dead'], ['On', 'Off'], ['Full', 'Empty']],
-  hasProperty: [['Hot', 'Cold'], ['Wet', 'Dry']],
-  before: [['after']],
-  after: [['before']]
-};
+// Registries a fork shares with its parent until either one writes to them
+const SHARED_REGISTRIES = ['kbFacts', 'rules', 'theories', 'referenceTexts', 'macros'];
+
+/**
+ * Theory a KB fact was loaded by, from its `theory:Name` provenance
+ * @param {Object} fact - kbFacts entry
+ * @returns {string|null}
+ */
+function theoryOf(fact) {
+  return fact.provenance?.startsWith('theory:') ? fact.provenance.slice('theory:'.length) : null;
+}
 
 export class Session {
+  /**
+   * @param {Object} options - {strategy, geometry, consistencyOnLoad, shardCapacity};
+   *   strategy and geometry default to SYS2_HDC_STRATEGY and the default geometry,
+   *   shardCapacity (facts per KB shard) to the strategy's maxBundleCapacity
+   */
   constructor(options = {}) {
-    this.geometry = options.geometry || getDefaultGeometry();
+    this.hdc = createHDCContext(options.strategy, options.geometry); // This session's HDC strategy
+    this.geometry = this.hdc.geometry;
     this.scope = new Scope();
-    this.vocabulary = new Vocabulary(this.geometry);
+    this.vocabulary = new Vocabulary(this.geometry, { hdc: this.hdc });
     this.executor = new Executor(this);
     this.queryEngine = new QueryEngine(this);
     this.rules = [];
-    this.kb = null;
+    this.kbAccumulator = this.hdc.createAccumulator(); // Superposition of kbFacts (see get kb)
+    this.theoryAccumulators = new Map(); // Theory name -> superposition of the facts it loaded
+    this.kbShards = new KBShards(this.hdc, { capacity: options.shardCapacity }); // Capacity-bounded shards queried holographically
     this.kbFacts = [];
     this.theories = new Map();
     this.operators = new Map();
     this.warnings = [];
     this.referenceTexts = new Map(); // Maps reference names to fact strings
+    this.relations = new RelationProperties(); // Transitive/symmetric/reflexive relations
+    this.exclusions = new ExclusionRegistry();  // Exclusive values and disjoint types
+    this.shared = new Set();            // Registries still shared with a fork (copy-on-write)
+    this.sharedNamespaces = new Set();  // Theory namespaces still shared with a fork
+    this.justifications = new JustificationGraph(); // Derived conclusions -> supporting facts/rules
+    this.forwardChaining = false;       // Keep rule conclusions materialised after each learn()
+    this.consistencyOnLoad = options.consistencyOnLoad === true; // Check each loaded theory (URS-10)
+
+    // Provenance: which theory or learn() call introduced each item
+    this.currentSource = null;
+    this.learnCount = 0;
+    this.learning = false;              // Inside learn(): capacity warnings are reported
+    this.bindingProvenance = new Map(); // Maps scope/reference names to {source, scope}
+    this.theoryStack = [];              // Active declared theories, most recent last
 
     // Reasoning statistics
     this.reasoningStats = {
@@ -78,17 +120,37 @@ export class Session {
   /**
    * Learn DSL statements
    * @param {string} dsl - DSL source code
-   * @returns {Object} Learning result
+   * @param {Object} options - {forward: true} materialises rule conclusions
+   *   now and after every later learn() (see materialize)
+   * @returns {Object} Learning result; `derived` counts materialised facts
    */
-  learn(dsl) {
+  learn(dsl, options = {}) {
     this.warnings = [];
+    const previousSource = this.currentSource;
+    const wasLearning = this.learning;
+    this.currentSource = `learn:${++this.learnCount}`;
+    this.learning = true;
 
     try {
       const ast = parse(dsl);
+      const factsBefore = this.kbFacts.length;
+      const rulesBefore = this.rules.length;
       const result = this.executor.executeProgram(ast);
 
       // Track rules (Implies statements)
       this.trackRules(ast);
+      const negationErrors = this.checkStratification(this.rules.slice(rulesBefore));
+
+      // Extend the fixpoint with what this call added
+      let derived;
+      if (options.forward && !this.forwardChaining) {
+        derived = this.materialize().derived;
+      } else if (this.forwardChaining) {
+        derived = new ForwardChainer(this).run({
+          facts: this.kbFacts.slice(factsBefore),
+          rules: this.rules.slice(rulesBefore)
+        }).derived;
+      }
 
       // Count actual facts: for Load statements, use factsLoaded; otherwise count results
       let factCount = 0;
@@ -101,9 +163,10 @@ export class Session {
       }
 
       return {
-        success: result.success,
+        success: result.success && negationErrors.length === 0,
         facts: factCount,
-        errors: result.errors.map(e => e.message),
+        ...(derived !== undefined && { derived }),
+        errors: [...result.errors.map(e => e.message), ...negationErrors],
         warnings: this.warnings.slice()
       };
     } catch (e) {
@@ -113,21 +176,28 @@ export class Session {
         errors: [e.message],
         warnings: this.warnings.slice()
       };
+    } finally {
+      this.currentSource = previousSource;
+      this.learning = wasLearning;
     }
   }
 
   /**
    * Track Implies rules from AST
+   * `rule Name: cond => concl` declarations are tracked as `@Name Implies cond concl`.
    */
   trackRules(ast) {
+    const statements = ast.statements.map(stmt =>
+      stmt.type === 'RuleDeclaration' ? stmt.toStatement() : stmt
+    );
     const stmtMap = new Map();
-    for (const stmt of ast.statements) {
+    for (const stmt of statements) {
       if (stmt.destination) {
         stmtMap.set(stmt.destination, stmt);
       }
     }
 
-    for (const stmt of ast.statements) {
+    for (const stmt of statements) {
       const operatorName = this.extractOperatorName(stmt);
       if (operatorName === 'Implies' && stmt.args.length >= 2) {
         const condVec = this.executor.resolveExpression(stmt.args[0]);
@@ -143,7 +213,7 @@ export class Session {
         const conclusionVars = this.extractVariables(conclusionAST);
         const hasVariables = conditionVars.length > 0 || conclusionVars.length > 0;
 
-        this.rules.push({
+        this.writable('rules').push({
           name: stmt.destination,
           vector: this.executor.buildStatementVector(stmt),
           source: stmt.toString(),
@@ -155,14 +225,38 @@ export class Session {
           conclusionAST,
           conditionVars,
           conclusionVars,
-          hasVariables
+          hasVariables,
+          provenance: this.currentSource
         });
       }
     }
   }
 
+  /**
+   * Reject new rules whose negation would depend on itself (no stratification)
+   * @param {Object[]} added - Rules added by the current learn() call
+   * @returns {string[]} Error messages, one per negative cycle
+   */
+  checkStratification(added) {
+    if (added.length === 0) return [];
+    const { cycles } = stratify(this.rules);
+    if (cycles.length === 0) return [];
+
+    const rejected = new Set(added.filter(rule => cycles.some(c => c.rules.includes(rule))));
+    this.rules = this.rules.filter(rule => !rejected.has(rule));
+    this.shared.delete('rules');
+
+    return cycles.map(cycle => {
+      const names = cycle.rules.filter(r => rejected.has(r)).map(r => r.name || r.source);
+      return new ExecutionError(
+        `Cyclic negation through ${cycle.relations.join(', ')}; rejected rule(s): ${names.join(', ')}`
+      ).message;
+    });
+  }
+
   /**
    * Resolve reference to its actual AST statement
+   * Inline compounds (op arg ...) are already statement-shaped and returned as-is.
    */
   resolveReferenceToAST(expr, stmtMap) {
     if (expr.type === 'Reference') {
@@ -213,8 +307,8 @@ export class Session {
    * Preserves AST for variable unification
    */
   extractCompoundCondition(expr, stmtMap) {
-    if (expr.type === 'Reference') {
-      const stmt = stmtMap.get(expr.name);
+    if (expr.type === 'Reference' || expr.type === 'Compound') {
+      const stmt = expr.type === 'Compound' ? expr : stmtMap.get(expr.name);
       if (stmt) {
         const op = this.extractOperatorName(stmt);
         if (op === 'And' || op === 'Or') {
@@ -255,19 +349,238 @@ export class Session {
 
   /**
    * Add vector to knowledge base
+   * @param {Object|null} derivedBy - {rule, premises} for materialised conclusions
    */
-  addToKB(vector, name = null, metadata = null) {
+  addToKB(vector, name = null, metadata = null, derivedBy = null) {
     const contradiction = this.checkContradiction(metadata);
     if (contradiction) {
       this.warnings.push(contradiction);
     }
 
-    this.kbFacts.push({ vector, name, metadata });
-    if (this.kb === null) {
-      this.kb = vector.clone();
+    const fact = { vector, name, metadata, provenance: this.currentSource };
+    if (derivedBy) fact.derivedBy = derivedBy;
+    this.writable('kbFacts').push(fact);
+    this.relations.observe(name, metadata);
+    this.exclusions.observe(metadata);
+    this.accumulate(fact, 1);
+  }
+
+  /**
+   * Superposition of every KB fact, or null for an empty KB
+   * Maintained incrementally by addToKB and retraction; the thresholded
+   * vector is cached until the KB next changes.
+   * @returns {Vector|null}
+   */
+  get kb() {
+    return this.kbAccumulator.snapshot();
+  }
+
+  /**
+   * Superposition of the facts a declared theory loaded into the KB
+   * @param {string} name - Theory name
+   * @returns {Vector|null} Null when the theory contributed no facts
+   */
+  theoryVector(name) {
+    return this.theoryAccumulators.get(name)?.snapshot() || null;
+  }
+
+  /**
+   * Bind `$Name` of a declared theory to its current superposition, or to its
+   * identity vector while none of its facts are in the KB
+   * @param {string} name - Theory name
+   */
+  bindTheoryVector(name) {
+    const theory = this.theories.get(name);
+    if (theory) this.scope.set(name, this.theoryVector(name) || theory.vector);
+  }
+
+  /**
+   * Add a fact to (weight 1) or subtract it from (weight -1) the KB
+   * superposition, its KB shard and the superposition of the theory it came from
+   * A shard nearing its capacity adds a warning to the current learn() result
+   * (rebuilds and retraction outside learn() stay silent).
+   * @param {Object} fact - kbFacts entry
+   * @param {number} weight
+   */
+  accumulate(fact, weight) {
+    if (!fact.vector) return;
+    if (weight > 0) {
+      const warning = this.kbShards.add(fact);
+      if (warning && this.learning) this.warnings.push(warning);
     } else {
-      this.kb = bundle([this.kb, vector]);
+      this.kbShards.remove(fact);
+    }
+    const accumulators = [this.kbAccumulator];
+    const theory = theoryOf(fact);
+    if (theory) {
+      if (!this.theoryAccumulators.has(theory)) {
+        this.theoryAccumulators.set(theory, this.hdc.createAccumulator());
+      }
+      accumulators.push(this.theoryAccumulators.get(theory));
+    }
+    for (const accumulator of accumulators) {
+      if (weight > 0) accumulator.add(fact.vector);
+      else accumulator.remove(fact.vector);
+    }
+  }
+
+  /**
+   * Rebuild the KB superpositions from kbFacts
+   */
+  rebuildKB() {
+    this.kbAccumulator.clear();
+    this.theoryAccumulators.clear();
+    this.kbShards.clear();
+    for (const fact of this.kbFacts) {
+      this.accumulate(fact, 1);
+    }
+  }
+
+  /**
+   * Take a private copy of a registry still shared with a fork before writing
+   * @param {string} field - One of SHARED_REGISTRIES
+   * @returns {Array|Map} The session's own registry
+   */
+  writable(field) {
+    if (this.shared.has(field)) {
+      const value = this[field];
+      this[field] = Array.isArray(value) ? value.slice() : new Map(value || []);
+      this.shared.delete(field);
+    } else if (!this[field]) {
+      this[field] = new Map();
+    }
+    return this[field];
+  }
+
+  /**
+   * Take a private copy of a theory entry before changing it
+   * A fork's theories map starts as a shallow copy of its parent's, so the
+   * entries themselves are shared; activation state must not leak between them.
+   * @param {string} name - Declared theory name
+   * @returns {Object} The session's own entry
+   */
+  writableTheory(name) {
+    const theory = { ...this.theories.get(name) };
+    this.writable('theories').set(name, theory);
+    return theory;
+  }
+
+  /**
+   * Take a private copy of an active theory's namespace before binding into it
+   * A fork shares its parent's namespaces, so an Export in either session
+   * must not reach the other.
+   * @param {string} name - Active theory name
+   * @returns {Scope} The session's own namespace
+   */
+  writableNamespace(name) {
+    const namespace = this.theories.get(name).namespace;
+    if (!this.sharedNamespaces.has(namespace)) return namespace;
+
+    this.sharedNamespaces.delete(namespace);
+    const theory = this.writableTheory(name);
+    theory.namespace = namespace.clone();
+    return theory.namespace;
+  }
+
+  /**
+   * Create a child session starting from this session's state
+   * Facts, rules, theories, reference texts and macros are shared copy-on-write:
+   * whichever session writes first takes its own copy, so neither sees the
+   * other's later changes. The child's scope and vocabulary are overlays whose
+   * lookups fall through to this session's.
+   * @returns {Session} Child session
+   */
+  fork() {
+    const child = new Session({ geometry: this.geometry, strategy: this.hdc.strategyId });
+    child.vocabulary = new Vocabulary(this.geometry, {
+      namespace: this.vocabulary.namespace,
+      initType: this.vocabulary.initType,
+      hdc: child.hdc,
+      loader: name => this.vocabulary.get(name)
+    });
+    child.initOperators();
+    child.scope = new Scope(this.scope, { shadow: true });
+
+    for (const field of SHARED_REGISTRIES) {
+      child[field] = this[field];
+      child.shared.add(field);
+      if (this[field]) this.shared.add(field);
     }
+    child.kbAccumulator = this.kbAccumulator.clone();
+    child.theoryAccumulators = new Map([...this.theoryAccumulators].map(([name, acc]) => [name, acc.clone()]));
+    child.kbShards = this.kbShards.clone();
+    child.relations.rebuild(child.kbFacts);
+    child.exclusions.rebuild(child.kbFacts);
+    child.justifications = this.justifications.clone();
+
+    // Bindings the parent introduced resolve through the overlay; retracting
+    // them in the child must not delete them from the parent's scope
+    for (const [name, entry] of this.bindingProvenance) {
+      const scope = entry.scope === this.scope ? child.scope : entry.scope;
+      child.bindingProvenance.set(name, { ...entry, scope });
+    }
+    for (const theory of this.theories?.values() || []) {
+      if (!theory.namespace) continue;
+      this.sharedNamespaces.add(theory.namespace);
+      child.sharedNamespaces.add(theory.namespace);
+    }
+    child.theoryStack = this.theoryStack.slice();
+    child.executor.loadedTheories = new Set(this.executor.loadedTheories);
+    child.learnCount = this.learnCount;
+    child.forwardChaining = this.forwardChaining;
+    child.consistencyOnLoad = this.consistencyOnLoad;
+    child.parent = this;
+
+    dbg('FORK', `${child.kbFacts.length} facts, ${child.rules.length} rules`);
+    return child;
+  }
+
+  /**
+   * Remember which source introduced a scope binding / reference text
+   * @param {string} name - Binding name
+   */
+  recordBinding(name) {
+    this.bindingProvenance.set(name, { source: this.currentSource, scope: this.scope });
+  }
+
+  /**
+   * Retract every fact, rule, macro and binding introduced by a source
+   * @param {string} source - Theory path, `theory:Name` or `learn:N`
+   * @returns {Object} Counts of removed items
+   */
+  unloadSource(source) {
+    const removedFacts = new Set(this.kbFacts.filter(f => f.provenance === source));
+    const removedRules = new Set(this.rules.filter(r => r.provenance === source));
+
+    let macros = 0;
+    for (const [name, macro] of this.macros || []) {
+      if (macro.provenance === source) {
+        this.writable('macros').delete(name);
+        macros++;
+      }
+    }
+
+    let bindings = 0;
+    for (const [name, owner] of this.bindingProvenance) {
+      if (owner.source === source) {
+        owner.scope.delete(name);
+        this.writable('referenceTexts').delete(name);
+        this.bindingProvenance.delete(name);
+        bindings++;
+      }
+    }
+
+    // Same path as retract(): derived facts that lose their support go too
+    this.withdraw(removedFacts, removedRules);
+
+    const removed = {
+      facts: removedFacts.size,
+      rules: removedRules.size,
+      macros,
+      bindings
+    };
+    dbg('UNLOAD', source, removed);
+    return removed;
   }
 
   /**
@@ -289,38 +602,35 @@ export class Session {
       }
     }
 
-    // Check temporal contradictions
-    if ((operator === 'before' || operator === 'after') && args.length >= 2) {
-      const oppositeOp = operator === 'before' ? 'after' : 'before';
+    // Asymmetric relations (before/after, or declared `__AsymmetricRelation`):
+    // R(A,B) conflicts with R(B,A) in either spelling
+    if (args.length === 2 && args[0] !== args[1] && this.relations.isAsymmetric(operator)) {
       for (const fact of this.kbFacts) {
-        if (fact.metadata?.operator === oppositeOp &&
-            fact.metadata.args[0] === args[0] &&
-            fact.metadata.args[1] === args[1]) {
-          return 'Warning: temporal contradiction';
+        const stated = this.relations.orient(operator, fact.metadata);
+        if (stated?.length === 2 && stated[0] === args[1] && stated[1] === args[0]) {
+          const { operator: factOp, args: factArgs } = fact.metadata;
+          return `Warning: contradiction - ${operator} ${args.join(' ')} conflicts with ${factOp} ${factArgs.join(' ')}`;
         }
       }
     }
 
-    // Check mutually exclusive pairs
-    const exclusions = MUTUALLY_EXCLUSIVE[operator];
-    if (!exclusions || args.length < 2) return null;
-
-    const subject = args[0];
-    const value = args[1];
-
-    let exclusiveValue = null;
-    for (const pair of exclusions) {
-      if (pair[0] === value) { exclusiveValue = pair[1]; break; }
-      if (pair[1] === value) { exclusiveValue = pair[0]; break; }
+    // Check exclusive values and disjoint types
+    const exclusion = findExclusion(this, operator, args);
+    if (exclusion?.operation === 'disjoint_types') {
+      const [a, b] = exclusion.types;
+      return `Warning: contradiction - ${args[0]} is both ${a} and ${b}, which are disjoint`;
+    }
+    if (exclusion) {
+      const excluded = exclusion.fact.split(' ')[2];
+      return `Warning: contradiction - ${args[0]} is both ${args[1]} and ${excluded}`;
     }
 
-    if (!exclusiveValue) return null;
-
-    for (const fact of this.kbFacts) {
-      if (fact.metadata?.operator === operator &&
-          fact.metadata.args[0] === subject &&
-          fact.metadata.args[1] === exclusiveValue) {
-        return `Warning: contradiction - ${subject} is both ${value} and ${exclusiveValue}`;
+    // Interval relations the timeline already rules out
+    if (isTemporalRelation(operator) && args.length === 2) {
+      const network = temporalNetwork(this);
+      if (network.excludes(args[0], maskOf(operator), args[1])) {
+        const possible = relationsIn(network.relation(args[0], args[1])).join('/');
+        return `Warning: contradiction - ${operator} ${args.join(' ')} conflicts with the timeline (${args[0]} ${possible} ${args[1]})`;
       }
     }
 
@@ -360,10 +670,10 @@ export class Session {
    *
    * For a query like "isA Rex ?what":
    * 1. Build partial vector (everything except holes)
-   * 2. Bundle all KB facts into single KB vector
-   * 3. Apply Master Equation: answer = unbind(KB, partial)
+   * 2. Take each KB shard (capacity-bounded superpositions, see KBShards)
+   * 3. Apply Master Equation per shard: answer = unbind(shard, partial)
    * 4. Extract candidate at hole position
-   * 5. Find most similar in vocabulary
+   * 5. Find most similar in vocabulary, merging the shards' candidates
    *
    * @param {string} dsl - Query DSL with holes (?x, ?y, etc.)
    * @returns {Object} Query result with HDC-derived bindings
@@ -407,38 +717,30 @@ export class Session {
           const argName = args[i].name || args[i].value;
           if (argName) {
             const argVec = this.vocabulary.getOrCreate(argName);
-            const posVec = getPositionVector(i + 1, this.geometry);
+            const posVec = getPositionVector(i + 1, this.geometry, this.hdc.strategyId);
             partial = bind(partial, bind(argVec, posVec));
           }
         }
       }
 
-      // Bundle all KB facts into single KB vector
+      // KB superposition
       if (this.kbFacts.length === 0) {
         return { success: false, reason: 'Knowledge base is empty' };
       }
 
-      const factVectors = this.kbFacts.map(f => f.vector).filter(v => v);
-      if (factVectors.length === 0) {
+      if (this.kbShards.shards.size === 0) {
         return { success: false, reason: 'No valid fact vectors in KB' };
       }
 
-      const kbBundle = bundle(factVectors);
-
-      // Master Equation: Answer = KB ⊕ Query⁻¹
-      // For XOR-based HDC: unbind(KB, partial) = bind(KB, partial)
-      const answer = unbind(kbBundle, partial);
-
       // Extract bindings for each hole
       const bindings = new Map();
       const results = [];
 
       for (const hole of holes) {
-        const posVec = getPositionVector(hole.position, this.geometry);
-        const candidate = unbind(answer, posVec);
+        const posVec = getPositionVector(hole.position, this.geometry, this.hdc.strategyId);
 
-        // Find top matches in vocabulary
-        const matches = topKSimilar(candidate, this.vocabulary.atoms, 5);
+        // Master Equation on every shard (Answer = KB ⊕ Query⁻¹), top matches merged
+        const matches = this.kbShards.probe(partial, posVec, this.vocabulary.atoms, 5);
 
         if (matches.length > 0 && matches[0].similarity > 0.3) {
           bindings.set(hole.name, {
@@ -478,6 +780,7 @@ export class Session {
         bindings,
         results,
         kbSize: this.kbFacts.length,
+        shards: this.kbShards.shards.size,
         holes: holes.length
       };
 
@@ -489,19 +792,24 @@ export class Session {
   /**
    * Prove a goal
    * @param {string} dsl - Goal DSL
-   * @param {Object} options - Options
-   * @returns {Object} Proof result
+   * @param {Object} options - {timeout}
+   * @returns {Object} Proof result; `truth` is 'true', 'false' (with
+   *   `refutation`) or 'unknown' (with the `openGoals` that blocked it)
    */
   prove(dsl, options = {}) {
     dbg('PROVE', 'Starting:', dsl?.substring(0, 60));
     try {
       const ast = parse(dsl);
       if (ast.statements.length === 0) {
-        return { valid: false, reason: 'Empty goal' };
+        return { valid: false, truth: TRUTH.UNKNOWN, reason: 'Empty goal' };
       }
 
       const engine = new ProofEngine(this, { timeout: options.timeout || 2000 });
       const result = engine.prove(ast.statements[0]);
+      if (result.truth === TRUTH.UNKNOWN) {
+        const goal = this.executor.statementToFactString(ast.statements[0]);
+        result.openGoals = new AbductionEngine(this).openGoals(goal, engine.outcomes);
+      }
 
       // Track statistics
       this.reasoningStats.proofs++;
@@ -514,10 +822,264 @@ export class Session {
       if (result.valid && result.method) {
         this.trackMethod(result.method);
       }
+      if (result.truth === TRUTH.TRUE) {
+        this.recordJustification(this.executor.statementToFactString(ast.statements[0]), result);
+      }
+
+      return result;
+    } catch (e) {
+      return { valid: false, truth: TRUTH.UNKNOWN, reason: e.message };
+    }
+  }
+
+  /**
+   * Run rules forwards to a fixpoint and store their conclusions in the KB
+   * Turns on forward chaining: later learn() calls extend the fixpoint.
+   * @param {Object} options - {maxIterations, maxDerived}
+   * @returns {Object} {success, derived, iterations, facts, skipped}
+   */
+  materialize(options = {}) {
+    this.forwardChaining = true;
+    const result = new ForwardChainer(this, options).run();
+    if (result.derived > 0) {
+      this.trackMethod('forward_chain');
+    }
+    return result;
+  }
+
+  /**
+   * Check the KB and everything its rules derive for contradictions
+   * @param {Object} options - {maxConflicts, source}; source limits the report
+   *   to conflicts involving a statement from that theory or learn() call
+   * @returns {Object} {consistent, conflicts}; each conflict names the clashing
+   *   pair and a minimal set of facts and rules, with provenance, behind it
+   */
+  checkConsistency(options = {}) {
+    return new ConsistencyChecker(this, options).check();
+  }
+
+  /**
+   * Record which stored facts and rules a successful proof used
+   * @param {string} conclusion - Proved fact string
+   * @param {Object} result - Proof result
+   */
+  recordJustification(conclusion, result) {
+    const stored = new Set(this.kbFacts.map(f => factKey(f.metadata)));
+    const premises = [];
+
+    for (const step of [result, ...(result.steps || [])]) {
+      if (step.fact && stored.has(step.fact)) {
+        premises.push(step.fact);
+      }
+      if (typeof step.rule === 'string') {
+        const rule = this.rules.find(r => r.name === step.rule || r.source === step.rule);
+        if (rule) premises.push(ruleKey(rule));
+      }
+    }
+
+    this.justifications.justify(conclusion, premises, result.method);
+  }
+
+  /**
+   * Retract facts or rules and everything that depended on them
+   * @param {string} target - DSL (one or more facts or Implies rules), or the
+   *   name of a fact (`f` or `$f`)
+   * @returns {Object} {success, retracted, notFound, lost} where lost lists the
+   *   recorded conclusions that are no longer provable
+   */
+  retract(target) {
+    dbg('RETRACT', target?.substring(0, 60));
+    try {
+      const facts = new Set();
+      const rules = new Set();
+      const retracted = [];
+      const notFound = [];
+
+      const name = target.trim().match(/^\$?(\w+)$/)?.[1];
+      if (name) {
+        const text = this.referenceTexts.get(name);
+        const matched = this.kbFacts.filter(f => f.name === name || (text && factKey(f.metadata) === text));
+        const matchedRules = this.rules.filter(r => r.name === name);
+        matched.forEach(f => facts.add(f));
+        matchedRules.forEach(r => rules.add(r));
+        if (matched.length > 0 || matchedRules.length > 0) retracted.push(text || name);
+        else notFound.push(name);
+      } else {
+        for (const stmt of parse(target).statements) {
+          const text = this.executor.statementToFactString(stmt);
+          const source = stmt.toString();
+          const matched = this.kbFacts.filter(f => factKey(f.metadata) === text);
+          const matchedRules = this.rules.filter(r => r.source === source ||
+            (stmt.destination && r.name === stmt.destination));
+          matched.forEach(f => facts.add(f));
+          matchedRules.forEach(r => rules.add(r));
+          if (matched.length > 0 || matchedRules.length > 0) retracted.push(text);
+          else notFound.push(text);
+        }
+      }
+
+      const lost = this.withdraw(facts, rules);
+      const remaining = new Set(this.kbFacts.map(f => factKey(f.metadata)));
+      this.unbindFacts(new Set([...facts].map(f => factKey(f.metadata)).filter(text => !remaining.has(text))));
+
+      dbg('RETRACT', { retracted, lost });
+      return { success: retracted.length > 0, retracted, notFound, lost };
+    } catch (e) {
+      return { success: false, reason: e.message, retracted: [], notFound: [], lost: [] };
+    }
+  }
+
+  /**
+   * Remove facts and rules, then everything that depended on them
+   * Shared by retract() and unloadSource().
+   * @param {Set<Object>} facts - kbFacts entries to remove
+   * @param {Set<Object>} rules - Tracked rules to remove
+   * @returns {string[]} Recorded conclusions that are no longer provable
+   */
+  withdraw(facts, rules) {
+    this.dropFacts(facts);
+    if (rules.size > 0) {
+      this.rules = this.rules.filter(r => !rules.has(r));
+      this.shared.delete('rules');
+    }
+
+    const premises = [...[...facts].map(f => factKey(f.metadata)), ...[...rules].map(ruleKey)];
+    const unsupported = this.justifications.retract(premises);
+
+    // Materialised conclusions go with their support; re-derive any that
+    // another rule still yields
+    const stale = new Set(unsupported);
+    const materialised = this.kbFacts.filter(f => f.derivedBy && stale.has(factKey(f.metadata)));
+    this.dropFacts(new Set(materialised));
+    if (this.forwardChaining && (materialised.length > 0 || facts.size > 0)) {
+      // Retracting a fact can also make a negated condition true
+      const chainer = new ForwardChainer(this);
+      chainer.run({ reset: chainer.hasNegation() });
+    }
+
+    // `$Theory` follows the facts its theory still has in the KB
+    for (const theory of new Set([...facts, ...materialised].map(theoryOf))) {
+      if (theory) this.bindTheoryVector(theory);
+    }
+
+    // Conclusions that lost every recorded justification may still hold another way
+    const lost = [];
+    for (const conclusion of unsupported) {
+      const goal = parse(conclusion).statements[0];
+      const result = goal ? new ProofEngine(this).prove(goal) : { valid: false };
+      if (result.truth === TRUTH.TRUE) {
+        this.recordJustification(conclusion, result);
+      } else {
+        lost.push(conclusion);
+      }
+    }
+    return lost;
+  }
+
+  /**
+   * Remove `@name` bindings and reference texts of facts that left the KB
+   * @param {Set<string>} texts - Fact strings no longer in the KB
+   */
+  unbindFacts(texts) {
+    if (texts.size === 0) return;
+    for (const [name, text] of this.referenceTexts) {
+      if (!texts.has(text)) continue;
+      (this.bindingProvenance.get(name)?.scope || this.scope).delete(name);
+      this.writable('referenceTexts').delete(name);
+      this.bindingProvenance.delete(name);
+    }
+  }
+
+  /**
+   * Remove KB facts and rebuild what depends on the fact list
+   * A dropped fact's own justifications go with it; its dependants are left
+   * for the caller to retract.
+   * @param {Set<Object>} facts - kbFacts entries to remove
+   */
+  dropFacts(facts) {
+    if (facts.size === 0) return;
+    this.kbFacts = this.kbFacts.filter(f => !facts.has(f));
+    this.shared.delete('kbFacts');
+    for (const fact of facts) {
+      this.accumulate(fact, -1);
+      this.justifications.forget(factKey(fact.metadata));
+    }
+    this.relations.rebuild(this.kbFacts);
+    this.exclusions.rebuild(this.kbFacts);
+  }
+
+  /**
+   * Explain an observation by searching rules backwards (abduction)
+   * @param {string} dsl - Observation DSL, e.g. 'wet Grass'
+   * @param {Object} options - {maxDepth, maxResults, timeout}
+   * @returns {Object} {success, observation, explanations} with explanations
+   *   ranked by confidence; each has {cause, confidence, missing, holding, explains, chain}
+   */
+  abduce(dsl, options = {}) {
+    dbg('ABDUCE', 'Starting:', dsl?.substring(0, 60));
+    try {
+      const ast = parse(dsl);
+      if (ast.statements.length === 0) {
+        return { success: false, reason: 'Empty observation', explanations: [] };
+      }
 
+      const engine = new AbductionEngine(this, options);
+      const result = engine.abduce(ast.statements[0]);
+      if (result.success) {
+        this.trackMethod('abduction');
+      }
       return result;
     } catch (e) {
-      return { valid: false, reason: e.message };
+      return { success: false, reason: e.message, explanations: [] };
+    }
+  }
+
+  /**
+   * Propose rules from recurring patterns in the KB (induction)
+   * @param {Object} options - {minSupport, minConfidence, maxRules, operators}
+   * @returns {Object} {success, rules}; each proposal has {rule, condition,
+   *   conclusion, support, confidence, counterexamples, examples, exceptions}
+   */
+  induce(options = {}) {
+    const result = new InductionEngine(this, options).induce();
+    if (result.success) {
+      this.trackMethod('induction');
+    }
+    return result;
+  }
+
+  /**
+   * Add a proposed rule to the session's rules
+   * @param {Object|string} proposal - Proposal from induce(), or its rule DSL
+   * @param {string} name - Optional rule name
+   * @returns {Object} Learning result
+   */
+  acceptRule(proposal, name = null) {
+    const rule = typeof proposal === 'string' ? proposal : proposal?.rule;
+    if (!rule) {
+      return { success: false, facts: 0, errors: ['No rule to accept'], warnings: [] };
+    }
+    return this.learn(name ? `@${name} ${rule}` : rule);
+  }
+
+  /**
+   * Counterfactual: which goals flip if facts are retracted and asserted
+   * Changes are made in a fork; this session is left untouched.
+   * @param {string|null} addDsl - Facts or rules assumed true
+   * @param {string|null} removeDsl - Facts or rules assumed false
+   * @param {string|null} goalDsl - Goals to compare (default: retracted facts
+   *   and ground rule conclusions)
+   * @param {Object} options - {timeout}
+   * @returns {Object} {success, world, retracted, notFound, errors, goals, lost, gained}
+   */
+  whatIf(addDsl, removeDsl, goalDsl = null, options = {}) {
+    dbg('WHATIF', { add: addDsl?.substring(0, 40), remove: removeDsl?.substring(0, 40) });
+    try {
+      const result = new CounterfactualEngine(this, options).whatIf(addDsl, removeDsl, goalDsl);
+      this.trackMethod('counterfactual');
+      return result;
+    } catch (e) {
+      return { success: false, reason: e.message, goals: [], lost: [], gained: [] };
     }
   }
 
@@ -577,7 +1139,7 @@ export class Session {
    */
   extractArguments(vector, operatorName) {
     const opVec = this.vocabulary.get(operatorName);
-    const remainder = bind(vector, opVec);
+    const remainder = unbind(vector, opVec);
 
     const args = [];
     for (let pos = 1; pos <= 5; pos++) {
@@ -666,11 +1228,49 @@ export class Session {
     };
   }
 
+  /**
+   * Save the full session state to disk
+   * @param {string} path - Snapshot file path (JSON)
+   */
+  save(path) {
+    writeFileSync(path, JSON.stringify(createSnapshot(this)));
+  }
+
+  /**
+   * Restore a session saved with save()
+   * @param {string} path - Snapshot file path
+   * @returns {Session} Restored session
+   */
+  static load(path) {
+    const snapshot = JSON.parse(readFileSync(path, 'utf8'));
+    const session = new Session({ geometry: snapshot.geometry, strategy: snapshot.strategyId });
+    restoreSnapshot(session, snapshot);
+    return session;
+  }
+
+  /**
+   * Write a declared theory to a cold-storage pack directory
+   * The pack can be loaded later with `@_ Load "dir"`.
+   * @param {string} theoryName - Declared theory name
+   * @param {string} dir - Output directory
+   * @returns {Object} Summary {name, atoms, bytes}
+   */
+  saveTheoryPack(theoryName, dir) {
+    return writeTheoryPack(this, theoryName, dir);
+  }
+
   close() {
-    this.kb = null;
+    this.kbAccumulator.clear();
+    this.theoryAccumulators.clear();
+    this.kbShards.clear();
     this.kbFacts = [];
     this.rules = [];
+    this.relations.rebuild(this.kbFacts);
+    this.exclusions.rebuild(this.kbFacts);
+    this.justifications.clear();
     this.scope.clear();
+    this.bindingProvenance.clear();
+    this.theoryStack = [];
   }
 }
 
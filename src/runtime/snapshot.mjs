@@ -0,0 +1,230 @@
+/**
+ * AGISystem2 - Session Snapshots
+ * @module runtime/snapshot
+ *
+ * Converts session state to and from a JSON-safe snapshot so a session
+ * can be saved to disk and restored without re-running its DSL.
+ *
+ * Values are encoded recursively. Vectors, AST nodes, Maps, Sets, scopes and
+ * vocabularies are tagged with a `$kind` marker so they revive as live objects.
+ */
+
+import AST, { ASTNode } from '../parser/ast.mjs';
+import { deserialize, serializeKB, deserializeKB } from '../hdc/facade.mjs';
+import { Scope } from './scope.mjs';
+import { Vocabulary } from './vocabulary.mjs';
+import { openTheoryPack } from './theory-pack.mjs';
+import { KBShards } from './kb-shards.mjs';
+import { JustificationGraph } from '../reasoning/tms.mjs';
+
+export const SNAPSHOT_FORMAT = 'agisystem2-session';
+export const SNAPSHOT_VERSION = 1;
+
+/**
+ * Check whether a value is a hypervector (any strategy)
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isVector(value) {
+  return typeof value.serialize === 'function' && typeof value.geometry === 'number';
+}
+
+/**
+ * Encode a value into a JSON-safe form
+ * @param {*} value - Value to encode
+ * @returns {*} JSON-safe value
+ */
+export function encodeValue(value) {
+  if (value === null || value === undefined || typeof value !== 'object') {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(encodeValue);
+  }
+  if (value instanceof Map) {
+    return { $kind: 'map', entries: [...value].map(([k, v]) => [k, encodeValue(v)]) };
+  }
+  if (value instanceof Set) {
+    return { $kind: 'set', values: [...value].map(encodeValue) };
+  }
+  if (value instanceof ASTNode) {
+    const fields = {};
+    for (const [key, field] of Object.entries(value)) {
+      fields[key] = encodeValue(field);
+    }
+    return { $kind: 'ast', fields };
+  }
+  if (value instanceof Scope) {
+    // Parent links are transient; only the scope's own bindings are kept
+    return { $kind: 'scope', shadow: value.shadow, bindings: encodeValue(value.bindings) };
+  }
+  if (value instanceof Vocabulary) {
+    return { $kind: 'vocabulary', data: value.serialize() };
+  }
+  if (isVector(value)) {
+    return { $kind: 'vector', data: value.serialize() };
+  }
+
+  const result = {};
+  for (const [key, field] of Object.entries(value)) {
+    result[key] = encodeValue(field);
+  }
+  return result;
+}
+
+/**
+ * Decode a value produced by encodeValue
+ * @param {*} value - Encoded value
+ * @returns {*} Live value
+ */
+export function decodeValue(value) {
+  if (value === null || value === undefined || typeof value !== 'object') {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(decodeValue);
+  }
+
+  switch (value.$kind) {
+    case 'map':
+      return new Map(value.entries.map(([k, v]) => [k, decodeValue(v)]));
+    case 'set':
+      return new Set(value.values.map(decodeValue));
+    case 'ast': {
+      const NodeClass = AST[value.fields.type] || ASTNode;
+      const node = Object.create(NodeClass.prototype);
+      for (const [key, field] of Object.entries(value.fields)) {
+        node[key] = decodeValue(field);
+      }
+      return node;
+    }
+    case 'scope': {
+      const scope = new Scope(null, { shadow: value.shadow });
+      for (const [name, bound] of decodeValue(value.bindings)) {
+        scope.bindings.set(name, bound);
+      }
+      return scope;
+    }
+    case 'vocabulary':
+      return Vocabulary.deserialize(value.data);
+    case 'vector':
+      return deserialize(value.data);
+  }
+
+  const result = {};
+  for (const [key, field] of Object.entries(value)) {
+    result[key] = decodeValue(field);
+  }
+  return result;
+}
+
+/**
+ * Capture the full state of a session
+ * @param {Session} session - Session to snapshot
+ * @returns {Object} JSON-safe snapshot
+ */
+export function createSnapshot(session) {
+  // Binding provenance points at live scopes; store which scope by owner name
+  const owners = new Map([[session.scope, null]]);
+  for (const theory of session.theories.values()) {
+    if (theory.namespace) owners.set(theory.namespace, theory.name);
+  }
+  const bindingProvenance = [];
+  for (const [name, entry] of session.bindingProvenance) {
+    if (owners.has(entry.scope)) {
+      bindingProvenance.push([name, entry.source, owners.get(entry.scope)]);
+    }
+  }
+
+  return {
+    format: SNAPSHOT_FORMAT,
+    version: SNAPSHOT_VERSION,
+    strategyId: session.hdc.strategyId,
+    geometry: session.geometry,
+    facts: serializeKB(session.kbFacts),
+    factProvenance: session.kbFacts.map(f => f.provenance ?? null),
+    factDerivedBy: session.kbFacts.map(f => f.derivedBy ?? null),
+    justifications: session.justifications.serialize(),
+    forwardChaining: session.forwardChaining,
+    consistencyOnLoad: session.consistencyOnLoad,
+    shardCapacity: session.kbShards.capacity,
+    rules: encodeValue(session.rules),
+    macros: encodeValue(session.macros || new Map()),
+    scope: encodeValue(session.scope.bindings),
+    referenceTexts: encodeValue(session.referenceTexts),
+    vocabulary: session.vocabulary.serialize(),
+    // Open pack handles are not stored; they are reopened from packPath
+    theories: encodeValue(new Map([...session.theories].map(([name, t]) => [name, { ...t, pack: undefined }]))),
+    theoryStack: session.theoryStack.slice(),
+    loadedTheories: [...session.executor.loadedTheories],
+    bindingProvenance,
+    learnCount: session.learnCount
+  };
+}
+
+/**
+ * Restore a snapshot into a freshly constructed session
+ * @param {Session} session - Session created with the snapshot's geometry
+ * @param {Object} snapshot - Snapshot from createSnapshot
+ * @throws {Error} If the snapshot format, version or strategy does not match
+ */
+export function restoreSnapshot(session, snapshot) {
+  if (snapshot?.format !== SNAPSHOT_FORMAT) {
+    throw new Error('Not a session snapshot');
+  }
+  if (snapshot.version !== SNAPSHOT_VERSION) {
+    throw new Error(`Unsupported snapshot version: ${snapshot.version}`);
+  }
+  if (snapshot.strategyId !== session.hdc.strategyId) {
+    throw new Error(
+      `Snapshot uses HDC strategy '${snapshot.strategyId}', session strategy is '${session.hdc.strategyId}'`
+    );
+  }
+
+  const facts = deserializeKB(snapshot.facts);
+  session.kbFacts = facts.map((fact, i) => ({
+    vector: fact.vector,
+    name: fact.name,
+    metadata: fact.metadata,
+    provenance: snapshot.factProvenance[i],
+    ...(snapshot.factDerivedBy?.[i] && { derivedBy: snapshot.factDerivedBy[i] })
+  }));
+  if (snapshot.shardCapacity) {
+    session.kbShards = new KBShards(session.hdc, { capacity: snapshot.shardCapacity });
+  }
+  session.rebuildKB();
+  session.justifications = JustificationGraph.deserialize(snapshot.justifications);
+  session.relations.rebuild(session.kbFacts);
+  session.exclusions.rebuild(session.kbFacts);
+
+  session.rules = decodeValue(snapshot.rules);
+  session.macros = decodeValue(snapshot.macros);
+  session.referenceTexts = decodeValue(snapshot.referenceTexts);
+  session.vocabulary = Vocabulary.deserialize(snapshot.vocabulary, session.hdc);
+  session.theories = decodeValue(snapshot.theories);
+  for (const theory of session.theories.values()) {
+    theory.atoms.hdc = session.hdc;
+    if (theory.packPath) {
+      theory.pack = openTheoryPack(theory.packPath, session.hdc.strategyId);
+      theory.atoms.loader = name => theory.pack.readAtom(name);
+    }
+  }
+  session.theoryStack = snapshot.theoryStack.slice();
+  session.executor.loadedTheories = new Set(snapshot.loadedTheories);
+  session.learnCount = snapshot.learnCount;
+  session.forwardChaining = snapshot.forwardChaining === true;
+  session.consistencyOnLoad = snapshot.consistencyOnLoad === true;
+
+  session.scope = new Scope();
+  for (const [name, vector] of decodeValue(snapshot.scope)) {
+    session.scope.bindings.set(name, vector);
+  }
+
+  session.bindingProvenance = new Map();
+  for (const [name, source, owner] of snapshot.bindingProvenance) {
+    const scope = owner === null ? session.scope : session.theories.get(owner)?.namespace;
+    if (scope) {
+      session.bindingProvenance.set(name, { source, scope });
+    }
+  }
+}
@@ -0,0 +1,245 @@
+/**
+ * AGISystem2 - Theory Packs (Cold Storage)
+ * @module runtime/theory-pack
+ *
+ * On-disk theory layout from DS03 section 3.9:
+ *
+ *   theory_name/
+ *   ├── manifest.json      # {name, geometry, init, strategyId, vector, ...}
+ *   ├── atoms.bin          # Bitmap-encoded atom vectors, back to back
+ *   ├── atoms_index.json   # {name → {offset, length}} into atoms.bin
+ *   ├── macros.json        # Macro definitions
+ *   └── statements.json    # Theory body (facts and rules), replayed on Load
+ *
+ * Atoms are read lazily: only the index is parsed when a pack is opened, and
+ * each vector is read from its offset in atoms.bin the first time it is used.
+ * Declaring an atom in the replayed body (`@Loan __Atom`) is not a use.
+ *
+ * The encoding is lossless but saves nothing on dense-binary atoms: they are
+ * random with about half their bits set, so each costs geometry / 8 + 1 bytes,
+ * as much as the raw vector (deflate does no better on random bits). Packs
+ * gain from lazy loading, not from size.
+ */
+
+import { openSync, readSync, closeSync, readFileSync, writeFileSync, mkdirSync, existsSync } from 'node:fs';
+import { join } from 'node:path';
+import { deserialize, getStrategyId } from '../hdc/facade.mjs';
+import { compressBits, decompressBits } from '../util/bitmap-codec.mjs';
+import { encodeValue, decodeValue } from './snapshot.mjs';
+import { Vocabulary } from './vocabulary.mjs';
+
+export const PACK_FORMAT = 'agisystem2-theory-pack';
+export const PACK_VERSION = 1;
+export const MANIFEST_FILE = 'manifest.json';
+
+/**
+ * Check whether a directory holds a theory pack
+ * @param {string} dir - Directory path
+ * @returns {boolean}
+ */
+export function isTheoryPack(dir) {
+  return existsSync(join(dir, MANIFEST_FILE));
+}
+
+/**
+ * Encode a binary vector
+ * @param {Vector} vector - Vector with Uint32Array data
+ * @returns {Uint8Array}
+ * @throws {Error} If the vector is not bit-packed
+ */
+function packVector(vector) {
+  if (!(vector.data instanceof Uint32Array)) {
+    throw new Error('Theory packs require bit-packed binary vectors');
+  }
+  return compressBits(vector.data);
+}
+
+/**
+ * Rebuild a vector from encoded bytes
+ * @param {Uint8Array} bytes - Encoded bits
+ * @param {number} geometry - Vector dimension
+ * @param {string} strategyId - Strategy that produced the vector
+ * @returns {Vector}
+ */
+function unpackVector(bytes, geometry, strategyId) {
+  const data = decompressBits(bytes, geometry);
+  return deserialize({ strategyId, geometry, version: 1, data: Array.from(data) });
+}
+
+/**
+ * Write a declared theory to a pack directory
+ * Stored atoms are the theory's own atoms plus every name its namespace defines.
+ * @param {Session} session - Session holding the theory
+ * @param {string} theoryName - Declared theory name
+ * @param {string} dir - Output directory (created if missing)
+ * @returns {Object} Summary {name, atoms, bytes}
+ * @throws {Error} If the theory is unknown or the strategy's vectors are not bit-packed
+ */
+export function writeTheoryPack(session, theoryName, dir) {
+  const theory = session.theories.get(theoryName);
+  if (!theory) {
+    throw new Error(`Unknown theory: ${theoryName}`);
+  }
+
+  const strategyId = session.hdc.strategyId;
+  if (!(theory.vector.data instanceof Uint32Array)) {
+    throw new Error(`Theory packs store bit-packed binary vectors; strategy '${strategyId}' is not supported`);
+  }
+
+  const atoms = new Map();
+  for (const name of theory.pack?.names() || []) {
+    atoms.set(name, theory.atoms.getOrCreate(name));
+  }
+  for (const [name, vector] of theory.atoms.entries()) {
+    atoms.set(name, vector);
+  }
+  for (const [name, vector] of theory.namespace?.entries() || []) {
+    atoms.set(name, vector);
+  }
+
+  const index = {};
+  const blobs = [];
+  let offset = 0;
+  for (const [name, vector] of atoms) {
+    const bytes = packVector(vector);
+    index[name] = { offset, length: bytes.length };
+    blobs.push(bytes);
+    offset += bytes.length;
+  }
+
+  const macros = theory.statements.filter(s => s.type === 'MacroDeclaration');
+  const statements = theory.statements.filter(s => s.type !== 'MacroDeclaration');
+
+  mkdirSync(dir, { recursive: true });
+  writeFileSync(join(dir, MANIFEST_FILE), JSON.stringify({
+    format: PACK_FORMAT,
+    version: PACK_VERSION,
+    name: theory.name,
+    geometry: theory.geometry,
+    init: theory.initType,
+    strategyId,
+    vector: Buffer.from(packVector(session.theoryVector(theoryName) || theory.vector)).toString('base64'),
+    atomCount: atoms.size
+  }, null, 2));
+  writeFileSync(join(dir, 'atoms.bin'), Buffer.concat(blobs));
+  writeFileSync(join(dir, 'atoms_index.json'), JSON.stringify(index));
+  writeFileSync(join(dir, 'macros.json'), JSON.stringify(encodeValue(macros)));
+  writeFileSync(join(dir, 'statements.json'), JSON.stringify(encodeValue(statements)));
+
+  return { name: theory.name, atoms: atoms.size, bytes: offset };
+}
+
+/**
+ * Open a theory pack without reading any atom vectors
+ * @param {string} dir - Pack directory
+ * @param {string} [strategyId] - Strategy of the session opening it (active strategy if omitted)
+ * @returns {TheoryPack}
+ */
+export function openTheoryPack(dir, strategyId = getStrategyId()) {
+  return new TheoryPack(dir, strategyId);
+}
+
+/**
+ * Handle on an opened pack; reads atom vectors on demand
+ */
+export class TheoryPack {
+  /**
+   * @param {string} dir - Pack directory
+   * @param {string} [strategyId] - Strategy the pack must have been written with
+   * @throws {Error} If the manifest is missing or was written by another strategy
+   */
+  constructor(dir, strategyId = getStrategyId()) {
+    this.dir = dir;
+    this.manifest = JSON.parse(readFileSync(join(dir, MANIFEST_FILE), 'utf8'));
+    if (this.manifest.format !== PACK_FORMAT) {
+      throw new Error(`Not a theory pack: ${dir}`);
+    }
+    if (this.manifest.version !== PACK_VERSION) {
+      throw new Error(`Unsupported theory pack version: ${this.manifest.version}`);
+    }
+    if (this.manifest.strategyId !== strategyId) {
+      throw new Error(
+        `Theory pack uses HDC strategy '${this.manifest.strategyId}', session strategy is '${strategyId}'`
+      );
+    }
+    this.index = JSON.parse(readFileSync(join(dir, 'atoms_index.json'), 'utf8'));
+  }
+
+  get name() {
+    return this.manifest.name;
+  }
+
+  get geometry() {
+    return this.manifest.geometry;
+  }
+
+  /**
+   * Names of all stored atoms
+   * @returns {string[]}
+   */
+  names() {
+    return Object.keys(this.index);
+  }
+
+  /**
+   * Theory vector from the manifest: the superposition of its facts when
+   * written, or its identity vector if it was never activated
+   * @returns {Vector}
+   */
+  readTheoryVector() {
+    const bytes = Buffer.from(this.manifest.vector, 'base64');
+    return unpackVector(bytes, this.geometry, this.manifest.strategyId);
+  }
+
+  /**
+   * Check whether the pack stores an atom
+   * @param {string} name - Atom name
+   * @returns {boolean}
+   */
+  has(name) {
+    return Object.hasOwn(this.index, name);
+  }
+
+  /**
+   * Read one atom vector from atoms.bin
+   * @param {string} name - Atom name
+   * @returns {Vector|undefined} Undefined if the pack has no such atom
+   */
+  readAtom(name) {
+    const entry = this.has(name) ? this.index[name] : null;
+    if (!entry) return undefined;
+
+    const bytes = new Uint8Array(entry.length);
+    const fd = openSync(join(this.dir, 'atoms.bin'), 'r');
+    try {
+      readSync(fd, bytes, 0, entry.length, entry.offset);
+    } finally {
+      closeSync(fd);
+    }
+    return unpackVector(bytes, this.geometry, this.manifest.strategyId);
+  }
+
+  /**
+   * Vocabulary for the theory's namespace that pulls stored atoms lazily
+   * @param {Object} [hdc] - HDC context of the session loading the pack
+   * @returns {Vocabulary}
+   */
+  createVocabulary(hdc = null) {
+    return new Vocabulary(this.geometry, {
+      namespace: this.name,
+      initType: this.manifest.init,
+      hdc,
+      loader: name => this.readAtom(name)
+    });
+  }
+
+  /**
+   * Theory body: macro definitions first, then facts and rules
+   * @returns {ASTNode[]}
+   */
+  readStatements() {
+    const macros = decodeValue(JSON.parse(readFileSync(join(this.dir, 'macros.json'), 'utf8')));
+    const statements = decodeValue(JSON.parse(readFileSync(join(this.dir, 'statements.json'), 'utf8')));
+    return [...macros, ...statements];
+  }
+}
@@ -5,16 +5,26 @@
  * Manages the mapping between atom names and their hypervectors.
  */
 
-import { Vector } from '../core/vector.mjs';
-import { asciiStamp } from '../util/ascii-stamp.mjs';
+import { createHDCContext, deserialize, fingerprint } from '../hdc/facade.mjs';
 
 export class Vocabulary {
   /**
    * Create a new vocabulary
    * @param {number} geometry - Vector dimension
+   * @param {Object} options - Options
+   * @param {string} options.namespace - Owning theory; atoms are stamped as `namespace.name`
+   * @param {string} options.initType - 'deterministic' (default) or 'random'
+   * @param {Function} options.loader - Optional `name => Vector|undefined` consulted
+   *   before minting a new atom (lazy loading from cold storage)
+   * @param {Object} options.hdc - HDC context atoms are minted with (the owning
+   *   session's); defaults to the active strategy
    */
-  constructor(geometry) {
+  constructor(geometry, options = {}) {
     this.geometry = geometry;
+    this.hdc = options.hdc || createHDCContext(null, geometry);
+    this.namespace = options.namespace || null;
+    this.initType = options.initType || 'deterministic';
+    this.loader = options.loader || null;
     this.atoms = new Map();      // name -> Vector
     this.reverse = new Map();    // Vector hash -> name (for decoding)
   }
@@ -29,8 +39,10 @@ export class Vocabulary {
       return this.atoms.get(name);
     }
 
-    // Create deterministic vector from name
-    const vec = asciiStamp(name, this.geometry);
+    // Load a stored vector, else create from (namespace, name) or a fresh random one
+    const vec = this.loader?.(name) || (this.initType === 'random'
+      ? this.hdc.createRandom(this.geometry)
+      : this.hdc.createFromName(this.namespace ? `${this.namespace}.${name}` : name, this.geometry));
     this.atoms.set(name, vec);
 
     // Store reverse mapping for decoding
@@ -98,12 +110,7 @@ export class Vocabulary {
    * @returns {string}
    */
   hashVector(vec) {
-    // Use first few words as hash
-    const parts = [];
-    for (let i = 0; i < Math.min(4, vec.words); i++) {
-      parts.push(vec.data[i].toString(16));
-    }
-    return parts.join(':');
+    return fingerprint(vec);
   }
 
   /**
@@ -115,18 +122,19 @@ export class Vocabulary {
     for (const [name, vec] of this.atoms) {
       atoms[name] = vec.serialize();
     }
-    return { geometry: this.geometry, atoms };
+    return { geometry: this.geometry, namespace: this.namespace, initType: this.initType, atoms };
   }
 
   /**
    * Deserialize vocabulary
    * @param {Object} data - Serialized data
+   * @param {Object} [hdc] - HDC context for atoms minted later
    * @returns {Vocabulary}
    */
-  static deserialize(data) {
-    const vocab = new Vocabulary(data.geometry);
+  static deserialize(data, hdc = null) {
+    const vocab = new Vocabulary(data.geometry, { namespace: data.namespace, initType: data.initType, hdc });
     for (const [name, vecData] of Object.entries(data.atoms)) {
-      const vec = Vector.deserialize(vecData);
+      const vec = deserialize(vecData);
       vocab.atoms.set(name, vec);
       vocab.reverse.set(vocab.hashVector(vec), name);
     }
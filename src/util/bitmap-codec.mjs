@@ -0,0 +1,128 @@
+/**
+ * AGISystem2 - Bitmap Codec
+ * @module util/bitmap-codec
+ *
+ * Lossless Roaring-style compression for binary hypervectors.
+ * The bit space is split into 65536-bit chunks; each chunk is stored either
+ * as a sorted array of set-bit positions (sparse) or as raw words (dense),
+ * whichever is smaller.
+ *
+ * Chunk layout (little-endian):
+ *   u8 kind (0 = array, 1 = bitmap)
+ *   array:  u16 count, count × u16 positions
+ *   bitmap: chunkWords × u32 words
+ */
+
+const CHUNK_BITS = 65536;
+const CHUNK_WORDS = CHUNK_BITS / 32;
+const KIND_ARRAY = 0;
+const KIND_BITMAP = 1;
+
+/**
+ * Count set bits in a 32-bit word
+ * @param {number} w - Word
+ * @returns {number}
+ */
+function popcount(w) {
+  w = w - ((w >>> 1) & 0x55555555);
+  w = (w & 0x33333333) + ((w >>> 2) & 0x33333333);
+  return (((w + (w >>> 4)) & 0x0F0F0F0F) * 0x01010101) >>> 24;
+}
+
+/**
+ * Compress packed bits
+ * @param {Uint32Array} words - Bit words (bit i is word i>>5, bit i&31)
+ * @returns {Uint8Array} Compressed bytes
+ */
+export function compressBits(words) {
+  const chunks = [];
+  let total = 0;
+
+  for (let start = 0; start < words.length; start += CHUNK_WORDS) {
+    const end = Math.min(start + CHUNK_WORDS, words.length);
+    let count = 0;
+    for (let i = start; i < end; i++) count += popcount(words[i]);
+
+    // Array container costs 2 bytes per set bit, bitmap 4 bytes per word
+    const arrayBytes = 3 + count * 2;
+    const bitmapBytes = 1 + (end - start) * 4;
+    let chunk;
+
+    if (arrayBytes < bitmapBytes) {
+      chunk = new Uint8Array(arrayBytes);
+      const view = new DataView(chunk.buffer);
+      view.setUint8(0, KIND_ARRAY);
+      view.setUint16(1, count, true);
+      let offset = 3;
+      for (let i = start; i < end; i++) {
+        let w = words[i];
+        while (w !== 0) {
+          const bit = 31 - Math.clz32(w & -w);
+          view.setUint16(offset, (i - start) * 32 + bit, true);
+          offset += 2;
+          w &= w - 1;
+        }
+      }
+    } else {
+      chunk = new Uint8Array(bitmapBytes);
+      const view = new DataView(chunk.buffer);
+      view.setUint8(0, KIND_BITMAP);
+      for (let i = start; i < end; i++) {
+        view.setUint32(1 + (i - start) * 4, words[i], true);
+      }
+    }
+
+    chunks.push(chunk);
+    total += chunk.length;
+  }
+
+  const out = new Uint8Array(total);
+  let offset = 0;
+  for (const chunk of chunks) {
+    out.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return out;
+}
+
+/**
+ * Decompress bytes produced by compressBits
+ * @param {Uint8Array} bytes - Compressed bytes
+ * @param {number} geometry - Number of bits
+ * @returns {Uint32Array} Bit words
+ * @throws {Error} If the data is truncated or malformed
+ */
+export function decompressBits(bytes, geometry) {
+  const words = new Uint32Array(Math.ceil(geometry / 32));
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let offset = 0;
+
+  for (let start = 0; start < words.length; start += CHUNK_WORDS) {
+    const end = Math.min(start + CHUNK_WORDS, words.length);
+    if (offset >= bytes.length) {
+      throw new Error('Truncated bitmap data');
+    }
+
+    const kind = view.getUint8(offset++);
+    if (kind === KIND_ARRAY) {
+      const count = view.getUint16(offset, true);
+      offset += 2;
+      for (let j = 0; j < count; j++) {
+        const pos = view.getUint16(offset, true);
+        offset += 2;
+        words[start + (pos >>> 5)] |= 1 << (pos & 31);
+      }
+    } else if (kind === KIND_BITMAP) {
+      for (let i = start; i < end; i++) {
+        words[i] = view.getUint32(offset, true);
+        offset += 4;
+      }
+    } else {
+      throw new Error(`Unknown bitmap chunk kind: ${kind}`);
+    }
+  }
+
+  return words;
+}
+
+export default { compressBits, decompressBits };
@@ -6,4 +6,5 @@
 export { PRNG } from './prng.mjs';
 export { djb2, fnv1a, stringHash } from './hash.mjs';
 export { asciiStamp, asciiStampBatch } from './ascii-stamp.mjs';
+export { compressBits, decompressBits } from './bitmap-codec.mjs';
 export { sys2trace, createTracer, setDebug, getDebug, trace } from './trace.mjs';
@@ -5,7 +5,7 @@
 import { test, describe } from 'node:test';
 import assert from 'node:assert/strict';
 import { Vector } from '../../../src/core/vector.mjs';
-import { similarity } from '../../../src/core/operations.mjs';
+import { bind, similarity } from '../../../src/core/operations.mjs';
 import {
   getPositionVector,
   initPositionVectors,
@@ -45,6 +45,21 @@ describe('Position Vectors', () => {
     });
   });
 
+  describe('strategies', () => {
+    test('should keep position vectors apart per strategy', () => {
+      const dense = getPositionVector(1, 1024);
+      const bipolar = getPositionVector(1, 1024, 'bipolar-map');
+      assert.equal(dense.strategyId, 'dense-binary');
+      assert.equal(bipolar.strategyId, 'bipolar-map');
+      assert.equal(withPosition(1, bipolar).strategyId, 'bipolar-map');
+    });
+
+    test('should reject binding vectors from different strategies', () => {
+      const bipolar = getPositionVector(1, 1024, 'bipolar-map');
+      assert.throws(() => bind(getPositionVector(1, 1024), bipolar), /Strategy mismatch/);
+    });
+  });
+
   describe('initPositionVectors', () => {
     test('should return 20 position vectors', () => {
       const positions = initPositionVectors(1024);
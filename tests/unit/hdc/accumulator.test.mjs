@@ -0,0 +1,111 @@
+/**
+ * Incremental bundle accumulator Unit Tests - Node.js native test runner
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHDCContext } from '../../../src/hdc/facade.mjs';
+import { getStrategy } from '../../../src/hdc/strategies/index.mjs';
+import { Accumulator } from '../../../src/hdc/accumulator.mjs';
+import { Session } from '../../../src/runtime/session.mjs';
+
+const GEOMETRY = 2048;
+
+function atoms(strategy, count) {
+  return Array.from({ length: count }, (_, i) => strategy.createFromName(`Fact${i}`, GEOMETRY));
+}
+
+describe('Accumulator', () => {
+  for (const id of ['dense-binary', 'bipolar-map', 'hrr', 'sparse-block']) {
+    test(`should match bundle() over the counted vectors (${id})`, () => {
+      const strategy = getStrategy(id);
+      const accumulator = createHDCContext(id, GEOMETRY).createAccumulator();
+      const vectors = atoms(strategy, 7);
+      for (const v of vectors) accumulator.add(v);
+
+      const expected = strategy.bundle(vectors);
+      assert.ok(strategy.similarity(accumulator.snapshot(), expected) > 0.99);
+
+      accumulator.remove(vectors[6]);
+      accumulator.remove(vectors[5]);
+      assert.ok(strategy.similarity(accumulator.snapshot(), strategy.bundle(vectors.slice(0, 5))) > 0.99);
+    });
+  }
+
+  test('should count exactly for dense binary vectors', () => {
+    const strategy = getStrategy('dense-binary');
+    const accumulator = new Accumulator(strategy, GEOMETRY);
+    const vectors = atoms(strategy, 5);
+    for (const v of vectors) accumulator.add(v);
+    assert.ok(strategy.equals(accumulator.snapshot(), strategy.bundle(vectors)));
+  });
+
+  test('should cache the snapshot until the next change', () => {
+    const strategy = getStrategy('dense-binary');
+    const accumulator = new Accumulator(strategy, GEOMETRY);
+    assert.equal(accumulator.snapshot(), null);
+
+    const [a, b] = atoms(strategy, 2);
+    accumulator.add(a);
+    const first = accumulator.snapshot();
+    assert.equal(accumulator.snapshot(), first);
+    accumulator.add(b);
+    assert.notEqual(accumulator.snapshot(), first);
+  });
+
+  test('should re-bundle for strategies without counters', () => {
+    const dense = getStrategy('dense-binary');
+    const { createCounters, accumulate, fromCounters, ...plain } = dense;
+    const accumulator = new Accumulator(plain, GEOMETRY);
+    const vectors = atoms(dense, 3);
+    for (const v of vectors) accumulator.add(v);
+    accumulator.remove(vectors[1]);
+
+    assert.equal(accumulator.counters, null);
+    assert.ok(dense.equals(accumulator.snapshot(), dense.bundle([vectors[0], vectors[2]])));
+    assert.throws(() => accumulator.remove(vectors[1]), /not in the accumulator/);
+  });
+
+  test('should reject vectors from another strategy', () => {
+    const accumulator = new Accumulator(getStrategy('dense-binary'), GEOMETRY);
+    assert.throws(() => accumulator.add(getStrategy('bipolar-map').createFromName('A', GEOMETRY)), /Strategy mismatch/);
+  });
+});
+
+describe('Session KB superposition', () => {
+  test('should weigh early and late facts alike', () => {
+    const session = new Session({ geometry: GEOMETRY });
+    for (let i = 0; i < 9; i++) {
+      session.learn(`isA Thing${i} Kind${i}`);
+    }
+    const [first, last] = [session.kbFacts[0], session.kbFacts.at(-1)];
+    const simFirst = session.hdc.strategy.similarity(session.kb, first.vector);
+    const simLast = session.hdc.strategy.similarity(session.kb, last.vector);
+    assert.ok(Math.abs(simFirst - simLast) < 0.03, `${simFirst} vs ${simLast}`);
+  });
+
+  test('should subtract retracted facts and track theory vectors', () => {
+    const session = new Session({ geometry: GEOMETRY });
+    session.learn('isA Rex Dog\nisA Fido Dog');
+    const before = session.kb;
+
+    session.learn(`theory Birds {
+      isA Tweety Bird
+      can Bird Fly
+    }`);
+    const identity = session.scope.get('Birds');
+
+    session.learn('@_ Load $Birds');
+    assert.equal(session.theoryAccumulators.get('Birds').count, 2);
+    assert.ok(session.theoryVector('Birds'));
+    assert.ok(session.scope.get('Birds').equals(session.theoryVector('Birds')), '$Birds is the superposition');
+
+    session.retract('can Bird Fly');
+    assert.ok(session.scope.get('Birds').equals(session.theoryVector('Birds')), '$Birds follows retraction');
+
+    session.learn('@_ Unload $Birds');
+    assert.ok(session.kb.equals(before));
+    assert.equal(session.theoryVector('Birds'), null);
+    assert.equal(session.scope.get('Birds'), identity);
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * Bipolar MAP strategy Unit Tests - Node.js native test runner
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateStrategy, listStrategies, deserialize, fingerprint } from '../../../src/hdc/facade.mjs';
+import { getStrategy } from '../../../src/hdc/strategies/index.mjs';
+
+const strategy = getStrategy('bipolar-map');
+
+describe('Bipolar MAP strategy', () => {
+  test('should be registered and satisfy the HDC contract', () => {
+    assert.ok(listStrategies().includes('bipolar-map'));
+    assert.deepEqual(validateStrategy(strategy, 2048), { valid: true, errors: [] });
+  });
+
+  test('should create deterministic bipolar atoms', () => {
+    const v = strategy.createFromName('Socrates', 1024);
+    assert.ok(v.data.every(x => x === 1 || x === -1));
+    assert.ok(strategy.equals(v, strategy.createFromName('Socrates', 1024)));
+    assert.ok(!strategy.equals(v, strategy.createFromName('Plato', 1024)));
+  });
+
+  test('should bind by element-wise multiply', () => {
+    const a = strategy.createRandom(1024, 1);
+    const b = strategy.createRandom(1024, 2);
+    const bound = strategy.bind(a, b);
+
+    assert.equal(bound.data[0], a.data[0] * b.data[0]);
+    assert.ok(strategy.equals(strategy.unbind(bound, b), a));
+    assert.ok(strategy.equals(bound, strategy.bind(b, a)));
+  });
+
+  test('should bundle by integer sum without thresholding', () => {
+    const a = strategy.createFromName('A', 1024);
+    const b = strategy.createFromName('B', 1024);
+    const bundled = strategy.bundle([a, a, b]);
+
+    assert.equal(bundled.data[5], 2 * a.data[5] + b.data[5]);
+    assert.ok(strategy.similarity(bundled, a) > strategy.similarity(bundled, b));
+    assert.ok(strategy.similarity(bundled, b) > 0.55);
+  });
+
+  test('should keep members of large bundles retrievable', () => {
+    const members = Array.from({ length: 200 }, (_, i) => strategy.createFromName(`m${i}`, 4096));
+    const bundled = strategy.bundle(members);
+    const outsider = strategy.createFromName('outsider', 4096);
+
+    const weakest = Math.min(...members.map(m => strategy.similarity(bundled, m)));
+    assert.ok(weakest > strategy.similarity(bundled, outsider));
+  });
+
+  test('should round-trip through the facade by strategy id', () => {
+    const bundled = strategy.bundle(Array.from({ length: 300 }, (_, i) => strategy.createFromName(`x${i % 2}`, 256)));
+    const restored = deserialize(JSON.parse(JSON.stringify(bundled.serialize())));
+
+    assert.equal(restored.strategyId, 'bipolar-map');
+    assert.ok(strategy.equals(restored, bundled));
+    assert.equal(fingerprint(restored), fingerprint(bundled));
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * HRR strategy Unit Tests - Node.js native test runner
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateStrategy, listStrategies, capabilitiesOf } from '../../../src/hdc/facade.mjs';
+import { getStrategy } from '../../../src/hdc/strategies/index.mjs';
+
+const strategy = getStrategy('hrr');
+
+describe('HRR strategy', () => {
+  test('should be registered and satisfy the HDC contract', () => {
+    assert.ok(listStrategies().includes('hrr'));
+    assert.deepEqual(validateStrategy(strategy, 2048), { valid: true, errors: [] });
+    assert.equal(capabilitiesOf(strategy).bindSelfInverse, false);
+  });
+
+  test('should reject geometries that are not powers of two', () => {
+    assert.throws(() => strategy.createRandom(1000), /power of two/);
+  });
+
+  test('should unbind by correlation, not by binding again', () => {
+    const a = strategy.createFromName('Socrates', 1024);
+    const b = strategy.createFromName('Human', 1024);
+    const bound = strategy.bind(a, b);
+
+    assert.ok(strategy.similarity(strategy.unbind(bound, b), a) > 0.999);
+    assert.ok(strategy.similarity(strategy.bind(bound, b), a) < 0.6);
+    assert.ok(strategy.similarity(bound, strategy.bind(b, a)) > 0.999);
+  });
+
+  test('should unbind a role from a bundle of bindings', () => {
+    const role1 = strategy.createFromName('Pos1', 2048);
+    const role2 = strategy.createFromName('Pos2', 2048);
+    const filler1 = strategy.createFromName('Socrates', 2048);
+    const filler2 = strategy.createFromName('Human', 2048);
+    const record = strategy.bundle([strategy.bind(role1, filler1), strategy.bind(role2, filler2)]);
+
+    const recovered = strategy.unbind(record, role1);
+    assert.ok(strategy.similarity(recovered, filler1) > 0.8);
+    assert.ok(Math.abs(strategy.similarity(recovered, filler2) - 0.5) < 0.05);
+  });
+
+  test('should bundle to unit length', () => {
+    const bundled = strategy.bundle(['A', 'B', 'C'].map(name => strategy.createFromName(name, 1024)));
+    const norm = Math.sqrt(bundled.data.reduce((sum, x) => sum + x * x, 0));
+    assert.ok(Math.abs(norm - 1) < 1e-5);
+  });
+
+  test('should round-trip through serialization', () => {
+    const v = strategy.createFromName('Plato', 512);
+    const restored = strategy.deserialize(JSON.parse(JSON.stringify(strategy.serialize(v))));
+    assert.ok(strategy.equals(v, restored));
+  });
+});
+
+describe('HDC contract capabilities', () => {
+  test('should default to the dense-binary capabilities', () => {
+    assert.deepEqual(capabilitiesOf({}), { bindSelfInverse: true, bindCommutative: true, bindAssociative: true });
+  });
+
+  test('should report claimed capabilities that do not hold', () => {
+    const result = validateStrategy({ ...strategy, capabilities: { bindSelfInverse: true } }, 2048);
+    assert.equal(result.valid, false);
+    assert.deepEqual(result.errors.map(e => e.split(':')[0]), ['Bind not self-inverse']);
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * Sparse block-code strategy Unit Tests - Node.js native test runner
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateStrategy, listStrategies, compareStrategies } from '../../../src/hdc/facade.mjs';
+import { getStrategy } from '../../../src/hdc/strategies/index.mjs';
+import { BLOCK_SIZE } from '../../../src/hdc/strategies/sparse-block.mjs';
+
+const strategy = getStrategy('sparse-block');
+
+describe('Sparse block-code strategy', () => {
+  test('should be registered and satisfy the HDC contract', () => {
+    assert.ok(listStrategies().includes('sparse-block'));
+    assert.deepEqual(validateStrategy(strategy, 2048), { valid: true, errors: [] });
+    assert.equal(strategy.properties.sparseOptimized, true);
+  });
+
+  test('should store one active index per block', () => {
+    const v = strategy.createFromName('Socrates', 32768);
+    assert.equal(v.data.length, 32768 / BLOCK_SIZE);
+    assert.ok(v.data.every(index => index < BLOCK_SIZE));
+    assert.equal(strategy.properties.bytesPerVector(32768), 512);
+    assert.ok(strategy.equals(v, strategy.createFromName('Socrates', 32768)));
+  });
+
+  test('should bind by cyclic shift and unbind exactly', () => {
+    const a = strategy.createFromName('Socrates', 2048);
+    const b = strategy.createFromName('Human', 2048);
+    const bound = strategy.bind(a, b);
+
+    assert.equal(bound.data[0], (a.data[0] + b.data[0]) % BLOCK_SIZE);
+    assert.ok(strategy.equals(strategy.unbind(bound, b), a));
+    assert.ok(strategy.equals(bound, strategy.bind(b, a)));
+    assert.ok(strategy.similarity(strategy.bind(bound, b), a) < 0.6);
+  });
+
+  test('should bundle by block-wise winner-take-all', () => {
+    const [a, b, c] = ['A', 'B', 'C'].map(name => strategy.createFromName(name, 2048));
+    const majority = strategy.bundle([a, a, b]);
+    assert.ok(strategy.equals(majority, a));
+
+    const tied = strategy.bundle([a, b, c]);
+    for (const v of [a, b, c]) {
+      assert.ok(strategy.similarity(tied, v) > 0.6);
+    }
+    assert.ok(strategy.equals(strategy.bundle([a, b, c], b), b));
+  });
+
+  test('should treat the zero vector as unrelated', () => {
+    const zero = strategy.createZero(2048);
+    assert.equal(strategy.similarity(zero, strategy.createFromName('A', 2048)), 0.5);
+    assert.ok(strategy.equals(strategy.bundle([zero, zero]), zero));
+  });
+
+  test('should show the memory trade-off in strategy comparisons', () => {
+    const { strategies, ranking } = compareStrategies(['dense-binary', 'sparse-block'], 8192, { iterations: 20 });
+    assert.equal(strategies['sparse-block'].summary.memoryPerVector, 128);
+    assert.equal(strategies['dense-binary'].summary.memoryPerVector, 1024);
+    assert.equal(ranking.memory[0], 'sparse-block');
+  });
+});
@@ -78,6 +78,21 @@ describe('Lexer Tokens', () => {
       assert.ok(tokens.some(t => t.type === TOKEN_TYPES.RBRACKET));
     });
 
+    test('should tokenize qualified name as one identifier', () => {
+      const lexer = new Lexer('@x Finance.Bank');
+      const tokens = lexer.tokenize();
+      assert.equal(tokens[1].type, TOKEN_TYPES.IDENTIFIER);
+      assert.equal(tokens[1].value, 'Finance.Bank');
+    });
+
+    test('should tokenize rule arrow as ARROW', () => {
+      const lexer = new Lexer('rule R: A => B');
+      const tokens = lexer.tokenize();
+      const arrows = tokens.filter(t => t.type === TOKEN_TYPES.ARROW);
+      assert.equal(arrows.length, 1);
+      assert.equal(arrows[0].value, '=>');
+    });
+
     test('should tokenize parentheses', () => {
       const lexer = new Lexer('(A B)');
       const tokens = lexer.tokenize();
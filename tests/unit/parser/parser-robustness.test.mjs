@@ -53,14 +53,14 @@ describe('Parser Robustness', () => {
 
     test('should terminate on empty parentheses', () => {
       const start = Date.now();
-      const ast = parse('test () A');
+      assert.throws(() => parse('test () A'), ParseError);
       const elapsed = Date.now() - start;
       assert.ok(elapsed < 100, `Parser took too long: ${elapsed}ms`);
     });
 
     test('should terminate on unclosed parentheses', () => {
       const start = Date.now();
-      const ast = parse('test (A B');
+      assert.throws(() => parse('test (A B'), ParseError);
       const elapsed = Date.now() - start;
       assert.ok(elapsed < 100, `Parser took too long: ${elapsed}ms`);
     });
@@ -106,10 +106,19 @@ describe('Parser Robustness', () => {
 
   describe('Parentheses handling', () => {
     test('should throw on unbalanced parentheses', () => {
-      // Parser now throws on unexpected tokens including unmatched parens
+      // Parser throws on unexpected tokens including unmatched parens
       assert.throws(() => {
-        parse('test (A (B C))');
+        parse('test (A (B C)');
       }, ParseError);
+      assert.throws(() => {
+        parse('test (A B))');
+      }, ParseError);
+    });
+
+    test('should parse balanced nested parentheses', () => {
+      const ast = parse('test (A (B C))');
+      assert.equal(ast.statements.length, 1);
+      assert.equal(ast.statements[0].args[0].args[0].type, 'Compound');
     });
 
     test('should handle empty list', () => {
@@ -165,12 +165,112 @@ describe('Parser', () => {
       assert.equal(ast.statements.length, 0);
     });
 
-    test('should ignore parentheses (not supported)', () => {
-      // Parentheses are not supported - they stop parsing
-      const ast = parse('@f test (something)');
+    test('should reject empty parentheses', () => {
+      assert.throws(() => parse('@f test () A'), ParseError);
+    });
+
+    test('should reject unclosed parentheses', () => {
+      assert.throws(() => parse('@f test (A B'), ParseError);
+    });
+  });
+
+  describe('compound expressions', () => {
+    test('should parse parenthesised compound argument', () => {
+      const ast = parse('@r Implies (isA ?x Human) (isA ?x Mortal)');
       const stmt = ast.statements[0];
-      // Parser stops at '(' - no args parsed after test
-      assert.equal(stmt.args.length, 0);
+
+      assert.equal(stmt.args.length, 2);
+      assert.equal(stmt.args[0].type, 'Compound');
+      assert.equal(stmt.args[0].operator.name, 'isA');
+      assert.equal(stmt.args[0].args.length, 2);
+      assert.equal(stmt.args[0].args[0].type, 'Hole');
+      assert.equal(stmt.args[1].args[1].name, 'Mortal');
+    });
+
+    test('should parse nested compounds', () => {
+      const ast = parse('@r Implies (And (p ?a ?b) (Not (q ?b))) (r ?a)');
+      const and = ast.statements[0].args[0];
+
+      assert.equal(and.operator.name, 'And');
+      assert.equal(and.args[1].type, 'Compound');
+      assert.equal(and.args[1].operator.name, 'Not');
+      assert.equal(and.args[1].args[0].type, 'Compound');
+      assert.equal(and.args[1].args[0].operator.name, 'q');
+    });
+
+    test('should parse references inside compounds', () => {
+      const ast = parse('@causal __Role Causes (__Pair $cause $effect)');
+      const pair = ast.statements[0].args[1];
+
+      assert.equal(pair.type, 'Compound');
+      assert.equal(pair.args[0].type, 'Reference');
+      assert.equal(pair.args[1].name, 'effect');
+    });
+
+    test('should allow compounds to span lines', () => {
+      const ast = parse(`@r Implies (And
+          (p ?a)
+          (q ?a)) (r ?a)`);
+
+      assert.equal(ast.statements.length, 1);
+      assert.equal(ast.statements[0].args[0].args.length, 2);
+      assert.equal(ast.statements[0].args[1].operator.name, 'r');
+    });
+
+    test('compound should round-trip through toString', () => {
+      const ast = parse('@r Implies (And (p ?a) (q ?a)) (r ?a)');
+      assert.equal(ast.statements[0].toString(), '@r Implies (And (p ?a) (q ?a)) (r ?a)');
+    });
+  });
+
+  describe('declarations', () => {
+    test('should parse rule declaration with arrow', () => {
+      const ast = parse('rule Mortality: (isA ?x Human) => (isA ?x Mortal)');
+      const rule = ast.statements[0];
+
+      assert.equal(rule.type, 'RuleDeclaration');
+      assert.equal(rule.name, 'Mortality');
+      assert.equal(rule.condition.operator.name, 'isA');
+      assert.equal(rule.conclusion.args[1].name, 'Mortal');
+    });
+
+    test('rule should desugar to Implies statement', () => {
+      const ast = parse('rule R: $cond => $concl');
+      const stmt = ast.statements[0].toStatement();
+
+      assert.equal(stmt.type, 'Statement');
+      assert.equal(stmt.toString(), '@R Implies @cond @concl');
+    });
+
+    test('should reject rule without arrow', () => {
+      assert.throws(() => parse('rule R: (p ?x) (q ?x)'), ParseError);
+    });
+
+    test('should parse rules inside theory bodies', () => {
+      const ast = parse(`theory Bio {
+  isA Socrates Human
+  rule Mortality: (isA ?x Human) => (isA ?x Mortal)
+}`);
+      const theory = ast.statements[0];
+
+      assert.equal(theory.type, 'TheoryDeclaration');
+      assert.equal(theory.statements.length, 2);
+      assert.equal(theory.statements[1].type, 'RuleDeclaration');
+    });
+
+    test('should parse qualified identifier', () => {
+      const ast = parse('@x isA Finance.Bank Institution');
+      const arg = ast.statements[0].args[0];
+
+      assert.equal(arg.type, 'Identifier');
+      assert.equal(arg.qualifier, 'Finance');
+      assert.equal(arg.localName, 'Bank');
+    });
+
+    test('should parse import statement', () => {
+      const ast = parse('import Bio');
+      assert.equal(ast.statements[0].type, 'ImportStatement');
+      assert.equal(ast.statements[0].theoryName, 'Bio');
     });
   });
 });
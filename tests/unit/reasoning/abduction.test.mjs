@@ -0,0 +1,87 @@
+/**
+ * Tests for Abduction (session.abduce)
+ */
+
+import { test, describe, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { Session } from '../../../src/runtime/session.mjs';
+
+const LAWN = `
+@r1 Implies (rained Yesterday) (wet Grass)
+@r2 Implies (sprinklerOn Yesterday) (wet Grass)
+@r3 Implies (rained Yesterday) (wet Sidewalk)
+wet Sidewalk
+`;
+
+describe('Abduction', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'sys2-abduction-'));
+  after(() => rmSync(dir, { recursive: true, force: true }));
+
+  test('should rank the cause that explains more observations first', () => {
+    const session = new Session({ geometry: 2048 });
+    session.learn(LAWN);
+
+    const result = session.abduce('wet Grass');
+    assert.equal(result.success, true);
+    assert.equal(result.observation, 'wet Grass');
+
+    const [best, second] = result.explanations;
+    assert.equal(best.cause, 'rained Yesterday');
+    assert.equal(second.cause, 'sprinklerOn Yesterday');
+    assert.ok(best.confidence > second.confidence);
+    assert.deepEqual(best.explains, ['wet Sidewalk']);
+    assert.deepEqual(best.missing, ['rained Yesterday']);
+    assert.equal(best.chain[0].rule, 'r1');
+  });
+
+  test('should explain through rules loaded from a file', () => {
+    const file = join(dir, 'lawn.sys2');
+    writeFileSync(file, LAWN);
+    const session = new Session({ geometry: 2048 });
+    session.learn(`@_ Load "${file}"`);
+
+    const causes = session.abduce('wet Grass').explanations.map(e => e.cause);
+    assert.deepEqual(causes, ['rained Yesterday', 'sprinklerOn Yesterday']);
+  });
+
+  test('should propose deeper causes through rule chains', () => {
+    const session = new Session({ geometry: 2048 });
+    session.learn(`${LAWN}
+@r4 Implies (stormy Yesterday) (rained Yesterday)`);
+
+    const result = session.abduce('wet Grass');
+    const storm = result.explanations.find(e => e.cause === 'stormy Yesterday');
+    assert.ok(storm, 'stormy Yesterday proposed');
+    assert.deepEqual(storm.chain.map(s => s.rule), ['r1', 'r4']);
+  });
+
+  test('should separate holding premises from missing ones', () => {
+    const session = new Session({ geometry: 2048 });
+    session.learn(`@r1 Implies (And (hasPower Pump) (timerSet Pump)) (running Pump)
+hasPower Pump`);
+
+    const [best] = session.abduce('running Pump').explanations;
+    assert.deepEqual(best.missing, ['timerSet Pump']);
+    assert.deepEqual(best.holding, ['hasPower Pump']);
+  });
+
+  test('should bind rule variables from the observation', () => {
+    const session = new Session({ geometry: 2048 });
+    session.learn('@r1 Implies (hasFlu ?p) (hasFever ?p)');
+
+    const [best] = session.abduce('hasFever Ann').explanations;
+    assert.equal(best.cause, 'hasFlu Ann');
+  });
+
+  test('should report when nothing explains the observation', () => {
+    const session = new Session({ geometry: 2048 });
+    session.learn(LAWN);
+
+    const result = session.abduce('wet Roof');
+    assert.equal(result.success, false);
+    assert.deepEqual(result.explanations, []);
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Tests for the KB consistency checker (session.checkConsistency)
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { Session } from '../../../src/runtime/session.mjs';
+
+const facts = conflict => conflict.facts.map(f => f.fact).sort();
+
+describe('Consistency', () => {
+  test('should report a consistent KB', () => {
+    const session = new Session({ geometry: 2048 });
+    session.learn(`isA Tom Cat
+hasState Door Open`);
+
+    assert.deepEqual(session.checkConsistency(), { consistent: true, conflicts: [] });
+  });
+
+  test('should name the two clashing statements and their provenance', () => {
+    const session = new Session({ geometry: 2048 });
+    session.learn('hasState Door Open');
+    session.learn('hasState Door Closed');
+
+    const { consistent, conflicts } = session.checkConsistency();
+    assert.equal(consistent, false);
+    assert.equal(conflicts.length, 1);
+    assert.equal(conflicts[0].type, 'exclusive');
+    assert.deepEqual(conflicts[0].facts, [
+      { fact: 'hasState Door Open', name: null, provenance: 'learn:1' },
+      { fact: 'hasState Door Closed', name: null, provenance: 'learn:2' }
+    ]);
+  });
+
+  test('should trace derived clashes to a minimal set of facts and rules', () => {
+    const session = new Session({ geometry: 2048 });
+    session.learn(`disjointWith Cat Dog
+isA Siamese Cat
+isA Tom Siamese
+barks Tom
+barks Rex
+likes Tom Milk
+@r1 Implies (barks ?x) (isA ?x Dog)`);
+
+    const { conflicts } = session.checkConsistency();
+    assert.equal(conflicts.length, 1);
+    assert.equal(conflicts[0].type, 'disjoint');
+    assert.deepEqual(facts(conflicts[0]), ['barks Tom', 'disjointWith Cat Dog', 'isA Siamese Cat', 'isA Tom Siamese']);
+    assert.deepEqual(conflicts[0].rules.map(r => r.rule), ['r1']);
+  });
+
+  test('should find clashes the prover derives through transitive chains', () => {
+    const session = new Session({ geometry: 2048 });
+    session.learn(`isA Rex Dog
+isA Dog Animal
+@r1 Implies (isA ?x Animal) (hasState ?x Alive)
+hasState Rex Dead`);
+    assert.equal(session.prove('@g hasState Rex Alive').valid, true);
+
+    const { consistent, conflicts } = session.checkConsistency();
+    assert.equal(consistent, false);
+    assert.equal(conflicts.length, 1);
+    assert.equal(conflicts[0].type, 'exclusive');
+    assert.deepEqual(facts(conflicts[0]), ['hasState Rex Dead', 'isA Dog Animal', 'isA Rex Dog']);
+    assert.deepEqual(conflicts[0].rules.map(r => r.rule), ['r1']);
+  });
+
+  test('should keep the statements behind each clash when their support holds another', () => {
+    const session = new Session({ geometry: 2048 });
+    session.learn(`hasState Door Open
+before Dawn Noon
+after Dawn Noon
+@r1 Implies (And (before Dawn Noon) (after Dawn Noon)) (hasState Door Closed)`);
+
+    const exclusive = session.checkConsistency().conflicts.find(c => c.type === 'exclusive');
+    assert.deepEqual(facts(exclusive), ['after Dawn Noon', 'before Dawn Noon', 'hasState Door Open']);
+    assert.deepEqual(exclusive.rules.map(r => r.rule), ['r1']);
+  });
+
+  test('should find negated and asymmetric clashes', () => {
+    const session = new Session({ geometry: 2048 });
+    session.learn(`@n isA Rex Cat
+Not $n
+isA Rex Cat
+before Dawn Noon
+after Dawn Noon`);
+
+    const types = session.checkConsistency().conflicts.map(c => c.type).sort();
+    assert.deepEqual(types, ['asymmetric', 'negation']);
+  });
+
+  test('should report reversed facts only for relations declared asymmetric', () => {
+    const session = new Session({ geometry: 2048 });
+    session.learn(`inverseOf marriedTo spouseOf
+marriedTo Ann Bob
+spouseOf Ann Bob
+inverseOf outranks outrankedBy
+__AsymmetricRelation outranks
+outranks Ann Bob
+outrankedBy Ann Bob`);
+
+    const { conflicts } = session.checkConsistency();
+    assert.equal(conflicts.length, 1);
+    assert.equal(conflicts[0].type, 'asymmetric');
+    assert.deepEqual(facts(conflicts[0]), [
+      '__AsymmetricRelation outranks', 'inverseOf outranks outrankedBy', 'outrankedBy Ann Bob', 'outranks Ann Bob'
+    ]);
+  });
+
+  test('should check theories on Load when enabled', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'sys2-consistency-'));
+    writeFileSync(join(dir, 'doors.sys2'), 'hasState Door Closed\n');
+
+    const session = new Session({ geometry: 2048, consistencyOnLoad: true });
+    session.learn('hasState Door Open');
+    const result = session.learn(`@_ Load "${join(dir, 'doors.sys2')}"`);
+
+    assert.equal(result.success, true);
+    const inconsistency = result.warnings.filter(w => w.includes('inconsistency in'));
+    assert.equal(inconsistency.length, 1);
+    assert.ok(inconsistency[0].includes('Door is both'));
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Tests for Counterfactual Reasoning (session.whatIf)
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { Session } from '../../../src/runtime/session.mjs';
+
+const SUPPLY = `
+supplies Acme Widgets
+supplies Bolt Screws
+@r1 Implies (supplies Acme Widgets) (canBuild Factory Gadgets)
+@r2 Implies (canBuild Factory Gadgets) (canShip Store Gadgets)
+`;
+
+describe('Counterfactual Reasoning', () => {
+  test('should report goals lost when a fact is retracted', () => {
+    const session = new Session({ geometry: 2048 });
+    session.learn(SUPPLY);
+
+    const result = session.whatIf(null, 'supplies Acme Widgets');
+    assert.equal(result.success, true);
+    assert.deepEqual(result.retracted, ['supplies Acme Widgets']);
+    assert.deepEqual(result.lost, [
+      'supplies Acme Widgets',
+      'canBuild Factory Gadgets',
+      'canShip Store Gadgets'
+    ]);
+    assert.deepEqual(result.gained, []);
+  });
+
+  test('should leave the actual session untouched', () => {
+    const session = new Session({ geometry: 2048 });
+    session.learn(SUPPLY);
+
+    const result = session.whatIf(null, 'supplies Acme Widgets');
+    assert.equal(session.prove('@goal canShip Store Gadgets').valid, true);
+    assert.equal(result.world.prove('@goal canShip Store Gadgets').valid, false);
+  });
+
+  test('should compare only the given goals', () => {
+    const session = new Session({ geometry: 2048 });
+    session.learn(SUPPLY);
+
+    const result = session.whatIf(
+      `supplies Zeta Widgets
+@r9 Implies (supplies Zeta Widgets) (canBuild Factory Gadgets)`,
+      'supplies Acme Widgets',
+      'canShip Store Gadgets'
+    );
+    assert.deepEqual(result.goals, [
+      { goal: 'canShip Store Gadgets', before: true, after: true, flipped: false }
+    ]);
+  });
+
+  test('should report gained goals and unknown retractions', () => {
+    const session = new Session({ geometry: 2048 });
+    session.learn(SUPPLY);
+
+    const result = session.whatIf('supplies Acme Gears', 'supplies Nobody Nothing', 'supplies Acme Gears');
+    assert.deepEqual(result.notFound, ['supplies Nobody Nothing']);
+    assert.deepEqual(result.gained, ['supplies Acme Gears']);
+  });
+
+  test('should compare conclusions of rules with variables by default', () => {
+    const session = new Session({ geometry: 2048 });
+    session.learn(`supplies Acme Widgets
+supplies Bolt Screws
+@r1 Implies (supplies ?s Widgets) (canBuild ?s Gadgets)
+@r2 Implies (canBuild ?s Gadgets) (canShip ?s Gadgets)`);
+
+    const result = session.whatIf('supplies Cog Widgets', 'supplies Acme Widgets');
+    assert.deepEqual(result.lost, ['supplies Acme Widgets', 'canBuild Acme Gadgets', 'canShip Acme Gadgets']);
+    assert.deepEqual(result.gained, ['canBuild Cog Gadgets', 'canShip Cog Gadgets']);
+  });
+
+  test('should retract rules', () => {
+    const session = new Session({ geometry: 2048 });
+    session.learn(SUPPLY);
+
+    const result = session.whatIf(null, '@r2 Implies (canBuild Factory Gadgets) (canShip Store Gadgets)',
+      'canShip Store Gadgets');
+    assert.deepEqual(result.lost, ['canShip Store Gadgets']);
+  });
+});
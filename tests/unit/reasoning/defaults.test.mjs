@@ -0,0 +1,90 @@
+/**
+ * Tests for Default Reasoning (normally / except)
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { Session } from '../../../src/runtime/session.mjs';
+import { DEFEASIBLE_CONFIDENCE } from '../../../src/core/constants.mjs';
+
+const BIRDS = `
+normally Bird canFly
+except Penguin canFly
+isA Penguin Bird
+isA Tweety Bird
+isA Pingu Penguin
+`;
+
+describe('Default Reasoning', () => {
+  test('should conclude a default along the isA chain', () => {
+    const session = new Session({ geometry: 2048 });
+    session.learn(BIRDS);
+
+    const result = session.prove('@goal canFly Tweety');
+    assert.equal(result.valid, true);
+    assert.equal(result.method, 'default');
+    assert.equal(result.defeasible, true);
+    assert.equal(result.confidence, DEFEASIBLE_CONFIDENCE);
+    assert.ok(result.explanation.includes('except Penguin canFly'), 'names the exception it checked');
+
+    const checked = result.steps.find(s => s.operation === 'exception_checked');
+    assert.equal(checked.applies, false);
+  });
+
+  test('should let a more specific exception override the default', () => {
+    const session = new Session({ geometry: 2048 });
+    session.learn(BIRDS);
+
+    const result = session.prove('@goal canFly Pingu');
+    assert.equal(result.valid, false);
+    assert.equal(result.method, 'default_exception');
+    assert.ok(result.reason.includes('except Penguin canFly'));
+  });
+
+  test('should let a more specific default override an exception', () => {
+    const session = new Session({ geometry: 2048 });
+    session.learn(`${BIRDS}
+normally RocketPenguin canFly
+isA RocketPenguin Penguin
+isA Rico RocketPenguin`);
+
+    assert.equal(session.prove('@goal canFly Rico').valid, true);
+  });
+
+  test('should not apply defaults outside the category', () => {
+    const session = new Session({ geometry: 2048 });
+    session.learn(`${BIRDS}
+isA Rex Dog`);
+
+    assert.equal(session.prove('@goal canFly Rex').valid, false);
+  });
+
+  test('should match extra property arguments', () => {
+    const session = new Session({ geometry: 2048 });
+    session.learn(`normally Bird can Fly
+isA Tweety Bird`);
+
+    assert.equal(session.prove('@goal can Tweety Fly').valid, true);
+    assert.equal(session.prove('@goal can Tweety Swim').valid, false);
+  });
+
+  test('should answer queries with the entities a default covers', () => {
+    const session = new Session({ geometry: 2048 });
+    session.learn(BIRDS);
+
+    const result = session.query('@q canFly ?x');
+    const answers = result.allResults.map(r => r.bindings.get('x').answer);
+    assert.deepEqual(answers, ['Tweety']);
+    assert.equal(result.bindings.get('x').method, 'default');
+  });
+
+  test('should use defaults inside rule conditions', () => {
+    const session = new Session({ geometry: 2048 });
+    session.learn(`${BIRDS}
+@cond canFly Tweety
+@conc canMigrate Tweety
+Implies $cond $conc`);
+
+    assert.equal(session.prove('@goal canMigrate Tweety').valid, true);
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * Tests for declarative exclusion (exclusive, disjointWith, partition)
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { Session } from '../../../src/runtime/session.mjs';
+import { ExclusionRegistry } from '../../../src/reasoning/exclusion.mjs';
+
+describe('Exclusion', () => {
+  describe('ExclusionRegistry', () => {
+    test('should make n-ary exclusive values pairwise exclusive', () => {
+      const registry = new ExclusionRegistry();
+      registry.observe({ operator: 'exclusive', args: ['hasColor', 'Red', 'Green', 'Blue'] });
+
+      assert.deepEqual(registry.exclusiveWith('hasColor', 'Green').sort(), ['Blue', 'Red']);
+      assert.deepEqual(registry.exclusiveWith('likes', 'Green'), []);
+    });
+
+    test('should keep the core value sets', () => {
+      assert.deepEqual(new ExclusionRegistry().exclusiveWith('hasState', 'Open'), ['Closed']);
+    });
+
+    test('should read partition lists as disjoint members', () => {
+      const registry = new ExclusionRegistry();
+      registry.observe({ operator: 'partition', args: ['Color', 'Red,Green,Blue'] });
+
+      assert.deepEqual(registry.disjointPair(['Red'], ['Blue']), ['Red', 'Blue']);
+      assert.equal(registry.disjointPair(['Red'], ['Color']), null);
+    });
+  });
+
+  test('should warn about exclusive values declared in DSL', () => {
+    const session = new Session({ geometry: 2048 });
+    session.learn(`exclusive hasColor Red Green Blue
+hasColor Car Red`);
+
+    const result = session.learn('hasColor Car Blue');
+    assert.deepEqual(result.warnings, ['Warning: contradiction - Car is both Blue and Red']);
+  });
+
+  test('should inherit disjointness down isA', () => {
+    const session = new Session({ geometry: 2048 });
+    session.learn(`disjointWith Cat Dog
+isA Siamese Cat
+isA Beagle Dog
+isA Tom Siamese`);
+
+    const result = session.learn('isA Tom Beagle');
+    assert.ok(result.warnings[0].includes('Tom is both Cat and Dog'));
+  });
+
+  test('should disprove membership of a disjoint type', () => {
+    const session = new Session({ geometry: 2048 });
+    session.learn(`partition Color [Red Green Blue]
+isA Apple Red`);
+
+    const result = session.prove('@g isA Apple Green');
+    assert.equal(result.truth, 'false');
+    assert.deepEqual(result.refutation.at(-1), { operation: 'disjoint_check', container: 'Red', target: 'Green' });
+  });
+
+  test('should refute exclusive values of any relation', () => {
+    const session = new Session({ geometry: 2048 });
+    session.learn(`exclusive hasMode Manual Automatic
+hasMode Gearbox Manual`);
+
+    const result = session.prove('@g hasMode Gearbox Automatic');
+    assert.equal(result.truth, 'false');
+    assert.equal(result.refutation[0].fact, 'hasMode Gearbox Manual');
+  });
+
+  test('should forget declarations when they are retracted', () => {
+    const session = new Session({ geometry: 2048 });
+    session.learn(`disjointWith Cat Dog
+isA Tom Cat`);
+    session.retract('disjointWith Cat Dog');
+
+    assert.deepEqual(session.learn('isA Tom Dog').warnings, []);
+  });
+});
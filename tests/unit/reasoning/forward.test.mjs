@@ -0,0 +1,170 @@
+/**
+ * Tests for Forward Chaining (materialize / learn forward)
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { Session } from '../../../src/runtime/session.mjs';
+
+const FAMILY = `
+parent Ann Bob
+parent Bob Cy
+@r1 Implies (parent ?x ?y) (ancestor ?x ?y)
+@r2 Implies (And (parent ?x ?y) (ancestor ?y ?z)) (ancestor ?x ?z)
+`;
+
+function derivedFacts(session) {
+  return session.kbFacts
+    .filter(f => f.derivedBy)
+    .map(f => [f.metadata.operator, ...f.metadata.args].join(' '));
+}
+
+describe('Forward Chaining', () => {
+  test('should materialise rule conclusions to a fixpoint', () => {
+    const session = new Session({ geometry: 2048 });
+    session.learn(FAMILY);
+
+    const result = session.materialize();
+    assert.equal(result.success, true);
+    assert.equal(result.derived, 3);
+    assert.deepEqual(derivedFacts(session).sort(), ['ancestor Ann Bob', 'ancestor Ann Cy', 'ancestor Bob Cy']);
+  });
+
+  test('should tag derived facts with their rule and premises', () => {
+    const session = new Session({ geometry: 2048 });
+    session.learn(FAMILY);
+    session.materialize();
+
+    const fact = session.kbFacts.find(f => f.derivedBy && f.metadata.args.join(' ') === 'Ann Cy');
+    assert.deepEqual(fact.derivedBy, { rule: 'r2', premises: ['parent Ann Bob', 'ancestor Bob Cy'] });
+  });
+
+  test('should extend the fixpoint on later learn calls', () => {
+    const session = new Session({ geometry: 2048 });
+    session.learn(FAMILY, { forward: true });
+
+    const result = session.learn('parent Cy Dee');
+    assert.equal(result.derived, 3);
+    assert.ok(derivedFacts(session).includes('ancestor Ann Dee'));
+  });
+
+  test('should answer queries from materialised facts', () => {
+    const session = new Session({ geometry: 2048 });
+    session.learn(FAMILY);
+    session.materialize();
+
+    const result = session.query('@q ancestor Ann ?z');
+    const answers = result.allResults.map(r => r.bindings.get('z').answer).sort();
+    assert.deepEqual(answers, ['Bob', 'Cy']);
+    assert.equal(result.bindings.get('z').method, 'direct');
+  });
+
+  test('should match conditions through transitive chains like the prover', () => {
+    const session = new Session({ geometry: 2048 });
+    session.learn(`isA Rex Dog
+isA Dog Animal
+@r1 Implies (isA ?x Animal) (alive ?x)
+@r2 Implies (alive ?x) (needsFood ?x)`, { forward: true });
+
+    assert.deepEqual(derivedFacts(session).sort(), ['alive Dog', 'alive Rex', 'needsFood Dog', 'needsFood Rex']);
+    const alive = session.kbFacts.find(f => f.derivedBy && f.metadata.args[0] === 'Rex' && f.metadata.operator === 'alive');
+    assert.deepEqual(alive.derivedBy.premises, ['isA Rex Dog', 'isA Dog Animal']);
+
+    session.learn('isA Fido Dog');
+    assert.ok(derivedFacts(session).includes('needsFood Fido'), 'extended incrementally');
+
+    const result = session.retract('isA Dog Animal');
+    assert.deepEqual(derivedFacts(session), []);
+    assert.ok(result.lost.includes('needsFood Rex'));
+  });
+
+  test('should leave sessions without forward chaining unchanged', () => {
+    const session = new Session({ geometry: 2048 });
+    const result = session.learn(FAMILY);
+
+    assert.equal(result.derived, undefined);
+    assert.deepEqual(derivedFacts(session), []);
+  });
+
+  test('should materialise negated conditions after the strata below them', () => {
+    const session = new Session({ geometry: 2048 });
+    session.learn(`closedWorld muted
+isA Rex Dog
+isA Fido Dog
+hasCollar Fido Muzzle
+@r1 Implies (And (isA ?x Dog) (Not (muted ?x))) (barks ?x)
+@r2 Implies (hasCollar ?x Muzzle) (muted ?x)`);
+
+    const result = session.materialize();
+    assert.deepEqual(result.skipped, []);
+    assert.deepEqual(derivedFacts(session).sort(), ['barks Rex', 'muted Fido']);
+  });
+
+  test('should withdraw negation-based conclusions when new facts arrive', () => {
+    const session = new Session({ geometry: 2048 });
+    session.learn(`closedWorld muted
+isA Rex Dog
+@r1 Implies (And (isA ?x Dog) (Not (muted ?x))) (barks ?x)`, { forward: true });
+    assert.deepEqual(derivedFacts(session), ['barks Rex']);
+
+    session.learn('muted Rex');
+    assert.deepEqual(derivedFacts(session), []);
+
+    session.retract('muted Rex');
+    assert.deepEqual(derivedFacts(session), ['barks Rex']);
+  });
+
+  test('should only negate open-world conditions stated with Not', () => {
+    const session = new Session({ geometry: 2048 });
+    session.learn(`isA Rex Dog
+isA Fido Dog
+@n muted Fido
+Not $n
+@r1 Implies (And (isA ?x Dog) (Not (muted ?x))) (barks ?x)`, { forward: true });
+
+    assert.deepEqual(derivedFacts(session), ['barks Fido']);
+    const fact = session.kbFacts.find(f => f.derivedBy);
+    assert.deepEqual(fact.derivedBy.premises, ['isA Fido Dog', 'Not n']);
+  });
+
+  test('should remove materialised facts that lose support on retract', () => {
+    const session = new Session({ geometry: 2048 });
+    session.learn(FAMILY, { forward: true });
+
+    const result = session.retract('parent Bob Cy');
+    assert.deepEqual(result.lost.sort(), ['ancestor Ann Cy', 'ancestor Bob Cy']);
+    assert.deepEqual(derivedFacts(session), ['ancestor Ann Bob']);
+  });
+
+  test('should remove materialised facts that lose support on unload', () => {
+    const session = new Session({ geometry: 2048 });
+    session.learn(`theory Zoo {
+      isA Rex Dog
+    }
+    @_ Load $Zoo`);
+    session.learn('@r1 Implies (isA ?x Dog) (isA ?x Animal)', { forward: true });
+    assert.deepEqual(derivedFacts(session), ['isA Rex Animal']);
+
+    session.learn('@_ Unload Zoo');
+    assert.deepEqual(derivedFacts(session), []);
+  });
+
+  test('should keep supporting justifications across save and load', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'sys2-forward-'));
+    try {
+      const session = new Session({ geometry: 2048 });
+      session.learn('isA Rex Dog\n@r1 Implies (isA ?x Dog) (isA ?x Animal)', { forward: true });
+      session.save(join(dir, 'kb.json'));
+
+      const restored = Session.load(join(dir, 'kb.json'));
+      const result = restored.retract('isA Rex Dog');
+      assert.deepEqual(result.lost, ['isA Rex Animal']);
+      assert.deepEqual(derivedFacts(restored), []);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Tests for Induction (session.induce)
+ */
+
+import { test, describe, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { Session } from '../../../src/runtime/session.mjs';
+
+const BIRDS = `
+isA Tweety Bird
+can Tweety Fly
+isA Polly Bird
+can Polly Fly
+isA Robin Bird
+can Robin Fly
+isA Pingu Bird
+isA Rex Dog
+can Rex Bark
+`;
+
+function proposal(result, rule) {
+  return result.rules.find(r => r.rule === rule);
+}
+
+describe('Induction', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'sys2-induction-'));
+  after(() => rmSync(dir, { recursive: true, force: true }));
+
+  test('should propose rules with support, confidence and counterexamples', () => {
+    const session = new Session({ geometry: 2048 });
+    session.learn(BIRDS);
+
+    const result = session.induce({ minConfidence: 0.7 });
+    assert.equal(result.success, true);
+
+    const birdsFly = proposal(result, 'Implies (isA ?x Bird) (can ?x Fly)');
+    assert.ok(birdsFly, 'birds fly proposed');
+    assert.equal(birdsFly.support, 3);
+    assert.equal(birdsFly.confidence, 0.75);
+    assert.equal(birdsFly.counterexamples, 1);
+    assert.deepEqual(birdsFly.exceptions, ['Pingu']);
+  });
+
+  test('should respect the confidence and support thresholds', () => {
+    const session = new Session({ geometry: 2048 });
+    session.learn(BIRDS);
+
+    const strict = session.induce({ minConfidence: 0.9 });
+    assert.equal(proposal(strict, 'Implies (isA ?x Bird) (can ?x Fly)'), undefined);
+
+    const rare = session.induce({ minSupport: 4, minConfidence: 0.5 });
+    assert.deepEqual(rare.rules, []);
+    assert.equal(rare.success, false);
+  });
+
+  test('should not change reasoning until a rule is accepted', () => {
+    const session = new Session({ geometry: 2048 });
+    session.learn(BIRDS);
+
+    const birdsFly = proposal(session.induce({ minConfidence: 0.7 }), 'Implies (isA ?x Bird) (can ?x Fly)');
+    assert.equal(session.prove('@goal can Pingu Fly').valid, false);
+
+    const accepted = session.acceptRule(birdsFly, 'birdsFly');
+    assert.equal(accepted.success, true);
+    assert.equal(session.rules.at(-1).name, 'birdsFly');
+    assert.equal(session.prove('@goal can Pingu Fly').valid, true);
+
+    const again = session.induce({ minConfidence: 0.7 });
+    assert.equal(proposal(again, birdsFly.rule), undefined, 'accepted rules are not proposed again');
+  });
+
+  test('should not propose rules loaded from a file', () => {
+    const file = join(dir, 'birds.sys2');
+    writeFileSync(file, '@birdsFly Implies (isA ?x Bird) (can ?x Fly)\n');
+    const session = new Session({ geometry: 2048 });
+    session.learn(`${BIRDS}\n@_ Load "${file}"`);
+
+    assert.equal(proposal(session.induce({ minConfidence: 0.7 }), 'Implies (isA ?x Bird) (can ?x Fly)'), undefined);
+  });
+
+  test('should ignore rule and declaration facts', () => {
+    const session = new Session({ geometry: 2048 });
+    session.learn(`normally Bird canFly
+normally Fish canSwim
+inverseOf parent child`);
+
+    assert.deepEqual(session.induce({ minSupport: 1 }).rules, []);
+  });
+});
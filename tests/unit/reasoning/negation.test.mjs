@@ -0,0 +1,94 @@
+/**
+ * Tests for stratified negation-as-failure and closedWorld relations
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { Session } from '../../../src/runtime/session.mjs';
+import { stratify } from '../../../src/reasoning/negation.mjs';
+
+const ACCESS = `
+closedWorld granted
+granted Ann Read
+isA Ann User
+isA Bob User
+@deny Implies (And (isA ?u User) (Not (granted ?u Read))) (denied ?u Read)
+`;
+
+describe('Negation', () => {
+  test('should derive conclusions from the absence of closed-world facts', () => {
+    const session = new Session({ geometry: 2048 });
+    session.learn(ACCESS);
+
+    const bob = session.prove('@g denied Bob Read');
+    assert.equal(bob.valid, true);
+    assert.equal(session.prove('@g denied Ann Read').valid, false);
+  });
+
+  test('should mark failed proofs of closed-world relations', () => {
+    const session = new Session({ geometry: 2048 });
+    session.learn(ACCESS);
+
+    assert.equal(session.prove('@g granted Bob Read').closedWorld, true);
+    assert.equal(session.prove('@g denied Ann Read').closedWorld, undefined);
+  });
+
+  test('should use explicit negations without a proof search', () => {
+    const session = new Session({ geometry: 2048 });
+    session.learn(`isA Rex Dog
+@n:n muted Rex
+Not $n
+@r1 Implies (And (isA ?x Dog) (Not (muted ?x))) (barks ?x)`);
+
+    assert.equal(session.prove('@g barks Rex').valid, true);
+  });
+
+  test('should leave Not conditions on open-world relations unknown', () => {
+    const session = new Session({ geometry: 2048 });
+    session.learn(`isA Rex Dog
+@r1 Implies (And (isA ?x Dog) (Not (muted ?x))) (barks ?x)`);
+
+    const result = session.prove('@g barks Rex');
+    assert.equal(result.valid, false);
+    assert.equal(result.truth, 'unknown');
+  });
+
+  test('should accept refuted conditions on open-world relations', () => {
+    const session = new Session({ geometry: 2048 });
+    session.learn(`hasState Door Closed
+@r1 Implies (And (hasState ?d Closed) (Not (hasState ?d Open))) (isA ?d Barrier)`);
+
+    assert.equal(session.prove('@g isA Door Barrier').valid, true);
+  });
+
+  test('should reject rules that recurse through negation', () => {
+    const session = new Session({ geometry: 2048 });
+    const result = session.learn(`@a Implies (And (isA ?x Thing) (Not (q ?x))) (p ?x)
+@b Implies (And (isA ?x Thing) (Not (p ?x))) (q ?x)`);
+
+    assert.equal(result.success, false);
+    assert.ok(result.errors.some(e => e.includes('Cyclic negation')));
+    assert.equal(session.rules.length, 0);
+  });
+
+  test('should keep earlier rules when a new rule closes a negation cycle', () => {
+    const session = new Session({ geometry: 2048 });
+    session.learn(ACCESS);
+    const result = session.learn('@grant Implies (denied ?u Read) (granted ?u Read)');
+
+    assert.equal(result.success, false);
+    assert.deepEqual(session.rules.map(r => r.name), ['deny']);
+  });
+
+  test('should place negated relations in lower strata', () => {
+    const session = new Session({ geometry: 2048 });
+    session.learn(`@r1 Implies (hasCollar ?x Muzzle) (muted ?x)
+@r2 Implies (And (isA ?x Dog) (Not (muted ?x))) (barks ?x)
+@r3 Implies (barks ?x) (noisy ?x)`);
+
+    const { strata, cycles } = stratify(session.rules);
+    assert.deepEqual(cycles, []);
+    assert.ok(strata.get('barks') > strata.get('muted'));
+    assert.equal(strata.get('noisy'), strata.get('barks'));
+  });
+});
@@ -144,3 +144,58 @@ test('Session.prove: transitive isA - 5-step chain', () => {
   const result = session.prove('@goal isA Socrates Animal');
   assert.equal(result.valid, true, 'Transitive isA should work for 5-step chain');
 });
+
+test('Session.prove: symmetric relation derives the converse with explicit steps', () => {
+  const session = new Session({ geometry: 2048 });
+  session.learn('siblingOf Alice Bob');
+
+  const result = session.prove('@goal siblingOf Bob Alice');
+  assert.equal(result.valid, true);
+  assert.equal(result.method, 'symmetric');
+  assert.deepEqual(result.steps.map(s => s.operation), ['symmetric_fact', 'symmetric']);
+  assert.equal(result.steps[0].fact, 'siblingOf Alice Bob');
+  assert.equal(result.steps[1].fact, 'siblingOf Bob Alice');
+});
+
+test('Session.prove: reflexive relation holds for any atom', () => {
+  const session = new Session({ geometry: 2048 });
+
+  const result = session.prove('@goal equals Paris Paris');
+  assert.equal(result.valid, true);
+  assert.equal(result.method, 'reflexive');
+  assert.deepEqual(result.steps, [{ operation: 'reflexive', fact: 'equals Paris Paris' }]);
+
+  assert.equal(session.prove('@goal equals Paris London').valid, false);
+});
+
+test('Session.prove: relation properties declared by learn() are honoured', () => {
+  const session = new Session({ geometry: 2048 });
+  session.learn('partnerOf Ann Ben');
+  assert.notEqual(session.prove('@goal partnerOf Ben Ann').method, 'symmetric');
+
+  session.learn('@partnerOf:partnerOf __SymmetricRelation');
+  const result = session.prove('@goal partnerOf Ben Ann');
+  assert.equal(result.valid, true);
+  assert.equal(result.method, 'symmetric');
+});
+
+test('Session.prove: inverse relations prove the other direction', () => {
+  const session = new Session({ geometry: 2048 });
+  session.learn(`inverseOf parent child
+parent Ann Bob`);
+
+  const result = session.prove('@goal child Bob Ann');
+  assert.equal(result.valid, true);
+  assert.equal(result.method, 'inverse');
+  assert.deepEqual(result.steps.map(s => s.fact), ['parent Ann Bob', 'child Bob Ann']);
+  assert.equal(session.prove('@goal child Ann Bob').valid, false);
+});
+
+test('Session.prove: transitive chains follow inverse facts', () => {
+  const session = new Session({ geometry: 2048 });
+  session.learn('ancestorOf Zeus Ares');
+  session.learn('descendantOf Eros Ares');
+
+  assert.equal(session.prove('@goal ancestorOf Zeus Eros').valid, true);
+  assert.equal(session.prove('@goal descendantOf Eros Zeus').valid, true);
+});
@@ -302,6 +302,38 @@ describe('QueryEngine', () => {
       assert.ok(result.allResults.length >= 1, 'should have multiple results in allResults');
     });
 
+    test('should answer symmetric relations in both directions', () => {
+      setup();
+      learn('marriedTo Romeo Juliet');
+
+      const forward = session.query('@q marriedTo Juliet ?x');
+      assert.equal(forward.bindings.get('x').answer, 'Romeo');
+      assert.equal(forward.bindings.get('x').method, 'symmetric');
+
+      const backward = session.query('@q marriedTo ?x Romeo');
+      assert.equal(backward.bindings.get('x').answer, 'Juliet');
+    });
+
+    test('should bind reflexive relations to the known argument', () => {
+      setup();
+      const result = session.query('@q sameAs Venus ?x');
+      assert.ok(result.success);
+      assert.equal(result.bindings.get('x').answer, 'Venus');
+      assert.equal(result.bindings.get('x').method, 'reflexive');
+    });
+
+    test('should answer through declared inverse relations', () => {
+      setup();
+      learn(`inverseOf parent child
+        parent Ann Bob
+        parent Ann Cid`);
+
+      const result = session.query('@q child ?x Ann');
+      const answers = result.allResults.map(r => r.bindings.get('x').answer).sort();
+      assert.deepEqual(answers, ['Bob', 'Cid']);
+      assert.equal(result.bindings.get('x').method, 'inverse');
+    });
+
     test('should work through session.query()', () => {
       setup();
       session.learn(`
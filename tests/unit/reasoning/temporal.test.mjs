@@ -0,0 +1,111 @@
+/**
+ * Tests for interval algebra (before, meets, overlaps, starts, during, ends, ...)
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { Session } from '../../../src/runtime/session.mjs';
+import { TemporalNetwork, compose, converse, maskOf, relationsIn } from '../../../src/reasoning/temporal.mjs';
+
+describe('Temporal', () => {
+  describe('Interval algebra', () => {
+    test('should compose basic relations', () => {
+      assert.deepEqual(relationsIn(compose(maskOf('during'), maskOf('before'))), ['before']);
+      assert.deepEqual(relationsIn(compose(maskOf('meets'), maskOf('starts'))), ['meets']);
+      assert.deepEqual(relationsIn(compose(maskOf('overlaps'), maskOf('overlaps'))), ['before', 'meets', 'overlaps']);
+      assert.equal(relationsIn(compose(maskOf('before'), maskOf('after'))).length, 13);
+    });
+
+    test('should pair each relation with its converse', () => {
+      assert.deepEqual(relationsIn(converse(maskOf('during'))), ['contains']);
+      assert.deepEqual(relationsIn(converse(maskOf('meets') | maskOf('simultaneous'))), ['metBy', 'simultaneous']);
+    });
+
+    test('should detect a timeline with no solution', () => {
+      const network = TemporalNetwork.fromFacts([
+        { operator: 'before', args: ['A', 'B'] },
+        { operator: 'during', args: ['B', 'C'] },
+        { operator: 'before', args: ['C', 'A'] }
+      ]);
+      assert.equal(network.consistent, false);
+    });
+
+    test('should reach the same closure when relations are added one at a time', () => {
+      const facts = [
+        { operator: 'meets', args: ['Alert', 'Outage'] },
+        { operator: 'during', args: ['Outage', 'Deploy'] },
+        { operator: 'before', args: ['Deploy', 'Crash'] },
+        { operator: 'overlaps', args: ['Crash', 'Recovery'] },
+        ...Array.from({ length: 12 }, (_, i) => ({ operator: 'before', args: [`T${i}`, `T${i + 1}`] })),
+        { operator: 'ends', args: ['T0', 'Recovery'] }
+      ];
+      const full = TemporalNetwork.fromFacts(facts);
+      const incremental = new TemporalNetwork();
+      for (const { operator, args } of facts) incremental.add(args[0], operator, args[1]);
+
+      assert.equal(incremental.consistent, true);
+      for (const a of full.intervals) {
+        for (const b of full.intervals) {
+          assert.equal(incremental.relation(a, b), full.relation(a, b), `${a} / ${b}`);
+        }
+      }
+      incremental.add('T12', 'before', 'Alert');
+      assert.equal(incremental.consistent, false);
+    });
+  });
+
+  test('should prove composed relations with the facts used', () => {
+    const session = new Session({ geometry: 2048 });
+    session.learn(`during Outage Deploy
+before Deploy Crash`);
+
+    const result = session.prove('@g before Outage Crash');
+    assert.equal(result.valid, true);
+    assert.equal(result.method, 'temporal_composition');
+    assert.deepEqual(result.steps.slice(0, 2).map(s => s.fact), ['during Outage Deploy', 'before Deploy Crash']);
+  });
+
+  test('should answer queries over the closure', () => {
+    const session = new Session({ geometry: 2048 });
+    session.learn(`meets Alert Outage
+during Outage Deploy
+before Deploy Crash
+overlaps Crash Recovery`);
+
+    const result = session.query('@q before ?x Crash');
+    const answers = result.allResults.map(r => r.bindings.get('x').answer).sort();
+    assert.deepEqual(answers, ['Alert', 'Deploy', 'Outage']);
+  });
+
+  test('should refute relations the timeline rules out', () => {
+    const session = new Session({ geometry: 2048 });
+    session.learn(`during Outage Deploy
+before Deploy Crash`);
+
+    const result = session.prove('@g overlaps Crash Outage');
+    assert.equal(result.truth, 'false');
+    assert.deepEqual(result.refutation.at(-1), {
+      operation: 'temporal_conflict',
+      fact: 'overlaps Crash Outage',
+      detail: 'timeline allows only after'
+    });
+  });
+
+  test('should warn about and report inconsistent timelines', () => {
+    const session = new Session({ geometry: 2048 });
+    session.learn(`meets Alert Outage
+during Outage Deploy
+before Deploy Crash
+isA Crash Event`);
+
+    const learned = session.learn('before Crash Alert');
+    assert.ok(learned.warnings[0].includes('conflicts with the timeline'));
+
+    const { consistent, conflicts } = session.checkConsistency();
+    assert.equal(consistent, false);
+    assert.equal(conflicts[0].type, 'temporal');
+    assert.deepEqual(conflicts[0].facts.map(f => f.fact).sort(), [
+      'before Crash Alert', 'before Deploy Crash', 'during Outage Deploy', 'meets Alert Outage'
+    ]);
+  });
+});
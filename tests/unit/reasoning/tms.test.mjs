@@ -0,0 +1,127 @@
+/**
+ * Tests for Truth Maintenance (justification graph and session.retract)
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { Session } from '../../../src/runtime/session.mjs';
+import { JustificationGraph } from '../../../src/reasoning/tms.mjs';
+
+const PUMP = `
+@pw:pw hasPower Pump
+@r1 Implies (hasPower Pump) (running Pump)
+@r2 Implies (running Pump) (wet Grass)
+`;
+
+describe('Truth Maintenance', () => {
+  describe('JustificationGraph', () => {
+    test('should propagate loss of support through dependants', () => {
+      const graph = new JustificationGraph();
+      graph.justify('b', ['a', 'rule:r1']);
+      graph.justify('c', ['b', 'rule:r2']);
+
+      assert.deepEqual(graph.retract(['a']), ['b', 'c']);
+      assert.equal(graph.isSupported('c'), false);
+    });
+
+    test('should keep conclusions with another justification', () => {
+      const graph = new JustificationGraph();
+      graph.justify('c', ['a']);
+      graph.justify('c', ['b']);
+
+      assert.deepEqual(graph.retract(['a']), []);
+      assert.equal(graph.isSupported('c'), true);
+      assert.deepEqual(graph.retract(['b']), ['c']);
+    });
+
+    test('should ignore empty and duplicate justifications', () => {
+      const graph = new JustificationGraph();
+      assert.equal(graph.justify('a', ['a']), false);
+      assert.equal(graph.justify('b', ['a']), true);
+      assert.equal(graph.justify('b', ['a']), false);
+      assert.equal(graph.supportOf('b').length, 1);
+    });
+
+    test('should drop premises with no dependants left', () => {
+      const graph = new JustificationGraph();
+      graph.justify('b', ['a', 'rule:r1']);
+      graph.forget('b');
+
+      assert.equal(graph.justifications.size, 0);
+      assert.equal(graph.dependants.size, 0);
+    });
+  });
+
+  describe('Session.retract', () => {
+    test('should return the conclusions that lost support', () => {
+      const session = new Session({ geometry: 2048 });
+      session.learn(PUMP);
+      assert.equal(session.prove('@goal wet Grass').valid, true);
+
+      const result = session.retract('hasPower Pump');
+      assert.equal(result.success, true);
+      assert.deepEqual(result.retracted, ['hasPower Pump']);
+      assert.deepEqual(result.lost, ['wet Grass']);
+      assert.equal(session.prove('@goal wet Grass').valid, false);
+    });
+
+    test('should retract a fact by name and rebuild the KB', () => {
+      const session = new Session({ geometry: 2048 });
+      session.learn(`${PUMP}
+isA Rex Dog`);
+      const kbBefore = session.kb;
+
+      const result = session.retract('$pw');
+      assert.deepEqual(result.retracted, ['hasPower Pump']);
+      assert.equal(session.kbFacts.length, 1);
+      assert.notEqual(session.kb, kbBefore);
+    });
+
+    test('should keep conclusions that still hold another way', () => {
+      const session = new Session({ geometry: 2048 });
+      session.learn(`${PUMP}
+hasPower Grid
+@r3 Implies (hasPower Grid) (running Pump)`);
+      session.prove('@goal running Pump');
+
+      const result = session.retract('hasPower Pump');
+      assert.deepEqual(result.lost, []);
+      assert.equal(session.prove('@goal running Pump').valid, true);
+    });
+
+    test('should retract rules', () => {
+      const session = new Session({ geometry: 2048 });
+      session.learn(PUMP);
+      session.prove('@goal wet Grass');
+
+      const result = session.retract('r2');
+      assert.deepEqual(result.lost, ['wet Grass']);
+      assert.equal(session.rules.length, 1);
+    });
+
+    test('should drop the bindings and justifications of retracted facts', () => {
+      const session = new Session({ geometry: 2048 });
+      session.learn(`${PUMP}
+@sky isA Sky Blue
+isA Sky Blue`);
+      session.prove('@goal wet Grass');
+
+      session.retract('$pw');
+      session.retract('isA Sky Blue');
+      assert.equal(session.scope.has('pw'), false);
+      assert.equal(session.scope.has('sky'), false);
+      assert.equal(session.referenceTexts.size, 0);
+      assert.equal(session.justifications.justifications.size, 0);
+      assert.equal(session.justifications.dependants.size, 0);
+    });
+
+    test('should report facts that are not in the KB', () => {
+      const session = new Session({ geometry: 2048 });
+      session.learn(PUMP);
+
+      const result = session.retract('hasPower Nothing');
+      assert.equal(result.success, false);
+      assert.deepEqual(result.notFound, ['hasPower Nothing']);
+    });
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Tests for three-valued proof results (truth, refutation, openGoals)
+ */
+
+import { test, describe, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { Session } from '../../../src/runtime/session.mjs';
+import { TRUTH } from '../../../src/reasoning/truth.mjs';
+
+describe('Truth Values', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'sys2-truth-'));
+  after(() => rmSync(dir, { recursive: true, force: true }));
+
+  test('should mark proved goals true', () => {
+    const session = new Session({ geometry: 2048 });
+    session.learn('hasState Door Closed');
+
+    const result = session.prove('@g hasState Door Closed');
+    assert.equal(result.truth, TRUTH.TRUE);
+    assert.equal(result.refutation, undefined);
+  });
+
+  test('should refute explicitly negated goals', () => {
+    const session = new Session({ geometry: 2048 });
+    session.learn(`@n:n isA Tweety Fish
+Not $n`);
+
+    const result = session.prove('@g isA Tweety Fish');
+    assert.equal(result.truth, TRUTH.FALSE);
+    assert.deepEqual(result.refutation, [{ operation: 'explicit_negation', fact: 'Not (isA Tweety Fish)' }]);
+  });
+
+  test('should refute goals excluded by a mutually exclusive fact', () => {
+    const session = new Session({ geometry: 2048 });
+    session.learn('hasState Door Closed');
+
+    const result = session.prove('@g hasState Door Open');
+    assert.equal(result.truth, TRUTH.FALSE);
+    assert.deepEqual(result.refutation, [
+      { operation: 'mutual_exclusion', fact: 'hasState Door Closed', excludes: 'hasState Door Open' }
+    ]);
+  });
+
+  test('should read disjoint proofs as false', () => {
+    const session = new Session({ geometry: 2048 });
+    session.learn(`locatedIn Paris France
+isA France Country
+isA Germany Country
+mutuallyDisjoint Country`);
+
+    const result = session.prove('@g locatedIn Paris Germany');
+    assert.equal(result.truth, TRUTH.FALSE);
+    assert.equal(result.refutation.at(-1).operation, 'disjoint_check');
+  });
+
+  test('should refute unprovable closed-world goals', () => {
+    const session = new Session({ geometry: 2048 });
+    session.learn(`closedWorld granted
+granted Ann Read`);
+
+    const result = session.prove('@g granted Bob Read');
+    assert.equal(result.truth, TRUTH.FALSE);
+    assert.equal(result.refutation[0].operation, 'closed_world');
+  });
+
+  test('should list the open subgoals of unknown goals', () => {
+    const session = new Session({ geometry: 2048 });
+    session.learn(`isA Tweety Bird
+@r1 Implies (And (isA ?x Bird) (hasWings ?x)) (canFly ?x)
+@r2 Implies (hasFeathers ?x) (hasWings ?x)`);
+
+    const result = session.prove('@g canFly Tweety');
+    assert.equal(result.valid, false);
+    assert.equal(result.truth, TRUTH.UNKNOWN);
+    assert.deepEqual(result.openGoals, ['hasFeathers Tweety']);
+
+    const unknown = session.prove('@g likes Ann Bob');
+    assert.deepEqual(unknown.openGoals, ['likes Ann Bob']);
+    assert.equal(session.prove('@g isA Tweety Bird').openGoals, undefined, 'only for unknown goals');
+  });
+
+  test('should not list subgoals the failed proof never reached that hold', () => {
+    const session = new Session({ geometry: 2048 });
+    session.learn(`isA Tweety Bird
+isA Bird Animal
+@r1 Implies (And (hasWings ?x) (isA ?x Animal)) (canGlide ?x)`);
+
+    assert.deepEqual(session.prove('@g canGlide Tweety').openGoals, ['hasWings Tweety']);
+  });
+
+  test('should list the open subgoals of rules loaded from a file', () => {
+    const file = join(dir, 'flight.sys2');
+    writeFileSync(file, `@r1 Implies (And (isA ?x Bird) (hasWings ?x)) (canFly ?x)
+@r2 Implies (hasFeathers ?x) (hasWings ?x)
+`);
+    const session = new Session({ geometry: 2048 });
+    session.learn(`isA Tweety Bird\n@_ Load "${file}"`);
+
+    assert.deepEqual(session.prove('@g canFly Tweety').openGoals, ['hasFeathers Tweety']);
+  });
+});
@@ -263,6 +263,42 @@ describe('Executor', () => {
       });
     });
 
+    describe('Compound', () => {
+      test('should resolve compound to the vector of the equivalent statement', () => {
+        setup();
+        const program = parse(`
+          @inner loves John Mary
+          @f wrap (loves John Mary)
+          @g wrap $inner
+        `);
+        const result = executor.executeProgram(program);
+
+        assert.ok(result.success);
+        assert.ok(session.scope.get('f').equals(session.scope.get('g')));
+      });
+
+      test('should resolve nested compounds', () => {
+        setup();
+        const program = parse(`
+          @a test X
+          @b pair $a Y
+          @f outer $b
+          @g outer (pair (test X) Y)
+        `);
+        executor.executeProgram(program);
+
+        assert.ok(session.scope.get('f').equals(session.scope.get('g')));
+      });
+
+      test('should record compound text in fact metadata', () => {
+        setup();
+        executor.executeProgram(parse('Not (can Opus Fly)'));
+
+        const fact = session.kbFacts[session.kbFacts.length - 1];
+        assert.deepEqual(fact.metadata.args, ['(can Opus Fly)']);
+      });
+    });
+
     describe('Hole', () => {
       test('should resolve hole to special vector', () => {
         setup();
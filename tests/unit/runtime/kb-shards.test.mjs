@@ -0,0 +1,93 @@
+/**
+ * KB Shards Unit Tests
+ * Capacity-bounded KB superposition shards and their warnings
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { Session } from '../../../src/runtime/session.mjs';
+import { KBShards } from '../../../src/runtime/kb-shards.mjs';
+import { createHDCContext } from '../../../src/hdc/facade.mjs';
+
+function isAFacts(count, offset = 0) {
+  return Array.from({ length: count }, (_, i) => `isA Thing${offset + i} Kind${offset + i}`).join('\n');
+}
+
+describe('KBShards', () => {
+  test('should default the capacity to the strategy maxBundleCapacity', () => {
+    const hdc = createHDCContext('dense-binary', 2048);
+    assert.equal(new KBShards(hdc).capacity, hdc.properties.maxBundleCapacity);
+  });
+
+  test('should shard facts by operator', () => {
+    const session = new Session({ geometry: 2048 });
+    session.learn(`${isAFacts(3)}\nlikes Ann Bob`);
+    const shards = session.kbShards.list();
+    assert.deepEqual(shards.map(s => [s.key, s.facts]), [['isA', 3], ['likes', 1]]);
+  });
+
+  test('should open a new shard when one is full', () => {
+    const session = new Session({ geometry: 2048, shardCapacity: 4 });
+    session.learn(isAFacts(6));
+    const shards = session.kbShards.list();
+    assert.deepEqual(shards.map(s => [s.key, s.facts]), [['isA', 4], ['isA#2', 2]]);
+  });
+
+  test('should warn in learn() when a shard nears or reaches capacity', () => {
+    const session = new Session({ geometry: 2048, shardCapacity: 10 });
+    const quiet = session.learn(isAFacts(8));
+    assert.deepEqual(quiet.warnings, []);
+
+    const result = session.learn(isAFacts(2, 8));
+    assert.equal(result.warnings.length, 2);
+    assert.match(result.warnings[0], /isA is nearing capacity \(9\/10 facts\)/);
+    assert.match(result.warnings[1], /isA is full \(10\/10 facts\)/);
+  });
+
+  test('should warn once per shard and only inside learn()', () => {
+    const session = new Session({ geometry: 2048, shardCapacity: 4 });
+    assert.equal(session.learn(isAFacts(4)).warnings.length, 2);
+
+    session.retract('isA Thing0 Kind0');
+    assert.deepEqual(session.learn('isA Thing0 Kind0').warnings, []);
+
+    session.learn('likes Ann Bob');
+    session.rebuildKB();
+    assert.deepEqual(session.warnings, []);
+  });
+
+  test('should subtract retracted facts and drop empty shards', () => {
+    const session = new Session({ geometry: 2048, shardCapacity: 4 });
+    session.learn(isAFacts(4));
+    session.learn(`theory Pets {
+      isA Rex Dog
+    }
+    @_ Load $Pets`);
+    assert.equal(session.kbShards.list().find(s => s.key === 'isA#2').facts, 1);
+
+    session.learn('@_ Unload $Pets');
+    assert.deepEqual(session.kbShards.list().map(s => s.key), ['isA']);
+  });
+
+  test('should answer holographic queries from every shard', () => {
+    const session = new Session({ geometry: 2048, shardCapacity: 5 });
+    session.learn(`${isAFacts(12)}\nlikes Ann Bob`);
+
+    const early = session.queryHDC('isA Thing1 ?k');
+    const late = session.queryHDC('isA Thing11 ?k');
+    const other = session.queryHDC('likes Ann ?x');
+    assert.equal(early.results[0].answer, 'Kind1');
+    assert.equal(late.results[0].answer, 'Kind11');
+    assert.equal(other.results[0].answer, 'Bob');
+    assert.equal(other.shards, 4);
+  });
+
+  test('should keep fork shards independent', () => {
+    const parent = new Session({ geometry: 2048 });
+    parent.learn(isAFacts(2));
+    const child = parent.fork();
+    child.learn('likes Ann Bob');
+    assert.equal(parent.kbShards.shards.size, 1);
+    assert.equal(child.kbShards.shards.size, 2);
+  });
+});
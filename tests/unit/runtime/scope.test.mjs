@@ -68,6 +68,17 @@ describe('Scope', () => {
       assert.equal(child.get('x'), 2, 'child should see update');
     });
 
+    test('shadowing scope should bind locally over parent', () => {
+      const parent = new Scope();
+      parent.define('x', 1);
+
+      const child = new Scope(parent, { shadow: true });
+      child.set('x', 2);
+
+      assert.equal(parent.get('x'), 1, 'parent should be untouched');
+      assert.equal(child.get('x'), 2);
+    });
+
     test('should create local binding if not in parent', () => {
       const parent = new Scope();
       const child = new Scope(parent);
@@ -3,8 +3,11 @@
  * Tests for session features discovered during bug fixing
  */
 
-import { test, describe } from 'node:test';
+import { test, describe, after } from 'node:test';
 import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, existsSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
 import { Session } from '../../../src/runtime/session.mjs';
 
 describe('Session Features', () => {
@@ -48,6 +51,71 @@ describe('Session Features', () => {
     });
   });
 
+  describe('Relation Properties', () => {
+    test('should chain relations declared transitive in a learned theory', () => {
+      const session = new Session({ geometry: 2048 });
+      session.learn(`@upstreamOf:upstreamOf __TransitiveRelation
+upstreamOf Source Mill
+upstreamOf Mill Delta`);
+
+      assert.equal(session.relations.isTransitive('upstreamOf'), true);
+      const result = session.prove('@goal upstreamOf Source Delta');
+      assert.equal(result.valid, true);
+    });
+
+    test('should forget declarations when their theory is unloaded', () => {
+      const session = new Session({ geometry: 2048 });
+      session.learn('theory Kin {\n  @cousinOf:cousinOf __SymmetricRelation\n}');
+      session.learn('import Kin');
+      assert.equal(session.relations.isSymmetric('cousinOf'), true);
+
+      session.learn('@_ Unload Kin');
+      assert.equal(session.relations.isSymmetric('cousinOf'), false);
+      assert.equal(session.relations.isSymmetric('siblingOf'), true, 'core properties remain');
+    });
+  });
+
+  describe('Inline Compound Rules', () => {
+    test('should prove via rule written with inline compounds', () => {
+      const session = new Session({ geometry: 2048 });
+      session.learn(`
+        @r1 Implies (isA ?x Human) (isA ?x Mortal)
+        isA Socrates Human
+      `);
+
+      assert.equal(session.rules.length, 1);
+      assert.equal(session.rules[0].hasVariables, true);
+      const result = session.prove('@goal isA Socrates Mortal');
+      assert.equal(result.valid, true);
+    });
+
+    test('should extract nested And condition from compounds', () => {
+      const session = new Session({ geometry: 2048 });
+      session.learn(`
+        @r1 Implies (And (greaterThan ?a ?b) (greaterThan ?b ?c)) (greaterThan ?a ?c)
+        greaterThan A B
+        greaterThan B C
+      `);
+
+      assert.equal(session.rules[0].conditionParts.type, 'And');
+      assert.equal(session.rules[0].conditionParts.parts.length, 2);
+      assert.equal(session.prove('@goal greaterThan A C').valid, true);
+    });
+
+    test('should honour inline negated facts', () => {
+      const session = new Session({ geometry: 2048 });
+      session.learn(`
+        @r1 Implies (isA ?x Bird) (can ?x Fly)
+        isA Tweety Bird
+        isA Opus Bird
+        Not (can Opus Fly)
+      `);
+
+      assert.equal(session.prove('@goal can Tweety Fly').valid, true);
+      assert.equal(session.prove('@goal can Opus Fly').valid, false);
+    });
+  });
+
   describe('Query Results', () => {
     test('should return correct binding for direct match', () => {
       const session = new Session({ geometry: 2048 });
@@ -101,6 +169,397 @@ describe('Session Features', () => {
     });
   });
 
+  describe('Unload Command', () => {
+    const theoryFile = join(mkdtempSync(join(tmpdir(), 'sys2-unload-')), 'birds.sys2');
+    writeFileSync(theoryFile, [
+      'isA Tweety Bird',
+      '@fly:flies can Tweety Fly',
+      '@r Implies $fly (has Tweety Wings)',
+      '@Chirp macro who',
+      '  @c sound $who Chirp',
+      '  return $c',
+      'end'
+    ].join('\n'));
+
+    test('should retract facts, rules, macros and bindings from the theory', () => {
+      const session = new Session({ geometry: 2048 });
+      session.learn('isA Rex Dog');
+      session.learn(`@_ Load "${theoryFile}"`);
+      assert.equal(session.kbFacts.length, 3);
+      assert.equal(session.rules.length, 1);
+
+      const result = session.learn(`@_ Unload "${theoryFile}"`);
+
+      assert.equal(result.success, true);
+      assert.equal(session.kbFacts.length, 1);
+      assert.equal(session.kbFacts[0].metadata.args[0], 'Rex');
+      assert.equal(session.rules.length, 0);
+      assert.equal(session.macros.has('Chirp'), false);
+      assert.equal(session.referenceTexts.has('fly'), false);
+      assert.equal(session.scope.has('fly'), false);
+      assert.equal(session.prove('@goal isA Tweety Bird').valid, false);
+    });
+
+    test('should rebuild KB bundle from remaining facts', () => {
+      const session = new Session({ geometry: 2048 });
+      session.learn('isA Rex Dog');
+      session.learn('isA Fido Dog');
+      const expected = session.kb.clone();
+
+      session.learn(`@_ Load "${theoryFile}"`);
+      session.learn(`@_ Unload "${theoryFile}"`);
+
+      assert.ok(session.kb.equals(expected));
+    });
+
+    test('should record provenance of learned facts', () => {
+      const session = new Session({ geometry: 2048 });
+      session.learn('isA Rex Dog');
+      session.learn(`@_ Load "${theoryFile}"`);
+
+      assert.match(session.kbFacts[0].provenance, /^learn:/);
+      assert.equal(session.kbFacts[1].provenance, theoryFile);
+    });
+
+    test('should allow reloading after unload', () => {
+      const session = new Session({ geometry: 2048 });
+      session.learn(`@_ Load "${theoryFile}"`);
+      session.learn(`@_ Unload "${theoryFile}"`);
+      session.learn(`@_ Load "${theoryFile}"`);
+
+      assert.equal(session.kbFacts.length, 2);
+      assert.equal(session.prove('@goal isA Tweety Bird').valid, true);
+    });
+
+    test('should unload imported theory by name', () => {
+      const session = new Session({ geometry: 2048 });
+      session.learn('theory Bio {\n  isA Socrates Human\n}');
+      session.learn('import Bio');
+      session.learn('@_ Unload Bio');
+
+      assert.equal(session.kbFacts.length, 0);
+      assert.equal(session.theories.get('Bio').active, false);
+
+      session.learn('import Bio');
+      assert.equal(session.kbFacts.length, 1);
+    });
+  });
+
+  describe('Theory Declarations', () => {
+    const BIO = `theory Bio {
+  isA Socrates Human
+  rule Mortality: (isA ?x Human) => (isA ?x Mortal)
+}`;
+
+    test('should register theory without activating it', () => {
+      const session = new Session({ geometry: 2048 });
+      const result = session.learn(`@Zoo theory 2048 random
+  isA Rex Dog
+end`);
+
+      assert.equal(result.success, true);
+      const theory = session.theories.get('Zoo');
+      assert.equal(theory.geometry, 2048);
+      assert.equal(theory.initType, 'random');
+      assert.equal(theory.active, false);
+      assert.ok(session.scope.has('Zoo'), 'theory vector should be in scope');
+      assert.equal(session.kbFacts.length, 0);
+    });
+
+    test('import should activate theory facts and rules', () => {
+      const session = new Session({ geometry: 2048 });
+      session.learn(BIO);
+      const result = session.learn('import Bio');
+
+      assert.equal(result.success, true);
+      assert.equal(session.theories.get('Bio').active, true);
+      assert.equal(session.kbFacts.length, 1);
+      assert.equal(session.prove('@goal isA Socrates Mortal').valid, true);
+    });
+
+    test('should not import the same theory twice', () => {
+      const session = new Session({ geometry: 2048 });
+      session.learn(BIO);
+      session.learn('import Bio');
+      session.learn('import Bio');
+
+      assert.equal(session.kbFacts.length, 1);
+      assert.equal(session.rules.length, 1);
+    });
+
+    test('should fail to import unknown theory', () => {
+      const session = new Session({ geometry: 2048 });
+      const result = session.learn('import Missing');
+
+      assert.equal(result.success, false);
+      assert.ok(result.errors[0].includes('Unknown theory'));
+    });
+
+    test('should reject theory with mismatched geometry', () => {
+      const session = new Session({ geometry: 2048 });
+      session.learn(`@Big theory 4096 deterministic
+  isA A B
+end`);
+      const result = session.learn('import Big');
+
+      assert.equal(result.success, false);
+      assert.ok(result.errors[0].includes('geometry'));
+    });
+
+    test('top-level rule should be tracked like Implies', () => {
+      const session = new Session({ geometry: 2048 });
+      session.learn(`
+        isA Rex Dog
+        rule DogsBark: (isA ?x Dog) => (can ?x Bark)
+      `);
+
+      assert.equal(session.rules.length, 1);
+      assert.equal(session.rules[0].name, 'DogsBark');
+      assert.equal(session.rules[0].hasVariables, true);
+      assert.equal(session.prove('@goal can Rex Bark').valid, true);
+    });
+  });
+
+  describe('Theory Stack', () => {
+    const BANKS = `@Geography theory 2048 deterministic
+  @Bank __Atom
+  isA Bank Landform
+end
+@Finance theory 2048 deterministic
+  @Bank __Atom
+  isA Bank Institution
+end`;
+
+    function setup() {
+      const session = new Session({ geometry: 2048 });
+      session.learn(BANKS);
+      return session;
+    }
+
+    test('most recently loaded theory should shadow lower ones', () => {
+      const session = setup();
+      session.learn('@_ Load $Geography\n@_ Load $Finance\n@x Bank');
+
+      const finance = session.executor.resolveTheoryAtom('Finance', 'Bank');
+      assert.deepEqual(session.theoryStack, ['Geography', 'Finance']);
+      assert.ok(session.scope.get('x').equals(finance));
+    });
+
+    test('unloading should reveal the lower definition', () => {
+      const session = setup();
+      session.learn('@_ Load $Geography\n@_ Load $Finance\n@_ Unload $Finance\n@y Bank');
+
+      const geography = session.executor.resolveTheoryAtom('Geography', 'Bank');
+      assert.deepEqual(session.theoryStack, ['Geography']);
+      assert.ok(session.scope.get('y').equals(geography));
+      assert.equal(session.kbFacts.length, 1);
+    });
+
+    test('qualified names should resolve regardless of the stack', () => {
+      const session = setup();
+      session.learn('@_ Load $Geography\n@x Finance.Bank\n@y Geography.Bank');
+
+      assert.ok(!session.scope.get('x').equals(session.scope.get('y')));
+      assert.ok(session.scope.get('y').equals(session.executor.resolveTheoryAtom('Geography', 'Bank')));
+    });
+
+    test('Import should fetch an atom without loading the theory', () => {
+      const session = setup();
+      const result = session.learn('@b Import $Finance Bank');
+
+      assert.equal(result.success, true);
+      assert.deepEqual(session.theoryStack, []);
+      assert.ok(session.scope.get('b').equals(session.executor.resolveTheoryAtom('Finance', 'Bank')));
+    });
+
+    test('Export should save a binding into the active theory', () => {
+      const session = setup();
+      session.learn('@_ Load $Finance\n@loan hasProperty Mortgage Secured\n@_ Export $loan');
+
+      assert.ok(session.theories.get('Finance').namespace.bindings.has('loan'));
+
+      session.learn('@_ Unload $Finance');
+      const result = session.learn('@_ Export $loan');
+      assert.equal(result.success, false);
+    });
+
+    test('should fail on unknown qualified theory', () => {
+      const session = setup();
+      const result = session.learn('@x Nowhere.Bank');
+
+      assert.equal(result.success, false);
+      assert.ok(result.errors[0].includes('Unknown theory'));
+    });
+  });
+
+  describe('Theory Packs', () => {
+    const FIN = `@Fin theory 2048 random
+  @Bank __Atom
+  @Loan __Atom
+  @b:bankfact isA Bank Institution
+  rule Orgs: (isA ?x Institution) => (isA ?x Organization)
+  @Greet macro who
+    @g hello $who
+    return $g
+  end
+end
+import Fin`;
+    const root = mkdtempSync(join(tmpdir(), 'sys2-pack-'));
+    after(() => rmSync(root, { recursive: true, force: true }));
+
+    function writePack() {
+      const session = new Session({ geometry: 2048 });
+      session.learn(FIN);
+      const dir = join(mkdtempSync(join(root, 'pack-')), 'fin');
+      session.saveTheoryPack('Fin', dir);
+      return { session, dir };
+    }
+
+    test('should write the DS03 cold-storage layout', () => {
+      const { dir } = writePack();
+      for (const file of ['manifest.json', 'atoms.bin', 'atoms_index.json', 'macros.json']) {
+        assert.ok(existsSync(join(dir, file)), `${file} should exist`);
+      }
+      const manifest = JSON.parse(readFileSync(join(dir, 'manifest.json'), 'utf8'));
+      assert.equal(manifest.name, 'Fin');
+      assert.equal(manifest.geometry, 2048);
+      assert.equal(manifest.init, 'random');
+    });
+
+    test('Load should accept a pack directory', () => {
+      const { session: original, dir } = writePack();
+      const session = new Session({ geometry: 2048 });
+      const result = session.learn(`@_ Load "${dir}"`);
+
+      assert.equal(result.success, true);
+      assert.deepEqual(session.theoryStack, ['Fin']);
+      assert.ok(session.macros.has('Greet'));
+      assert.equal(session.prove('@goal isA Bank Organization').valid, true);
+      assert.ok(session.theories.get('Fin').vector.equals(original.theoryVector('Fin')), 'pack stores the superposition');
+      assert.ok(session.scope.get('Fin').equals(original.scope.get('Fin')));
+    });
+
+    test('should load atoms lazily with their stored vectors', () => {
+      const { session: original, dir } = writePack();
+      const session = new Session({ geometry: 2048 });
+      session.learn(`@_ Load "${dir}"`);
+      const atoms = session.theories.get('Fin').atoms;
+
+      assert.equal(atoms.has('Bank'), true, 'atoms the body uses are read during activation');
+      assert.equal(atoms.has('Loan'), false, 'declared atoms stay on disk until used');
+      assert.equal(atoms.has('b'), false, 'other stored names stay on disk until used');
+
+      session.learn('hasRisk Loan High');
+      assert.equal(atoms.has('Loan'), true);
+      assert.ok(session.executor.resolveTheoryAtom('Fin', 'Loan')
+        .equals(original.executor.resolveTheoryAtom('Fin', 'Loan')));
+    });
+
+    test('should reject strategies without bit-packed vectors', () => {
+      const session = new Session({ strategy: 'hrr', geometry: 2048 });
+      session.learn(FIN);
+      const dir = join(root, 'hrr', 'fin');
+
+      assert.throws(() => session.saveTheoryPack('Fin', dir), /strategy 'hrr' is not supported/);
+      assert.equal(existsSync(dir), false);
+    });
+
+    test('Unload should retract a pack by directory', () => {
+      const { dir } = writePack();
+      const session = new Session({ geometry: 2048 });
+      session.learn(`@_ Load "${dir}"`);
+      session.learn(`@_ Unload "${dir}"`);
+
+      assert.equal(session.kbFacts.length, 0);
+      assert.equal(session.rules.length, 0);
+      assert.deepEqual(session.theoryStack, []);
+    });
+  });
+
+  describe('Session Forks', () => {
+    test('should start a fork from the parent\'s facts and rules', () => {
+      const session = new Session({ geometry: 2048 });
+      session.learn(`supplies Acme Widgets
+@r1 Implies (supplies Acme Widgets) (canBuild Factory Gadgets)`);
+
+      const fork = session.fork();
+      assert.equal(fork.prove('@goal supplies Acme Widgets').valid, true);
+      assert.equal(fork.prove('@goal canBuild Factory Gadgets').valid, true);
+    });
+
+    test('should keep later changes to either side apart', () => {
+      const session = new Session({ geometry: 2048 });
+      session.learn('likes Ann Bob');
+
+      const fork = session.fork();
+      fork.learn('likes Cy Dee');
+      session.learn('likes Eve Fay');
+
+      assert.equal(session.prove('@goal likes Cy Dee').valid, false);
+      assert.equal(fork.prove('@goal likes Eve Fay').valid, false);
+      assert.equal(fork.prove('@goal likes Cy Dee').valid, true);
+      assert.equal(session.kbFacts.length, 2);
+      assert.equal(fork.kbFacts.length, 2);
+    });
+
+    test('should share registries until the first write', () => {
+      const session = new Session({ geometry: 2048 });
+      session.learn('likes Ann Bob');
+
+      const fork = session.fork();
+      assert.equal(fork.kbFacts, session.kbFacts);
+
+      fork.learn('likes Cy Dee');
+      assert.notEqual(fork.kbFacts, session.kbFacts);
+    });
+
+    test('should resolve parent bindings through the fork\'s scope', () => {
+      const session = new Session({ geometry: 2048 });
+      session.learn('@fact likes Ann Bob');
+
+      const fork = session.fork();
+      assert.ok(fork.scope.has('fact'));
+
+      fork.learn('@fact likes Cy Dee');
+      assert.notEqual(session.scope.get('fact'), fork.scope.get('fact'), 'rebinding stays in the fork');
+    });
+
+    test('should leave the parent\'s theories active when the fork unloads one', () => {
+      const session = new Session({ geometry: 2048 });
+      session.learn(`@Fin theory 2048 deterministic
+  isA Bank Institution
+end
+@_ Load $Fin`);
+      const parentEntry = session.theories.get('Fin');
+
+      const fork = session.fork();
+      fork.learn('@_ Unload Fin');
+      assert.equal(fork.theories.get('Fin').active, false);
+      assert.deepEqual(fork.theoryStack, []);
+
+      assert.equal(session.theories.get('Fin'), parentEntry);
+      assert.equal(parentEntry.active, true);
+      assert.ok(parentEntry.namespace);
+      assert.deepEqual(session.theoryStack, ['Fin']);
+    });
+
+    test('should keep exports in a fork out of the parent\'s theory', () => {
+      const session = new Session({ geometry: 2048 });
+      session.learn(`@Fin theory 2048 deterministic
+  isA Bank Institution
+end
+@_ Load $Fin`);
+
+      const fork = session.fork();
+      fork.learn('@loan hasProperty Mortgage Secured\n@_ Export $loan');
+      assert.ok(fork.theories.get('Fin').namespace.bindings.has('loan'));
+      assert.equal(session.theories.get('Fin').namespace.bindings.has('loan'), false);
+
+      session.learn('@rate hasProperty Mortgage Fixed\n@_ Export $rate');
+      assert.equal(fork.theories.get('Fin').namespace.bindings.has('rate'), false);
+    });
+  });
+
   describe('Contradiction Detection', () => {
     test('should detect Open/Closed contradiction', () => {
       const session = new Session({ geometry: 2048 });
@@ -119,6 +578,36 @@ describe('Session Features', () => {
       assert.ok(result.warnings.length > 0);
     });
 
+    test('should detect contradictions stated through an inverse', () => {
+      const session = new Session({ geometry: 2048 });
+      session.learn('before Dawn Noon');
+
+      assert.ok(session.learn('after Dawn Noon').warnings[0].includes('contradiction'));
+      assert.equal(session.learn('after Dusk Noon').warnings.length, 0);
+    });
+
+    test('should detect the converse of a relation declared asymmetric', () => {
+      const session = new Session({ geometry: 2048 });
+      session.learn(`inverseOf parent child
+@parent:parent __AsymmetricRelation
+parent Ann Bob`);
+
+      assert.equal(session.learn('child Bob Ann').warnings.length, 0, 'same fact, other direction');
+      assert.ok(session.learn('parent Bob Ann').warnings.length > 0);
+      assert.ok(session.learn('child Ann Bob').warnings.length > 0, 'asymmetric through its inverse');
+    });
+
+    test('should not treat a declared inverse alone as asymmetric', () => {
+      const session = new Session({ geometry: 2048 });
+      session.learn(`inverseOf marriedTo spouseOf
+inverseOf adjacentTo nextTo
+marriedTo Ann Bob
+adjacentTo Hall Kitchen`);
+
+      assert.deepEqual(session.learn('spouseOf Ann Bob').warnings, []);
+      assert.deepEqual(session.learn('adjacentTo Kitchen Hall').warnings, []);
+    });
+
     test('should not warn for non-contradictory facts', () => {
       const session = new Session({ geometry: 2048 });
       session.learn('hasProperty Car Red');
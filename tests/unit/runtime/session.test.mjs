@@ -2,8 +2,11 @@
  * Session Unit Tests - Node.js native test runner
  */
 
-import { test, describe } from 'node:test';
+import { test, describe, after } from 'node:test';
 import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
 import { Session } from '../../../src/runtime/session.mjs';
 
 describe('Session', () => {
@@ -17,6 +20,25 @@ describe('Session', () => {
       const session = new Session({ geometry: 1024 });
       assert.equal(session.geometry, 1024);
     });
+
+    test('should keep its own HDC strategy alongside other sessions', () => {
+      const dense = new Session({ geometry: 2048 });
+      const bipolar = new Session({ strategy: 'bipolar-map', geometry: 8192 });
+
+      for (const session of [dense, bipolar]) {
+        session.learn('isA Socrates Human\nisA Human Mortal\nloves John Mary');
+        assert.equal(session.prove('@g isA Socrates Mortal').valid, true);
+        assert.equal(session.query('@q loves ?x Mary').bindings.get('x').answer, 'John');
+      }
+      assert.equal(dense.kbFacts[0].vector.strategyId, 'dense-binary');
+      assert.equal(bipolar.kbFacts[0].vector.strategyId, 'bipolar-map');
+      assert.equal(bipolar.kbFacts[0].vector.geometry, 8192);
+      assert.equal(bipolar.fork().hdc.strategyId, 'bipolar-map');
+    });
+
+    test('should reject unknown strategies', () => {
+      assert.throws(() => new Session({ strategy: 'nope' }), /Unknown HDC strategy/);
+    });
   });
 
   describe('learn', () => {
@@ -177,4 +199,131 @@ describe('Session', () => {
       assert.equal(session.kbFacts.length, 0);
     });
   });
+
+  describe('save/load', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'sys2-snapshot-'));
+    after(() => rmSync(dir, { recursive: true, force: true }));
+
+    function buildSession() {
+      const session = new Session({ geometry: 2048 });
+      session.learn(`
+        isA Socrates Human
+        isA Human Mammal
+        @r Implies (isA ?x Human) (isA ?x Mortal)
+        @Greet macro who
+          @g hello $who
+          return $g
+        end
+        @Fin theory 2048 random
+          @Bank __Atom
+          isA Bank Institution
+        end
+        import Fin
+      `);
+      return session;
+    }
+
+    test('should round-trip facts, rules, macros and theories', () => {
+      const session = buildSession();
+      const path = join(dir, 'roundtrip.json');
+      session.save(path);
+      const restored = Session.load(path);
+
+      assert.equal(restored.geometry, 2048);
+      assert.equal(restored.kbFacts.length, session.kbFacts.length);
+      assert.deepEqual(restored.kbFacts.map(f => f.metadata), session.kbFacts.map(f => f.metadata));
+      assert.ok(restored.kb.equals(session.kb));
+      assert.equal(restored.rules[0].conditionAST.type, 'Compound');
+      assert.ok(restored.macros.has('Greet'));
+      assert.ok(restored.scope.get('r').equals(session.scope.get('r')));
+      assert.deepEqual(restored.theoryStack, ['Fin']);
+    });
+
+    test('restored session should give identical prove and query results', () => {
+      const session = buildSession();
+      const path = join(dir, 'results.json');
+      session.save(path);
+      const restored = Session.load(path);
+
+      for (const goal of ['@g isA Socrates Mortal', '@g isA Socrates Mammal', '@g isA Bank Institution']) {
+        const expected = session.prove(goal);
+        const actual = restored.prove(goal);
+        assert.equal(actual.valid, expected.valid, goal);
+        assert.equal(actual.confidence, expected.confidence, goal);
+        assert.deepEqual(actual.steps, expected.steps, goal);
+      }
+
+      const expected = session.query('@q isA Socrates ?what');
+      const actual = restored.query('@q isA Socrates ?what');
+      assert.deepEqual([...actual.bindings.keys()], [...expected.bindings.keys()]);
+      assert.equal(actual.bindings.get('what').answer, expected.bindings.get('what').answer);
+    });
+
+    test('restored session should keep provenance for Unload', () => {
+      const session = buildSession();
+      const path = join(dir, 'provenance.json');
+      session.save(path);
+      const restored = Session.load(path);
+
+      restored.learn('@_ Unload Fin');
+      assert.equal(restored.kbFacts.length, 2);
+      assert.deepEqual(restored.theoryStack, []);
+    });
+
+    test('restored session should keep materialised facts and forward chaining', () => {
+      const session = buildSession();
+      session.materialize();
+      const path = join(dir, 'forward.json');
+      session.save(path);
+      const restored = Session.load(path);
+
+      const derived = restored.kbFacts.filter(f => f.derivedBy);
+      assert.equal(derived.length, 1);
+      assert.equal(derived[0].derivedBy.rule, 'r');
+      assert.equal(restored.forwardChaining, true);
+    });
+
+    test('should keep the consistency and shard options', () => {
+      const session = new Session({ geometry: 2048, consistencyOnLoad: true, shardCapacity: 2 });
+      session.learn('likes Ann Bob\nlikes Cy Dee\nlikes Eve Fay');
+      const path = join(dir, 'options.json');
+      session.save(path);
+      const restored = Session.load(path);
+
+      assert.equal(restored.consistencyOnLoad, true);
+      assert.equal(restored.kbShards.capacity, 2);
+      assert.deepEqual(restored.kbShards.list(), session.kbShards.list());
+    });
+
+    test('should restore the strategy a session was saved with', () => {
+      const session = new Session({ strategy: 'bipolar-map', geometry: 2048 });
+      session.learn('isA Socrates Human');
+      const path = join(dir, 'bipolar.json');
+      session.save(path);
+
+      const restored = Session.load(path);
+      assert.equal(restored.hdc.strategyId, 'bipolar-map');
+      assert.equal(restored.prove('@g isA Socrates Human').valid, true);
+    });
+
+    test('should give identical holographic scores for HRR sessions', () => {
+      const session = new Session({ strategy: 'hrr', geometry: 2048 });
+      session.learn('isA Socrates Human\nisA Plato Human\nlikes Plato Socrates');
+      const path = join(dir, 'hrr.json');
+      session.save(path);
+      const restored = Session.load(path);
+
+      for (const goal of ['isA Socrates ?k', 'likes Plato ?x']) {
+        const expected = session.queryHDC(goal).results;
+        const actual = restored.queryHDC(goal).results;
+        assert.deepEqual(actual, expected, goal);
+      }
+    });
+
+    test('should reject files that are not snapshots', () => {
+      const path = join(dir, 'bogus.json');
+      writeFileSync(path, JSON.stringify({ hello: 'world' }));
+      assert.throws(() => Session.load(path), /Not a session snapshot/);
+    });
+  });
 });
@@ -51,6 +51,15 @@ describe('Vocabulary', () => {
       assert.ok(sim > 0.4 && sim < 0.6, `similarity ${sim} should be around 0.5`);
     });
 
+    test('namespaced vocabularies should give the same name different vectors', () => {
+      const finance = new Vocabulary(2048, { namespace: 'Finance' });
+      const geography = new Vocabulary(2048, { namespace: 'Geography' });
+      const sim = similarity(finance.getOrCreate('Bank'), geography.getOrCreate('Bank'));
+
+      assert.ok(sim < 0.6, `similarity ${sim} should be near orthogonal`);
+      assert.ok(finance.getOrCreate('Bank').equals(new Vocabulary(2048, { namespace: 'Finance' }).getOrCreate('Bank')));
+    });
+
     test('should increment size', () => {
       const vocab = new Vocabulary(1024);
       vocab.getOrCreate('a');
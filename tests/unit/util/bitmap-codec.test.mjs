@@ -0,0 +1,44 @@
+/**
+ * Tests for Bitmap Codec
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { compressBits, decompressBits } from '../../../src/util/bitmap-codec.mjs';
+
+describe('Bitmap Codec', () => {
+  test('should round-trip dense random words', () => {
+    const words = new Uint32Array(64);
+    for (let i = 0; i < words.length; i++) {
+      words[i] = (Math.random() * 0xFFFFFFFF) >>> 0;
+    }
+
+    const restored = decompressBits(compressBits(words), 2048);
+    assert.deepEqual(restored, words);
+  });
+
+  test('should store sparse vectors as position arrays', () => {
+    const words = new Uint32Array(1024); // 32768 bits
+    words[0] = 1;
+    words[500] = 0x80000000;
+    words[1023] = 0x10;
+
+    const bytes = compressBits(words);
+    assert.equal(bytes.length, 3 + 3 * 2);
+    assert.deepEqual(decompressBits(bytes, 32768), words);
+  });
+
+  test('should handle geometries spanning several chunks', () => {
+    const words = new Uint32Array(4096); // 131072 bits, two chunks
+    words[10] = 0xDEADBEEF;
+    for (let i = 2048; i < 4096; i++) words[i] = 0xFFFFFFFF;
+
+    assert.deepEqual(decompressBits(compressBits(words), 131072), words);
+  });
+
+  test('should reject truncated data', () => {
+    const words = new Uint32Array(64).fill(0xAAAAAAAA);
+    const bytes = compressBits(words);
+    assert.throws(() => decompressBits(bytes.subarray(0, 0), 2048), /Truncated/);
+  });
+});